@@ -85,6 +85,8 @@ module.exports = {
         ".graphqlrc.{js,ts}",
         "shopify.server.{js,ts}",
         "**/*.server.{js,ts}",
+        "scripts/**/*.js",
+        "test/**/*.js",
       ],
       env: {
         node: true,
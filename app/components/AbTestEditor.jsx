@@ -0,0 +1,168 @@
+// ============================================================================
+// A/B TEST EDITOR COMPONENT
+// Alternative wordings of a rule's message lines, shown to a share of visitors
+// ============================================================================
+
+import { Link } from "react-router";
+import { HelpLink } from "./HelpLink";
+import { newAbTestId } from "../utils/idGenerators";
+import { safeParseNumber } from "../utils/validation";
+
+// Control + up to two challengers; more splits traffic too thinly for most shops
+const MAX_VARIANTS = 3;
+const VARIANT_IDS = ["a", "b", "c"];
+const LINE_KEYS = ["message_line_1", "message_line_2", "message_line_3", "message_line_4"];
+
+const subduedStyle = { color: "var(--p-color-text-subdued, #6b7280)" };
+
+const variantStyle = {
+  border: "1px solid var(--p-color-border, #e5e7eb)",
+  borderRadius: 6,
+  padding: 12,
+  display: "grid",
+  gap: 8,
+  background: "var(--p-color-bg-surface, #ffffff)",
+};
+
+const newTest = (variants) => ({
+  enabled: true,
+  test_id: newAbTestId(),
+  started_at: new Date().toISOString(),
+  variants,
+});
+
+/**
+ * AbTestEditor - Message variants and traffic split for one rule
+ * The first variant is the control and always shows the rule's own message lines.
+ * @param {Object} props
+ * @param {Object} props.settings - The rule's settings (message lines + ab_test)
+ * @param {Function} props.onChange - Called with the updated ab_test (undefined removes it)
+ */
+export function AbTestEditor({ settings, onChange }) {
+  const abTest = settings?.ab_test;
+  const variants = abTest?.variants || [];
+  const totalWeight = variants.reduce((sum, v) => sum + (v.weight || 0), 0);
+
+  const copyOfControl = (id, name) => ({
+    id,
+    name,
+    weight: 50,
+    ...Object.fromEntries(LINE_KEYS.map((key) => [key, settings?.[key] || ""])),
+  });
+
+  const setVariants = (next) => onChange({ ...abTest, variants: next });
+  const updateVariant = (id, changes) => setVariants(variants.map((v) => (v.id === id ? { ...v, ...changes } : v)));
+
+  const handleToggle = (checked) => {
+    if (!abTest) {
+      onChange(newTest([{ id: "a", name: "Control", weight: 50 }, copyOfControl("b", "Variant B")]));
+    } else {
+      onChange({ ...abTest, enabled: checked });
+    }
+  };
+
+  const addVariant = () => {
+    const id = VARIANT_IDS.find((vid) => !variants.some((v) => v.id === vid));
+    if (!id || variants.length >= MAX_VARIANTS) return;
+    setVariants([...variants, copyOfControl(id, `Variant ${id.toUpperCase()}`)]);
+  };
+
+  const restart = () => {
+    if (!window.confirm("Start a new test? Visitors are assigned again and the results so far stay under the old test on the Experiments page.")) return;
+    onChange(newTest(variants));
+  };
+
+  const remove = () => {
+    if (!window.confirm("Remove this test? Its variants are deleted; results already collected stay on the Experiments page.")) return;
+    onChange(undefined);
+  };
+
+  return (
+    <div style={{ borderTop: "1px solid var(--p-color-border, #e5e7eb)", paddingTop: 16, display: "grid", gap: 12 }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
+        <s-heading>A/B test</s-heading>
+        <HelpLink anchor="messages-ab-test" />
+      </div>
+
+      <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
+        <input type="checkbox" checked={!!abTest?.enabled} onChange={(e) => handleToggle(e.target.checked)} />
+        <s-text>Test other wordings of these messages</s-text>
+      </label>
+      <s-text size="small" style={subduedStyle}>
+        Each visitor keeps seeing the same version. Add-to-carts and checkouts are counted per version on the{" "}
+        <Link to="/app/experiments">Experiments</Link> page. Turning the test off shows everyone the control and keeps its results.
+      </s-text>
+
+      {abTest && (
+        <div style={{ display: "grid", gap: 8, opacity: abTest.enabled ? 1 : 0.6 }}>
+          {variants.map((variant, index) => {
+            const share = totalWeight > 0 ? Math.round(((variant.weight || 0) / totalWeight) * 100) : 0;
+            return (
+              <div key={variant.id} style={variantStyle}>
+                <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+                  <input
+                    value={variant.name}
+                    onChange={(e) => updateVariant(variant.id, { name: e.target.value })}
+                    maxLength={40}
+                    aria-label="Variant name"
+                    style={{ flex: "1 1 160px" }}
+                  />
+                  <label style={{ display: "flex", gap: 6, alignItems: "center" }}>
+                    <s-text size="small">Weight</s-text>
+                    <input
+                      type="number"
+                      min={0}
+                      max={100}
+                      value={variant.weight}
+                      onChange={(e) => updateVariant(variant.id, { weight: Math.round(safeParseNumber(e.target.value, 0, 0, 100)) })}
+                      style={{ width: 64 }}
+                    />
+                  </label>
+                  <s-text size="small" style={subduedStyle}>{share}% of visitors</s-text>
+                  {index > 0 && variants.length > 2 && (
+                    <s-button variant="plain" tone="critical" onClick={() => setVariants(variants.filter((v) => v.id !== variant.id))}>
+                      Remove
+                    </s-button>
+                  )}
+                </div>
+
+                {index === 0 ? (
+                  <s-text size="small" style={subduedStyle}>Control: shows the message lines above.</s-text>
+                ) : (
+                  LINE_KEYS.map((key, lineIndex) => (
+                    <input
+                      key={key}
+                      value={variant[key] || ""}
+                      onChange={(e) => updateVariant(variant.id, { [key]: e.target.value })}
+                      maxLength={100}
+                      aria-label={`${variant.name} message line ${lineIndex + 1}`}
+                      placeholder={`Message line ${lineIndex + 1}`}
+                      style={{ width: "100%" }}
+                    />
+                  ))
+                )}
+              </div>
+            );
+          })}
+
+          {totalWeight === 0 && (
+            <s-text size="small" style={{ color: "var(--p-color-text-critical, #dc2626)" }}>
+              Give at least one variant a weight above 0.
+            </s-text>
+          )}
+
+          <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+            {variants.length < MAX_VARIANTS && <s-button onClick={addVariant}>Add variant</s-button>}
+            <s-button onClick={restart}>Start new test</s-button>
+            <s-button variant="plain" tone="critical" onClick={remove}>Remove test</s-button>
+            {abTest.started_at && (
+              <s-text size="small" style={subduedStyle}>
+                Started {new Date(abTest.started_at).toLocaleDateString(undefined, { dateStyle: "medium" })}. Start a new test after changing wording so results compare like with like.
+              </s-text>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
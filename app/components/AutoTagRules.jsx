@@ -0,0 +1,283 @@
+// ============================================================================
+// AUTO-TAG RULES COMPONENT
+// Tag Manager card: saved rules that tag new and updated products automatically,
+// with a dry-run preview and the log of tags they added
+// ============================================================================
+
+import { useEffect, useState } from "react";
+import { useFetcher } from "react-router";
+import { HelpLink } from "./HelpLink";
+import { AUTO_TAG_FIELDS, AUTO_TAG_OPERATORS, MAX_AUTO_TAG_CONDITIONS, MAX_AUTO_TAG_TAGS } from "../utils/autoTagRules";
+
+const inputStyle = { padding: "5px 8px", borderRadius: 6, border: "1px solid #d1d5db", fontSize: 13, outline: "none" };
+
+const buttonStyle = (primary) => ({
+  padding: "5px 12px", borderRadius: 6, fontSize: 12, fontWeight: 500, cursor: "pointer", whiteSpace: "nowrap",
+  border: primary ? "1px solid #0369a1" : "1px solid #d1d5db",
+  background: primary ? "#0369a1" : "white",
+  color: primary ? "white" : "#303030",
+});
+
+const tagPillStyle = {
+  padding: "1px 8px", borderRadius: 12, fontSize: 11, fontWeight: 500,
+  background: "#e0f2fe", color: "#0369a1", whiteSpace: "nowrap",
+};
+
+const emptyCondition = () => ({ field: "vendor", operator: "equals", value: "" });
+
+const newDraft = () => ({ name: "", enabled: true, conditions: [emptyCondition()], tagsText: "" });
+
+const draftFromRule = (rule) => ({ ...rule, tagsText: rule.tags.join(", ") });
+
+const ruleFromDraft = ({ tagsText, ...rule }) => ({
+  ...rule,
+  tags: [...new Set(tagsText.split(",").map((t) => t.trim()).filter(Boolean))],
+});
+
+const labelOf = (list, value) => list.find((item) => item.value === value)?.label || value;
+
+const describeConditions = (conditions) =>
+  conditions.map((c) => `${labelOf(AUTO_TAG_FIELDS, c.field)} ${labelOf(AUTO_TAG_OPERATORS, c.operator)} "${c.value}"`).join(" and ");
+
+const formatTime = (iso) => new Date(iso).toLocaleString(undefined, { month: "short", day: "numeric", hour: "numeric", minute: "2-digit" });
+
+function RuleEditor({ draft, setDraft, vendors, productTypes, busy, onPreview, onSave, onCancel }) {
+  const updateCondition = (index, patch) => {
+    setDraft({ ...draft, conditions: draft.conditions.map((c, i) => (i === index ? { ...c, ...patch } : c)) });
+  };
+  const suggestions = (field) => (field === "vendor" ? vendors : field === "product_type" ? productTypes : []);
+
+  return (
+    <div style={{ padding: "12px 20px", borderBottom: "1px solid #e5e7eb", background: "#f9fafb", display: "grid", gap: 10 }}>
+      <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+        <input
+          type="text" placeholder="Rule name, e.g. Acme sofas" value={draft.name} maxLength={80}
+          onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+          style={{ ...inputStyle, flex: "1 1 220px" }}
+        />
+        <label style={{ display: "inline-flex", gap: 6, alignItems: "center", fontSize: 13, color: "#303030" }}>
+          <input type="checkbox" checked={draft.enabled} onChange={(e) => setDraft({ ...draft, enabled: e.target.checked })} />
+          Enabled
+        </label>
+      </div>
+
+      <div style={{ display: "grid", gap: 6 }}>
+        <span style={{ fontSize: 12, color: "#8c9196" }}>When a product is created or updated and all of these match:</span>
+        {draft.conditions.map((condition, index) => (
+          <div key={index} style={{ display: "flex", gap: 6, alignItems: "center", flexWrap: "wrap" }}>
+            <select value={condition.field} onChange={(e) => updateCondition(index, { field: e.target.value })} style={inputStyle}>
+              {AUTO_TAG_FIELDS.map((f) => <option key={f.value} value={f.value}>{f.label}</option>)}
+            </select>
+            <select value={condition.operator} onChange={(e) => updateCondition(index, { operator: e.target.value })} style={inputStyle}>
+              {AUTO_TAG_OPERATORS.map((o) => <option key={o.value} value={o.value}>{o.label}</option>)}
+            </select>
+            <input
+              type="text" value={condition.value} list={`auto-tag-values-${condition.field}`}
+              onChange={(e) => updateCondition(index, { value: e.target.value })}
+              style={{ ...inputStyle, flex: "1 1 180px" }}
+            />
+            {draft.conditions.length > 1 && (
+              <button
+                onClick={() => setDraft({ ...draft, conditions: draft.conditions.filter((_, i) => i !== index) })}
+                style={{ ...buttonStyle(false), color: "#dc2626" }}
+              >
+                Remove
+              </button>
+            )}
+          </div>
+        ))}
+        {["vendor", "product_type"].map((field) => (
+          <datalist key={field} id={`auto-tag-values-${field}`}>
+            {suggestions(field).map((v) => <option key={v} value={v} />)}
+          </datalist>
+        ))}
+        {draft.conditions.length < MAX_AUTO_TAG_CONDITIONS && (
+          <div>
+            <button onClick={() => setDraft({ ...draft, conditions: [...draft.conditions, emptyCondition()] })} style={buttonStyle(false)}>
+              + Add condition
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div style={{ display: "grid", gap: 6 }}>
+        <span style={{ fontSize: 12, color: "#8c9196" }}>Add these tags (comma separated, up to {MAX_AUTO_TAG_TAGS}):</span>
+        <input
+          type="text" placeholder="made-to-order" value={draft.tagsText}
+          onChange={(e) => setDraft({ ...draft, tagsText: e.target.value })}
+          style={inputStyle}
+        />
+      </div>
+
+      <div style={{ display: "flex", gap: 6, justifyContent: "flex-end" }}>
+        <button onClick={onCancel} style={buttonStyle(false)}>Cancel</button>
+        <button onClick={onPreview} disabled={busy} style={{ ...buttonStyle(false), opacity: busy ? 0.5 : 1 }}>Preview</button>
+        <button onClick={onSave} disabled={busy} style={{ ...buttonStyle(true), opacity: busy ? 0.5 : 1 }}>Save rule</button>
+      </div>
+    </div>
+  );
+}
+
+function PreviewResult({ preview }) {
+  return (
+    <div style={{ padding: "12px 20px", borderBottom: "1px solid #e5e7eb", display: "grid", gap: 8 }}>
+      <span style={{ fontSize: 13, fontWeight: 600, color: "#303030" }}>
+        Dry run: {preview.matches.length} product{preview.matches.length !== 1 ? "s" : ""} would be tagged
+        {preview.alreadyTagged > 0 && <span style={{ fontWeight: 400, color: "#8c9196" }}> · {preview.alreadyTagged} already have the tags</span>}
+      </span>
+      <span style={{ fontSize: 12, color: "#8c9196" }}>
+        Nothing has been changed. Checked the {preview.scanned} newest products the search found
+        {preview.hasMore ? " — more may match, and they are tagged as they are next updated." : "."}
+      </span>
+      {preview.matches.slice(0, 25).map((product) => (
+        <div key={product.id} style={{ display: "flex", gap: 8, alignItems: "center", fontSize: 13 }}>
+          <span style={{ flex: 1, minWidth: 0, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap", color: "#303030" }}>
+            {product.title}
+            <span style={{ color: "#8c9196" }}>{product.vendor ? ` · ${product.vendor}` : ""}{product.productType ? ` · ${product.productType}` : ""}</span>
+          </span>
+          {product.tags.map((t) => <span key={t} style={tagPillStyle}>+ {t}</span>)}
+        </div>
+      ))}
+      {preview.matches.length > 25 && <span style={{ fontSize: 12, color: "#8c9196" }}>…and {preview.matches.length - 25} more</span>}
+    </div>
+  );
+}
+
+function ActivityLog({ activity }) {
+  return (
+    <div style={{ padding: "12px 20px", display: "grid", gap: 6 }}>
+      <span style={{ fontSize: 13, fontWeight: 600, color: "#303030" }}>Recent activity</span>
+      {activity.length === 0 && (
+        <span style={{ fontSize: 12, color: "#8c9196" }}>No products have been auto-tagged yet.</span>
+      )}
+      {activity.map((entry) => (
+        <div key={entry.id} style={{ display: "grid", gridTemplateColumns: "110px 1fr auto", gap: 8, alignItems: "center", fontSize: 12 }}>
+          <span style={{ color: "#8c9196" }}>{formatTime(entry.createdAt)}</span>
+          <span style={{ overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap", color: "#303030" }} title={entry.productTitle}>
+            {entry.productTitle || entry.productId}
+            <span style={{ color: "#8c9196" }}> · {entry.ruleName}</span>
+            {entry.error && <span style={{ color: "#dc2626" }}> · Failed: {entry.error}</span>}
+          </span>
+          <span style={{ display: "flex", gap: 4 }}>
+            {entry.tags.map((t) => <span key={t} style={{ ...tagPillStyle, opacity: entry.error ? 0.5 : 1 }}>+ {t}</span>)}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * AutoTagRules - Saved auto-tag rules, applied by the products/create and products/update webhooks
+ * @param {Object} props
+ * @param {Object[]|null} props.rules - Saved rules (null if they failed to load)
+ * @param {Object[]} props.activity - Latest activity, newest first
+ * @param {string[]} props.vendors - Store vendors, suggested for vendor conditions
+ * @param {string[]} props.productTypes - Store product types, suggested for product type conditions
+ */
+export function AutoTagRules({ rules: initialRules, activity, vendors, productTypes }) {
+  const fetcher = useFetcher();
+  const [rules, setRules] = useState(initialRules || []);
+  const [draft, setDraft] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState("");
+
+  const busy = fetcher.state !== "idle";
+
+  useEffect(() => {
+    const data = fetcher.data;
+    if (!data || fetcher.state !== "idle") return;
+    if (!data.ok) {
+      setError(data.error || "Something went wrong. Please try again.");
+      return;
+    }
+    setError("");
+    if (data.productAction === "previewAutoTagRule") setPreview(data.preview);
+    if (data.productAction === "saveAutoTagRule") {
+      setRules((prev) => (prev.some((r) => r.id === data.rule.id) ? prev.map((r) => (r.id === data.rule.id ? data.rule : r)) : [...prev, data.rule]));
+      setDraft(null);
+      setPreview(null);
+    }
+    if (data.productAction === "deleteAutoTagRule") setRules((prev) => prev.filter((r) => r.id !== data.id));
+  }, [fetcher.state, fetcher.data]);
+
+  const submit = (productAction, fields) => {
+    setError("");
+    fetcher.submit({ productAction, ...fields }, { method: "POST" });
+  };
+
+  const openEditor = (rule) => {
+    setDraft(rule ? draftFromRule(rule) : newDraft());
+    setPreview(null);
+    setError("");
+  };
+
+  const handleDelete = (rule) => {
+    if (!window.confirm(`Delete the auto-tag rule "${rule.name}"? Tags it has already added stay on the products.`)) return;
+    submit("deleteAutoTagRule", { id: rule.id });
+  };
+
+  return (
+    <div style={{ background: "white", border: "1px solid #e5e7eb", borderRadius: 12, overflow: "hidden" }}>
+      <div style={{ padding: "12px 20px", borderBottom: "1px solid #e5e7eb", display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12 }}>
+        <div>
+          <h2 style={{ margin: 0, fontSize: 16, fontWeight: 600, color: "#303030", display: "flex", alignItems: "center", gap: 6 }}>
+            Auto-tag rules <HelpLink anchor="product-matching-auto-tag" />
+          </h2>
+          <p style={{ margin: "4px 0 0 0", fontSize: 13, color: "#616161" }}>
+            Tag products automatically as they are created or updated, so new stock picks up its delivery rule.
+          </p>
+        </div>
+        {!draft && initialRules && <button onClick={() => openEditor(null)} style={buttonStyle(true)}>Add rule</button>}
+      </div>
+
+      {!initialRules && (
+        <div style={{ padding: "12px 20px", fontSize: 13, color: "#dc2626" }}>Auto-tag rules couldn&apos;t be loaded. Refresh the page to try again.</div>
+      )}
+      {error && <div style={{ padding: "8px 20px", fontSize: 13, color: "#dc2626" }}>{error}</div>}
+
+      {draft && (
+        <RuleEditor
+          draft={draft}
+          setDraft={setDraft}
+          vendors={vendors}
+          productTypes={productTypes}
+          busy={busy}
+          onPreview={() => submit("previewAutoTagRule", { rule: JSON.stringify(ruleFromDraft(draft)) })}
+          onSave={() => submit("saveAutoTagRule", { rule: JSON.stringify(ruleFromDraft(draft)) })}
+          onCancel={() => { setDraft(null); setPreview(null); setError(""); }}
+        />
+      )}
+      {draft && preview && <PreviewResult preview={preview} />}
+
+      {initialRules && rules.length === 0 && !draft && (
+        <div style={{ padding: "12px 20px", fontSize: 12, color: "#8c9196", borderBottom: "1px solid #e5e7eb" }}>
+          No auto-tag rules yet. Add one, e.g. vendor is &quot;Acme&quot; and product type is &quot;Sofa&quot; → made-to-order.
+        </div>
+      )}
+      {rules.map((rule) => (
+        <div key={rule.id} style={{ display: "flex", alignItems: "center", gap: 12, padding: "10px 20px", borderBottom: "1px solid #f3f4f6" }}>
+          <div style={{ flex: 1, minWidth: 0 }}>
+            <span style={{ fontSize: 13, fontWeight: 500, color: rule.enabled ? "#303030" : "#8c9196" }}>
+              {rule.name}{!rule.enabled && " (paused)"}
+            </span>
+            <div style={{ fontSize: 12, color: "#8c9196" }}>
+              {describeConditions(rule.conditions)} → {rule.tags.join(", ")}
+            </div>
+          </div>
+          <button
+            onClick={() => submit("saveAutoTagRule", { rule: JSON.stringify({ ...rule, enabled: !rule.enabled }) })}
+            disabled={busy}
+            style={buttonStyle(false)}
+          >
+            {rule.enabled ? "Pause" : "Resume"}
+          </button>
+          <button onClick={() => openEditor(rule)} disabled={busy} style={buttonStyle(false)}>Edit</button>
+          <button onClick={() => handleDelete(rule)} disabled={busy} style={{ ...buttonStyle(false), color: "#dc2626" }}>Delete</button>
+        </div>
+      ))}
+
+      <ActivityLog activity={activity} />
+    </div>
+  );
+}
@@ -0,0 +1,141 @@
+// ============================================================================
+// CART MILESTONES EDITOR COMPONENT
+// Rewards after free delivery (free express, a free gift...) that the
+// announcement bar counts the cart towards, one after another
+// ============================================================================
+
+import { newMilestoneId } from "../utils/idGenerators";
+import { PRESET_ICONS } from "../utils/icons";
+import { HelpLink } from "./HelpLink";
+
+const MAX_MILESTONES = 4;
+
+const subduedStyle = { color: "var(--p-color-text-subdued, #6b7280)" };
+const criticalStyle = { color: "var(--p-color-text-critical, #dc2626)" };
+
+// Icons that read as a reward on the strip (bullet, checkmark and spacer are layout icons)
+const MILESTONE_ICONS = PRESET_ICONS.filter((icon) => !["bullet", "checkmark", "spacer"].includes(icon.value));
+
+/**
+ * CartMilestonesEditor - Ordered cart milestones for the announcement bar
+ * @param {Object} props
+ * @param {Object} props.settings - Free delivery settings (fd_threshold, fd_milestones, fd_milestone_icon)
+ * @param {Function} props.setSettings - Called with the updated settings
+ * @param {Function} props.formatMoney - Formats minor units in the store currency
+ */
+export function CartMilestonesEditor({ settings, setSettings, formatMoney }) {
+  const milestones = settings.fd_milestones || [];
+  const threshold = settings.fd_threshold || 0;
+  const setMilestones = (next) => setSettings({ ...settings, fd_milestones: next });
+  const updateMilestone = (id, changes) => setMilestones(milestones.map((m) => (m.id === id ? { ...m, ...changes } : m)));
+
+  const addMilestone = () => {
+    if (milestones.length >= MAX_MILESTONES) return;
+    const highest = Math.max(threshold, ...milestones.map((m) => m.amount || 0));
+    setMilestones([
+      ...milestones,
+      {
+        id: newMilestoneId(),
+        amount: highest + 5000,
+        progress_message: "",
+        unlocked_message: "",
+        icon: "gift",
+      },
+    ]);
+  };
+
+  // Keep the list in cart order once an amount is entered
+  const sortMilestones = () => setMilestones([...milestones].sort((a, b) => (a.amount || 0) - (b.amount || 0)));
+
+  const iconSelect = (value, onChange, label) => (
+    <select value={value} onChange={(e) => onChange(e.target.value)} aria-label={label}>
+      {MILESTONE_ICONS.map((icon) => (
+        <option key={icon.value} value={icon.value}>{icon.label}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div style={{ display: "grid", gap: 10, borderTop: "1px solid var(--p-color-border, #e5e7eb)", paddingTop: 12 }}>
+      <s-text style={{ fontWeight: 600 }}>Cart milestones <HelpLink anchor="announcement-milestones" /></s-text>
+      <s-text size="small" style={subduedStyle}>
+        Add rewards after free delivery. Once free delivery is unlocked the bar counts towards the next milestone,
+        and a strip under the message shows every milestone. {"{remaining}"} and {"{threshold}"} refer to the next milestone.
+        Amounts are in your store&apos;s currency; shoppers in other currencies see them converted at Shopify&apos;s
+        current exchange rate.
+      </s-text>
+
+      <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+        <s-text size="small" style={{ flex: 1 }}>1. Free delivery at {formatMoney(threshold)} (messages above)</s-text>
+        {iconSelect(settings.fd_milestone_icon || "truck", (icon) => setSettings({ ...settings, fd_milestone_icon: icon }), "Free delivery icon")}
+      </div>
+
+      {milestones.map((milestone, index) => {
+        const previous = index === 0 ? threshold : milestones[index - 1].amount || 0;
+        return (
+          <div
+            key={milestone.id}
+            style={{ display: "grid", gap: 8, padding: 12, borderRadius: 6, background: "var(--p-color-bg-surface, #ffffff)" }}
+          >
+            <div style={{ display: "flex", gap: 8, alignItems: "end" }}>
+              <s-text size="small" style={{ paddingBottom: 4 }}>{index + 2}.</s-text>
+              <label style={{ width: 120 }}>
+                <s-text size="small">Cart total</s-text>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={(milestone.amount || 0) / 100}
+                  onChange={(e) => updateMilestone(milestone.id, { amount: Math.max(0, Math.round(parseFloat(e.target.value) * 100) || 0) })}
+                  onBlur={sortMilestones}
+                  style={{ width: "100%" }}
+                />
+              </label>
+              <label>
+                <s-text size="small">Icon</s-text>
+                {iconSelect(milestone.icon || "gift", (icon) => updateMilestone(milestone.id, { icon }), `Milestone ${index + 2} icon`)}
+              </label>
+              <div style={{ flex: 1 }} />
+              <s-button variant="plain" tone="critical" onClick={() => setMilestones(milestones.filter((m) => m.id !== milestone.id))}>Remove</s-button>
+            </div>
+            {(milestone.amount || 0) <= previous && (
+              <s-text size="small" style={criticalStyle}>
+                Must be more than {formatMoney(previous)}, or the storefront skips this milestone.
+              </s-text>
+            )}
+            <label>
+              <s-text size="small">Progress message</s-text>
+              <input
+                type="text"
+                value={milestone.progress_message || ""}
+                onChange={(e) => updateMilestone(milestone.id, { progress_message: e.target.value })}
+                placeholder="Spend {remaining} more for a free gift"
+                style={{ width: "100%" }}
+              />
+            </label>
+            <label>
+              <s-text size="small">Unlocked message</s-text>
+              <input
+                type="text"
+                value={milestone.unlocked_message || ""}
+                onChange={(e) => updateMilestone(milestone.id, { unlocked_message: e.target.value })}
+                placeholder="You've unlocked a free gift!"
+                style={{ width: "100%" }}
+              />
+            </label>
+          </div>
+        );
+      })}
+
+      <div>
+        <s-button
+          onClick={addMilestone}
+          disabled={milestones.length >= MAX_MILESTONES}
+          title={milestones.length >= MAX_MILESTONES ? `Maximum ${MAX_MILESTONES} milestones after free delivery` : "Add milestone"}
+        >
+          Add milestone
+        </s-button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,198 @@
+// ============================================================================
+// CART PROGRESS SETTINGS COMPONENT
+// Free delivery progress shown on the cart page (theme app block) and in the
+// theme's cart drawer (app embed): messages, styling and a preview
+// ============================================================================
+
+import { ColorPicker } from "./ColorPicker";
+import { HelpLink } from "./HelpLink";
+
+const subduedStyle = { color: "var(--p-color-text-subdued, #6b7280)" };
+
+const DEFAULT_PROGRESS = "Spend {remaining} more for free delivery";
+const DEFAULT_UNLOCKED = "You've unlocked free delivery!";
+const DEFAULT_EXCLUDED = "Some items in your cart aren't eligible for free delivery";
+
+/**
+ * CartProgressSettings - Cart page / cart drawer progress section of the Free Delivery page
+ * @param {Object} props
+ * @param {Object} props.settings - Free delivery settings (fd_threshold, fd_cart_*)
+ * @param {Function} props.setSettings - Called with the updated settings
+ * @param {Function} props.formatMoney - Formats minor units in the store currency
+ */
+export function CartProgressSettings({ settings, setSettings, formatMoney }) {
+  const enabled = settings.fd_cart_progress_enabled === true;
+  const set = (key, value) => setSettings({ ...settings, [key]: value });
+
+  // Preview a cart 60% of the way to the threshold
+  const threshold = settings.fd_threshold || 0;
+  const previewTotal = Math.round(threshold * 0.6);
+  const previewMessage = (settings.fd_cart_progress_message || DEFAULT_PROGRESS)
+    .replace(/\{remaining\}/g, formatMoney(threshold - previewTotal))
+    .replace(/\{threshold\}/g, formatMoney(threshold))
+    .replace(/\{(cart_)?total\}/g, formatMoney(previewTotal))
+    .replace(/\*\*/g, "");
+  const barColor = settings.fd_cart_bar_color || "#22c55e";
+  const trackColor = settings.fd_cart_track_color || "#e5e7eb";
+
+  const messageInput = (key, label, placeholder, hint) => (
+    <label style={{ display: "block" }}>
+      <s-text>{label}</s-text>
+      <input
+        type="text"
+        value={settings[key] || ""}
+        onChange={(e) => set(key, e.target.value)}
+        placeholder={placeholder}
+        style={{ width: "100%" }}
+      />
+      {hint && <s-text size="small" style={subduedStyle}>{hint}</s-text>}
+    </label>
+  );
+
+  const colorInput = (key, label, fallback) => (
+    <div>
+      <s-text size="small">{label}</s-text>
+      <div style={{ marginTop: 4, display: "flex", alignItems: "center", gap: 8 }}>
+        <ColorPicker color={settings[key] || fallback} onChange={(color) => set(key, color)} />
+        {!fallback && settings[key] && <s-button variant="plain" onClick={() => set(key, "")}>Use theme</s-button>}
+      </div>
+    </div>
+  );
+
+  return (
+    <div
+      style={{
+        border: "1px solid var(--p-color-border, #e5e7eb)",
+        borderRadius: "8px",
+        overflow: "hidden",
+        background: "var(--p-color-bg-surface, #ffffff)",
+        alignSelf: "start",
+      }}
+    >
+      {/* Header */}
+      <div
+        style={{
+          padding: "12px 16px",
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "space-between",
+          background: "var(--p-color-bg-surface-hover, #f8fafc)",
+          borderBottom: "1px solid var(--p-color-border, #e5e7eb)",
+        }}
+      >
+        <s-text style={{ fontWeight: 600 }}>Cart Progress</s-text>
+        <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+          <label style={{ display: "flex", alignItems: "center", gap: 6 }}>
+            <s-text size="small">{enabled ? "Enabled" : "Disabled"}</s-text>
+            <input type="checkbox" checked={enabled} onChange={(e) => set("fd_cart_progress_enabled", e.target.checked)} />
+          </label>
+          <HelpLink anchor="cart-progress" />
+        </div>
+      </div>
+
+      {/* Content */}
+      <div style={{ padding: "16px", display: "grid", gap: 12 }}>
+        <s-text size="small" style={subduedStyle}>
+          Show a progress bar towards free delivery on the cart page and in the cart drawer. In the theme editor, add the
+          Free Delivery Progress block to the cart page and turn on the Free Delivery Progress (Cart Drawer) app embed.
+        </s-text>
+
+        {/* Preview */}
+        <div
+          style={{
+            display: "grid",
+            gap: 8,
+            padding: 12,
+            borderRadius: 6,
+            border: "1px dashed var(--p-color-border, #e5e7eb)",
+            background: settings.fd_cart_bg_color || "transparent",
+            color: settings.fd_cart_text_color || "inherit",
+            fontSize: settings.fd_cart_text_size || 14,
+            textAlign: settings.fd_cart_alignment || "center",
+          }}
+        >
+          <span>{previewMessage}</span>
+          <div
+            style={{
+              height: settings.fd_cart_bar_height || 8,
+              borderRadius: 999,
+              background: `linear-gradient(to right, ${barColor} 60%, ${trackColor} 60%)`,
+            }}
+          />
+          {settings.fd_cart_show_totals && (
+            <div style={{ display: "flex", justifyContent: "space-between", fontSize: "0.85em", opacity: 0.75 }}>
+              <span>{formatMoney(previewTotal)}</span>
+              <span>{formatMoney(threshold)}</span>
+            </div>
+          )}
+        </div>
+
+        {messageInput("fd_cart_progress_message", "Progress message", DEFAULT_PROGRESS)}
+        {messageInput("fd_cart_unlocked_message", "Unlocked message", DEFAULT_UNLOCKED)}
+        {messageInput("fd_cart_empty_message", "Empty cart message", "Free delivery on orders over {threshold}", "Leave blank to hide the progress while the cart is empty")}
+        {messageInput(
+          "fd_cart_excluded_message",
+          "Excluded items message",
+          DEFAULT_EXCLUDED,
+          "Shown when the cart has excluded items and the matching exclusion rule has no cart message of its own"
+        )}
+        <s-text size="small" style={subduedStyle}>Placeholders: {"{remaining}"}, {"{threshold}"}, {"{cart_total}"}. Formatting: **bold**, [link](url)</s-text>
+
+        <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12 }}>
+          {colorInput("fd_cart_bar_color", "Bar color", "#22c55e")}
+          {colorInput("fd_cart_track_color", "Track color", "#e5e7eb")}
+          {colorInput("fd_cart_text_color", "Text color", "")}
+          {colorInput("fd_cart_bg_color", "Background color", "")}
+        </div>
+
+        <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: 12 }}>
+          <label>
+            <s-text>Text size ({settings.fd_cart_text_size || 14}px)</s-text>
+            <input
+              type="range"
+              min="12"
+              max="18"
+              step="1"
+              value={settings.fd_cart_text_size || 14}
+              onChange={(e) => set("fd_cart_text_size", parseInt(e.target.value))}
+              style={{ width: "100%" }}
+            />
+          </label>
+          <label>
+            <s-text>Bar height ({settings.fd_cart_bar_height || 8}px)</s-text>
+            <input
+              type="range"
+              min="4"
+              max="16"
+              step="1"
+              value={settings.fd_cart_bar_height || 8}
+              onChange={(e) => set("fd_cart_bar_height", parseInt(e.target.value))}
+              style={{ width: "100%" }}
+            />
+          </label>
+          <label>
+            <s-text>Alignment</s-text>
+            <select
+              value={settings.fd_cart_alignment || "center"}
+              onChange={(e) => set("fd_cart_alignment", e.target.value)}
+              style={{ width: "100%" }}
+            >
+              <option value="left">Left</option>
+              <option value="center">Center</option>
+              <option value="right">Right</option>
+            </select>
+          </label>
+        </div>
+
+        <label style={{ display: "flex", alignItems: "center", gap: 6 }}>
+          <input
+            type="checkbox"
+            checked={settings.fd_cart_show_totals === true}
+            onChange={(e) => set("fd_cart_show_totals", e.target.checked)}
+          />
+          <s-text>Show cart total and threshold under the bar</s-text>
+        </label>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,58 @@
+// ============================================================================
+// CONFIG DIFF TABLE COMPONENT
+// Renders the structured changes from utils/configDiff as a table
+// ============================================================================
+
+import { formatDiffValue } from "../utils/configDiff";
+
+const TYPE_STYLES = {
+  added: { label: "Added", color: "var(--p-color-text-success, #047857)" },
+  removed: { label: "Removed", color: "var(--p-color-text-critical, #b91c1c)" },
+  changed: { label: "Changed", color: "var(--p-color-text, #111827)" },
+};
+
+const cellStyle = { padding: "6px 8px", borderBottom: "1px solid var(--p-color-border, #e5e7eb)", textAlign: "left", verticalAlign: "top" };
+
+const subduedStyle = { color: "var(--p-color-text-subdued, #6b7280)" };
+
+/**
+ * ConfigDiffTable - Structured changes between two snapshots
+ * @param {Object} props
+ * @param {Object[]} props.changes - Entries from diffSnapshots()
+ * @param {string} [props.beforeLabel] - Heading for the old value column
+ * @param {string} [props.afterLabel] - Heading for the new value column
+ * @param {string} [props.emptyText] - Shown when there are no changes
+ */
+export function ConfigDiffTable({ changes, beforeLabel = "Before", afterLabel = "After", emptyText = "No differences." }) {
+  if (changes.length === 0) {
+    return <s-text style={subduedStyle}>{emptyText}</s-text>;
+  }
+  return (
+    <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+      <thead>
+        <tr>
+          <th style={cellStyle}>Change</th>
+          <th style={cellStyle}>Where</th>
+          <th style={cellStyle}>Field</th>
+          <th style={cellStyle}>{beforeLabel}</th>
+          <th style={cellStyle}>{afterLabel}</th>
+        </tr>
+      </thead>
+      <tbody>
+        {changes.map((change, i) => {
+          const type = TYPE_STYLES[change.type];
+          const hasValues = change.type === "changed" && ("before" in change || "after" in change);
+          return (
+            <tr key={`${change.scope}-${change.field}-${i}`}>
+              <td style={{ ...cellStyle, color: type.color, fontWeight: 600 }}>{type.label}</td>
+              <td style={cellStyle}>{change.scope}</td>
+              <td style={{ ...cellStyle, fontFamily: "monospace" }}>{change.field}</td>
+              <td style={{ ...cellStyle, ...subduedStyle, wordBreak: "break-word" }}>{hasValues ? formatDiffValue(change.before) : ""}</td>
+              <td style={{ ...cellStyle, wordBreak: "break-word" }}>{hasValues ? formatDiffValue(change.after) : ""}</td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+}
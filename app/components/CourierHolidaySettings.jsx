@@ -0,0 +1,166 @@
+// ============================================================================
+// COURIER HOLIDAY SETTINGS COMPONENT
+// Holiday calendar for the delivery phase, separate from warehouse dispatch
+// ============================================================================
+
+import { useState } from "react";
+import { CustomDatePicker } from "./CustomDatePicker";
+import { getHolidaysForYear, getHolidayRegion, getSubdivisions, HOLIDAY_DEFINITIONS } from "../utils/holidays";
+
+const cardStyle = {
+  border: "1px solid var(--p-color-border, #e5e7eb)",
+  borderRadius: 8,
+  padding: 16,
+  display: "grid",
+  gap: 12,
+  background: "var(--p-color-bg-surface-secondary, #f9fafb)",
+};
+
+const subduedStyle = { color: "var(--p-color-text-subdued, #6b7280)" };
+
+/**
+ * CourierHolidaySettings - Choose which holidays the courier skips when counting delivery days
+ * @param {Object} props
+ * @param {Object} props.globalSettings - Global settings
+ * @param {Function} props.setGlobalSettings - Called with the updated global settings
+ */
+export function CourierHolidaySettings({ globalSettings, setGlobalSettings }) {
+  const [newDate, setNewDate] = useState("");
+  const [newLabel, setNewLabel] = useState("");
+
+  const separate = globalSettings?.delivery_holiday_mode === "separate";
+  const country = globalSettings?.delivery_bank_holiday_country || "";
+  const subdivisions = getSubdivisions(country);
+  const customHolidays = globalSettings?.delivery_custom_holidays || [];
+  const update = (changes) => setGlobalSettings({ ...globalSettings, ...changes });
+
+  const addHoliday = () => {
+    if (!newDate) return;
+    if (customHolidays.some((h) => h.date === newDate)) {
+      alert("This date is already in your courier holidays list.");
+      return;
+    }
+    update({
+      delivery_custom_holidays: [...customHolidays, { date: newDate, label: newLabel || "Courier Holiday" }]
+        .sort((a, b) => a.date.localeCompare(b.date)),
+    });
+    setNewDate("");
+    setNewLabel("");
+  };
+
+  return (
+    <div style={cardStyle}>
+      <s-heading size="small">Courier Holidays</s-heading>
+      <s-text size="small" style={subduedStyle}>
+        Holidays skipped when counting delivery days after dispatch. Use a separate calendar when your courier
+        or destination country observes different holidays from your warehouse.
+      </s-text>
+      <select
+        value={separate ? "separate" : "same"}
+        onChange={(e) => update({ delivery_holiday_mode: e.target.value })}
+        aria-label="Courier holiday calendar"
+        style={{ width: "100%" }}
+      >
+        <option value="same">Same as dispatch holidays</option>
+        <option value="separate">Separate courier calendar</option>
+      </select>
+
+      {separate && (
+        <>
+          <select
+            value={country}
+            onChange={(e) => update({ delivery_bank_holiday_country: e.target.value, delivery_bank_holiday_subdivision: "" })}
+            aria-label="Courier bank holiday country"
+            style={{ width: "100%" }}
+          >
+            <option value="">None (no bank holidays)</option>
+            {Object.entries(HOLIDAY_DEFINITIONS)
+              .sort(([, a], [, b]) => a.name.localeCompare(b.name))
+              .map(([code, { name }]) => (
+                <option key={code} value={code}>{name}</option>
+              ))}
+          </select>
+          {subdivisions.length > 0 && (
+            <select
+              value={globalSettings?.delivery_bank_holiday_subdivision || ""}
+              onChange={(e) => update({ delivery_bank_holiday_subdivision: e.target.value })}
+              aria-label="Courier bank holiday region"
+              style={{ width: "100%" }}
+            >
+              <option value="">National holidays only</option>
+              {subdivisions.map(({ code, name }) => (
+                <option key={code} value={code}>{name}</option>
+              ))}
+            </select>
+          )}
+          {country && (
+            <div style={{ fontSize: 12, ...subduedStyle }}>
+              Holidays for {new Date().getFullYear()}:{" "}
+              {getHolidaysForYear(getHolidayRegion(country, globalSettings?.delivery_bank_holiday_subdivision), new Date().getFullYear())
+                .map((date) => new Date(date + "T00:00:00").toLocaleDateString("en-GB", { day: "numeric", month: "short" }))
+                .join(", ")}
+            </div>
+          )}
+          <label style={{ display: "flex", alignItems: "center", gap: 8 }}>
+            <input
+              type="checkbox"
+              checked={!!globalSettings?.delivery_holiday_by_destination}
+              onChange={(e) => update({ delivery_holiday_by_destination: e.target.checked })}
+            />
+            <s-text size="small">Use the shopper&apos;s country holidays when available</s-text>
+          </label>
+
+          <div style={{ display: "grid", gridTemplateColumns: "2fr 2fr 1fr", gap: 12, alignItems: "end" }}>
+            <div>
+              <s-text size="small">Courier closure</s-text>
+              <CustomDatePicker value={newDate} onChange={setNewDate} placeholder="Select date" />
+            </div>
+            <label>
+              <s-text size="small">Label (optional)</s-text>
+              <input
+                type="text"
+                value={newLabel}
+                onChange={(e) => setNewLabel(e.target.value)}
+                placeholder="e.g., Courier strike"
+                style={{ width: "100%" }}
+              />
+            </label>
+            <div>
+              <div style={{ height: 20 }} />
+              <s-button onClick={addHoliday} disabled={!newDate}>Add</s-button>
+            </div>
+          </div>
+          {customHolidays.length > 0 && (
+            <div style={{ display: "grid", gap: 6 }}>
+              {customHolidays.map((holiday) => (
+                <div
+                  key={holiday.date}
+                  style={{
+                    display: "flex",
+                    justifyContent: "space-between",
+                    alignItems: "center",
+                    padding: "6px 12px",
+                    background: "var(--p-color-bg-surface, #ffffff)",
+                    borderRadius: 6,
+                  }}
+                >
+                  <s-text size="small">
+                    {new Date(holiday.date + "T00:00:00").toLocaleDateString("en-GB", { weekday: "short", day: "numeric", month: "short", year: "numeric" })}
+                    {holiday.label ? ` - ${holiday.label}` : ""}
+                  </s-text>
+                  <button
+                    onClick={() => update({ delivery_custom_holidays: customHolidays.filter((h) => h.date !== holiday.date) })}
+                    style={{ background: "none", border: "none", cursor: "pointer", color: "var(--p-color-text-critical, #dc2626)", fontSize: 14, padding: "4px 8px" }}
+                    title="Remove this holiday"
+                  >
+                    ✕
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,69 @@
+// ============================================================================
+// CURRENCY THRESHOLDS COMPONENT
+// Free delivery thresholds for the other currencies shoppers can check out in
+// (Shopify Markets), plus converting the main threshold for the rest
+// ============================================================================
+
+import { HelpLink } from "./HelpLink";
+
+const subduedStyle = { color: "var(--p-color-text-subdued, #6b7280)" };
+
+/**
+ * CurrencyThresholds - Per-currency threshold amounts for the Free Delivery page
+ * @param {Object} props
+ * @param {Object} props.settings - Free delivery settings (fd_threshold, fd_currency_thresholds, fd_convert_threshold)
+ * @param {Function} props.setSettings - Called with the updated settings
+ * @param {string} props.shopCurrency - The store's currency (fd_threshold is in it)
+ * @param {string[]} props.currencies - Currencies enabled for checkout
+ */
+export function CurrencyThresholds({ settings, setSettings, shopCurrency, currencies }) {
+  const thresholds = settings.fd_currency_thresholds || {};
+  const convert = settings.fd_convert_threshold === true;
+
+  // Enabled currencies first, then any saved for a currency that has since been turned off
+  const codes = [...new Set([...currencies, ...Object.keys(thresholds)])].filter((code) => code !== shopCurrency);
+  if (codes.length === 0) return null;
+
+  const setAmount = (code, text) => {
+    const next = { ...thresholds };
+    if (text === "") delete next[code];
+    else next[code] = Math.max(0, Math.round(parseFloat(text) * 100) || 0);
+    setSettings({ ...settings, fd_currency_thresholds: next });
+  };
+
+  return (
+    <div style={{ display: "grid", gap: 10, borderTop: "1px solid var(--p-color-border, #e5e7eb)", paddingTop: 16 }}>
+      <s-text style={{ fontWeight: 600 }}>Other currencies <HelpLink anchor="pricing-currencies" /></s-text>
+      <s-text size="small" style={subduedStyle}>
+        Shoppers browsing in another currency see their cart total in that currency, so set a threshold for each one.
+        Leave a currency blank to {convert ? "convert the threshold above at Shopify's exchange rate" : "use the same number as the threshold above"}.
+      </s-text>
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(150px, 1fr))", gap: 8 }}>
+        {codes.map((code) => (
+          <label key={code} style={{ display: "flex", alignItems: "center", gap: 8 }}>
+            <s-text style={{ ...subduedStyle, width: 36 }}>{code}</s-text>
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={thresholds[code] === undefined ? "" : thresholds[code] / 100}
+              placeholder={convert ? "Convert" : String((settings.fd_threshold || 0) / 100)}
+              onChange={(e) => setAmount(code, e.target.value)}
+              style={{ width: 90 }}
+              aria-label={`Threshold in ${code}`}
+            />
+            {!currencies.includes(code) && <s-text size="small" style={subduedStyle}>(off)</s-text>}
+          </label>
+        ))}
+      </div>
+      <label style={{ display: "flex", alignItems: "center", gap: 8 }}>
+        <input
+          type="checkbox"
+          checked={convert}
+          onChange={(e) => setSettings({ ...settings, fd_convert_threshold: e.target.checked })}
+        />
+        <s-text size="small">Convert the threshold for currencies left blank, using the rate Shopify shows prices at</s-text>
+      </label>
+    </div>
+  );
+}
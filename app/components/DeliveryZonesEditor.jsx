@@ -0,0 +1,158 @@
+// ============================================================================
+// DELIVERY ZONES EDITOR COMPONENT
+// Per-destination delivery windows, matched on the shopper's localization country
+// ============================================================================
+
+import { newZoneId } from "../utils/idGenerators";
+import { safeParseNumber } from "../utils/validation";
+
+const MAX_ZONES = 20;
+
+const cardStyle = {
+  border: "1px solid var(--p-color-border, #e5e7eb)",
+  borderRadius: 8,
+  padding: 16,
+  display: "grid",
+  gap: 12,
+  background: "var(--p-color-bg-surface-secondary, #f9fafb)",
+};
+
+const subduedStyle = { color: "var(--p-color-text-subdued, #6b7280)" };
+
+// "ie, fr  DE" -> ["IE", "FR", "DE"] (two-letter codes only, no duplicates)
+const parseCountries = (value) => [
+  ...new Set(
+    value
+      .split(/[\s,]+/)
+      .map((c) => c.trim().toUpperCase())
+      .filter((c) => /^[A-Z]{2}$/.test(c))
+  ),
+];
+
+/**
+ * DeliveryZonesEditor - Manage delivery windows per destination zone
+ * @param {Object} props
+ * @param {Object} props.globalSettings - Global settings (delivery_zones + default windows)
+ * @param {Function} props.setGlobalSettings - Called with the updated global settings
+ * @param {string} props.previewCountry - Destination the previews are showing
+ * @param {Function} props.onPreviewCountryChange - Called with a country code ("" = default windows)
+ */
+export function DeliveryZonesEditor({ globalSettings, setGlobalSettings, previewCountry, onPreviewCountryChange }) {
+  const zones = globalSettings?.delivery_zones || [];
+  const setZones = (next) => setGlobalSettings({ ...globalSettings, delivery_zones: next });
+  const updateZone = (id, changes) => setZones(zones.map((z) => (z.id === id ? { ...z, ...changes } : z)));
+
+  const addZone = () => {
+    if (zones.length >= MAX_ZONES) return;
+    setZones([
+      ...zones,
+      {
+        id: newZoneId(),
+        name: `Zone ${zones.length + 1}`,
+        countries: [],
+        delivery_days_min: globalSettings?.courier_delivery_days_min ?? 3,
+        delivery_days_max: globalSettings?.courier_delivery_days_max ?? 5,
+        express_days_min: globalSettings?.express_delivery_days_min ?? 1,
+        express_days_max: globalSettings?.express_delivery_days_max ?? 1,
+      },
+    ]);
+  };
+
+  const removeZone = (zone) => {
+    setZones(zones.filter((z) => z.id !== zone.id));
+    if (zone.countries?.includes(previewCountry)) onPreviewCountryChange("");
+  };
+
+  // Keep min <= max, as the global window inputs do
+  const setWindow = (zone, key, value) => {
+    const [kind, bound] = key.split("_days_");
+    const other = `${kind}_days_${bound === "min" ? "max" : "min"}`;
+    const otherValue = zone[other];
+    const clash = bound === "min" ? value > otherValue : value < otherValue;
+    updateZone(zone.id, { [key]: value, ...(clash ? { [other]: value } : {}) });
+  };
+
+  const numberInput = (zone, key, label, min) => (
+    <label>
+      <s-text size="small">{label}</s-text>
+      <input
+        type="number"
+        min={min}
+        value={zone[key] ?? min}
+        onChange={(e) => setWindow(zone, key, safeParseNumber(e.target.value, min, min))}
+        style={{ width: "100%" }}
+      />
+    </label>
+  );
+
+  return (
+    <div style={cardStyle}>
+      <s-heading size="small">Delivery Zones</s-heading>
+      <s-text size="small" style={subduedStyle}>
+        Give shoppers in other countries their own delivery windows. The shopper&apos;s country comes from
+        the store&apos;s country selector; countries not in a zone use the windows above.
+      </s-text>
+
+      {zones.map((zone) => (
+        <div
+          key={zone.id}
+          style={{ display: "grid", gap: 8, padding: 12, borderRadius: 6, background: "var(--p-color-bg-surface, #ffffff)" }}
+        >
+          <div style={{ display: "flex", gap: 8, alignItems: "end" }}>
+            <label style={{ flex: 1 }}>
+              <s-text size="small">Zone name</s-text>
+              <input
+                type="text"
+                value={zone.name || ""}
+                maxLength={40}
+                onChange={(e) => updateZone(zone.id, { name: e.target.value })}
+                style={{ width: "100%" }}
+              />
+            </label>
+            <s-button variant="plain" tone="critical" onClick={() => removeZone(zone)}>Remove</s-button>
+          </div>
+          <label>
+            <s-text size="small">Countries (two-letter codes, e.g. IE, FR, DE)</s-text>
+            <input
+              key={`${zone.id}-${(zone.countries || []).join(",")}`}
+              type="text"
+              defaultValue={(zone.countries || []).join(", ")}
+              onBlur={(e) => updateZone(zone.id, { countries: parseCountries(e.target.value) })}
+              placeholder="IE, FR"
+              style={{ width: "100%" }}
+            />
+          </label>
+          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr 1fr", gap: 8 }}>
+            {numberInput(zone, "delivery_days_min", "Standard min", 0)}
+            {numberInput(zone, "delivery_days_max", "Standard max", 0)}
+            {numberInput(zone, "express_days_min", "Express min", 1)}
+            {numberInput(zone, "express_days_max", "Express max", 1)}
+          </div>
+        </div>
+      ))}
+
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 8 }}>
+        <s-button
+          onClick={addZone}
+          disabled={zones.length >= MAX_ZONES}
+          title={zones.length >= MAX_ZONES ? `Maximum ${MAX_ZONES} zones` : "Add delivery zone"}
+        >
+          Add zone
+        </s-button>
+        {zones.some((z) => z.countries?.length > 0) && (
+          <label style={{ display: "flex", alignItems: "center", gap: 6 }}>
+            <s-text size="small">Preview as</s-text>
+            <select value={previewCountry} onChange={(e) => onPreviewCountryChange(e.target.value)}>
+              <option value="">Default windows</option>
+              {zones
+                .filter((z) => z.countries?.length > 0)
+                .map((z) => (
+                  <option key={z.id} value={z.countries[0]}>{z.name || z.countries[0]} ({z.countries.join(", ")})</option>
+                ))}
+            </select>
+          </label>
+        )}
+      </div>
+    </div>
+  );
+}
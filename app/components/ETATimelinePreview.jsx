@@ -5,38 +5,16 @@
 
 import { getEtaIconPaths } from "../utils/icons";
 import { normalizeEtaLabelFontSize, normalizeEtaDateFontSize } from "../utils/styling";
-import { getHolidaysForYear } from "../utils/holidays";
-
-/**
- * Safely parse a HH:MM time string with validation
- * @param {string} timeStr - Time string to parse
- * @param {number} defaultHour - Default hour if parsing fails
- * @param {number} defaultMin - Default minute if parsing fails
- * @returns {{ hour: number, min: number }} - Parsed parts with defaults on failure
- */
-function parseTimeString(timeStr, defaultHour = 14, defaultMin = 0) {
-  if (typeof timeStr !== "string" || !timeStr) {
-    return { hour: defaultHour, min: defaultMin };
-  }
-  const parts = timeStr.split(":");
-  if (parts.length < 2) {
-    return { hour: defaultHour, min: defaultMin };
-  }
-  const hour = parseInt(parts[0], 10);
-  const min = parseInt(parts[1], 10);
-  if (isNaN(hour) || isNaN(min)) {
-    return { hour: defaultHour, min: defaultMin };
-  }
-  return { hour, min };
-}
+import { getShopNow, resolveDispatchSettings, getDeliveryEstimate, getDeliveryZone, formatShortDate } from "../utils/deliveryDates";
 
 /**
  * ETATimelinePreview - Renders an ETA timeline with stages and calculated dates
  * @param {Object} props
  * @param {Object} props.rule - The rule object containing settings
  * @param {Object} props.globalSettings - Global settings for the app
+ * @param {string} props.destinationCountry - Shopper country to preview delivery zones for ("" = default windows)
  */
-export function ETATimelinePreview({ rule, globalSettings }) {
+export function ETATimelinePreview({ rule, globalSettings, destinationCountry = "" }) {
   const iconPx = rule.settings?.eta_icon_size || 36;
   const mainIconColor = rule.settings?.icon_color || "#111827";
 
@@ -60,12 +38,6 @@ export function ETATimelinePreview({ rule, globalSettings }) {
   const connectorColor = rule.settings?.eta_connector_use_main_color === false
     ? (rule.settings?.eta_connector_color || "#111827")
     : mainIconColor;
-  const minDays = rule.settings?.override_courier_delivery_window
-    ? (rule.settings?.eta_delivery_days_min ?? globalSettings?.courier_delivery_days_min ?? 3)
-    : (globalSettings?.courier_delivery_days_min ?? 3);
-  const maxDays = rule.settings?.override_courier_delivery_window
-    ? (rule.settings?.eta_delivery_days_max ?? globalSettings?.courier_delivery_days_max ?? 5)
-    : (globalSettings?.courier_delivery_days_max ?? 5);
 
   // Border styling: use custom if flag set, else global
   const useCustomBorder = rule.settings?.eta_use_custom_border;
@@ -153,181 +125,13 @@ export function ETATimelinePreview({ rule, globalSettings }) {
   }
 
   // Calculate sample dates for preview
-  // Takes cutoff time, closed days, bank holidays, and custom holidays into account
-  const previewTz = globalSettings?.preview_timezone || "";
-  const now = new Date();
-  let today;
-  if (previewTz) {
-    // Build a Date whose local fields match the shop timezone
-    const fmt = new Intl.DateTimeFormat("en-US", {
-      timeZone: previewTz,
-      year: "numeric", month: "2-digit", day: "2-digit",
-      hour: "2-digit", minute: "2-digit", second: "2-digit",
-      hour12: false,
-    });
-    const parts = fmt.formatToParts(now);
-    const g = (t) => parts.find((p) => p.type === t)?.value;
-    today = new Date(
-      Number(g("year")), Number(g("month")) - 1, Number(g("day")),
-      Number(g("hour")), Number(g("minute")), Number(g("second"))
-    );
-  } else {
-    today = now;
-  }
-  const weekdayNames = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
-  const todayDayName = weekdayNames[today.getDay()];
-
-  // Separate override flags for each dispatch setting type
-  const useCutoffOverride = rule.settings?.override_cutoff_times;
-  const useLeadTimeOverride = rule.settings?.override_lead_time;
-  const useClosedDaysOverride = rule.settings?.override_closed_days;
-  const useCourierOverride = rule.settings?.override_courier_no_delivery_days;
-
-  // Get cutoff time - check for non-empty string
-  let cutoffTime = globalSettings?.cutoff_time || "14:00";
-  if (useCutoffOverride && rule.settings?.cutoff_time && rule.settings.cutoff_time.trim() !== "") {
-    cutoffTime = rule.settings.cutoff_time;
-  }
-
-  // Handle Saturday/Sunday specific cutoffs
-  if (todayDayName === "sat") {
-    const satCutoff = useCutoffOverride ? rule.settings?.cutoff_time_sat : globalSettings?.cutoff_time_sat;
-    if (satCutoff && satCutoff.trim() !== "") cutoffTime = satCutoff;
-  } else if (todayDayName === "sun") {
-    const sunCutoff = useCutoffOverride ? rule.settings?.cutoff_time_sun : globalSettings?.cutoff_time_sun;
-    if (sunCutoff && sunCutoff.trim() !== "") cutoffTime = sunCutoff;
-  }
-
-  const { hour: cutoffHour, min: cutoffMin } = parseTimeString(cutoffTime);
-
-  // Check if we're before cutoff today
-  const cutoffToday = new Date(today);
-  cutoffToday.setHours(cutoffHour, cutoffMin, 0, 0);
-  const beforeCutoff = today.getTime() < cutoffToday.getTime();
-
-  // Get closed days (days business doesn't ship)
-  const closedDaysArr = useClosedDaysOverride
-    ? (rule.settings?.closed_days || [])
-    : (globalSettings?.closed_days || []);
-  const closedDays = new Set(
-    Array.isArray(closedDaysArr) ? closedDaysArr :
-    (typeof closedDaysArr === 'string' ? closedDaysArr.split(',').map(d => d.trim().toLowerCase()) : [])
-  );
-
-  // Get lead time (business days before shipping)
-  const leadTime = useLeadTimeOverride
-    ? (rule.settings?.lead_time ?? globalSettings?.lead_time ?? 0)
-    : (globalSettings?.lead_time ?? 0);
-
-  // Bank holidays and custom holidays are global-only settings (no per-rule UI)
-  const bankHolidayCountry = globalSettings?.bank_holiday_country || "";
-
-  // Get custom holidays (stored as objects with date and label properties)
-  const customHolidaysArr = globalSettings?.custom_holidays || [];
-  const customHolidays = new Set(
-    Array.isArray(customHolidaysArr)
-      ? customHolidaysArr
-          .map(h => {
-            if (typeof h === 'string') return h;
-            if (h && typeof h === 'object' && 'date' in h) return h.date;
-            return null;
-          })
-          .filter(Boolean)
-      : []
-  );
-
-  // Bank holidays - use the shared holidays.js utility (supports all 26 countries)
-  const getBankHolidays = (country, year) => {
-    return getHolidaysForYear(country, year);
-  };
-
-  // Check if a date is a holiday
-  const isHoliday = (date) => {
-    const dateStr = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
-    if (customHolidays.has(dateStr)) return true;
-    if (bankHolidayCountry) {
-      const bankHolidays = getBankHolidays(bankHolidayCountry, date.getFullYear());
-      if (bankHolidays.includes(dateStr)) return true;
-    }
-    return false;
-  };
-
-  const isTodayClosed = closedDays.has(todayDayName);
-  const isTodayHoliday = isHoliday(today);
-
-  // Determine shipping date
-  let shippingDate;
-  if (beforeCutoff && !isTodayClosed && !isTodayHoliday) {
-    // Before cutoff, business is open, and not a holiday - ships today
-    shippingDate = new Date(today);
-  } else {
-    // After cutoff, today is closed, or today is a holiday - find next open day
-    shippingDate = new Date(today.getTime() + 86400000); // Start with tomorrow
-    let attempts = 0;
-    while (attempts < 14) {
-      const dayName = weekdayNames[shippingDate.getDay()];
-      if (!closedDays.has(dayName) && !isHoliday(shippingDate)) break;
-      shippingDate = new Date(shippingDate.getTime() + 86400000);
-      attempts++;
-    }
-  }
-
-  // Apply lead time: add X business days to shipping date
-  if (leadTime > 0) {
-    let daysAdded = 0;
-    let maxAttempts = 60;
-    while (daysAdded < leadTime && maxAttempts > 0) {
-      shippingDate = new Date(shippingDate.getTime() + 86400000);
-      const dayName = weekdayNames[shippingDate.getDay()];
-      if (!closedDays.has(dayName) && !isHoliday(shippingDate)) {
-        daysAdded++;
-      }
-      maxAttempts--;
-    }
-  }
-
-  // Courier non-delivery days - use rule override if enabled
-  const courierNoDeliveryArr = useCourierOverride
-    ? (rule.settings?.courier_no_delivery_days ?? globalSettings?.courier_no_delivery_days ?? ["sat", "sun"])
-    : (globalSettings?.courier_no_delivery_days || ["sat", "sun"]);
-  const courierNoDeliveryDays = new Set(
-    Array.isArray(courierNoDeliveryArr) ? courierNoDeliveryArr :
-    (typeof courierNoDeliveryArr === 'string' ? courierNoDeliveryArr.split(',').map(d => d.trim().toLowerCase()) : ["sat", "sun"])
+  // Shared engine: identical to the storefront's dib-date-engine.js
+  const today = getShopNow(globalSettings?.preview_timezone || globalSettings?.shop_timezone);
+  const { shippingDate, deliveryMinDate, deliveryMaxDate, arrivalText: deliveryDateStr } = getDeliveryEstimate(
+    today,
+    resolveDispatchSettings(rule, globalSettings, destinationCountry)
   );
-
-  // Calculate delivery date by adding business days (skipping courier no-delivery days AND holidays)
-  const addDeliveryDays = (startDate, numDays) => {
-    let currentDate = new Date(startDate.getTime());
-    let daysAdded = 0;
-    let maxAttempts = 60; // Safety limit
-
-    while (daysAdded < numDays && maxAttempts > 0) {
-      currentDate = new Date(currentDate.getTime() + 86400000); // Add 1 day
-      const dayName = weekdayNames[currentDate.getDay()];
-      // Skip courier no-delivery days AND holidays
-      const isNoDeliveryDay = courierNoDeliveryDays.has(dayName);
-      const isHolidayDay = isHoliday(currentDate);
-      if (!isNoDeliveryDay && !isHolidayDay) {
-        daysAdded++;
-      }
-      maxAttempts--;
-    }
-    return currentDate;
-  };
-
-  const deliveryMinDate = addDeliveryDays(shippingDate, minDays);
-  const deliveryMaxDate = addDeliveryDays(shippingDate, maxDays);
-
-  const formatDate = (date) => {
-    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-    return `${months[date.getMonth()]} ${date.getDate()}`;
-  };
-
-  const deliveryDateStr = minDays === maxDays
-    ? formatDate(deliveryMinDate)
-    : deliveryMinDate.getMonth() === deliveryMaxDate.getMonth()
-      ? `${formatDate(deliveryMinDate)}-${deliveryMaxDate.getDate()}`
-      : `${formatDate(deliveryMinDate)}-${formatDate(deliveryMaxDate)}`;
+  const previewZone = getDeliveryZone(globalSettings?.delivery_zones, destinationCountry);
 
   const Connector = ({ marginLeft = 0 }) => {
     // When alignment is "icon", apply margin-top to center connector with icons
@@ -498,18 +302,23 @@ export function ETATimelinePreview({ rule, globalSettings }) {
           ...(backgroundColor ? { backgroundColor, borderRadius: borderRadius, backgroundClip: "padding-box" } : {}),
         }}
       >
-        <Stage label={rule.settings?.eta_label_order || "Ordered"} date={formatDate(today)} icon="order" />
+        <Stage label={rule.settings?.eta_label_order || "Ordered"} date={formatShortDate(today)} icon="order" />
         <Connector marginLeft={horizontalGap} />
-        <Stage label={rule.settings?.eta_label_shipping || "Shipped"} date={formatDate(shippingDate)} icon="shipping" marginLeft={horizontalGap} />
+        <Stage label={rule.settings?.eta_label_shipping || "Shipped"} date={formatShortDate(shippingDate)} icon="shipping" marginLeft={horizontalGap} />
         <Connector marginLeft={horizontalGap} />
         <Stage
           label={rule.settings?.eta_label_delivery || "Delivered"}
           date={deliveryDateStr}
           icon="delivery"
           marginLeft={horizontalGap}
-          extraMarginRight={minDays !== maxDays && deliveryMinDate.getMonth() !== deliveryMaxDate.getMonth() ? 8 : 0}
+          extraMarginRight={deliveryMinDate.getMonth() !== deliveryMaxDate.getMonth() ? 8 : 0}
         />
       </div>
+      {previewZone && (
+        <div style={{ fontSize: 11, color: "#6b7280", marginTop: 4 }}>
+          Previewing delivery to {previewZone.name || destinationCountry} ({destinationCountry})
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,174 @@
+// ============================================================================
+// FULFILMENT LOCATIONS EDITOR COMPONENT
+// Named warehouses, each with its own cutoffs, closed days and bank holidays
+// ============================================================================
+
+import { newLocationId } from "../utils/idGenerators";
+import { getSubdivisions, HOLIDAY_DEFINITIONS } from "../utils/holidays";
+
+const MAX_LOCATIONS = 10;
+
+const DAYS = [["mon", "Mon"], ["tue", "Tue"], ["wed", "Wed"], ["thu", "Thu"], ["fri", "Fri"], ["sat", "Sat"], ["sun", "Sun"]];
+
+const cardStyle = {
+  border: "1px solid var(--p-color-border, #e5e7eb)",
+  borderRadius: 8,
+  padding: 16,
+  display: "grid",
+  gap: 12,
+  background: "var(--p-color-bg-surface-secondary, #f9fafb)",
+};
+
+const subduedStyle = { color: "var(--p-color-text-subdued, #6b7280)" };
+
+/**
+ * FulfilmentLocationsEditor - Manage per-warehouse dispatch calendars
+ * @param {Object} props
+ * @param {Object} props.globalSettings - Global settings (fulfilment_locations + default calendar)
+ * @param {Function} props.setGlobalSettings - Called with the updated global settings
+ */
+export function FulfilmentLocationsEditor({ globalSettings, setGlobalSettings }) {
+  const locations = globalSettings?.fulfilment_locations || [];
+  const setLocations = (next) => setGlobalSettings({ ...globalSettings, fulfilment_locations: next });
+  const updateLocation = (id, changes) => setLocations(locations.map((l) => (l.id === id ? { ...l, ...changes } : l)));
+
+  // New locations start as a copy of the default calendar
+  const addLocation = () => {
+    if (locations.length >= MAX_LOCATIONS) return;
+    setLocations([
+      ...locations,
+      {
+        id: newLocationId(),
+        name: `Location ${locations.length + 1}`,
+        cutoff_time: globalSettings?.cutoff_time || "14:00",
+        cutoff_time_sat: globalSettings?.cutoff_time_sat || "",
+        cutoff_time_sun: globalSettings?.cutoff_time_sun || "",
+        closed_days: [...(globalSettings?.closed_days || [])],
+        bank_holiday_country: globalSettings?.bank_holiday_country || "",
+        bank_holiday_subdivision: globalSettings?.bank_holiday_subdivision || "",
+      },
+    ]);
+  };
+
+  const toggleClosedDay = (location, day) => {
+    const closed = location.closed_days || [];
+    updateLocation(location.id, {
+      closed_days: closed.includes(day) ? closed.filter((d) => d !== day) : [...closed, day],
+    });
+  };
+
+  const timeInput = (location, key, label) => (
+    <label>
+      <s-text size="small">{label}</s-text>
+      <input
+        type="time"
+        value={location[key] || ""}
+        onChange={(e) => updateLocation(location.id, { [key]: e.target.value })}
+        style={{ width: "100%" }}
+      />
+    </label>
+  );
+
+  return (
+    <div style={cardStyle}>
+      <s-heading size="small">Fulfilment Locations</s-heading>
+      <s-text size="small" style={subduedStyle}>
+        Fulfil from more than one warehouse? Add each location with its own cutoffs, closed days and bank holidays,
+        then pick the location in a rule&apos;s Dispatch Settings. Rules without a location use the calendar below.
+      </s-text>
+
+      {locations.map((location) => {
+        const closed = location.closed_days || [];
+        const subdivisions = getSubdivisions(location.bank_holiday_country);
+        return (
+          <div
+            key={location.id}
+            style={{ display: "grid", gap: 8, padding: 12, borderRadius: 6, background: "var(--p-color-bg-surface, #ffffff)" }}
+          >
+            <div style={{ display: "flex", gap: 8, alignItems: "end" }}>
+              <label style={{ flex: 1 }}>
+                <s-text size="small">Location name</s-text>
+                <input
+                  type="text"
+                  value={location.name || ""}
+                  maxLength={40}
+                  onChange={(e) => updateLocation(location.id, { name: e.target.value })}
+                  style={{ width: "100%" }}
+                />
+              </label>
+              <s-button
+                variant="plain"
+                tone="critical"
+                onClick={() => setLocations(locations.filter((l) => l.id !== location.id))}
+                title="Rules using this location go back to the default calendar"
+              >
+                Remove
+              </s-button>
+            </div>
+            <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: 8 }}>
+              {timeInput(location, "cutoff_time", "Weekday cutoff")}
+              {timeInput(location, "cutoff_time_sat", "Saturday")}
+              {timeInput(location, "cutoff_time_sun", "Sunday")}
+            </div>
+            <div style={{ display: "flex", gap: 12, flexWrap: "wrap" }}>
+              <s-text size="small">Closed:</s-text>
+              {DAYS.map(([key, label]) => {
+                const isSelected = closed.includes(key);
+                const wouldCloseAll = !isSelected && closed.length >= 6;
+                return (
+                  <label key={key} style={{ display: "flex", gap: 6, alignItems: "center", opacity: wouldCloseAll ? 0.5 : 1 }}>
+                    <input
+                      type="checkbox"
+                      checked={isSelected}
+                      disabled={wouldCloseAll}
+                      onChange={() => toggleClosedDay(location, key)}
+                    />
+                    <span>{label}</span>
+                  </label>
+                );
+              })}
+            </div>
+            <div style={{ display: "grid", gridTemplateColumns: subdivisions.length > 0 ? "1fr 1fr" : "1fr", gap: 8 }}>
+              <select
+                value={location.bank_holiday_country || ""}
+                onChange={(e) => updateLocation(location.id, { bank_holiday_country: e.target.value, bank_holiday_subdivision: "" })}
+                aria-label={`${location.name || "Location"} bank holiday country`}
+                style={{ width: "100%" }}
+              >
+                <option value="">None (no bank holidays)</option>
+                {Object.entries(HOLIDAY_DEFINITIONS)
+                  .sort(([, a], [, b]) => a.name.localeCompare(b.name))
+                  .map(([code, { name }]) => (
+                    <option key={code} value={code}>{name}</option>
+                  ))}
+              </select>
+              {subdivisions.length > 0 && (
+                <select
+                  value={location.bank_holiday_subdivision || ""}
+                  onChange={(e) => updateLocation(location.id, { bank_holiday_subdivision: e.target.value })}
+                  aria-label={`${location.name || "Location"} bank holiday region`}
+                  style={{ width: "100%" }}
+                >
+                  <option value="">National holidays only</option>
+                  {subdivisions.map(({ code, name }) => (
+                    <option key={code} value={code}>{name}</option>
+                  ))}
+                </select>
+              )}
+            </div>
+          </div>
+        );
+      })}
+
+      <div>
+        <s-button
+          onClick={addLocation}
+          disabled={locations.length >= MAX_LOCATIONS}
+          title={locations.length >= MAX_LOCATIONS ? `Maximum ${MAX_LOCATIONS} locations` : "Add fulfilment location"}
+        >
+          Add location
+        </s-button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,66 @@
+// ============================================================================
+// MATCH VALUE PICKER COMPONENT
+// Multi-value picker for rule match criteria (collections, vendors, types)
+// ============================================================================
+
+/**
+ * MatchValuePicker - Selected values as removable chips plus a dropdown to add more
+ * @param {Object} props
+ * @param {string} props.label - Field label
+ * @param {string[]} props.values - Currently selected values
+ * @param {{ value: string, label: string }[]} props.options - Values available in the store
+ * @param {Function} props.onChange - Called with the new array of values
+ * @param {string} props.placeholder - Dropdown placeholder text
+ */
+export function MatchValuePicker({ label, values = [], options = [], onChange, placeholder = "Add…" }) {
+  const labelFor = (value) => options.find((o) => o.value === value)?.label || value;
+  const available = options.filter((o) => !values.includes(o.value));
+
+  return (
+    <div style={{ display: "grid", gap: 6 }}>
+      <s-text>{label}</s-text>
+      {values.length > 0 && (
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 6 }}>
+          {values.map((value) => (
+            <span
+              key={value}
+              style={{
+                display: "inline-flex",
+                alignItems: "center",
+                gap: 4,
+                padding: "2px 8px",
+                borderRadius: 12,
+                background: "#f1f5f9",
+                border: "1px solid #e2e8f0",
+                fontSize: 12,
+              }}
+            >
+              {labelFor(value)}
+              <button
+                type="button"
+                aria-label={`Remove ${labelFor(value)}`}
+                onClick={() => onChange(values.filter((v) => v !== value))}
+                style={{ border: "none", background: "transparent", cursor: "pointer", padding: 0, color: "#6b7280", fontSize: 14, lineHeight: 1 }}
+              >
+                ×
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+      <select
+        value=""
+        disabled={available.length === 0}
+        onChange={(e) => {
+          if (e.target.value) onChange([...values, e.target.value]);
+        }}
+        style={{ width: "100%" }}
+      >
+        <option value="">{available.length === 0 ? "No more options" : placeholder}</option>
+        {available.map((o) => (
+          <option key={o.value} value={o.value}>{o.label}</option>
+        ))}
+      </select>
+    </div>
+  );
+}
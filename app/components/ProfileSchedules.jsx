@@ -0,0 +1,261 @@
+// ============================================================================
+// PROFILE SCHEDULES COMPONENT
+// Timeline of upcoming profile go-live windows plus a form to add new ones
+// ============================================================================
+
+import { useEffect, useState } from "react";
+import { newScheduleId } from "../utils/idGenerators";
+import {
+  MAX_SCHEDULES,
+  getEffectiveLiveProfile,
+  getScheduleStatus,
+  getUpcomingSchedules,
+  validateSchedule,
+} from "../utils/profileSchedules";
+
+// Current time, refreshed every minute. Null during SSR so locale-formatted
+// dates only render on the client (avoids hydration mismatches).
+function useNow() {
+  const [now, setNow] = useState(null);
+  useEffect(() => {
+    setNow(new Date());
+    const timer = setInterval(() => setNow(new Date()), 60000);
+    return () => clearInterval(timer);
+  }, []);
+  return now;
+}
+
+const formatWhen = (iso) =>
+  new Date(iso).toLocaleString(undefined, {
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+// datetime-local value (browser local time) -> ISO 8601 UTC
+const localInputToIso = (value) => {
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? "" : new Date(ms).toISOString();
+};
+
+const inputStyle = {
+  padding: "6px 10px",
+  borderRadius: "4px",
+  border: "1px solid var(--p-color-border, #e5e7eb)",
+  fontSize: "14px",
+};
+
+/**
+ * ScheduledLiveBadge - Shows which profile a schedule has put live, if any
+ * @param {Object} props
+ * @param {Object} props.config - Parsed v3 config
+ */
+export function ScheduledLiveBadge({ config }) {
+  const now = useNow();
+  if (!now) return null;
+
+  const effective = getEffectiveLiveProfile(config, now);
+  if (effective.reason === "manual") return null;
+
+  const name = config.profiles.find((p) => p.id === effective.profileId)?.name || "Unknown";
+  const text = effective.reason === "scheduled"
+    ? `Scheduled: ${name} until ${formatWhen(effective.schedule.endsAt)}`
+    : `Reverted to ${name}`;
+
+  return (
+    <span
+      title="The storefront is following a profile schedule"
+      style={{
+        fontSize: "12px",
+        padding: "2px 8px",
+        borderRadius: 12,
+        background: "#eff6ff",
+        border: "1px solid #bfdbfe",
+        color: "#1d4ed8",
+        whiteSpace: "nowrap",
+      }}
+    >
+      {text}
+    </span>
+  );
+}
+
+/**
+ * ProfileSchedules - Upcoming schedule timeline and schedule editor
+ * @param {Object} props
+ * @param {Object} props.config - Parsed v3 config ({ profiles, liveProfileId, schedules })
+ * @param {Function} props.onChange - Called with the new schedules array
+ * @param {boolean} props.disabled - Lock editing (mirrors the profiles lock)
+ */
+export function ProfileSchedules({ config, onChange, disabled = false }) {
+  const now = useNow();
+  const profiles = config?.profiles || [];
+  const schedules = config?.schedules || [];
+  const [form, setForm] = useState({ profileId: "", startsAt: "", endsAt: "", revertProfileId: "" });
+  const [error, setError] = useState(null);
+
+  if (!now) return null;
+
+  const nameOf = (id) => profiles.find((p) => p.id === id)?.name || "Unknown";
+  const manualName = nameOf(config?.liveProfileId ?? profiles[0]?.id);
+  const upcoming = getUpcomingSchedules(schedules, now);
+  const endedCount = schedules.filter((s) => getScheduleStatus(s, now) === "ended").length;
+  const maxReached = schedules.length >= MAX_SCHEDULES;
+
+  const addSchedule = () => {
+    const schedule = {
+      id: newScheduleId(),
+      profileId: form.profileId,
+      startsAt: localInputToIso(form.startsAt),
+      endsAt: localInputToIso(form.endsAt),
+      ...(form.revertProfileId ? { revertProfileId: form.revertProfileId } : {}),
+    };
+    const problem = validateSchedule(schedule, profiles);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    setError(null);
+    onChange([...schedules, schedule]);
+    setForm({ profileId: "", startsAt: "", endsAt: "", revertProfileId: "" });
+  };
+
+  const removeSchedule = (id) => onChange(schedules.filter((s) => s.id !== id));
+  const clearEnded = () => onChange(schedules.filter((s) => getScheduleStatus(s, now) !== "ended"));
+
+  return (
+    <div style={{ display: "grid", gap: 10 }}>
+      <s-text size="small" style={{ color: "var(--p-color-text-subdued, #6b7280)" }}>
+        Put a profile live for a set window, then hand back to another profile automatically.
+        Times use your computer&apos;s timezone. Overlapping windows: the later start wins.
+      </s-text>
+
+      {/* Timeline */}
+      {upcoming.length === 0 ? (
+        <s-text size="small" style={{ color: "var(--p-color-text-subdued, #6b7280)" }}>
+          No upcoming schedules. Live profile: {manualName}.
+        </s-text>
+      ) : (
+        <ol style={{ listStyle: "none", margin: 0, padding: 0, display: "grid", gap: 0 }}>
+          {upcoming.map((s, i) => {
+            const isActive = getScheduleStatus(s, now) === "active";
+            return (
+              <li key={s.id} style={{ display: "flex", gap: 10, alignItems: "stretch" }}>
+                {/* Marker + connector */}
+                <div style={{ display: "flex", flexDirection: "column", alignItems: "center", width: 12 }}>
+                  <span style={{
+                    width: 10,
+                    height: 10,
+                    marginTop: 5,
+                    borderRadius: "50%",
+                    background: isActive ? "#22c55e" : "#3b82f6",
+                    flexShrink: 0,
+                  }} />
+                  {i < upcoming.length - 1 && (
+                    <span style={{ flex: 1, width: 2, background: "var(--p-color-border, #e5e7eb)" }} />
+                  )}
+                </div>
+                <div style={{ flex: 1, paddingBottom: 10, display: "grid", gap: 2 }}>
+                  <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 8 }}>
+                    <span style={{ fontSize: "14px", fontWeight: 600 }}>
+                      {nameOf(s.profileId)}
+                      <span style={{ marginLeft: 6, fontSize: "12px", fontWeight: 400, color: isActive ? "#15803d" : "#1d4ed8" }}>
+                        {isActive ? "Live now" : "Upcoming"}
+                      </span>
+                    </span>
+                    <s-button
+                      variant="plain"
+                      tone="critical"
+                      onClick={() => removeSchedule(s.id)}
+                      disabled={disabled}
+                    >
+                      Remove
+                    </s-button>
+                  </div>
+                  <span style={{ fontSize: "13px", color: "var(--p-color-text-subdued, #6b7280)" }}>
+                    {formatWhen(s.startsAt)} → {formatWhen(s.endsAt)}, then {s.revertProfileId ? nameOf(s.revertProfileId) : `${manualName} (live profile)`}
+                  </span>
+                </div>
+              </li>
+            );
+          })}
+        </ol>
+      )}
+
+      {endedCount > 0 && (
+        <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+          <s-text size="small" style={{ color: "var(--p-color-text-subdued, #6b7280)" }}>
+            {endedCount} ended schedule{endedCount === 1 ? "" : "s"}
+          </s-text>
+          <s-button variant="plain" onClick={clearEnded} disabled={disabled}>Clear</s-button>
+        </div>
+      )}
+
+      {/* Add schedule */}
+      <div style={{ display: "grid", gap: 8, gridTemplateColumns: "1fr 1fr" }}>
+        <label style={{ display: "grid", gap: 4, fontSize: "13px" }}>
+          Profile
+          <select
+            value={form.profileId}
+            onChange={(e) => setForm({ ...form, profileId: e.target.value })}
+            disabled={disabled}
+            style={inputStyle}
+          >
+            <option value="">Choose…</option>
+            {profiles.map((p) => (
+              <option key={p.id} value={p.id}>{p.name}</option>
+            ))}
+          </select>
+        </label>
+        <label style={{ display: "grid", gap: 4, fontSize: "13px" }}>
+          Then revert to
+          <select
+            value={form.revertProfileId}
+            onChange={(e) => setForm({ ...form, revertProfileId: e.target.value })}
+            disabled={disabled}
+            style={inputStyle}
+          >
+            <option value="">Live profile ({manualName})</option>
+            {profiles.filter((p) => p.id !== form.profileId).map((p) => (
+              <option key={p.id} value={p.id}>{p.name}</option>
+            ))}
+          </select>
+        </label>
+        <label style={{ display: "grid", gap: 4, fontSize: "13px" }}>
+          Starts
+          <input
+            type="datetime-local"
+            value={form.startsAt}
+            onChange={(e) => setForm({ ...form, startsAt: e.target.value })}
+            disabled={disabled}
+            style={inputStyle}
+          />
+        </label>
+        <label style={{ display: "grid", gap: 4, fontSize: "13px" }}>
+          Ends
+          <input
+            type="datetime-local"
+            value={form.endsAt}
+            onChange={(e) => setForm({ ...form, endsAt: e.target.value })}
+            disabled={disabled}
+            style={inputStyle}
+          />
+        </label>
+      </div>
+      <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+        <s-button
+          onClick={addSchedule}
+          disabled={disabled || maxReached}
+          title={maxReached ? `Maximum ${MAX_SCHEDULES} schedules` : "Add schedule"}
+        >
+          Add schedule
+        </s-button>
+        {error && (
+          <s-text size="small" style={{ color: "var(--p-color-text-critical, #b91c1c)" }}>{error}</s-text>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,161 @@
+// ============================================================================
+// RULES CSV CARD COMPONENT
+// Download a profile's rules as CSV and re-import the edited file
+// ============================================================================
+
+import { useEffect, useState } from "react";
+import { diffConfigs } from "../utils/configDiff";
+import { downloadTextFile } from "../utils/download";
+import { replaceProfileRules, rulesFromCsv, rulesToCsv } from "../utils/rulesCsv";
+import { ConfigDiffTable } from "./ConfigDiffTable";
+
+const cardStyle = {
+  border: "1px solid var(--p-color-border, #e5e7eb)",
+  borderRadius: 8,
+  padding: 16,
+  display: "grid",
+  gap: 12,
+  background: "var(--p-color-bg-surface-secondary, #f9fafb)",
+};
+
+const subduedStyle = { color: "var(--p-color-text-subdued, #6b7280)" };
+const criticalStyle = { color: "var(--p-color-text-critical, #dc2626)" };
+
+// Spreadsheet apps read a UTF-8 CSV correctly only with a byte order mark
+const UTF8_BOM = "\uFEFF";
+
+const MAX_ERRORS_SHOWN = 50;
+
+/**
+ * RulesCsvCard - CSV export and import of one profile's rules
+ * @param {Object} props
+ * @param {Object|null} props.config - Current config (v3)
+ * @param {Object} props.fetcher - Fetcher used to apply the import (intent "importCsv")
+ */
+export function RulesCsvCard({ config, fetcher }) {
+  const profiles = config?.profiles || [];
+  const [profileId, setProfileId] = useState(config?.liveProfileId || profiles[0]?.id || "");
+  const [fileName, setFileName] = useState("");
+  const [csvText, setCsvText] = useState("");
+  const [errors, setErrors] = useState([]);
+  const [changes, setChanges] = useState(null);
+
+  const profile = profiles.find((p) => p.id === profileId) || profiles[0];
+
+  const reset = () => {
+    setCsvText("");
+    setErrors([]);
+    setChanges(null);
+  };
+
+  // The loader has the new config once the import is applied
+  useEffect(() => {
+    if (fetcher.state === "idle" && fetcher.data?.ok) reset();
+  }, [fetcher.state, fetcher.data]);
+
+  if (!profile) {
+    return (
+      <div style={cardStyle}>
+        <s-heading>Rules spreadsheet (CSV)</s-heading>
+        <s-text size="small" style={subduedStyle}>Save some rules first — there is nothing to export yet.</s-text>
+      </div>
+    );
+  }
+
+  const handleDownload = () => {
+    const slug = profile.name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "profile";
+    downloadTextFile(`rules-${slug}-${new Date().toISOString().slice(0, 10)}.csv`, UTF8_BOM + rulesToCsv(profile.rules), "text/csv");
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    reset();
+    if (!file) return;
+    setFileName(file.name);
+
+    const text = await file.text();
+    const result = rulesFromCsv(text, profile.rules);
+    if (!result.ok) {
+      setErrors(result.errors);
+      return;
+    }
+    setCsvText(text);
+    setChanges(diffConfigs(config, replaceProfileRules(config, profile.id, result.rules)));
+  };
+
+  const handleApply = () => {
+    const formData = new FormData();
+    formData.set("intent", "importCsv");
+    formData.set("profileId", profile.id);
+    formData.set("csv", csvText);
+    fetcher.submit(formData, { method: "POST" });
+  };
+
+  const isApplying = fetcher.state !== "idle";
+
+  return (
+    <div style={cardStyle}>
+      <s-heading>Rules spreadsheet (CSV)</s-heading>
+      <s-text size="small" style={subduedStyle}>
+        Edit many rules at once in a spreadsheet. Download the CSV, change it, then choose the edited file to see
+        what it would change. Each row is a rule, in order. Keep the id column so rows update their rule; rows
+        without an id become new rules, and rules you delete from the file are removed.
+      </s-text>
+
+      <label style={{ display: "flex", alignItems: "center", gap: 8 }}>
+        <s-text size="small">Profile</s-text>
+        <select value={profile.id} onChange={(e) => { setProfileId(e.target.value); reset(); }}>
+          {profiles.map((p) => (
+            <option key={p.id} value={p.id}>
+              {p.name}{p.id === config.liveProfileId ? " (live)" : ""} — {p.rules.length} {p.rules.length === 1 ? "rule" : "rules"}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <div style={{ display: "flex", alignItems: "center", gap: 12, flexWrap: "wrap" }}>
+        <s-button onClick={handleDownload}>Download CSV</s-button>
+        <input type="file" accept="text/csv,.csv" onChange={handleFile} aria-label="Edited rules CSV to import" />
+      </div>
+
+      {errors.length > 0 && (
+        <div style={{ display: "grid", gap: 4 }}>
+          <s-text style={criticalStyle}>
+            {fileName} can&apos;t be imported. Fix {errors.length === 1 ? "this problem" : `these ${errors.length} problems`} and choose the file again:
+          </s-text>
+          <ul style={{ margin: 0, paddingLeft: 20, ...criticalStyle }}>
+            {errors.slice(0, MAX_ERRORS_SHOWN).map((error, i) => (
+              <li key={i}>{error.row ? `Row ${error.row}: ` : ""}{error.message}</li>
+            ))}
+          </ul>
+          {errors.length > MAX_ERRORS_SHOWN && (
+            <s-text size="small" style={subduedStyle}>…and {errors.length - MAX_ERRORS_SHOWN} more</s-text>
+          )}
+        </div>
+      )}
+      {fetcher.state === "idle" && fetcher.data?.ok && (
+        <s-text style={{ color: "var(--p-color-text-success, #047857)" }}>Rules updated from the CSV.</s-text>
+      )}
+      {fetcher.state === "idle" && fetcher.data?.error && <s-text style={criticalStyle}>{fetcher.data.error}</s-text>}
+
+      {changes && (
+        <div style={{ display: "grid", gap: 12, padding: 12, borderRadius: 6, background: "var(--p-color-bg-surface, #ffffff)" }}>
+          <s-text><strong>{fileName}</strong> → {profile.name}</s-text>
+          <ConfigDiffTable
+            changes={changes}
+            beforeLabel="Now"
+            afterLabel="After import"
+            emptyText="This file matches the profile's rules — importing it would change nothing."
+          />
+          <div style={{ display: "flex", gap: 8 }}>
+            <s-button variant="primary" onClick={handleApply} disabled={changes.length === 0 || isApplying} loading={isApplying}>
+              Apply CSV
+            </s-button>
+            <s-button onClick={reset} disabled={isApplying}>Cancel</s-button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,160 @@
+// ============================================================================
+// SEGMENT THRESHOLDS COMPONENT
+// Lower (or higher) free delivery thresholds for logged-in customers or
+// customers with a tag, with a preview as a given customer
+// ============================================================================
+
+import { useState } from "react";
+import { newSegmentThresholdId } from "../utils/idGenerators";
+import { HelpLink } from "./HelpLink";
+
+const MAX_SEGMENTS = 10;
+
+const subduedStyle = { color: "var(--p-color-text-subdued, #6b7280)" };
+
+// Same order as the storefront Liquid: the first matching override wins
+function resolveThreshold(settings, customer) {
+  const segments = settings.fd_segment_thresholds || [];
+  if (customer) {
+    const match = segments.find((s) => s.match === "logged_in" || (s.tag && customer.tags.includes(s.tag)));
+    if (match) return { amount: match.amount || 0, segment: match };
+  }
+  return { amount: settings.fd_threshold || 0, segment: null };
+}
+
+/**
+ * SegmentThresholds - Customer segment threshold overrides for the Free Delivery page
+ * @param {Object} props
+ * @param {Object} props.settings - Free delivery settings (fd_threshold, fd_segment_thresholds, announcement messages)
+ * @param {Function} props.setSettings - Called with the updated settings
+ * @param {string} props.shopCurrency - The store's currency (amounts are in it)
+ * @param {Function} props.formatMoney - Formats minor units in the store currency
+ */
+export function SegmentThresholds({ settings, setSettings, shopCurrency, formatMoney }) {
+  const segments = settings.fd_segment_thresholds || [];
+  const setSegments = (next) => setSettings({ ...settings, fd_segment_thresholds: next });
+  const updateSegment = (id, changes) => setSegments(segments.map((s) => (s.id === id ? { ...s, ...changes } : s)));
+
+  const [previewAs, setPreviewAs] = useState("guest");
+  const [previewTag, setPreviewTag] = useState("");
+  const [previewCart, setPreviewCart] = useState(3000);
+
+  const addSegment = () => {
+    if (segments.length >= MAX_SEGMENTS) return;
+    setSegments([...segments, { id: newSegmentThresholdId(), match: "tag", tag: "", amount: settings.fd_threshold || 0 }]);
+  };
+
+  const moveSegment = (index, direction) => {
+    const next = [...segments];
+    const [moved] = next.splice(index, 1);
+    next.splice(index + direction, 0, moved);
+    setSegments(next);
+  };
+
+  const customer = previewAs === "guest" ? null : { tags: previewAs === "tag" && previewTag.trim() ? [previewTag.trim()] : [] };
+  const preview = resolveThreshold(settings, customer);
+  const remaining = Math.max(0, preview.amount - previewCart);
+  const previewMessage = (remaining > 0
+    ? settings.fd_announcement_progress_message || "Spend {remaining} more for free delivery"
+    : settings.fd_announcement_unlocked_message || "You've unlocked free delivery!")
+    .replace(/\{remaining\}/g, formatMoney(remaining))
+    .replace(/\{threshold\}/g, formatMoney(preview.amount))
+    .replace(/\*\*/g, "");
+
+  return (
+    <div style={{ display: "grid", gap: 10, borderTop: "1px solid var(--p-color-border, #e5e7eb)", paddingTop: 16 }}>
+      <s-text style={{ fontWeight: 600 }}>Customer thresholds <HelpLink anchor="pricing-segment-thresholds" /></s-text>
+      <s-text size="small" style={subduedStyle}>
+        Give logged-in customers, or customers with a tag such as VIP or wholesale, their own threshold. The first
+        matching row wins; everyone else uses the threshold above. Amounts are in {shopCurrency} and are converted at
+        Shopify&apos;s current exchange rate for shoppers in other currencies.
+      </s-text>
+
+      {segments.map((segment, index) => (
+        <div key={segment.id} style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+          <select
+            value={segment.match}
+            onChange={(e) => updateSegment(segment.id, { match: e.target.value })}
+            aria-label="Customers"
+          >
+            <option value="tag">Customers tagged</option>
+            <option value="logged_in">Any logged-in customer</option>
+          </select>
+          {segment.match === "tag" && (
+            <input
+              type="text"
+              value={segment.tag || ""}
+              onChange={(e) => updateSegment(segment.id, { tag: e.target.value })}
+              placeholder="VIP"
+              style={{ width: 110 }}
+              aria-label="Customer tag"
+            />
+          )}
+          <s-text size="small" style={subduedStyle}>{shopCurrency}</s-text>
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={(segment.amount || 0) / 100}
+            onChange={(e) => updateSegment(segment.id, { amount: Math.max(0, Math.round(parseFloat(e.target.value) * 100) || 0) })}
+            style={{ width: 90 }}
+            aria-label="Threshold"
+          />
+          <s-button size="small" variant="tertiary" disabled={index === 0} onClick={() => moveSegment(index, -1)} title="Move up">↑</s-button>
+          <s-button size="small" variant="tertiary" disabled={index === segments.length - 1} onClick={() => moveSegment(index, 1)} title="Move down">↓</s-button>
+          <s-button variant="plain" tone="critical" onClick={() => setSegments(segments.filter((s) => s.id !== segment.id))}>Remove</s-button>
+        </div>
+      ))}
+
+      <div>
+        <s-button
+          onClick={addSegment}
+          disabled={segments.length >= MAX_SEGMENTS}
+          title={segments.length >= MAX_SEGMENTS ? `Maximum ${MAX_SEGMENTS} customer thresholds` : "Add customer threshold"}
+        >
+          Add customer threshold
+        </s-button>
+      </div>
+
+      {segments.length > 0 && (
+        <div style={{ display: "grid", gap: 8, padding: 12, borderRadius: 6, background: "var(--p-color-bg-surface-secondary, #f9fafb)" }}>
+          <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+            <s-text size="small">Preview as</s-text>
+            <select value={previewAs} onChange={(e) => setPreviewAs(e.target.value)}>
+              <option value="guest">Guest</option>
+              <option value="logged_in">Logged-in customer, no tags</option>
+              <option value="tag">Customer with tag</option>
+            </select>
+            {previewAs === "tag" && (
+              <input
+                type="text"
+                value={previewTag}
+                onChange={(e) => setPreviewTag(e.target.value)}
+                placeholder="VIP"
+                style={{ width: 110 }}
+                aria-label="Preview customer tag"
+              />
+            )}
+            <s-text size="small">with a cart of</s-text>
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={previewCart / 100}
+              onChange={(e) => setPreviewCart(Math.max(0, Math.round(parseFloat(e.target.value) * 100) || 0))}
+              style={{ width: 90 }}
+              aria-label="Preview cart total"
+            />
+          </div>
+          <s-text size="small">
+            Threshold: <strong>{formatMoney(preview.amount)}</strong>{" "}
+            <span style={subduedStyle}>
+              ({preview.segment ? (preview.segment.match === "logged_in" ? "logged-in customers" : `tagged ${preview.segment.tag}`) : "default threshold"})
+            </span>
+          </s-text>
+          <s-text size="small">Announcement bar: {previewMessage}</s-text>
+        </div>
+      )}
+    </div>
+  );
+}
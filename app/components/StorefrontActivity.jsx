@@ -0,0 +1,133 @@
+// ============================================================================
+// STOREFRONT ACTIVITY COMPONENT
+// Dashboard charts of the storefront beacons: per-day events and per-rule views
+// ============================================================================
+
+import { useState } from "react";
+
+const METRICS = [
+  { key: "rule_shown", label: "Messages shown", color: "#2563eb" },
+  { key: "cutoff_fallback", label: "Cutoff fallbacks", color: "#d97706" },
+  { key: "fd_progress", label: "Free delivery bar (in progress)", color: "#6b7280" },
+  { key: "fd_unlocked", label: "Free delivery unlocked", color: "#059669" },
+];
+
+const CHART_HEIGHT = 140;
+
+const subduedStyle = { color: "var(--p-color-text-subdued, #6b7280)" };
+
+const formatDay = (date) => new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined, { month: "short", day: "numeric", timeZone: "UTC" });
+
+function DailyChart({ days, metric }) {
+  const max = Math.max(1, ...days.map((d) => d[metric.key]));
+  const barWidth = 100 / days.length;
+
+  return (
+    <div style={{ display: "grid", gap: 4 }}>
+      <svg viewBox={`0 0 100 ${CHART_HEIGHT}`} preserveAspectRatio="none" width="100%" height={CHART_HEIGHT} role="img" aria-label={`${metric.label} per day`}>
+        {days.map((d, i) => {
+          const height = (d[metric.key] / max) * (CHART_HEIGHT - 4);
+          return (
+            <rect key={d.date} x={i * barWidth + barWidth * 0.15} y={CHART_HEIGHT - height} width={barWidth * 0.7} height={height} fill={metric.color} rx={0.4}>
+              <title>{`${formatDay(d.date)}: ${d[metric.key].toLocaleString()}`}</title>
+            </rect>
+          );
+        })}
+      </svg>
+      <div style={{ display: "flex", justifyContent: "space-between", fontSize: 12, ...subduedStyle }}>
+        <span>{formatDay(days[0].date)}</span>
+        <span>Peak {max.toLocaleString()}/day</span>
+        <span>{formatDay(days[days.length - 1].date)}</span>
+      </div>
+    </div>
+  );
+}
+
+function RuleBars({ rules, ruleNames }) {
+  const max = Math.max(1, ...rules.map((r) => r.rule_shown));
+
+  return (
+    <div style={{ display: "grid", gap: 8 }}>
+      {rules.map((rule) => {
+        const fallbackShare = rule.rule_shown > 0 ? Math.round((rule.cutoff_fallback / rule.rule_shown) * 100) : 0;
+        return (
+          <div key={rule.ruleId} style={{ display: "grid", gridTemplateColumns: "minmax(120px, 200px) 1fr auto", gap: 12, alignItems: "center", fontSize: 13 }}>
+            <span style={{ overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }} title={ruleNames[rule.ruleId] || rule.ruleId}>
+              {ruleNames[rule.ruleId] || <span style={subduedStyle}>Deleted rule</span>}
+            </span>
+            <div style={{ background: "#f3f4f6", borderRadius: 4, height: 10, overflow: "hidden" }}>
+              <div style={{ width: `${(rule.rule_shown / max) * 100}%`, height: "100%", background: "#2563eb" }} />
+            </div>
+            <span style={{ whiteSpace: "nowrap" }}>
+              {rule.rule_shown.toLocaleString()}
+              {rule.cutoff_fallback > 0 && <span style={subduedStyle}> · {fallbackShare}% after cutoff</span>}
+            </span>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+/**
+ * StorefrontActivity - Last 30 days of storefront events
+ * @param {Object} props
+ * @param {Object|null} props.activity - getStorefrontActivity() result (null if it failed to load)
+ * @param {Object<string, string>} props.ruleNames - Rule id -> rule name
+ */
+export function StorefrontActivity({ activity, ruleNames }) {
+  const [metricKey, setMetricKey] = useState("rule_shown");
+  const metric = METRICS.find((m) => m.key === metricKey);
+  const hasData = activity && METRICS.some((m) => activity.totals[m.key] > 0);
+
+  return (
+    <div style={{ background: "white", border: "1px solid #e5e7eb", borderRadius: 12, padding: 20, display: "grid", gap: 16 }}>
+      <div>
+        <h3 style={{ margin: "0 0 4px 0", fontSize: 16, fontWeight: 600, color: "#111827" }}>Storefront activity</h3>
+        <p style={{ margin: 0, fontSize: 13, ...subduedStyle }}>
+          Last 30 days (UTC). Messages are counted per page view; the free delivery bar once per shopper visit.
+        </p>
+      </div>
+
+      {!activity && <p style={{ margin: 0, fontSize: 14, ...subduedStyle }}>Activity couldn&apos;t be loaded. Refresh the page to try again.</p>}
+      {activity && !hasData && (
+        <p style={{ margin: 0, fontSize: 14, ...subduedStyle }}>
+          Nothing recorded yet. Counts appear here once shoppers see your delivery messages or free delivery bar.
+        </p>
+      )}
+
+      {hasData && (
+        <>
+          <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+            {METRICS.map((m) => (
+              <button
+                key={m.key}
+                onClick={() => setMetricKey(m.key)}
+                style={{
+                  textAlign: "left",
+                  padding: "8px 12px",
+                  borderRadius: 8,
+                  cursor: "pointer",
+                  border: `1px solid ${m.key === metricKey ? m.color : "#e5e7eb"}`,
+                  background: m.key === metricKey ? "#f9fafb" : "white",
+                }}
+              >
+                <div style={{ fontSize: 12, ...subduedStyle }}>{m.label}</div>
+                <div style={{ fontSize: 18, fontWeight: 600, color: "#111827" }}>{activity.totals[m.key].toLocaleString()}</div>
+              </button>
+            ))}
+          </div>
+
+          <DailyChart days={activity.days} metric={metric} />
+
+          {activity.rules.length > 0 && (
+            <div style={{ display: "grid", gap: 8 }}>
+              <h4 style={{ margin: 0, fontSize: 14, fontWeight: 600, color: "#111827" }}>Messages shown by rule</h4>
+              <RuleBars rules={activity.rules} ruleNames={ruleNames} />
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
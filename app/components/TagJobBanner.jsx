@@ -0,0 +1,66 @@
+// ============================================================================
+// TAG JOB BANNER COMPONENT
+// Progress of a Tag Manager bulk tag job, from finding the products to done
+// ============================================================================
+
+const STATUS_TEXT = {
+  collecting: "Finding the matching products…",
+  uploading: "Preparing the job…",
+};
+
+/**
+ * TagJobBanner - Status strip for the current bulk tag job
+ * @param {Object} props
+ * @param {Object|null} props.job - Job from the tag job model (may be null when only an error is shown)
+ * @param {string} props.error - Error starting or checking the job
+ * @param {Function} props.onDismiss - Hide the banner (finished jobs and errors only)
+ */
+export function TagJobBanner({ job, error, onDismiss }) {
+  const verb = job?.action === "remove" ? "Removing" : "Adding";
+  const percent = job?.total ? Math.min(100, Math.round((job.processed / job.total) * 100)) : 0;
+  const failed = job?.status === "failed" || (!job && error);
+  const tone = failed
+    ? { background: "#fef2f2", color: "#dc2626" }
+    : job?.status === "completed"
+      ? { background: "#f0fdf4", color: "#047857" }
+      : { background: "#f0f9ff", color: "#0369a1" };
+
+  let summary;
+  if (!job) summary = error;
+  else if (job.status === "failed") summary = `The tag job stopped: ${job.error || "unknown error"}`;
+  else if (job.status === "completed") {
+    const done = job.total - job.failed;
+    summary = job.total === 0
+      ? `No products needed changing — every matching product ${job.action === "add" ? "already has" : "is already without"} "${job.tag}".`
+      : `Done: "${job.tag}" ${job.action === "add" ? "added to" : "removed from"} ${done.toLocaleString()} product${done !== 1 ? "s" : ""}.`
+        + (job.failed ? ` ${job.failed.toLocaleString()} couldn't be updated.` : "");
+  } else {
+    summary = STATUS_TEXT[job.status]
+      || `${verb} "${job.tag}": ${job.processed.toLocaleString()} of ${(job.total || 0).toLocaleString()} products`;
+  }
+
+  return (
+    <div style={{ padding: "10px 20px", borderBottom: "1px solid #e5e7eb", display: "grid", gap: 6, ...tone }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12 }}>
+        <span style={{ fontSize: 13, fontWeight: 500 }}>{summary}</span>
+        {(!job || !job.active) && (
+          <button onClick={onDismiss} style={{ border: "none", background: "none", color: "inherit", fontSize: 12, cursor: "pointer" }}>
+            Dismiss
+          </button>
+        )}
+      </div>
+      {job && (
+        <span style={{ fontSize: 12, color: "#616161" }}>
+          {job.description}
+          {job.active && " · Runs in the background, so you can leave this page."}
+        </span>
+      )}
+      {job?.status === "running" && (
+        <div style={{ background: "white", borderRadius: 4, height: 6, overflow: "hidden" }}>
+          <div style={{ width: `${percent}%`, height: "100%", background: "#0369a1", transition: "width 0.3s" }} />
+        </div>
+      )}
+      {job && error && <span style={{ fontSize: 12, color: "#dc2626" }}>{error}</span>}
+    </div>
+  );
+}
@@ -0,0 +1,73 @@
+// ============================================================================
+// THRESHOLD BASIS COMPONENT
+// Which cart lines and prices count towards the free delivery threshold
+// (before/after discounts, leaving out gift cards, subscriptions, tagged lines...)
+// ============================================================================
+
+import { HelpLink } from "./HelpLink";
+
+const subduedStyle = { color: "var(--p-color-text-subdued, #6b7280)" };
+
+// "sub, Gift wrap ,sub" -> ["sub", "Gift wrap"]
+const parseList = (value) => [...new Set(value.split(",").map((v) => v.trim()).filter(Boolean))];
+
+/**
+ * ThresholdBasis - Qualifying total options for the Free Delivery page
+ * @param {Object} props
+ * @param {Object} props.settings - Free delivery settings (fd_threshold_basis)
+ * @param {Function} props.setSettings - Called with the updated settings
+ */
+export function ThresholdBasis({ settings, setSettings }) {
+  const basis = settings.fd_threshold_basis || {};
+  const setBasis = (changes) => setSettings({ ...settings, fd_threshold_basis: { ...basis, ...changes } });
+  const tags = basis.exclude_tags || [];
+  const properties = basis.exclude_properties || [];
+
+  const checkbox = (key, label) => (
+    <label style={{ display: "flex", alignItems: "center", gap: 8 }}>
+      <input type="checkbox" checked={basis[key] === true} onChange={(e) => setBasis({ [key]: e.target.checked })} />
+      <s-text size="small">{label}</s-text>
+    </label>
+  );
+
+  return (
+    <div style={{ display: "grid", gap: 10, borderTop: "1px solid var(--p-color-border, #e5e7eb)", paddingTop: 16 }}>
+      <s-text style={{ fontWeight: 600 }}>What counts towards the threshold <HelpLink anchor="pricing-threshold-basis" /></s-text>
+      <label style={{ display: "flex", alignItems: "center", gap: 8 }}>
+        <s-text size="small">Cart total</s-text>
+        <select value={basis.discounts || "after"} onChange={(e) => setBasis({ discounts: e.target.value })}>
+          <option value="after">After discounts</option>
+          <option value="before">Before discounts</option>
+        </select>
+      </label>
+      {checkbox("exclude_gift_cards", "Leave out gift cards")}
+      {checkbox("exclude_subscriptions", "Leave out subscription items")}
+      <label>
+        <s-text size="small">Leave out products tagged (comma separated)</s-text>
+        <input
+          key={tags.join(",")}
+          type="text"
+          defaultValue={tags.join(", ")}
+          onBlur={(e) => setBasis({ exclude_tags: parseList(e.target.value) })}
+          placeholder="no-free-delivery, sample"
+          style={{ width: "100%" }}
+        />
+      </label>
+      <label>
+        <s-text size="small">Leave out lines with these properties (comma separated)</s-text>
+        <input
+          key={properties.join(",")}
+          type="text"
+          defaultValue={properties.join(", ")}
+          onBlur={(e) => setBasis({ exclude_properties: parseList(e.target.value) })}
+          placeholder="_gift_wrap, Engraving=Yes"
+          style={{ width: "100%" }}
+        />
+      </label>
+      <s-text size="small" style={subduedStyle}>
+        Lines left out still go to checkout as normal; they just don&apos;t count towards free delivery.
+        Use a property name to match any value, or name=value to match one value.
+      </s-text>
+    </div>
+  );
+}
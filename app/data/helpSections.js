@@ -5,15 +5,15 @@ export const HELP_SECTIONS = [
     children: [
       {
         id: "global-preview-timezone",
-        title: "Preview Timezone",
+        title: "Timezone",
         image: "/images/help/preview-timezone1.png",
-        content: "The preview timezone controls which timezone is used when rendering placeholder values in the app preview. Set this to your shop's timezone so that countdown timers, shipping dates, and delivery dates in the preview match what your customers will see on the live storefront.",
+        content: "Cutoff times are in your store's timezone, which the app reads from your Shopify store settings each time you open it. The storefront countdown converts the cutoff using that timezone, so it stays correct across daylight saving changes and for shoppers browsing from other timezones.\n\nThe preview uses your store timezone too. Choose a different timezone only if you want to preview how dates look elsewhere.\n\nTick 'Show the cutoff in the shopper's local time' to add the cutoff in the shopper's own time after {countdown}, e.g. '2h 14m — by 2:00 pm your time'. It is only shown to shoppers whose timezone differs from your store's, and you can change the wording; {time} is replaced with the local time.",
       },
       {
         id: "global-delivery-windows",
         title: "Delivery Windows",
         image: "/images/help/delivery-windows1.png",
-        content: "Delivery windows define how many business days your courier takes to deliver after dispatch. There are two separate windows:\n\n• Courier Delivery Window (min/max days) — used by the {arrival} placeholder and the ETA timeline delivery date. For example, min 3 / max 5 means the customer sees a delivery range like 'Mar 25-27'.\n\n• Express Delivery Window (min/max days) — used by the {express} placeholder. Typically set to 1/1 for next-day delivery, but can be a range if your express service varies.\n\nBoth windows count business days only — courier no-delivery days and holidays are skipped.",
+        content: "Delivery windows define how many business days your courier takes to deliver after dispatch. There are two separate windows:\n\n• Courier Delivery Window (min/max days) — used by the {arrival} placeholder and the ETA timeline delivery date. For example, min 3 / max 5 means the customer sees a delivery range like 'Mar 25-27'.\n\n• Express Delivery Window (min/max days) — used by the {express} placeholder. Typically set to 1/1 for next-day delivery, but can be a range if your express service varies.\n\nBoth windows count business days only — courier no-delivery days and holidays are skipped.\n\nDelivery Zones let shoppers in other countries see their own windows. Add a zone, list its countries as two-letter codes (e.g. IE, FR) and set its standard and express windows. The shopper's country comes from your store's country selector; countries not in any zone use the windows above, and a rule's delivery window override still takes priority over both. Use 'Preview as' to see the previews for a zone.",
       },
       {
         id: "global-cutoff",
@@ -37,7 +37,7 @@ export const HELP_SECTIONS = [
         id: "global-holidays",
         title: "Bank Holidays & Custom Holidays",
         image: "/images/help/holidays1.png",
-        content: "Bank holidays can be enabled by selecting your country — holidays are automatically calculated each year. You can also add custom holiday dates for closures specific to your business (e.g., annual stocktake, staff training days). All holidays are treated the same as closed days for dispatch calculations and are skipped when calculating shipping and delivery dates.",
+        content: "Bank holidays can be enabled by selecting your country — holidays are automatically calculated each year. Where holidays differ by region (UK nations, German states, US states, Canadian provinces and Australian states), a second dropdown lets you pick the region your business operates from, e.g. Scotland or Bavaria; its calendar replaces the national one, including days the region does not observe. You can also add custom holiday dates for closures specific to your business (e.g., annual stocktake, staff training days). All holidays are treated the same as closed days for dispatch calculations and are skipped when calculating shipping and delivery dates.\n\nBy default the courier observes the same holidays as your warehouse. If you ship abroad or your courier works to a different calendar, set Courier Holidays to 'Separate courier calendar' and choose the courier's country, region and any courier closures. Dispatch dates ({shipped}) then skip only your warehouse holidays, while delivery dates ({arrival}, {express} and the ETA timeline) skip only the courier's. Tick 'Use the shopper's country holidays' to count delivery days against the holidays of the country the shopper has selected in your store, falling back to the courier country when we don't have that country's calendar.",
       },
     ],
   },
@@ -117,12 +117,32 @@ export const HELP_SECTIONS = [
         image: "/images/help/profile1.png",
         content: "Profiles let you maintain multiple sets of rules and switch between them. There are two key selectors: 'Live Profile' controls which profile your storefront displays to customers, and 'Editing' controls which profile you're currently working on. Both selectors appear at the top and bottom of the Messages Editor, and in the same positions on the Free Delivery page.\n\nTo manage profiles (create, duplicate, rename, or delete), open the Settings tab on the Messages Editor. Only one profile can be live at a time — when you switch it, all storefront blocks immediately start reading from the newly selected profile. This makes it easy to prepare seasonal messaging (e.g., Christmas delivery cut-offs) or test different configurations without affecting what customers see.",
       },
+      {
+        id: "profile-schedules",
+        title: "Profile Schedules",
+        content: "Profile schedules put a profile live for a set window without you having to switch it by hand — for example a 'Black Friday' profile from Friday 00:00 to Monday 23:59. Add them in the Profile Schedules card on the Settings tab: choose the profile, the start and end times, and which profile to hand back to afterwards. If you leave 'Then revert to' on the live profile, the storefront simply returns to whatever the Live selector is set to.\n\nThe storefront checks the schedule every time a page renders, so the change happens on time even if nobody opens the app (Shopify may serve a cached page for a few minutes around the switch). While a schedule is in effect, a badge next to the Live selector shows which profile is showing and until when. If windows overlap, the one that started most recently wins. Changing the Live selector by hand after a schedule has ended takes priority over that schedule's revert profile.",
+      },
       {
         id: "rules-overview",
         title: "Rules",
         image: "/images/help/rules1.png",
         content: "Rules are the core of how delivery messaging works. Each rule defines what to show and which products it applies to. Rules are evaluated in order from top to bottom — the first rule that matches a product wins, and its settings are used for that product's delivery messaging, ETA timeline, and special delivery block.\n\nEvery profile needs at least one rule. A common pattern is to create specific rules for products that need unique messaging (e.g., made-to-order items with longer lead times, or bulky goods with pallet delivery), and then have a fallback rule at the bottom that catches everything else. You can reorder rules by dragging them, and duplicate existing rules to use as a starting point for new ones.",
       },
+      {
+        id: "version-history",
+        title: "Version History",
+        content: "Every time your rules or global settings are saved, the app keeps a copy on the History page along with who saved it, when, from which page and how big it is. Each save is its own version, auto-saves included, and the most recent 200 versions of each are kept.\n\nClick 'View changes' to see what a save changed — rules and profiles added or removed, and each field that changed with its old and new value. Switch 'Compare with' to 'What is live now' to see exactly what restoring that version would change. 'Restore' puts the version live straight away; the settings it replaces are kept in history, so a restore can itself be undone.",
+      },
+      {
+        id: "export-import",
+        title: "Export & Import",
+        content: "Use the Export & Import page to copy your whole setup from one store to another — for example from a staging store to your live store. 'Download export' saves your rules, profiles, global settings and custom icons as one JSON file. Your store's timezone is not included; the importing store keeps its own.\n\nTo import, choose an export file. It is checked first, and files from older versions of the app are upgraded automatically. You then see every rule, profile and setting it would change before anything is saved. 'Apply import' replaces the current setup and puts it live straight away; the setup it replaces is kept on the History page in case you need it back.",
+      },
+      {
+        id: "rules-csv",
+        title: "Editing Rules in a Spreadsheet",
+        content: "With lots of rules it can be quicker to edit them in a spreadsheet. On the Export & Import page, pick a profile and click 'Download CSV'. Each row is one rule, in the order they are checked, with columns for product handles, tags, excluded handles, stock status, the dispatch overrides (cutoff times, lead time, closed days), the four message lines and the delivery windows. Lists go in one cell separated by commas, days are written mon, tue, wed and so on, and on/off columns take TRUE or FALSE.\n\nSave the file as CSV and choose it under 'Rules spreadsheet (CSV)'. Every row is checked first — if anything is wrong you get a list of problems with their row numbers and nothing is saved. Otherwise you see what would change before you apply it.\n\nKeep the id column: it is how rows find their rule, so the rule's styling and icons are kept. Rows with no id become new rules, deleting a row deletes that rule, and moving rows reorders the rules. Leave a number blank to keep its current value. Columns you remove from the file are left unchanged.",
+      },
     ],
   },
   {
@@ -133,7 +153,22 @@ export const HELP_SECTIONS = [
         id: "product-matching-overview",
         title: "Overview",
         image: "/images/help/product-matching1.png",
-        content: "Products are matched to rules using tags — this is the recommended approach for most setups. Simply add the same tag to all products that should share the same delivery messaging, then reference that tag in your rule. Product handles are available but best reserved for one-off exceptions or exclusions, not as a primary matching method. Fallback rules (which match all products) sit at the bottom of your rule list and catch anything not matched by a specific rule above.\n\nA powerful technique is to use the same tag across multiple rules with different stock status filters. For example, create one rule tagged 'standard' with stock status 'In Stock' showing 'Order today, dispatched tomorrow', and a second rule also tagged 'standard' but filtered to 'Pre-Order' showing 'Pre-order — expected dispatch in 2-3 weeks'. The same products automatically get different messaging depending on their current stock status, with no manual intervention needed. Stock status options are: In Stock, Out of Stock, Pre-Order, Mixed Stock, or Any.",
+        content: "Products are matched to rules using tags — this is the recommended approach for most setups. Simply add the same tag to all products that should share the same delivery messaging, then reference that tag in your rule. Product handles are available but best reserved for one-off exceptions or exclusions, not as a primary matching method. You can also match whole collections, vendors or product types without tagging anything — handy for targeting a single brand. Only collections published to the Online Store are visible to the storefront, and handle exclusions also apply to these matches. Rules can also target individual variants by SKU, option value (e.g. 'Large') or inventory policy, and stock status can be checked against the selected variant. When a shopper switches variant, the delivery message, ETA timeline and special delivery blocks update to match. Fallback rules (which match all products) sit at the bottom of your rule list and catch anything not matched by a specific rule above.\n\nA powerful technique is to use the same tag across multiple rules with different stock status filters. For example, create one rule tagged 'standard' with stock status 'In Stock' showing 'Order today, dispatched tomorrow', and a second rule also tagged 'standard' but filtered to 'Pre-Order' showing 'Pre-order — expected dispatch in 2-3 weeks'. The same products automatically get different messaging depending on their current stock status, with no manual intervention needed. Stock status options are: In Stock, Out of Stock, Pre-Order, Mixed Stock, or Any.",
+      },
+      {
+        id: "product-matching-coverage",
+        title: "Rule Coverage Report",
+        content: "The Rule Coverage page checks every active product against the rules of the profile your storefront is showing now (including one put live by a schedule), in the same order the storefront does: handles, tags, collections, vendors, product types and variants, excluded handles, stock status and inventory policy, and finally fallback rules. Large catalogues take a while — the report reads a hundred products at a time, and you can stop and resume it.\n\nProducts with no matching rule show no delivery message at all, so they are listed first, along with products that match more than one specific rule — only the highest of those rules is used, so check the order is what you intended. The Rules table shows how many products each rule is shown on, and how many more it matches but loses to a rule above it. 'Download CSV' saves the whole report, one row per product.\n\nThe storefront checks the variant the shopper has selected; the report checks the first available variant, as a product page shows before anyone chooses. Stock is read as it is when you run the report, and it counts every collection a product is in, including ones not published to the Online Store.",
+      },
+      {
+        id: "product-matching-tag-activity",
+        title: "Tag Activity & Undo",
+        content: "Every tag you add or remove in the Tag Manager is logged on the Tag activity page (linked from the Tag Manager header): who made the change, when, which tag, and the result for each product. Filter the log by tag, by added or removed, by where the change came from (a single click, a bulk job or a revert) and by staff member.\n\nClick 'Revert' to undo a change. Only products the change actually altered are touched — a product that already had the tag when it was added keeps it. Large reverts run in the background like any bulk job. Each change can be reverted once, and the revert is itself logged. Entries are kept for a year.",
+      },
+      {
+        id: "product-matching-auto-tag",
+        title: "Auto-tag Rules",
+        content: "Auto-tag rules on the Tag Manager page tag products for you, so products from a supplier feed pick up their delivery rule as soon as they arrive. A rule has up to five conditions on vendor, product type, title or an existing tag, and every condition must match — for example vendor is 'Acme' and product type is 'Sofa' → add the tag 'made-to-order'. Matching ignores upper and lower case.\n\nRules run whenever a product is created or updated, and only ever add tags: removing a tag by hand, or deleting the rule, doesn't undo anything. If you remove a tag from a product that still matches, it is added back the next time the product is updated, so pause the rule first. Use 'Preview' before saving to see which existing products would gain tags — nothing is changed by a preview. Existing products are tagged the next time they are updated.\n\nRecent activity lists every tag added in the last 90 days, and any product that couldn't be tagged.",
       },
     ],
   },
@@ -145,7 +180,7 @@ export const HELP_SECTIONS = [
         id: "dispatch-overview",
         title: "Overview",
         image: "/images/help/dispatch1.png",
-        content: "Each rule can override specific global dispatch settings — cutoff times, delivery windows, lead time, closed days, and courier no-delivery days. This is useful when certain products have different dispatch schedules, ship via different couriers, or need longer preparation times.\n\nEnable the relevant override toggle within a rule's Dispatch Settings section to set rule-specific values. Any setting not overridden inherits from Global Settings.",
+        content: "Each rule can override specific global dispatch settings — cutoff times, delivery windows, lead time, closed days, and courier no-delivery days. This is useful when certain products have different dispatch schedules, ship via different couriers, or need longer preparation times.\n\nEnable the relevant override toggle within a rule's Dispatch Settings section to set rule-specific values. Any setting not overridden inherits from Global Settings.\n\nIf you fulfil from more than one warehouse, add each one under Global Settings > Fulfilment Locations with its own cutoff times, closed days and bank holiday country. Then choose the location in a rule's 'Ships from' dropdown: the location's calendar replaces the global one for that rule, and any overrides you enable on the rule still take priority. Custom holidays, lead time and courier settings stay global.",
         link: { label: "See Global Settings for full details on each setting", anchor: "global-settings" },
       },
     ],
@@ -179,6 +214,11 @@ export const HELP_SECTIONS = [
         images: ["/images/help/message-icons1.png", "/images/help/message-icons2.png"],
         content: "Each message line can display an icon to the left of the text. Choose from the preset icon library or your own custom SVGs (uploaded in the Icons page). There are two layout modes:\n\n• Per-line — each message line gets its own icon. You can set a different icon, style, and colour per line, or leave them to inherit the main icon.\n\n• Single icon — one icon is displayed once to the left of all message lines. Set the icon size and gap between the icon and the text.\n\nYou can also set the icon to 'None' on individual lines to hide it for that line only. The main icon colour is inherited from the rule's icon colour setting, but per-line colours can override this.",
       },
+      {
+        id: "messages-ab-test",
+        title: "A/B Testing Messages",
+        content: "Not sure which wording sells better? Turn on 'Test other wordings of these messages' under a rule's message lines. The control shows the rule's own lines; add up to two variants with their own lines and set each variant's weight to decide what share of visitors sees it.\n\nEach visitor is given one variant and keeps seeing it on later visits. The Experiments page shows, per variant, how many visitors saw it and what share of them added to cart or started checkout, and whether the difference from the control is statistically significant (95% confidence, with at least 30 visitors per variant).\n\nAdd to cart is counted on product pages. Checkouts started from the cart page are only counted when the Announcement Bar is on that page. If you change a variant's wording, click 'Start new test' so the old results aren't mixed with the new ones — earlier tests stay on the Experiments page. Turning the test off shows everyone the control.",
+      },
     ],
   },
   {
@@ -260,6 +300,21 @@ export const HELP_SECTIONS = [
         image: "/images/help/threshold1.png",
         content: "When a customer's cart meets your free delivery threshold, pricing can automatically switch to show a free delivery message. Enable the free delivery text option and customise the message — use {threshold} to display the qualifying amount (e.g., 'Free over {threshold}').\n\nThe Cart Threshold Message replaces the entire pricing line when the threshold is met. Leave it blank to use the default message. This is separate from the free delivery text within the pricing levels.",
       },
+      {
+        id: "pricing-currencies",
+        title: "Thresholds in Other Currencies",
+        content: "If you sell in more than one currency with Shopify Markets, shoppers see their cart total in their own currency, so the free delivery threshold needs to be in that currency too. Under Threshold Amount on the Free Delivery page, the main threshold is in your store's currency, and 'Other currencies' lists each currency enabled for checkout — enter an amount for each one, for example €60 and $75 alongside £50.\n\nFor a currency you leave blank, tick 'Convert the threshold' to convert the main threshold at the exchange rate Shopify is showing prices at, so it moves with the rate. Without it, a blank currency uses the same number as the main threshold. {threshold}, {remaining} and the progress bar all use the shopper's currency; with conversion on, pricing display levels and costs are converted the same way. Converted amounts are rounded to the nearest cent, without your markets' price rounding rules.",
+      },
+      {
+        id: "pricing-segment-thresholds",
+        title: "Customer Thresholds",
+        content: "Give some customers a different free delivery threshold — e.g. £30 for customers tagged VIP and £20 for customers tagged wholesale. Under Threshold Amount, add a customer threshold for a customer tag or for any logged-in customer. Rows are checked top to bottom and the first match wins, so put the most specific ones first; guests and customers who match nothing use the main threshold.\n\nThe storefront checks the logged-in customer's tags when the page loads, so the announcement bar, cart progress, {threshold} in product messages and pricing levels all use their threshold. Tags must match exactly, including capitals. Customer threshold amounts are in your store's currency and replace any per-currency threshold. Shoppers using another currency always get the amount converted at the exchange rate Shopify is showing prices at, whether or not 'Convert the threshold' is on.\n\nUse 'Preview as' to check which threshold and announcement message a guest, a logged-in customer or a customer with a given tag would see for a sample cart.",
+      },
+      {
+        id: "pricing-threshold-basis",
+        title: "What Counts Towards the Threshold",
+        content: "By default the cart total after all discounts counts towards free delivery. Under Threshold Amount, choose 'Before discounts' to use the original prices instead.\n\nYou can also leave lines out of the qualifying total: gift cards, subscription items (lines bought with a selling plan), products with certain tags, or lines with certain line item properties. Enter a property name to leave out lines with any value for it, or name=value for one value. Left-out lines are still bought as normal; they just don't count.\n\nThe qualifying total is what {remaining}, {cart_total}, the progress bars and cart milestones use. With 'After discounts', order-level discounts are shared across the lines that count in proportion to their price.",
+      },
       {
         id: "pricing-loading",
         title: "Loading & Exclusions",
@@ -268,6 +323,22 @@ export const HELP_SECTIONS = [
       },
     ],
   },
+  {
+    id: "cart-progress",
+    title: "Cart Progress",
+    children: [
+      {
+        id: "cart-progress-setup",
+        title: "Cart Page Progress",
+        content: "Show a free delivery progress bar on the cart page. Turn on Cart Progress on the Free Delivery page, then in the theme editor open the cart page and add the Free Delivery Progress app block to the cart items or subtotal section.\n\nThe block shows a message, a progress bar that fills towards your threshold and, optionally, the cart total and threshold under the bar. Use {remaining}, {threshold} and {cart_total} in the messages. Leave the empty cart message blank to hide the progress until something is added.\n\nWhen the cart has excluded items the bar turns grey and the message explains why, using the matching exclusion rule's cart message, the multiple-rules message, or the excluded items message here when the rule has none.",
+      },
+      {
+        id: "cart-progress-drawer",
+        title: "Cart Drawer",
+        content: "To show the same progress in your theme's cart drawer, turn on the Free Delivery Progress (Cart Drawer) app embed under App embeds in the theme editor. It finds the drawer in most themes and adds the progress at the top or bottom, putting it back whenever the theme refreshes the drawer after a cart change.\n\nIf the progress doesn't appear in the drawer, enter a CSS selector for the drawer's content element in the app embed's 'Cart drawer selector' setting, e.g. #CartDrawer .drawer__inner. Themes that support app blocks in the cart drawer can use the Free Delivery Progress block there instead.",
+      },
+    ],
+  },
   {
     id: "announcement-bar",
     title: "Announcement Bar",
@@ -285,6 +356,11 @@ export const HELP_SECTIONS = [
         image: "/images/help/announce-messages1.png",
         content: "The announcement bar rotates between three message types based on the customer's cart:\n\n• Progress message — shown when the cart is below the free delivery threshold. Use {threshold} for the target amount and {remaining} for how much more they need to spend. A progress bar visually shows how close they are.\n\n• Unlocked message — shown when the cart meets or exceeds the free delivery threshold. Confirms free delivery has been unlocked.\n\n• Empty cart message — shown when the cart is empty. Use {threshold} to display the qualifying amount. Defaults to 'Free delivery on orders over {threshold}' if left blank and no additional messages are configured.\n\nEach message type has its own display timer controlling how long it shows before rotating to the next.",
       },
+      {
+        id: "announcement-milestones",
+        title: "Cart Milestones",
+        content: "Add up to 4 rewards after free delivery — e.g. free express delivery at £100 and a free gift at £150. Free delivery is always the first milestone, using the threshold and messages above; pick the icon it shows on the strip.\n\nEach milestone has a cart total, an icon, a progress message and an unlocked message. Once free delivery is unlocked the bar shows the unlocked message of the highest milestone reached, then the progress message for the next one, where {remaining} and {threshold} refer to that next milestone. When every milestone is reached, only the last unlocked message shows. Leave a message blank to skip it.\n\nA strip under the message has one segment per milestone that fills as the cart grows, with each icon lighting up once reached. The strip is hidden while the cart has items excluded from free delivery.\n\nAmounts are in your store's currency. A milestone must be more than the one before it, or the storefront skips it. Shoppers using another currency always see milestone amounts converted at the exchange rate Shopify is showing prices at, whether or not 'Convert the threshold' is on, so a rounded amount such as £100 shows as an unrounded €117.40. Free delivery itself still uses the threshold for their currency.",
+      },
       {
         id: "announcement-additional",
         title: "Additional Messages",
@@ -301,7 +377,7 @@ export const HELP_SECTIONS = [
         id: "announcement-exclusions",
         title: "Exclusion Rules",
         image: "/images/help/announce-exclusions1.png",
-        content: "Exclude specific products from free delivery by tag or handle. Each exclusion rule can have a custom announcement message. Leave the message blank for the default.",
+        content: "Exclude specific products from free delivery by tag or handle. Each exclusion rule can have a custom announcement message. Leave the message blank for the default.\n\nTag exclusions are looked up for the whole cart in a single request, and the results are remembered for ten minutes while the shopper browses, so large carts update quickly even on slow connections. Tag changes you make in Shopify may take up to ten minutes to reach a shopper who already has those products in their cart.",
       },
     ],
   },
@@ -12,6 +12,8 @@ export const GET_SHOP_DELIVERY_DATA = `#graphql
     shop {
       id
       currencyCode
+      enabledPresentmentCurrencies
+      ianaTimezone
       config: metafield(namespace: $namespace, key: $configKey) {
         id
         type
@@ -172,6 +174,7 @@ export const GET_FILTER_OPTIONS = `#graphql
         node {
           id
           title
+          handle
         }
       }
     }
@@ -181,6 +184,21 @@ export const GET_FILTER_OPTIONS = `#graphql
   }
 `;
 
+/**
+ * Titles and current tags of a set of products (before a Tag Manager change)
+ */
+export const GET_PRODUCTS_TAGS = `#graphql
+  query GetProductsTags($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on Product {
+        id
+        title
+        tags
+      }
+    }
+  }
+`;
+
 /**
  * Add tags to a product
  */
@@ -221,6 +239,140 @@ export const TAGS_REMOVE = `#graphql
   }
 `;
 
+/**
+ * Per-product tag mutations run by a Tag Manager bulk job, one JSONL line of variables per product
+ */
+export const BULK_TAGS_ADD = `#graphql
+  mutation BulkTagsAdd($id: ID!, $tags: [String!]!) {
+    tagsAdd(id: $id, tags: $tags) {
+      userErrors {
+        message
+      }
+    }
+  }
+`;
+
+export const BULK_TAGS_REMOVE = `#graphql
+  mutation BulkTagsRemove($id: ID!, $tags: [String!]!) {
+    tagsRemove(id: $id, tags: $tags) {
+      userErrors {
+        message
+      }
+    }
+  }
+`;
+
+/**
+ * Start a bulk query (the query text is built per job)
+ */
+export const BULK_OPERATION_RUN_QUERY = `#graphql
+  mutation BulkOperationRunQuery($query: String!) {
+    bulkOperationRunQuery(query: $query) {
+      bulkOperation {
+        id
+        status
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+/**
+ * Reserve an upload for a bulk mutation's JSONL variables file
+ */
+export const STAGED_UPLOADS_CREATE = `#graphql
+  mutation StagedUploadsCreate($input: [StagedUploadInput!]!) {
+    stagedUploadsCreate(input: $input) {
+      stagedTargets {
+        url
+        parameters {
+          name
+          value
+        }
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+/**
+ * Run a mutation once per line of an uploaded JSONL variables file
+ */
+export const BULK_OPERATION_RUN_MUTATION = `#graphql
+  mutation BulkOperationRunMutation($mutation: String!, $stagedUploadPath: String!) {
+    bulkOperationRunMutation(mutation: $mutation, stagedUploadPath: $stagedUploadPath) {
+      bulkOperation {
+        id
+        status
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+/**
+ * Progress of a bulk query or mutation
+ */
+export const GET_BULK_OPERATION = `#graphql
+  query GetBulkOperation($id: ID!) {
+    node(id: $id) {
+      ... on BulkOperation {
+        id
+        status
+        errorCode
+        objectCount
+        url
+        partialDataUrl
+      }
+    }
+  }
+`;
+
+/**
+ * One page of active products with the fields rules match on (rule coverage report)
+ * Page and connection sizes are kept small enough to stay under the query cost limit.
+ */
+export const COVERAGE_PRODUCTS = `#graphql
+  query CoverageProducts($first: Int!, $after: String) {
+    products(first: $first, after: $after, query: "status:active", sortKey: TITLE) {
+      nodes {
+        id
+        title
+        handle
+        vendor
+        productType
+        tags
+        collections(first: 20) {
+          nodes { handle }
+        }
+        variants(first: 25) {
+          nodes {
+            sku
+            availableForSale
+            inventoryQuantity
+            inventoryPolicy
+            selectedOptions { value }
+          }
+        }
+        variantsCount { count }
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+`;
+
 // ============================================================================
 // CONSTANTS
 // ============================================================================
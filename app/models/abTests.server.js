@@ -0,0 +1,104 @@
+import prisma from "../db.server";
+
+export const AB_EVENT_TYPES = ["impression", "add_to_cart", "checkout"];
+export const AB_CONVERSION_TYPES = ["add_to_cart", "checkout"];
+
+/**
+ * Record that a visitor saw their variant of each test
+ * The first report fixes the visitor's variant; later reports only add impressions,
+ * so a tampered or stale client can't move a visitor between variants.
+ * @param {string} shop - Shop domain
+ * @param {string} visitorId - Storefront visitor id
+ * @param {{ testId: string, variantId: string, ruleId: string }[]} tests
+ */
+export async function recordAbImpressions(shop, visitorId, tests) {
+  for (const { testId, variantId, ruleId } of tests) {
+    await prisma.abTestExposure.upsert({
+      where: { shop_testId_visitorId: { shop, testId, visitorId } },
+      create: { shop, testId, ruleId, variantId, visitorId },
+      update: { impressions: { increment: 1 } },
+    });
+  }
+}
+
+/**
+ * Record an add-to-cart or checkout for the tests a visitor was shown
+ * Credited to the variant stored for the visitor; visitors never exposed are ignored.
+ * Each visitor converts at most once per test and type.
+ * @param {string} shop - Shop domain
+ * @param {string} visitorId - Storefront visitor id
+ * @param {string} type - One of AB_CONVERSION_TYPES
+ * @param {string[]} testIds - Tests the visitor reports being in
+ */
+export async function recordAbConversion(shop, visitorId, type, testIds) {
+  const exposures = await prisma.abTestExposure.findMany({
+    where: { shop, visitorId, testId: { in: testIds } },
+    select: { testId: true, variantId: true },
+  });
+  if (!exposures.length) return;
+
+  await prisma.abTestConversion.createMany({
+    data: exposures.map(({ testId, variantId }) => ({ shop, testId, variantId, visitorId, type })),
+    skipDuplicates: true,
+  });
+}
+
+/**
+ * Per-variant totals for a shop's tests
+ * @param {string} shop - Shop domain
+ * @param {string[]} testIds - Tests to report on
+ * @returns {Promise<Object<string, Object<string, { visitors: number, impressions: number, add_to_cart: number, checkout: number }>>>}
+ *   testId -> variantId -> totals
+ */
+export async function getAbTestResults(shop, testIds) {
+  if (!testIds.length) return {};
+
+  const [exposures, conversions] = await Promise.all([
+    prisma.abTestExposure.groupBy({
+      by: ["testId", "variantId"],
+      where: { shop, testId: { in: testIds } },
+      _count: { _all: true },
+      _sum: { impressions: true },
+    }),
+    prisma.abTestConversion.groupBy({
+      by: ["testId", "variantId", "type"],
+      where: { shop, testId: { in: testIds } },
+      _count: { _all: true },
+    }),
+  ]);
+
+  const results = {};
+  const totalsFor = (testId, variantId) => {
+    results[testId] ??= {};
+    results[testId][variantId] ??= { visitors: 0, impressions: 0, add_to_cart: 0, checkout: 0 };
+    return results[testId][variantId];
+  };
+
+  for (const row of exposures) {
+    const totals = totalsFor(row.testId, row.variantId);
+    totals.visitors = row._count._all;
+    totals.impressions = row._sum.impressions ?? 0;
+  }
+  for (const row of conversions) {
+    if (AB_CONVERSION_TYPES.includes(row.type)) totalsFor(row.testId, row.variantId)[row.type] = row._count._all;
+  }
+  return results;
+}
+
+/**
+ * Every test a shop has data for, newest first
+ * Includes tests that were restarted or removed from their rule since.
+ * @param {string} shop - Shop domain
+ * @returns {Promise<{ testId: string, ruleId: string, firstSeen: Date, lastSeen: Date }[]>}
+ */
+export async function listAbTests(shop) {
+  const rows = await prisma.abTestExposure.groupBy({
+    by: ["testId", "ruleId"],
+    where: { shop },
+    _min: { createdAt: true },
+    _max: { updatedAt: true },
+  });
+  return rows
+    .map((row) => ({ testId: row.testId, ruleId: row.ruleId, firstSeen: row._min.createdAt, lastSeen: row._max.updatedAt }))
+    .sort((a, b) => b.firstSeen.getTime() - a.firstSeen.getTime());
+}
@@ -0,0 +1,129 @@
+import prisma from "../db.server";
+import { TAGS_ADD } from "../graphql/queries";
+import { missingAutoTags, productFromWebhookPayload } from "../utils/autoTagRules";
+import { safeLogError } from "../utils/validation";
+
+// Activity older than this is dropped whenever the Tag Manager loads it
+const ACTIVITY_RETENTION_DAYS = 90;
+
+const fromRow = (row) => ({
+  id: row.id,
+  name: row.name,
+  enabled: row.enabled,
+  conditions: JSON.parse(row.conditions),
+  tags: JSON.parse(row.tags),
+  updatedAt: row.updatedAt.toISOString(),
+});
+
+/**
+ * A shop's auto-tag rules, oldest first
+ * @param {string} shop - Shop domain
+ * @param {{ enabledOnly?: boolean }} [options]
+ * @returns {Promise<Object[]>}
+ */
+export async function listAutoTagRules(shop, { enabledOnly = false } = {}) {
+  const rows = await prisma.autoTagRule.findMany({
+    where: enabledOnly ? { shop, enabled: true } : { shop },
+    orderBy: { createdAt: "asc" },
+  });
+  return rows.map(fromRow);
+}
+
+/**
+ * Create a rule, or update it when it has the id of one of the shop's rules
+ * @param {string} shop - Shop domain
+ * @param {Object} rule - Already validated
+ * @returns {Promise<Object>} - The saved rule
+ */
+export async function saveAutoTagRule(shop, { id, name, enabled, conditions, tags }) {
+  const data = { name, enabled, conditions: JSON.stringify(conditions), tags: JSON.stringify(tags) };
+  if (id) {
+    const { count } = await prisma.autoTagRule.updateMany({ where: { id, shop }, data });
+    if (count) return fromRow(await prisma.autoTagRule.findUnique({ where: { id } }));
+  }
+  return fromRow(await prisma.autoTagRule.create({ data: { shop, ...data } }));
+}
+
+/**
+ * Delete one of the shop's rules (its activity stays)
+ * @param {string} shop - Shop domain
+ * @param {string} id - Rule id
+ */
+export function deleteAutoTagRule(shop, id) {
+  return prisma.autoTagRule.deleteMany({ where: { id, shop } });
+}
+
+/**
+ * Apply the shop's enabled rules to a product from a products/create or products/update webhook
+ * Adds the tags in one call and logs an activity row per rule that added something.
+ * @param {Object} admin - Admin API client from authenticate.webhook
+ * @param {string} shop - Shop domain
+ * @param {Object} payload - Webhook payload (REST product)
+ * @returns {Promise<string[]>} - Tags added (none if adding them failed)
+ */
+export async function applyAutoTagRules(admin, shop, payload) {
+  const rules = await listAutoTagRules(shop, { enabledOnly: true });
+  if (!rules.length) return [];
+
+  const product = productFromWebhookPayload(payload);
+  const applied = rules
+    .map((rule) => ({ rule, tags: missingAutoTags(product, rule) }))
+    .filter(({ tags }) => tags.length > 0);
+  if (!applied.length) return [];
+
+  const tags = [...new Set(applied.flatMap(({ tags }) => tags))];
+  let error = null;
+  try {
+    const res = await admin.graphql(TAGS_ADD, { variables: { id: product.id, tags } });
+    const json = await res.json();
+    error = json.errors?.[0]?.message || json.data?.tagsAdd?.userErrors?.[0]?.message || null;
+  } catch (err) {
+    error = err.message;
+  }
+
+  await prisma.autoTagActivity.createMany({
+    data: applied.map(({ rule, tags: ruleTags }) => ({
+      shop,
+      ruleId: rule.id,
+      ruleName: rule.name,
+      productId: product.id,
+      productTitle: product.title,
+      tags: JSON.stringify(ruleTags),
+      error,
+    })),
+  });
+
+  // Not rethrown: a retried webhook would fail the same way, and the activity log shows the error
+  if (error) {
+    safeLogError(`Auto-tag failed for ${product.id} on ${shop}`, new Error(error));
+    return [];
+  }
+  return tags;
+}
+
+/**
+ * Latest auto-tag activity for the Tag Manager, after dropping rows past the retention window
+ * @param {string} shop - Shop domain
+ * @param {number} [limit=50]
+ * @returns {Promise<Object[]>}
+ */
+export async function listAutoTagActivity(shop, limit = 50) {
+  const cutoff = new Date(Date.now() - ACTIVITY_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  await prisma.autoTagActivity.deleteMany({ where: { shop, createdAt: { lt: cutoff } } });
+
+  const rows = await prisma.autoTagActivity.findMany({
+    where: { shop },
+    orderBy: { createdAt: "desc" },
+    take: limit,
+  });
+  return rows.map((row) => ({
+    id: row.id,
+    ruleId: row.ruleId,
+    ruleName: row.ruleName,
+    productId: row.productId,
+    productTitle: row.productTitle,
+    tags: JSON.parse(row.tags),
+    error: row.error,
+    createdAt: row.createdAt.toISOString(),
+  }));
+}
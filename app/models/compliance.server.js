@@ -0,0 +1,75 @@
+import { Prisma } from "@prisma/client";
+import prisma from "../db.server";
+import { safeLogError } from "../utils/validation";
+
+// Kept when a shop is redacted: the record that the redaction happened
+const RETAINED_MODELS = ["ComplianceAudit"];
+
+// WebhookEvent rows only guard against duplicate deliveries, which Shopify retries for up to 48 hours
+const WEBHOOK_EVENT_RETENTION_DAYS = 30;
+const PRUNE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+let lastPruneAt = 0;
+
+/**
+ * Names of the models holding shop data: every model with a `shop` column,
+ * so tables added later are purged on shop/redact without changes here
+ * @returns {string[]}
+ */
+export function getShopScopedModels() {
+  return Prisma.dmmf.datamodel.models
+    .filter((model) => !RETAINED_MODELS.includes(model.name) && model.fields.some((field) => field.name === "shop"))
+    .map((model) => model.name);
+}
+
+/**
+ * Delete everything stored for a shop, in one transaction
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Object<string, number>>} - Rows removed per model
+ */
+export async function purgeShopData(shop) {
+  const models = getShopScopedModels();
+  const results = await prisma.$transaction(
+    models.map((name) => prisma[name.charAt(0).toLowerCase() + name.slice(1)].deleteMany({ where: { shop } }))
+  );
+  return Object.fromEntries(models.map((name, i) => [name, results[i].count]));
+}
+
+/**
+ * Record the handling of a compliance webhook
+ * @param {Object} entry
+ * @param {string} entry.shop - Shop domain
+ * @param {string} entry.topic - Webhook topic
+ * @param {string|null} entry.webhookId - X-Shopify-Webhook-Id
+ * @param {Object} entry.summary - What was found or removed (counts only, never customer details)
+ */
+export function recordComplianceAudit({ shop, topic, webhookId, summary }) {
+  return prisma.complianceAudit.create({
+    data: { shop, topic, webhookId, summary: JSON.stringify(summary) },
+  });
+}
+
+/**
+ * Delete WebhookEvent rows past the retention window
+ * @param {number} [olderThanDays]
+ * @returns {Promise<number>} - Rows removed
+ */
+export async function pruneWebhookEvents(olderThanDays = WEBHOOK_EVENT_RETENTION_DAYS) {
+  const cutoff = new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000);
+  const { count } = await prisma.webhookEvent.deleteMany({ where: { createdAt: { lt: cutoff } } });
+  return count;
+}
+
+/**
+ * Run pruneWebhookEvents() at most once a day per server process, in the background
+ * Called on incoming webhooks, which are the only thing that adds rows.
+ */
+export function scheduleWebhookEventPrune() {
+  if (Date.now() - lastPruneAt < PRUNE_INTERVAL_MS) return;
+  lastPruneAt = Date.now();
+  pruneWebhookEvents()
+    .then((count) => {
+      if (count) console.log(`Pruned ${count} webhook events older than ${WEBHOOK_EVENT_RETENTION_DAYS} days`);
+    })
+    .catch((error) => safeLogError("Failed to prune webhook events", error));
+}
@@ -0,0 +1,137 @@
+import prisma from "../db.server";
+import { safeLogError } from "../utils/validation";
+import { GET_SHOP_DELIVERY_DATA, METAFIELD_NAMESPACE, CONFIG_KEY, SETTINGS_KEY, ICONS_KEY } from "../graphql/queries";
+
+// Versions kept per shop and kind; older ones are pruned on save.
+// Every auto-save is its own version, so this covers a few long editing sessions.
+const MAX_VERSIONS = 200;
+
+export const HISTORY_KINDS = [CONFIG_KEY, SETTINGS_KEY];
+
+/**
+ * Best available name for the staff member behind an admin request
+ * Offline sessions carry no user details, so fall back to the session token's user id.
+ * @param {Object} auth - Result of authenticate.admin()
+ * @returns {string|null}
+ */
+export function getHistoryAuthor({ session, sessionToken } = {}) {
+  const name = [session?.firstName, session?.lastName].filter(Boolean).join(" ");
+  if (name) return name;
+  if (session?.email) return session.email;
+  return sessionToken?.sub ? `Staff user ${sessionToken.sub}` : null;
+}
+
+/**
+ * Record the current metafield values as a baseline the first time a shop saves
+ * Call before writing, so the state from before history existed can be restored.
+ * @param {Object} admin - Admin API client
+ * @param {string} shop - Shop domain
+ */
+export async function ensureHistoryBaseline(admin, shop) {
+  try {
+    if (await prisma.configVersion.count({ where: { shop } })) return;
+
+    const res = await admin.graphql(GET_SHOP_DELIVERY_DATA, {
+      variables: {
+        namespace: METAFIELD_NAMESPACE,
+        configKey: CONFIG_KEY,
+        settingsKey: SETTINGS_KEY,
+        iconsKey: ICONS_KEY,
+      },
+    });
+    const json = await res.json();
+    const data = [
+      { kind: CONFIG_KEY, value: json?.data?.shop?.config?.value },
+      { kind: SETTINGS_KEY, value: json?.data?.shop?.settings?.value },
+    ].filter((v) => v.value);
+
+    if (data.length) {
+      await prisma.configVersion.createMany({
+        data: data.map(({ kind, value }) => ({
+          shop,
+          kind,
+          value,
+          size: Buffer.byteLength(value),
+          author: null,
+          source: "baseline",
+        })),
+      });
+    }
+  } catch (error) {
+    safeLogError("Failed to record history baseline", error);
+  }
+}
+
+/**
+ * Record saved metafield values, one version per save
+ * Never throws: a history failure must not fail the save itself.
+ * @param {string} shop - Shop domain
+ * @param {{ kind: string, value: string }[]} snapshots - Values just written
+ * @param {{ author: string|null, source: string }} meta - Who saved and from where
+ */
+export async function recordConfigVersions(shop, snapshots, { author, source }) {
+  for (const { kind, value } of snapshots) {
+    if (!HISTORY_KINDS.includes(kind) || typeof value !== "string") continue;
+    try {
+      const latest = await prisma.configVersion.findFirst({
+        where: { shop, kind },
+        orderBy: { createdAt: "desc" },
+      });
+      if (latest?.value === value) continue;
+
+      await prisma.configVersion.create({
+        data: { shop, kind, value, size: Buffer.byteLength(value), author, source },
+      });
+      await pruneVersions(shop, kind);
+    } catch (error) {
+      safeLogError(`Failed to record ${kind} history`, error);
+    }
+  }
+}
+
+async function pruneVersions(shop, kind) {
+  const stale = await prisma.configVersion.findMany({
+    where: { shop, kind },
+    orderBy: { createdAt: "desc" },
+    skip: MAX_VERSIONS,
+    select: { id: true },
+  });
+  if (stale.length) {
+    await prisma.configVersion.deleteMany({ where: { id: { in: stale.map((v) => v.id) } } });
+  }
+}
+
+/**
+ * List a shop's versions, newest first (without the snapshot values)
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Object[]>}
+ */
+export function listConfigVersions(shop) {
+  return prisma.configVersion.findMany({
+    where: { shop },
+    orderBy: { createdAt: "desc" },
+    select: { id: true, kind: true, size: true, author: true, source: true, createdAt: true },
+  });
+}
+
+/**
+ * Load one version, scoped to the shop
+ * @param {string} shop - Shop domain
+ * @param {string} id - Version id
+ * @returns {Promise<Object|null>}
+ */
+export function getConfigVersion(shop, id) {
+  return prisma.configVersion.findFirst({ where: { shop, id } });
+}
+
+/**
+ * Load the version saved just before another one of the same kind
+ * @param {Object} version - Version to look behind
+ * @returns {Promise<Object|null>}
+ */
+export function getPreviousConfigVersion(version) {
+  return prisma.configVersion.findFirst({
+    where: { shop: version.shop, kind: version.kind, createdAt: { lt: version.createdAt } },
+    orderBy: { createdAt: "desc" },
+  });
+}
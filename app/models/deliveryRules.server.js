@@ -1,9 +1,15 @@
 import { safeLogError } from "../utils/validation";
+import { SET_METAFIELDS_MINIMAL } from "../graphql/queries";
+import { ensureHistoryBaseline, recordConfigVersions } from "./configHistory.server";
 
 const NAMESPACE = "delivery_rules";
 const CONFIG_KEY = "config";
 const SETTINGS_KEY = "settings";
 const ICONS_KEY = "icons";
+const STOREFRONT_TOKEN_KEY = "storefront_token";
+
+// Storefront API token the cart bar uses to look up product tags (tokenless requests can't read them)
+const STOREFRONT_TOKEN_TITLE = "Delivery Info — cart exclusions";
 
 const CONFIG_NAME = "Delivery Info — Rule Configuration";
 const CONFIG_DESCRIPTION =
@@ -161,6 +167,148 @@ export async function ensureDeliveryRulesDefinition(admin) {
   };
 }
 
+const GET_SETTINGS_FOR_UPDATE = `#graphql
+  query GetDeliveryRulesSettingsForUpdate($namespace: String!, $key: String!) {
+    shop {
+      settings: metafield(namespace: $namespace, key: $key) {
+        value
+        compareDigest
+      }
+    }
+  }
+`;
+
+/**
+ * Keep settings.shop_timezone in step with the shop's IANA timezone
+ * The storefront countdown reads it from the settings metafield, so a change to
+ * the store timezone is picked up on the next admin visit without a manual save.
+ * The settings are re-read just before writing and written with their compareDigest,
+ * so a save made in the meantime is never overwritten (the sync then waits for the
+ * next visit). The write is recorded in config history like any other save.
+ * @param {Object} admin - Admin API client
+ * @param {string} shop - Shop domain
+ * @param {string} shopId - Shop GID (metafield owner)
+ * @param {string} settingsValue - Settings metafield value the loader read, to skip the sync when already current
+ * @param {string} ianaTimezone - Shop.ianaTimezone, e.g. "Europe/London"
+ */
+export async function syncShopTimezone(admin, shop, shopId, settingsValue, ianaTimezone) {
+  if (!settingsValue || !ianaTimezone || !shopId) return;
+  const parse = (value) => {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return null; // Unreadable settings are reported by the loader
+    }
+  };
+  if (parse(settingsValue)?.shop_timezone === ianaTimezone) return;
+
+  try {
+    const current = await admin.graphql(GET_SETTINGS_FOR_UPDATE, {
+      variables: { namespace: NAMESPACE, key: SETTINGS_KEY },
+    });
+    const metafield = (await current.json())?.data?.shop?.settings;
+    const settings = metafield?.value ? parse(metafield.value) : null;
+    if (!settings || settings.shop_timezone === ianaTimezone) return;
+
+    await ensureHistoryBaseline(admin, shop);
+    const value = JSON.stringify({ ...settings, shop_timezone: ianaTimezone });
+    const res = await admin.graphql(SET_METAFIELDS_MINIMAL, {
+      variables: {
+        metafields: [
+          {
+            ownerId: shopId,
+            namespace: NAMESPACE,
+            key: SETTINGS_KEY,
+            type: "json",
+            value,
+            compareDigest: metafield.compareDigest,
+          },
+        ],
+      },
+    });
+    const json = await res.json();
+    const errors = json.errors || json?.data?.metafieldsSet?.userErrors || [];
+    if (errors.length) {
+      safeLogError("Failed to sync shop timezone", errors);
+      return;
+    }
+    await recordConfigVersions(shop, [{ kind: SETTINGS_KEY, value }], { author: null, source: "timezone" });
+  } catch (error) {
+    safeLogError("Failed to sync shop timezone", error);
+  }
+}
+
+const GET_STOREFRONT_TOKEN = `#graphql
+  query GetDeliveryRulesStorefrontToken($namespace: String!, $key: String!) {
+    shop {
+      storefrontAccessTokens(first: 100) {
+        nodes { title accessToken }
+      }
+      token: metafield(namespace: $namespace, key: $key) { value }
+    }
+  }
+`;
+
+const CREATE_STOREFRONT_TOKEN = `#graphql
+  mutation CreateDeliveryRulesStorefrontToken($input: StorefrontAccessTokenInput!) {
+    storefrontAccessTokenCreate(input: $input) {
+      storefrontAccessToken { accessToken }
+      userErrors { field message }
+    }
+  }
+`;
+
+/**
+ * Make sure the storefront_token metafield holds a working Storefront API token
+ * The cart bar sends it when it looks up the tags of cart products for tag exclusions;
+ * without it every product is fetched on its own. The app's token is reused, or created
+ * once, and the metafield is only written when it doesn't already hold it.
+ * @param {Object} admin - Admin API client
+ * @param {string} shopId - Shop GID (metafield owner)
+ */
+export async function ensureStorefrontToken(admin, shopId) {
+  if (!shopId) return;
+  try {
+    const res = await admin.graphql(GET_STOREFRONT_TOKEN, {
+      variables: { namespace: NAMESPACE, key: STOREFRONT_TOKEN_KEY },
+    });
+    const json = await res.json();
+    if (json.errors) {
+      safeLogError("Failed to read the storefront token", json.errors);
+      return;
+    }
+    const shop = json?.data?.shop;
+    let token = (shop?.storefrontAccessTokens?.nodes || []).find((t) => t.title === STOREFRONT_TOKEN_TITLE)?.accessToken;
+    if (token && shop?.token?.value === token) return;
+
+    if (!token) {
+      const createRes = await admin.graphql(CREATE_STOREFRONT_TOKEN, {
+        variables: { input: { title: STOREFRONT_TOKEN_TITLE } },
+      });
+      const createJson = await createRes.json();
+      const errors = createJson.errors || createJson?.data?.storefrontAccessTokenCreate?.userErrors || [];
+      if (errors.length) {
+        safeLogError("Failed to create the storefront token", errors);
+        return;
+      }
+      token = createJson.data.storefrontAccessTokenCreate.storefrontAccessToken.accessToken;
+    }
+
+    const setRes = await admin.graphql(SET_METAFIELDS_MINIMAL, {
+      variables: {
+        metafields: [
+          { ownerId: shopId, namespace: NAMESPACE, key: STOREFRONT_TOKEN_KEY, type: "single_line_text_field", value: token },
+        ],
+      },
+    });
+    const setJson = await setRes.json();
+    const errors = setJson.errors || setJson?.data?.metafieldsSet?.userErrors || [];
+    if (errors.length) safeLogError("Failed to save the storefront token", errors);
+  } catch (error) {
+    safeLogError("Failed to set up the storefront token", error);
+  }
+}
+
 // Export keys for use in other files
 export { ICONS_KEY };
 
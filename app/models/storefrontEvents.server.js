@@ -0,0 +1,81 @@
+import prisma from "../db.server";
+
+export const STOREFRONT_EVENT_TYPES = ["rule_shown", "cutoff_fallback", "fd_progress", "fd_unlocked"];
+
+// Events tied to the rule whose message was on the page
+const RULE_EVENT_TYPES = ["rule_shown", "cutoff_fallback"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Midnight UTC of the given time, as stored in the day column
+const utcDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+/**
+ * Add a batch of storefront events to today's counts
+ * @param {string} shop - Shop domain
+ * @param {{ type: string, rule?: string }[]} events - Already validated
+ */
+export async function recordStorefrontEvents(shop, events) {
+  const day = utcDay(new Date());
+
+  // Collapse the batch first: one upsert per counter, not per event
+  const counts = new Map();
+  for (const { type, rule } of events) {
+    const ruleId = RULE_EVENT_TYPES.includes(type) ? rule || "" : "";
+    const key = `${type}\n${ruleId}`;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+
+  for (const [key, count] of counts) {
+    const [event, ruleId] = key.split("\n");
+    await prisma.storefrontEventDaily.upsert({
+      where: { shop_day_event_ruleId: { shop, day, event, ruleId } },
+      create: { shop, day, event, ruleId, count },
+      update: { count: { increment: count } },
+    });
+  }
+}
+
+/**
+ * Storefront event counts for the dashboard charts
+ * @param {string} shop - Shop domain
+ * @param {number} [days=30] - How many days back, including today
+ * @returns {Promise<{ days: Object[], rules: Object[], totals: Object }>}
+ *   days: one entry per day (oldest first) with a count per event type;
+ *   rules: per rule id, its rule_shown and cutoff_fallback counts, most shown first
+ */
+export async function getStorefrontActivity(shop, days = 30) {
+  const today = utcDay(new Date());
+  const since = new Date(today.getTime() - (days - 1) * DAY_MS);
+
+  const rows = await prisma.storefrontEventDaily.findMany({
+    where: { shop, day: { gte: since } },
+    select: { day: true, event: true, ruleId: true, count: true },
+  });
+
+  const emptyCounts = () => Object.fromEntries(STOREFRONT_EVENT_TYPES.map((type) => [type, 0]));
+  const byDay = new Map();
+  for (let i = 0; i < days; i++) {
+    const date = new Date(since.getTime() + i * DAY_MS).toISOString().slice(0, 10);
+    byDay.set(date, { date, ...emptyCounts() });
+  }
+  const byRule = new Map();
+  const totals = emptyCounts();
+
+  for (const row of rows) {
+    if (!STOREFRONT_EVENT_TYPES.includes(row.event)) continue;
+    const day = byDay.get(row.day.toISOString().slice(0, 10));
+    if (day) day[row.event] += row.count;
+    totals[row.event] += row.count;
+    if (row.ruleId) {
+      if (!byRule.has(row.ruleId)) byRule.set(row.ruleId, { ruleId: row.ruleId, rule_shown: 0, cutoff_fallback: 0 });
+      byRule.get(row.ruleId)[row.event] += row.count;
+    }
+  }
+
+  return {
+    days: [...byDay.values()],
+    rules: [...byRule.values()].sort((a, b) => b.rule_shown - a.rule_shown),
+    totals,
+  };
+}
@@ -0,0 +1,185 @@
+import prisma from "../db.server";
+import { GET_PRODUCTS_TAGS, TAGS_ADD, TAGS_REMOVE } from "../graphql/queries";
+import { needsTagChange } from "../utils/tagChanges";
+
+export const TAG_BATCH_SOURCES = ["manual", "bulk", "revert"];
+
+const BATCH_RETENTION_DAYS = 365;
+
+const LIST_LIMIT = 200;
+
+// Every column but the per-product results
+const SUMMARY_SELECT = {
+  id: true, author: true, action: true, tag: true, source: true, description: true, productCount: true,
+  failedCount: true, jobId: true, revertOfId: true, revertedAt: true, revertedById: true, createdAt: true,
+};
+
+const toBatch = (row) => ({
+  id: row.id,
+  author: row.author,
+  action: row.action,
+  tag: row.tag,
+  source: row.source,
+  description: row.description,
+  productCount: row.productCount,
+  failedCount: row.failedCount,
+  jobId: row.jobId,
+  revertOfId: row.revertOfId,
+  revertedAt: row.revertedAt?.toISOString() || null,
+  revertedById: row.revertedById,
+  createdAt: row.createdAt.toISOString(),
+});
+
+/**
+ * Add or remove a tag on a few products, one request per product
+ * Reads each product's tags first, so the result says whether the product actually changed.
+ * @param {Object} admin - Admin API client
+ * @param {"add"|"remove"} action
+ * @param {string} tag
+ * @param {string[]} productIds
+ * @returns {Promise<{ id: string, title: string, ok: boolean, changed: boolean, tags?: string[], error?: string }[]>}
+ */
+export async function runTagBatch(admin, action, tag, productIds) {
+  const before = new Map();
+  try {
+    const res = await admin.graphql(GET_PRODUCTS_TAGS, { variables: { ids: productIds } });
+    const json = await res.json();
+    for (const node of json.data?.nodes || []) {
+      if (node?.id) before.set(node.id, node);
+    }
+  } catch {
+    // Not essential: without it every product counts as changed
+  }
+
+  const mutation = action === "add" ? TAGS_ADD : TAGS_REMOVE;
+  const results = [];
+  for (const productId of productIds) {
+    const product = before.get(productId);
+    const title = product?.title || "";
+    const changed = product ? needsTagChange(product.tags, action, tag) : true;
+    try {
+      const res = await admin.graphql(mutation, { variables: { id: productId, tags: [tag] } });
+      const json = await res.json();
+      const data = action === "add" ? json.data?.tagsAdd : json.data?.tagsRemove;
+      const errors = data?.userErrors || [];
+      if (errors.length > 0) {
+        results.push({ id: productId, title, ok: false, changed: false, error: errors[0].message });
+      } else {
+        results.push({ id: productId, title, ok: true, changed, tags: data?.node?.tags || [] });
+      }
+    } catch (err) {
+      results.push({ id: productId, title, ok: false, changed: false, error: err.message });
+    }
+  }
+  return results;
+}
+
+/**
+ * Record a Tag Manager change in the activity log
+ * A revert also marks the batch it reverted.
+ * @param {string} shop - Shop domain
+ * @param {Object} batch
+ * @param {string|null} batch.author
+ * @param {"add"|"remove"} batch.action
+ * @param {string} batch.tag
+ * @param {string} batch.source - One of TAG_BATCH_SOURCES
+ * @param {string} batch.description
+ * @param {Object[]} batch.results - Per product: { id, title, ok, changed, error }
+ * @param {string} [batch.jobId]
+ * @param {string} [batch.revertOfId]
+ * @returns {Promise<Object>}
+ */
+export async function recordTagBatch(shop, { author, action, tag, source, description, results, jobId = null, revertOfId = null }) {
+  const cutoff = new Date(Date.now() - BATCH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  await prisma.tagChangeBatch.deleteMany({ where: { shop, createdAt: { lt: cutoff } } });
+
+  const stored = results.map(({ id, title, ok, changed, error }) => ({ id, title: title || "", ok, changed, ...(error ? { error } : {}) }));
+  const row = await prisma.tagChangeBatch.create({
+    data: {
+      shop,
+      author,
+      action,
+      tag,
+      source,
+      description,
+      results: JSON.stringify(stored),
+      productCount: stored.length,
+      failedCount: stored.filter((r) => !r.ok).length,
+      jobId,
+      revertOfId,
+    },
+  });
+  if (revertOfId) {
+    await prisma.tagChangeBatch.updateMany({ where: { id: revertOfId, shop }, data: { revertedById: row.id } });
+  }
+  return toBatch(row);
+}
+
+/**
+ * Activity log entries, newest first (without the per-product results)
+ * @param {string} shop - Shop domain
+ * @param {{ tag?: string, action?: string, source?: string, author?: string }} [filters]
+ * @returns {Promise<Object[]>}
+ */
+export async function listTagBatches(shop, { tag, action, source, author } = {}) {
+  const rows = await prisma.tagChangeBatch.findMany({
+    where: {
+      shop,
+      ...(tag ? { tag: { equals: tag, mode: "insensitive" } } : {}),
+      ...(action ? { action } : {}),
+      ...(source ? { source } : {}),
+      ...(author ? { author } : {}),
+    },
+    orderBy: { createdAt: "desc" },
+    take: LIST_LIMIT,
+    select: SUMMARY_SELECT,
+  });
+  return rows.map(toBatch);
+}
+
+/**
+ * Tags and staff members that appear in the log, for its filters
+ * @param {string} shop - Shop domain
+ * @returns {Promise<{ tags: string[], authors: string[] }>}
+ */
+export async function getTagBatchFilterOptions(shop) {
+  const [tags, authors] = await Promise.all([
+    prisma.tagChangeBatch.findMany({ where: { shop }, distinct: ["tag"], select: { tag: true }, orderBy: { tag: "asc" } }),
+    prisma.tagChangeBatch.findMany({ where: { shop, author: { not: null } }, distinct: ["author"], select: { author: true }, orderBy: { author: "asc" } }),
+  ]);
+  return { tags: tags.map((r) => r.tag), authors: authors.map((r) => r.author) };
+}
+
+/**
+ * One batch with its per-product results
+ * @param {string} shop - Shop domain
+ * @param {string} id - Batch id
+ * @returns {Promise<Object|null>}
+ */
+export async function getTagBatch(shop, id) {
+  const row = await prisma.tagChangeBatch.findFirst({ where: { id, shop } });
+  return row ? { ...toBatch(row), results: JSON.parse(row.results) } : null;
+}
+
+/**
+ * Claim a batch for reverting; false if it is already reverted or being reverted
+ * @param {string} shop - Shop domain
+ * @param {string} id - Batch id
+ * @returns {Promise<boolean>}
+ */
+export async function claimTagBatchRevert(shop, id) {
+  const { count } = await prisma.tagChangeBatch.updateMany({
+    where: { id, shop, revertedAt: null },
+    data: { revertedAt: new Date() },
+  });
+  return count > 0;
+}
+
+/**
+ * Let a batch be reverted again after a revert failed to run
+ * @param {string} shop - Shop domain
+ * @param {string} id - Batch id
+ */
+export function releaseTagBatchRevert(shop, id) {
+  return prisma.tagChangeBatch.updateMany({ where: { id, shop, revertedById: null }, data: { revertedAt: null } });
+}
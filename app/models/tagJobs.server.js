@@ -0,0 +1,272 @@
+import prisma from "../db.server";
+import {
+  BULK_OPERATION_RUN_QUERY,
+  BULK_OPERATION_RUN_MUTATION,
+  BULK_TAGS_ADD,
+  BULK_TAGS_REMOVE,
+  GET_BULK_OPERATION,
+  GET_PRODUCTS_TAGS,
+  STAGED_UPLOADS_CREATE,
+} from "../graphql/queries";
+import { splitTagChanges, tagJobResults } from "../utils/tagChanges";
+import { safeLogError } from "../utils/validation";
+import { recordTagBatch, releaseTagBatchRevert } from "./tagBatches.server";
+
+// Selections larger than this run as a bulk operation instead of one request per product
+export const BULK_TAG_THRESHOLD = 50;
+
+const ACTIVE_STATUSES = ["collecting", "uploading", "running"];
+
+// Shopify ends these bulk operations without finishing the work
+const STOPPED_OPERATION_STATUSES = ["FAILED", "CANCELED", "EXPIRED"];
+
+// "uploading" is only held while one request stages the file and starts the mutation;
+// a job still in it after this was interrupted (e.g. by a deploy)
+const UPLOAD_TIMEOUT_MS = 10 * 60 * 1000;
+
+const JOB_RETENTION_DAYS = 90;
+
+// Most ids one nodes() query accepts
+const TAG_READ_BATCH_SIZE = 250;
+
+const toJob = (row) => row && {
+  id: row.id,
+  action: row.action,
+  tag: row.tag,
+  description: row.description,
+  status: row.status,
+  active: ACTIVE_STATUSES.includes(row.status),
+  total: row.total,
+  processed: row.processed,
+  failed: row.failed,
+  error: row.error,
+  createdAt: row.createdAt.toISOString(),
+};
+
+async function graphqlData(admin, query, variables) {
+  const res = await admin.graphql(query, { variables });
+  const json = await res.json();
+  if (json.errors?.length) throw new Error(json.errors[0].message);
+  return json.data;
+}
+
+// Bulk operation output files are JSONL: one object per line
+async function downloadJsonl(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Download failed (${res.status})`);
+  return (await res.text()).split("\n").filter(Boolean).map((line) => JSON.parse(line));
+}
+
+async function failJob(job, error) {
+  if (job.revertOfId) await releaseTagBatchRevert(job.shop, job.revertOfId);
+  return prisma.tagJob.update({ where: { id: job.id }, data: { status: "failed", error } });
+}
+
+// Log the job's outcome per product from its result file: one line per product, in upload order.
+// Products with no line were never reached (the operation stopped early).
+async function recordJobBatch(job, resultsUrl, { stopped = false } = {}) {
+  const byLine = new Map();
+  if (resultsUrl) {
+    try {
+      for (const row of await downloadJsonl(resultsUrl)) byLine.set(row.__lineNumber, row);
+    } catch (error) {
+      safeLogError(`Tag job ${job.id} results could not be read`, error);
+    }
+  }
+  // Uploaded products all needed the change ("all matching" jobs only list those, selections
+  // are read first), so each success counts as changed
+  const results = tagJobResults(
+    { action: job.action, productIds: JSON.parse(job.productIds || "[]"), unchangedIds: JSON.parse(job.unchangedIds || "[]") },
+    byLine,
+    resultsUrl || stopped ? "Not reached" : null
+  );
+  await recordTagBatch(job.shop, {
+    author: job.author,
+    action: job.action,
+    tag: job.tag,
+    source: job.revertOfId ? "revert" : "bulk",
+    description: job.description,
+    results,
+    jobId: job.id,
+    revertOfId: job.revertOfId,
+  });
+  return results.filter((r) => !r.ok).length;
+}
+
+// Bulk query listing the ids of the products the job covers
+async function startProductQuery(admin, job) {
+  const args = job.query ? `(query: ${JSON.stringify(job.query)})` : "";
+  const data = await graphqlData(admin, BULK_OPERATION_RUN_QUERY, {
+    query: `{ products${args} { edges { node { id } } } }`,
+  });
+  const { bulkOperation, userErrors } = data.bulkOperationRunQuery;
+  if (userErrors.length) throw new Error(userErrors[0].message);
+  return prisma.tagJob.update({ where: { id: job.id }, data: { bulkOperationId: bulkOperation.id } });
+}
+
+// Current tags of the selected products, so the upload leaves out the ones already in the end state
+async function readProductTags(admin, productIds) {
+  const products = new Map();
+  for (let i = 0; i < productIds.length; i += TAG_READ_BATCH_SIZE) {
+    const data = await graphqlData(admin, GET_PRODUCTS_TAGS, { ids: productIds.slice(i, i + TAG_READ_BATCH_SIZE) });
+    for (const node of data.nodes || []) {
+      if (node?.id) products.set(node.id, node);
+    }
+  }
+  return products;
+}
+
+// Upload one line of variables per product, then run the tag mutation over the file
+async function startTagMutation(admin, job, productIds) {
+  if (productIds.length === 0) {
+    const done = await prisma.tagJob.update({ where: { id: job.id }, data: { status: "completed", total: 0, productIds: "[]" } });
+    // Nothing to upload, but a selection that was all in the end state is still logged
+    if (job.unchangedIds) await recordJobBatch(done, null);
+    return done;
+  }
+
+  const filename = `tag-job-${job.id}.jsonl`;
+  const staged = await graphqlData(admin, STAGED_UPLOADS_CREATE, {
+    input: [{ resource: "BULK_MUTATION_VARIABLES", filename, mimeType: "text/jsonl", httpMethod: "POST" }],
+  });
+  const { stagedTargets, userErrors: stageErrors } = staged.stagedUploadsCreate;
+  if (stageErrors.length) throw new Error(stageErrors[0].message);
+  const target = stagedTargets[0];
+
+  const jsonl = productIds.map((id) => JSON.stringify({ id, tags: [job.tag] })).join("\n");
+  const form = new FormData();
+  for (const { name, value } of target.parameters) form.append(name, value);
+  form.append("file", new Blob([jsonl], { type: "text/jsonl" }), filename);
+  const upload = await fetch(target.url, { method: "POST", body: form });
+  if (!upload.ok) throw new Error(`Upload failed (${upload.status})`);
+
+  const data = await graphqlData(admin, BULK_OPERATION_RUN_MUTATION, {
+    mutation: job.action === "add" ? BULK_TAGS_ADD : BULK_TAGS_REMOVE,
+    stagedUploadPath: target.parameters.find((p) => p.name === "key")?.value,
+  });
+  const { bulkOperation, userErrors } = data.bulkOperationRunMutation;
+  if (userErrors.length) throw new Error(userErrors[0].message);
+
+  return prisma.tagJob.update({
+    where: { id: job.id },
+    data: { status: "running", bulkOperationId: bulkOperation.id, total: productIds.length, productIds: JSON.stringify(productIds) },
+  });
+}
+
+/**
+ * The shop's unfinished job, if any (only one runs at a time)
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Object|null>}
+ */
+export async function getActiveTagJob(shop) {
+  return toJob(await prisma.tagJob.findFirst({
+    where: { shop, status: { in: ACTIVE_STATUSES } },
+    orderBy: { createdAt: "desc" },
+  }));
+}
+
+/**
+ * Start a job adding or removing a tag on many products
+ * Either productIds or query is given: a query job first lists the matching products with a bulk query.
+ * Selected products are read first, and the ones that already have (or lack) the tag are left out.
+ * @param {Object} admin - Admin API client
+ * @param {string} shop - Shop domain
+ * @param {Object} options
+ * @param {"add"|"remove"} options.action
+ * @param {string} options.tag
+ * @param {string} options.description - Which products, for the merchant
+ * @param {string[]} [options.productIds]
+ * @param {string|null} [options.query] - Product search query (null for all products)
+ * @param {string|null} [options.author] - Staff member starting it
+ * @param {string|null} [options.revertOfId] - Activity log batch this job reverts
+ * @returns {Promise<Object>} - The job; status "failed" if Shopify refused to start it
+ */
+export async function startTagJob(admin, shop, { action, tag, description, productIds, query = null, author = null, revertOfId = null }) {
+  const cutoff = new Date(Date.now() - JOB_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  await prisma.tagJob.deleteMany({ where: { shop, createdAt: { lt: cutoff }, status: { notIn: ACTIVE_STATUSES } } });
+
+  const job = await prisma.tagJob.create({
+    data: { shop, action, tag, description, query, author, revertOfId, status: productIds ? "uploading" : "collecting" },
+  });
+  try {
+    if (!productIds) return toJob(await startProductQuery(admin, job));
+    const { pending, unchanged } = splitTagChanges(productIds, await readProductTags(admin, productIds), action, tag);
+    const staged = await prisma.tagJob.update({ where: { id: job.id }, data: { unchangedIds: JSON.stringify(unchanged) } });
+    return toJob(await startTagMutation(admin, staged, pending));
+  } catch (error) {
+    safeLogError(`Tag job ${job.id} failed to start`, error);
+    return toJob(await failJob(job, error.message));
+  }
+}
+
+/**
+ * Check a job's bulk operation and move the job on: once the product query finishes, start the
+ * tag mutation; once that finishes, record the outcome. Called by progress polling and by the
+ * bulk_operations/finish webhook, so each step is claimed with a status check first.
+ * @param {Object} admin - Admin API client
+ * @param {string} shop - Shop domain
+ * @param {string} id - Job id
+ * @returns {Promise<Object|null>} - The job after the update
+ */
+export async function advanceTagJob(admin, shop, id) {
+  const job = await prisma.tagJob.findFirst({ where: { id, shop } });
+  if (!job || !ACTIVE_STATUSES.includes(job.status)) return toJob(job);
+
+  if (job.status === "uploading") {
+    if (Date.now() - job.updatedAt.getTime() < UPLOAD_TIMEOUT_MS) return toJob(job);
+    return toJob(await failJob(job, "The job was interrupted before it started. Please run it again."));
+  }
+
+  const data = await graphqlData(admin, GET_BULK_OPERATION, { id: job.bulkOperationId });
+  const operation = data.node;
+  if (!operation || STOPPED_OPERATION_STATUSES.includes(operation.status)) {
+    const error = `Shopify stopped the job (${operation?.errorCode || operation?.status || "not found"})`;
+    const { count } = await prisma.tagJob.updateMany({ where: { id: job.id, status: job.status }, data: { status: "failed", error } });
+    // Some products may have changed before it stopped, so a stopped mutation is still logged
+    if (count && job.status === "running") await recordJobBatch(job, operation?.partialDataUrl || null, { stopped: true });
+    else if (count && job.revertOfId) await releaseTagBatchRevert(shop, job.revertOfId);
+    return toJob(await prisma.tagJob.findUnique({ where: { id: job.id } }));
+  }
+
+  if (job.status === "collecting") {
+    if (operation.status !== "COMPLETED") return toJob(job);
+    const { count } = await prisma.tagJob.updateMany({ where: { id: job.id, status: "collecting" }, data: { status: "uploading" } });
+    if (!count) return toJob(await prisma.tagJob.findUnique({ where: { id: job.id } }));
+    try {
+      const productIds = operation.url ? (await downloadJsonl(operation.url)).map((row) => row.id) : [];
+      return toJob(await startTagMutation(admin, job, productIds));
+    } catch (error) {
+      safeLogError(`Tag job ${job.id} failed to start its mutation`, error);
+      return toJob(await failJob(job, error.message));
+    }
+  }
+
+  const processed = Number(operation.objectCount) || 0;
+  if (operation.status !== "COMPLETED") {
+    return toJob(await prisma.tagJob.update({ where: { id: job.id }, data: { processed } }));
+  }
+
+  const { count } = await prisma.tagJob.updateMany({
+    where: { id: job.id, status: "running" },
+    data: { status: "completed", processed },
+  });
+  if (count) {
+    const failed = await recordJobBatch(job, operation.url || operation.partialDataUrl);
+    await prisma.tagJob.update({ where: { id: job.id }, data: { failed } });
+  }
+  return toJob(await prisma.tagJob.findUnique({ where: { id: job.id } }));
+}
+
+/**
+ * Advance the job a finished bulk operation belongs to (bulk_operations/finish webhook)
+ * @param {Object} admin - Admin API client
+ * @param {string} shop - Shop domain
+ * @param {Object} payload - Webhook payload
+ */
+export async function handleBulkOperationFinish(admin, shop, payload) {
+  const job = await prisma.tagJob.findFirst({
+    where: { shop, bulkOperationId: payload.admin_graphql_api_id },
+    select: { id: true },
+  });
+  if (job) await advanceTagJob(admin, shop, job.id);
+}
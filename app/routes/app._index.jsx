@@ -2,12 +2,17 @@ import { useState, useEffect } from "react";
 import { useLoaderData, useRouteError, useFetcher, useNavigate } from "react-router";
 import { boundary } from "@shopify/shopify-app-react-router/server";
 import { authenticate } from "../shopify.server";
-import { ensureDeliveryRulesDefinition } from "../models/deliveryRules.server";
+import { ensureDeliveryRulesDefinition, ensureStorefrontToken, syncShopTimezone } from "../models/deliveryRules.server";
+import { ensureHistoryBaseline, getHistoryAuthor, recordConfigVersions } from "../models/configHistory.server";
+import { getStorefrontActivity } from "../models/storefrontEvents.server";
 import { newRuleId } from "../utils/idGenerators";
-import { HOLIDAY_DEFINITIONS } from "../utils/holidays";
+import { HOLIDAY_DEFINITIONS, getSubdivisions } from "../utils/holidays";
+import { getEffectiveLiveProfile } from "../utils/profileSchedules";
 import { getIconSvg, generateIconsMetafield } from "../utils/icons";
+import { safeLogError } from "../utils/validation";
 import { ColorPicker } from "../components/ColorPicker";
 import { FontSelector } from "../components/FontSelector";
+import { StorefrontActivity } from "../components/StorefrontActivity";
 import {
   GET_SHOP_DELIVERY_DATA,
   SET_METAFIELDS,
@@ -92,7 +97,8 @@ export const loader = async ({ request }) => {
       config = JSON.parse(configMf.value);
       // Check v2/v3 format for rules - only count LIVE profile's rules
       if ((config.version === 2 || config.version === 3) && config.profiles) {
-        const liveProfile = config.profiles.find(p => p.id === config.liveProfileId) || config.profiles[0];
+        const liveProfileId = getEffectiveLiveProfile(config).profileId;
+        const liveProfile = config.profiles.find(p => p.id === liveProfileId) || config.profiles[0];
         ruleCount = liveProfile?.rules?.length || 0;
         hasRules = ruleCount > 0;
       } else if (config.rules) {
@@ -112,10 +118,34 @@ export const loader = async ({ request }) => {
     }
   }
 
+  // The storefront countdown converts cutoffs with the shop's IANA timezone (DST-aware)
+  const shopTimezone = json?.data?.shop?.ianaTimezone || "";
+  if (shopTimezone) {
+    await syncShopTimezone(admin, shopDomain, shopId, settingsMf?.value, shopTimezone);
+    if (settings) settings.shop_timezone = shopTimezone;
+  }
+
+  // The cart bar's product tag lookups for free delivery exclusions need a Storefront API token
+  await ensureStorefrontToken(admin, shopId);
+
+  // Rule names for the activity charts, from every profile (beacons may predate a profile switch)
+  const ruleNames = {};
+  for (const profile of config?.profiles || [{ rules: config?.rules || [] }]) {
+    for (const rule of profile.rules || []) ruleNames[rule.id] = rule.name;
+  }
+
+  // Storefront beacon counts; the dashboard still loads without them
+  let activity = null;
+  try {
+    activity = await getStorefrontActivity(shopDomain);
+  } catch (error) {
+    safeLogError("Failed to load storefront activity", error);
+  }
+
   // Build bank holiday countries for dropdown
   const bankHolidayCountries = {};
   for (const [code, def] of Object.entries(HOLIDAY_DEFINITIONS)) {
-    bankHolidayCountries[code] = { name: def.name };
+    bankHolidayCountries[code] = { name: def.name, subdivisions: getSubdivisions(code) };
   }
 
   return {
@@ -126,6 +156,9 @@ export const loader = async ({ request }) => {
     settings,
     ruleCount,
     bankHolidayCountries,
+    shopTimezone,
+    activity,
+    ruleNames,
   };
 };
 
@@ -134,15 +167,17 @@ export const loader = async ({ request }) => {
 // ============================================================================
 
 export const action = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
+  const { admin, session, sessionToken } = await authenticate.admin(request);
   const formData = await request.formData();
 
   const shopId = formData.get("shopId");
   const actionType = formData.get("action");
+  const historyMeta = { author: getHistoryAuthor({ session, sessionToken }), source: "dashboard" };
 
   if (actionType === "saveSettings") {
     // Save settings only
     const settingsData = JSON.parse(formData.get("settingsData"));
+    await ensureHistoryBaseline(admin, session.shop);
 
     const setRes = await admin.graphql(SET_METAFIELDS_MINIMAL, {
       variables: {
@@ -163,6 +198,8 @@ export const action = async ({ request }) => {
       return { ok: false, error: "Failed to save settings" };
     }
 
+    await recordConfigVersions(session.shop, [{ kind: SETTINGS_KEY, value: JSON.stringify(settingsData) }], historyMeta);
+
     return { ok: true, action: "saveSettings" };
   }
 
@@ -231,6 +268,8 @@ export const action = async ({ request }) => {
       });
     }
 
+    await ensureHistoryBaseline(admin, session.shop);
+
     const setRes = await admin.graphql(SET_METAFIELDS_MINIMAL, {
       variables: { metafields },
     });
@@ -240,6 +279,8 @@ export const action = async ({ request }) => {
       return { ok: false, error: "Failed to save rule" };
     }
 
+    await recordConfigVersions(session.shop, metafields.map((mf) => ({ kind: mf.key, value: mf.value })), historyMeta);
+
     return { ok: true, action: "saveRule" };
   }
 
@@ -602,7 +643,7 @@ const WIZARD_ICON_OPTIONS = [
 ];
 
 export default function DashboardPage() {
-  const { shopDomain, shopId, hasRules, config, settings, ruleCount, bankHolidayCountries } = useLoaderData();
+  const { shopDomain, shopId, hasRules, config, settings, ruleCount, bankHolidayCountries, shopTimezone, activity, ruleNames } = useLoaderData();
   const fetcher = useFetcher();
   const navigate = useNavigate();
 
@@ -620,6 +661,7 @@ export default function DashboardPage() {
     cutoff_time: settings?.cutoff_time || "14:00",
     lead_time: settings?.lead_time ?? 0,
     bank_holiday_country: settings?.bank_holiday_country || "",
+    bank_holiday_subdivision: settings?.bank_holiday_subdivision || "",
     fd_threshold: settings?.fd_threshold ?? 0,
     preview_body_font: settings?.preview_body_font || "",
     preview_text_color: settings?.preview_text_color || "#000000",
@@ -721,6 +763,7 @@ export default function DashboardPage() {
     // Build global settings to save
     const newSettings = {
       ...(settings || {}),
+      ...(shopTimezone ? { shop_timezone: shopTimezone } : {}),
       preview_timezone: settingsData.preview_timezone,
       courier_delivery_days_min: settingsData.courier_delivery_days_min,
       courier_delivery_days_max: settingsData.courier_delivery_days_max,
@@ -731,6 +774,7 @@ export default function DashboardPage() {
       cutoff_time: settingsData.cutoff_time,
       lead_time: settingsData.lead_time,
       bank_holiday_country: settingsData.bank_holiday_country,
+      bank_holiday_subdivision: settingsData.bank_holiday_subdivision,
       fd_threshold: settingsData.fd_threshold,
       preview_body_font: settingsData.preview_body_font,
       preview_text_color: settingsData.preview_text_color,
@@ -1144,6 +1188,11 @@ export default function DashboardPage() {
         </s-section>
       )}
 
+      {/* Storefront Activity */}
+      <s-section>
+        <StorefrontActivity activity={activity} ruleNames={ruleNames} />
+      </s-section>
+
       {/* Settings Wizard Modal */}
       {showSettingsWizard && (
         <div
@@ -1203,7 +1252,7 @@ export default function DashboardPage() {
               <div>
                 <s-text variant="headingMd">Preview Timezone</s-text>
                 <s-box paddingBlockStart="base">
-                  <s-text tone="subdued">Match this to your Shopify store timezone so the preview matches your live storefront.</s-text>
+                  <s-text tone="subdued">Previews use your store timezone by default, the same as your live storefront. Pick another timezone only to preview it.</s-text>
                 </s-box>
                 <s-box paddingBlockStart="large">
                   <label style={{ display: "block", marginBottom: "8px" }}>
@@ -1220,7 +1269,7 @@ export default function DashboardPage() {
                       fontSize: "14px",
                     }}
                   >
-                    <option value="">Browser default</option>
+                    <option value="">{shopTimezone ? `Store timezone (${shopTimezone})` : "Browser default"}</option>
                     <optgroup label="UTC">
                       <option value="UTC">UTC</option>
                     </optgroup>
@@ -1552,7 +1601,11 @@ export default function DashboardPage() {
                   </label>
                   <select
                     value={settingsData.bank_holiday_country}
-                    onChange={(e) => handleSettingsChange("bank_holiday_country", e.target.value)}
+                    onChange={(e) => {
+                      // Subdivisions belong to one country, so reset it alongside
+                      handleSettingsChange("bank_holiday_country", e.target.value);
+                      handleSettingsChange("bank_holiday_subdivision", "");
+                    }}
                     style={{
                       width: "75%",
                       padding: "8px 12px",
@@ -1569,6 +1622,30 @@ export default function DashboardPage() {
                       ))}
                   </select>
                 </s-box>
+                {bankHolidayCountries[settingsData.bank_holiday_country]?.subdivisions?.length > 0 && (
+                  <s-box paddingBlockStart="base">
+                    <label htmlFor="bank-holiday-subdivision" style={{ display: "block", marginBottom: "8px" }}>
+                      <s-text variant="bodySm">Region</s-text>
+                    </label>
+                    <select
+                      id="bank-holiday-subdivision"
+                      value={settingsData.bank_holiday_subdivision}
+                      onChange={(e) => handleSettingsChange("bank_holiday_subdivision", e.target.value)}
+                      style={{
+                        width: "75%",
+                        padding: "8px 12px",
+                        border: "1px solid #d1d5db",
+                        borderRadius: "6px",
+                        fontSize: "14px",
+                      }}
+                    >
+                      <option value="">National holidays only</option>
+                      {bankHolidayCountries[settingsData.bank_holiday_country].subdivisions.map(({ code, name }) => (
+                        <option key={code} value={code}>{name}</option>
+                      ))}
+                    </select>
+                  </s-box>
+                )}
 
                 {/* Info tooltip */}
                 <div style={{ display: "flex", alignItems: "center", gap: 6, color: "var(--p-color-text-subdued, #6b7280)", marginTop: 16 }}>
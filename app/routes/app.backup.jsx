@@ -0,0 +1,334 @@
+// ============================================================================
+// IMPORTS
+// ============================================================================
+
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData, useRouteError } from "react-router";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import { ensureHistoryBaseline, getHistoryAuthor, recordConfigVersions } from "../models/configHistory.server";
+import { safeLogError, friendlyError, validateConfig } from "../utils/validation";
+import { buildConfigBundle, parseConfigBundle } from "../utils/configBundle";
+import { migrateToV2, migrateToV3 } from "../utils/configMigrations";
+import { replaceProfileRules, rulesFromCsv } from "../utils/rulesCsv";
+import { diffSnapshots } from "../utils/configDiff";
+import { downloadTextFile } from "../utils/download";
+import { ConfigDiffTable } from "../components/ConfigDiffTable";
+import { RulesCsvCard } from "../components/RulesCsvCard";
+import {
+  GET_SHOP_DELIVERY_DATA,
+  SET_METAFIELDS_MINIMAL,
+  METAFIELD_NAMESPACE,
+  CONFIG_KEY,
+  SETTINGS_KEY,
+  ICONS_KEY,
+} from "../graphql/queries";
+
+// Metafield JSON values are capped well below this; anything bigger isn't an export of ours
+const MAX_FILE_BYTES = 2 * 1024 * 1024;
+
+const cardStyle = {
+  border: "1px solid var(--p-color-border, #e5e7eb)",
+  borderRadius: 8,
+  padding: 16,
+  display: "grid",
+  gap: 12,
+  background: "var(--p-color-bg-surface-secondary, #f9fafb)",
+};
+
+const subduedStyle = { color: "var(--p-color-text-subdued, #6b7280)" };
+
+const parseJson = (value) => {
+  try {
+    return value ? JSON.parse(value) : null;
+  } catch {
+    return null;
+  }
+};
+
+async function fetchShopData(admin) {
+  const res = await admin.graphql(GET_SHOP_DELIVERY_DATA, {
+    variables: {
+      namespace: METAFIELD_NAMESPACE,
+      configKey: CONFIG_KEY,
+      settingsKey: SETTINGS_KEY,
+      iconsKey: ICONS_KEY,
+    },
+  });
+  const json = await res.json();
+  if (json.errors) {
+    safeLogError("Failed to fetch delivery data", json.errors);
+    return null;
+  }
+  return json?.data?.shop ?? null;
+}
+
+// ============================================================================
+// LOADER - Current config and settings (the export source and the import baseline)
+// ============================================================================
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+
+  const shop = await fetchShopData(admin);
+  if (!shop) {
+    throw new Error("Unable to load settings. Please refresh the page.");
+  }
+
+  return {
+    shopDomain: session.shop,
+    config: shop.config?.value ?? null,
+    settings: shop.settings?.value ?? null,
+  };
+};
+
+// ============================================================================
+// ACTION - Apply an imported bundle or rules CSV
+// ============================================================================
+
+// Config as stored may still be v1/v2; the editors always work on v3
+const toCurrentConfig = (configValue, settings) => {
+  const config = parseJson(configValue);
+  return config ? migrateToV3(migrateToV2(config), settings) : null;
+};
+
+export const action = async ({ request }) => {
+  const { admin, session, sessionToken } = await authenticate.admin(request);
+
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+  if (intent !== "import" && intent !== "importCsv") {
+    return { ok: false, error: "Unknown action." };
+  }
+
+  const shop = await fetchShopData(admin);
+  if (!shop?.id) {
+    return { ok: false, error: "Unable to import. Please try again." };
+  }
+  const currentSettings = parseJson(shop.settings?.value);
+
+  // Validate again here: the previews ran in the browser
+  let snapshots;
+  if (intent === "import") {
+    const bundleRaw = formData.get("bundle");
+    if (typeof bundleRaw !== "string" || !bundleRaw.trim()) {
+      return { ok: false, error: "No file to import." };
+    }
+    const result = parseConfigBundle(bundleRaw, currentSettings);
+    if (!result.ok) {
+      return { ok: false, error: result.error };
+    }
+    snapshots = [
+      { kind: CONFIG_KEY, value: JSON.stringify(result.config) },
+      { kind: SETTINGS_KEY, value: JSON.stringify(result.settings) },
+    ];
+  } else {
+    const csvRaw = formData.get("csv");
+    const profileId = String(formData.get("profileId") || "");
+    const config = toCurrentConfig(shop.config?.value, currentSettings);
+    const profile = config?.profiles?.find((p) => p.id === profileId);
+    if (!profile) {
+      return { ok: false, error: "That profile no longer exists. Refresh the page and try again." };
+    }
+    if (typeof csvRaw !== "string" || !csvRaw.trim()) {
+      return { ok: false, error: "No file to import." };
+    }
+    const result = rulesFromCsv(csvRaw, profile.rules);
+    if (!result.ok) {
+      const [first] = result.errors;
+      return { ok: false, error: `${first.row ? `Row ${first.row}: ` : ""}${first.message}` };
+    }
+    const validation = validateConfig(replaceProfileRules(config, profileId, result.rules));
+    if (!validation.success) {
+      safeLogError("CSV import produced an invalid config", new Error(validation.error));
+      return { ok: false, error: "These rules can't be saved. Please check the file and try again." };
+    }
+    snapshots = [{ kind: CONFIG_KEY, value: JSON.stringify(validation.data) }];
+  }
+
+  await ensureHistoryBaseline(admin, session.shop);
+
+  const setRes = await admin.graphql(SET_METAFIELDS_MINIMAL, {
+    variables: {
+      metafields: snapshots.map(({ kind, value }) => ({
+        ownerId: shop.id,
+        namespace: METAFIELD_NAMESPACE,
+        key: kind,
+        type: "json",
+        value,
+      })),
+    },
+  });
+
+  const setJson = await setRes.json();
+  if (setJson.errors) {
+    return { ok: false, error: friendlyError(setJson.errors, "Unable to import. Please try again.") };
+  }
+  const errors = setJson?.data?.metafieldsSet?.userErrors ?? [];
+  if (errors.length) {
+    return { ok: false, error: friendlyError(errors, "Unable to import this file.") };
+  }
+
+  await recordConfigVersions(
+    session.shop,
+    snapshots,
+    { author: getHistoryAuthor({ session, sessionToken }), source: intent === "import" ? "import" : "csv" }
+  );
+
+  return { ok: true };
+};
+
+// ============================================================================
+// MAIN COMPONENT
+// ============================================================================
+
+export default function BackupPage() {
+  const { shopDomain, config, settings } = useLoaderData();
+  const fetcher = useFetcher();
+  const csvFetcher = useFetcher();
+  const [fileName, setFileName] = useState("");
+  const [bundleText, setBundleText] = useState("");
+  const [preview, setPreview] = useState(null);
+  const [fileError, setFileError] = useState("");
+
+  // Clear the preview once the import has been applied (the loader has the new values)
+  useEffect(() => {
+    if (fetcher.state === "idle" && fetcher.data?.ok) {
+      setBundleText("");
+      setPreview(null);
+    }
+  }, [fetcher.state, fetcher.data]);
+
+  const handleExport = () => {
+    const bundle = buildConfigBundle({ config: parseJson(config), settings: parseJson(settings), shop: shopDomain });
+    downloadTextFile(
+      `delivery-messaging-${shopDomain.replace(".myshopify.com", "")}-${bundle.exportedAt.slice(0, 10)}.json`,
+      JSON.stringify(bundle, null, 2),
+      "application/json"
+    );
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    setPreview(null);
+    setBundleText("");
+    setFileError("");
+    if (!file) return;
+    setFileName(file.name);
+    if (file.size > MAX_FILE_BYTES) {
+      setFileError("This file is too large to be an export from this app.");
+      return;
+    }
+
+    const text = await file.text();
+    const result = parseConfigBundle(text, parseJson(settings));
+    if (!result.ok) {
+      setFileError(result.error);
+      return;
+    }
+    setBundleText(text);
+    setPreview({
+      shop: result.shop,
+      exportedAt: result.exportedAt,
+      profileCount: result.config.profiles.length,
+      ruleCount: result.config.profiles.reduce((sum, p) => sum + (p.rules || []).length, 0),
+      changes: [
+        ...diffSnapshots(CONFIG_KEY, config, JSON.stringify(result.config)),
+        ...diffSnapshots(SETTINGS_KEY, settings, JSON.stringify(result.settings)),
+      ],
+    });
+  };
+
+  const handleImport = () => {
+    const formData = new FormData();
+    formData.set("intent", "import");
+    formData.set("bundle", bundleText);
+    fetcher.submit(formData, { method: "POST" });
+  };
+
+  const isImporting = fetcher.state !== "idle";
+
+  return (
+    <s-page heading="Export & Import">
+      <div style={{ display: "grid", gap: 24, maxWidth: 1000 }}>
+
+        <div style={cardStyle}>
+          <s-heading>Export</s-heading>
+          <s-text size="small" style={subduedStyle}>
+            Download your rules, profiles, global settings and custom icons as one file, e.g. to copy a setup from
+            your staging store to your live store. Your store&apos;s timezone is not included.
+          </s-text>
+          <div>
+            <s-button onClick={handleExport} disabled={!config}>Download export</s-button>
+          </div>
+          {!config && <s-text size="small" style={subduedStyle}>Save some rules first — there is nothing to export yet.</s-text>}
+        </div>
+
+        <div style={cardStyle}>
+          <s-heading>Import</s-heading>
+          <s-text size="small" style={subduedStyle}>
+            Choose an export file to see what it would change. Nothing is saved until you apply it, and the settings it
+            replaces stay on the History page so you can restore them.
+          </s-text>
+          <div>
+            <input type="file" accept="application/json,.json" onChange={handleFile} aria-label="Export file to import" />
+          </div>
+
+          {fileError && (
+            <s-text style={{ color: "var(--p-color-text-critical, #dc2626)" }}>{fileName}: {fileError}</s-text>
+          )}
+          {fetcher.state === "idle" && fetcher.data?.ok && (
+            <s-text style={{ color: "var(--p-color-text-success, #047857)" }}>Import applied. It is live on your storefront now.</s-text>
+          )}
+          {fetcher.state === "idle" && fetcher.data?.error && (
+            <s-text style={{ color: "var(--p-color-text-critical, #dc2626)" }}>{fetcher.data.error}</s-text>
+          )}
+
+          {preview && (
+            <div style={{ display: "grid", gap: 12, padding: 12, borderRadius: 6, background: "var(--p-color-bg-surface, #ffffff)" }}>
+              <s-text>
+                <strong>{fileName}</strong>
+                {" — "}
+                {preview.profileCount} {preview.profileCount === 1 ? "profile" : "profiles"}, {preview.ruleCount} {preview.ruleCount === 1 ? "rule" : "rules"}
+                {preview.shop ? `, exported from ${preview.shop}` : ""}
+                {preview.exportedAt ? ` on ${new Date(preview.exportedAt).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" })}` : ""}
+              </s-text>
+
+              <ConfigDiffTable
+                changes={preview.changes}
+                beforeLabel="Now"
+                afterLabel="After import"
+                emptyText="This file matches your current setup — importing it would change nothing."
+              />
+
+              <div style={{ display: "flex", gap: 8 }}>
+                <s-button variant="primary" onClick={handleImport} disabled={preview.changes.length === 0 || isImporting} loading={isImporting}>
+                  Apply import
+                </s-button>
+                <s-button onClick={() => { setPreview(null); setBundleText(""); }} disabled={isImporting}>
+                  Cancel
+                </s-button>
+              </div>
+            </div>
+          )}
+        </div>
+
+        <RulesCsvCard config={toCurrentConfig(config, parseJson(settings))} fetcher={csvFetcher} />
+
+      </div>
+    </s-page>
+  );
+}
+
+// ============================================================================
+// ERROR BOUNDARY & HEADERS EXPORTS
+// ============================================================================
+
+export function ErrorBoundary() {
+  return boundary.error(useRouteError());
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
@@ -0,0 +1,411 @@
+// ============================================================================
+// IMPORTS
+// ============================================================================
+
+import { useEffect, useMemo, useRef, useState } from "react";
+import { Link, useFetcher, useLoaderData, useRouteError } from "react-router";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import { safeLogError } from "../utils/validation";
+import { migrateToV2, migrateToV3 } from "../utils/configMigrations";
+import { getEffectiveLiveProfile } from "../utils/profileSchedules";
+import { coverageToCsv, evaluateProductCoverage, productFromCoverageNode } from "../utils/ruleCoverage";
+import { downloadTextFile } from "../utils/download";
+import {
+  COVERAGE_PRODUCTS,
+  GET_SHOP_DELIVERY_DATA,
+  METAFIELD_NAMESPACE,
+  CONFIG_KEY,
+  SETTINGS_KEY,
+  ICONS_KEY,
+} from "../graphql/queries";
+
+// ============================================================================
+// DISPLAY HELPERS
+// ============================================================================
+
+// Products per Admin API page, and pages read per request to the action
+const PAGE_SIZE = 20;
+const PAGES_PER_REQUEST = 5;
+
+// Products listed for the selected filter (the CSV has all of them)
+const MAX_ROWS_SHOWN = 250;
+
+const UTF8_BOM = "\uFEFF";
+
+const FILTERS = {
+  flagged: "No match or several rules",
+  no_match: "No match",
+  multiple: "Several candidate rules",
+  all: "All products",
+};
+
+const cardStyle = {
+  border: "1px solid var(--p-color-border, #e5e7eb)",
+  borderRadius: 8,
+  padding: 16,
+  display: "grid",
+  gap: 12,
+  background: "var(--p-color-bg-surface-secondary, #f9fafb)",
+};
+
+const subduedStyle = { color: "var(--p-color-text-subdued, #6b7280)" };
+
+const criticalStyle = { color: "var(--p-color-text-critical, #dc2626)" };
+
+const cellStyle = { padding: "6px 8px", borderBottom: "1px solid var(--p-color-border, #e5e7eb)", textAlign: "left", verticalAlign: "top" };
+
+const numberCellStyle = { ...cellStyle, textAlign: "right", whiteSpace: "nowrap" };
+
+const productAdminUrl = (id) => `shopify://admin/products/${id.split("/").pop()}`;
+
+const parseJson = (value) => {
+  try {
+    return value ? JSON.parse(value) : null;
+  } catch {
+    return null;
+  }
+};
+
+const scanForm = (after) => {
+  const formData = new FormData();
+  formData.set("intent", "scan");
+  formData.set("after", after || "");
+  return formData;
+};
+
+const matchesFilter = (result, filter) => {
+  if (filter === "all") return true;
+  if (filter === "no_match") return !result.ruleId;
+  if (filter === "multiple") return result.multiple;
+  if (filter === "flagged") return !result.ruleId || result.multiple;
+  return result.candidateIds.includes(filter);
+};
+
+// ============================================================================
+// LOADER - The rules of the profile the storefront is showing now
+// ============================================================================
+
+export const loader = async ({ request }) => {
+  const { admin } = await authenticate.admin(request);
+
+  const res = await admin.graphql(GET_SHOP_DELIVERY_DATA, {
+    variables: {
+      namespace: METAFIELD_NAMESPACE,
+      configKey: CONFIG_KEY,
+      settingsKey: SETTINGS_KEY,
+      iconsKey: ICONS_KEY,
+    },
+  });
+  const json = await res.json();
+  if (json.errors) {
+    safeLogError("Failed to fetch delivery data", json.errors);
+    throw new Error("Unable to load your rules. Please refresh the page.");
+  }
+
+  const storedConfig = parseJson(json?.data?.shop?.config?.value);
+  const config = storedConfig ? migrateToV3(migrateToV2(storedConfig), parseJson(json?.data?.shop?.settings?.value)) : null;
+  if (!config?.profiles?.length) return { profile: null, scheduled: false };
+
+  // Same fallback as the theme blocks: the first profile when the live one is missing
+  const effective = getEffectiveLiveProfile(config);
+  const profile = config.profiles.find((p) => p.id === effective.profileId) || config.profiles[0];
+
+  return {
+    profile: {
+      id: profile.id,
+      name: profile.name,
+      rules: (profile.rules || []).map((rule) => ({ id: rule.id, name: rule.name, match: rule.match || {} })),
+    },
+    scheduled: effective.reason !== "manual",
+  };
+};
+
+// ============================================================================
+// Keep the rules the scan started with while it pages through products
+// ============================================================================
+export function shouldRevalidate({ formMethod }) {
+  if (formMethod === "POST") return false;
+  return true;
+}
+
+// ============================================================================
+// ACTION - Read the next few pages of products
+// ============================================================================
+
+export const action = async ({ request }) => {
+  const { admin } = await authenticate.admin(request);
+
+  const formData = await request.formData();
+  if (formData.get("intent") !== "scan") {
+    return { ok: false, error: "Unknown action." };
+  }
+
+  let after = String(formData.get("after") || "") || null;
+  let hasNextPage = true;
+  const products = [];
+  try {
+    for (let page = 0; page < PAGES_PER_REQUEST && hasNextPage; page++) {
+      const res = await admin.graphql(COVERAGE_PRODUCTS, { variables: { first: PAGE_SIZE, after } });
+      const json = await res.json();
+      if (json.errors?.length) throw new Error(json.errors[0].message);
+      const { nodes, pageInfo } = json.data.products;
+      products.push(...nodes.map(productFromCoverageNode));
+      hasNextPage = pageInfo.hasNextPage;
+      after = pageInfo.endCursor;
+    }
+  } catch (error) {
+    safeLogError("Failed to read products for the coverage report", error);
+    // Pages already read still count; the next request carries on after them
+    if (products.length === 0) {
+      return { ok: false, error: "Shopify didn't return the next products (it may be busy). Wait a moment, then resume." };
+    }
+  }
+
+  return { ok: true, products, endCursor: after, hasNextPage };
+};
+
+// ============================================================================
+// MAIN COMPONENT
+// ============================================================================
+
+export default function CoveragePage() {
+  const { profile, scheduled } = useLoaderData();
+  const rules = useMemo(() => profile?.rules || [], [profile]);
+  const fetcher = useFetcher();
+  const submitScan = fetcher.submit;
+
+  const [results, setResults] = useState([]);
+  const [cursor, setCursor] = useState(null);
+  const [status, setStatus] = useState("idle"); // idle | scanning | paused | done
+  const [error, setError] = useState("");
+  const [filter, setFilter] = useState("flagged");
+  const stopRequested = useRef(false);
+
+  useEffect(() => {
+    const data = fetcher.data;
+    if (!data) return;
+    if (!data.ok) {
+      setError(data.error);
+      setStatus("paused");
+      return;
+    }
+    setResults((prev) => [...prev, ...data.products.map((product) => evaluateProductCoverage(rules, product))]);
+    setCursor(data.endCursor);
+    if (!data.hasNextPage) {
+      setStatus("done");
+    } else if (stopRequested.current) {
+      setStatus("paused");
+    } else {
+      submitScan(scanForm(data.endCursor), { method: "POST" });
+    }
+  }, [fetcher.data, rules, submitScan]);
+
+  const start = () => {
+    stopRequested.current = false;
+    setResults([]);
+    setCursor(null);
+    setError("");
+    setStatus("scanning");
+    submitScan(scanForm(null), { method: "POST" });
+  };
+
+  const resume = () => {
+    stopRequested.current = false;
+    setError("");
+    setStatus("scanning");
+    submitScan(scanForm(cursor), { method: "POST" });
+  };
+
+  const ruleNames = useMemo(() => new Map(rules.map((rule) => [rule.id, rule.name || "Untitled rule"])), [rules]);
+
+  const counts = useMemo(() => {
+    const byRule = new Map(rules.map((rule) => [rule.id, { won: 0, candidate: 0 }]));
+    let noMatch = 0;
+    let multiple = 0;
+    let fallback = 0;
+    for (const r of results) {
+      if (!r.ruleId) noMatch++;
+      if (r.multiple) multiple++;
+      if (r.fallback) fallback++;
+      for (const id of r.candidateIds) {
+        const entry = byRule.get(id);
+        if (entry) entry[id === r.ruleId ? "won" : "candidate"]++;
+      }
+    }
+    return { byRule, noMatch, multiple, fallback };
+  }, [results, rules]);
+
+  const shown = useMemo(() => results.filter((r) => matchesFilter(r, filter)), [results, filter]);
+
+  const handleDownload = () => {
+    const slug = profile.name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "profile";
+    downloadTextFile(`rule-coverage-${slug}-${new Date().toISOString().slice(0, 10)}.csv`, UTF8_BOM + coverageToCsv(results, rules), "text/csv");
+  };
+
+  if (!profile) {
+    return (
+      <s-page heading="Rule coverage">
+        <div style={{ ...cardStyle, maxWidth: 1000 }}>
+          <s-heading>Rule coverage</s-heading>
+          <s-text style={subduedStyle}>
+            Save some rules in the <Link to="/app/messages">Messages Editor</Link> first — there is nothing to check yet.
+          </s-text>
+        </div>
+      </s-page>
+    );
+  }
+
+  const scanning = status === "scanning";
+
+  return (
+    <s-page heading="Rule coverage">
+      <div style={{ display: "grid", gap: 24, maxWidth: 1000 }}>
+
+        <div style={cardStyle}>
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "flex-start", gap: 12, flexWrap: "wrap" }}>
+            <div>
+              <s-heading>Which rule each product gets</s-heading>
+              <s-text size="small" style={subduedStyle}>
+                Checks every active product against the rules of <strong>{profile.name}</strong>
+                {scheduled ? " (live now through a schedule)" : " (the live profile)"}, in the same order as your storefront:
+                handles, tags, collections, vendors, types and variants, excluded handles, stock status, then fallback rules.
+              </s-text>
+            </div>
+            <div style={{ display: "flex", gap: 8, flexShrink: 0 }}>
+              {scanning ? (
+                <s-button onClick={() => { stopRequested.current = true; }}>Stop</s-button>
+              ) : (
+                <>
+                  {status === "paused" && <s-button onClick={resume}>Resume</s-button>}
+                  <s-button variant={status === "paused" ? "secondary" : "primary"} onClick={start}>
+                    {status === "idle" ? "Check products" : "Check again"}
+                  </s-button>
+                </>
+              )}
+              {results.length > 0 && !scanning && <s-button onClick={handleDownload}>Download CSV</s-button>}
+            </div>
+          </div>
+
+          {status !== "idle" && (
+            <s-text>
+              {scanning && `Checking products… ${results.length.toLocaleString()} so far.`}
+              {status === "paused" && `Stopped after ${results.length.toLocaleString()} products.`}
+              {status === "done" && `Checked ${results.length.toLocaleString()} products.`}
+            </s-text>
+          )}
+          {error && <s-text style={criticalStyle}>{error}</s-text>}
+
+          {results.length > 0 && (
+            <div style={{ display: "flex", gap: 24, flexWrap: "wrap" }}>
+              <s-text><strong style={counts.noMatch ? criticalStyle : undefined}>{counts.noMatch.toLocaleString()}</strong> with no matching rule</s-text>
+              <s-text><strong>{counts.multiple.toLocaleString()}</strong> matching several rules</s-text>
+              <s-text><strong>{counts.fallback.toLocaleString()}</strong> only caught by a fallback rule</s-text>
+            </div>
+          )}
+        </div>
+
+        {results.length > 0 && (
+          <div style={cardStyle}>
+            <s-heading>Rules</s-heading>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+              <thead>
+                <tr>
+                  <th style={cellStyle}>Rule</th>
+                  <th style={numberCellStyle}>Products it shows on</th>
+                  <th style={numberCellStyle}>Also matches, but a rule above wins</th>
+                  <th style={cellStyle} aria-label="Actions" />
+                </tr>
+              </thead>
+              <tbody>
+                {rules.map((rule, index) => {
+                  const entry = counts.byRule.get(rule.id);
+                  return (
+                    <tr key={rule.id}>
+                      <td style={cellStyle}>
+                        <span style={subduedStyle}>{index + 1}.</span> {ruleNames.get(rule.id)}
+                        {rule.match.is_fallback === true || rule.match.is_fallback === "true" ? <s-badge style={{ marginLeft: 6 }}>Fallback</s-badge> : null}
+                      </td>
+                      <td style={numberCellStyle}>{entry.won.toLocaleString()}</td>
+                      <td style={numberCellStyle}>{entry.candidate.toLocaleString()}</td>
+                      <td style={{ ...cellStyle, textAlign: "right" }}>
+                        {entry.won + entry.candidate > 0 && (
+                          <s-button variant="plain" onClick={() => setFilter(rule.id)}>View products</s-button>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {results.length > 0 && (
+          <div style={cardStyle}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12 }}>
+              <s-heading>Products</s-heading>
+              <select value={filter} onChange={(e) => setFilter(e.target.value)} aria-label="Show">
+                {Object.entries(FILTERS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                {rules.map((rule) => <option key={rule.id} value={rule.id}>Matching: {ruleNames.get(rule.id)}</option>)}
+              </select>
+            </div>
+
+            {shown.length === 0 ? (
+              <s-text style={subduedStyle}>No products to show{filter === "flagged" ? " — every product checked matches exactly one rule or a fallback." : "."}</s-text>
+            ) : (
+              <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+                <thead>
+                  <tr>
+                    <th style={cellStyle}>Product</th>
+                    <th style={cellStyle}>Shows</th>
+                    <th style={cellStyle}>Other matching rules</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {shown.slice(0, MAX_ROWS_SHOWN).map((r) => (
+                    <tr key={r.id}>
+                      <td style={cellStyle}>
+                        <s-link href={productAdminUrl(r.id)} target="_blank">{r.title || r.handle}</s-link>
+                        {r.variantsTruncated && (
+                          <div style={{ fontSize: 12, ...subduedStyle }}>Only the first variants were checked</div>
+                        )}
+                      </td>
+                      <td style={cellStyle}>
+                        {r.ruleId ? ruleNames.get(r.ruleId) : <span style={criticalStyle}>No delivery message</span>}
+                        {r.fallback && <span style={subduedStyle}> (fallback)</span>}
+                      </td>
+                      <td style={cellStyle}>
+                        {r.candidateIds.length > 1
+                          ? r.candidateIds.slice(1).map((id) => ruleNames.get(id)).join(", ")
+                          : <span style={subduedStyle}>—</span>}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            {shown.length > MAX_ROWS_SHOWN && (
+              <s-text size="small" style={subduedStyle}>
+                Showing the first {MAX_ROWS_SHOWN} of {shown.length.toLocaleString()} products. Download the CSV for the full list.
+              </s-text>
+            )}
+          </div>
+        )}
+
+      </div>
+    </s-page>
+  );
+}
+
+// ============================================================================
+// ERROR BOUNDARY & HEADERS EXPORTS
+// ============================================================================
+
+export function ErrorBoundary() {
+  return boundary.error(useRouteError());
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
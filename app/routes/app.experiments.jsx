@@ -0,0 +1,260 @@
+// ============================================================================
+// IMPORTS
+// ============================================================================
+
+import { useState } from "react";
+import { Link, useLoaderData, useRouteError } from "react-router";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import { getAbTestResults, listAbTests } from "../models/abTests.server";
+import { safeLogError } from "../utils/validation";
+import { migrateToV2, migrateToV3 } from "../utils/configMigrations";
+import { MIN_VISITORS, SIGNIFICANCE_LEVEL, compareToControl, conversionRate } from "../utils/abStats";
+import { GET_SHOP_DELIVERY_DATA, METAFIELD_NAMESPACE, CONFIG_KEY, SETTINGS_KEY, ICONS_KEY } from "../graphql/queries";
+
+// ============================================================================
+// DISPLAY HELPERS
+// ============================================================================
+
+const METRICS = {
+  add_to_cart: "Add to cart",
+  checkout: "Checkout",
+};
+
+const cardStyle = {
+  border: "1px solid var(--p-color-border, #e5e7eb)",
+  borderRadius: 8,
+  padding: 16,
+  display: "grid",
+  gap: 12,
+  background: "var(--p-color-bg-surface-secondary, #f9fafb)",
+};
+
+const subduedStyle = { color: "var(--p-color-text-subdued, #6b7280)" };
+
+const cellStyle = { padding: "6px 8px", borderBottom: "1px solid var(--p-color-border, #e5e7eb)", textAlign: "left", verticalAlign: "top" };
+
+const numberCellStyle = { ...cellStyle, textAlign: "right", whiteSpace: "nowrap" };
+
+const formatDate = (value) => new Date(value).toLocaleDateString(undefined, { dateStyle: "medium" });
+
+const formatPercent = (value, digits = 1) => (value === null ? "—" : `${(value * 100).toFixed(digits)}%`);
+
+const parseJson = (value) => {
+  try {
+    return value ? JSON.parse(value) : null;
+  } catch {
+    return null;
+  }
+};
+
+// ============================================================================
+// LOADER - Tests on the current rules plus any earlier tests with data
+// ============================================================================
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+
+  const res = await admin.graphql(GET_SHOP_DELIVERY_DATA, {
+    variables: {
+      namespace: METAFIELD_NAMESPACE,
+      configKey: CONFIG_KEY,
+      settingsKey: SETTINGS_KEY,
+      iconsKey: ICONS_KEY,
+    },
+  });
+  const json = await res.json();
+  if (json.errors) {
+    safeLogError("Failed to fetch delivery data", json.errors);
+    throw new Error("Unable to load experiments. Please refresh the page.");
+  }
+
+  const storedConfig = parseJson(json?.data?.shop?.config?.value);
+  const config = storedConfig ? migrateToV3(migrateToV2(storedConfig), parseJson(json?.data?.shop?.settings?.value)) : null;
+
+  const rulesById = new Map();
+  const tests = [];
+  for (const profile of config?.profiles || []) {
+    for (const rule of profile.rules || []) {
+      rulesById.set(rule.id, { ruleName: rule.name, profileName: profile.name, isLive: profile.id === config.liveProfileId });
+      const abTest = rule.settings?.ab_test;
+      if (!abTest?.test_id) continue;
+      tests.push({
+        testId: abTest.test_id,
+        ruleId: rule.id,
+        status: abTest.enabled ? "running" : "paused",
+        startedAt: abTest.started_at || null,
+        variants: abTest.variants.map((v) => ({ id: v.id, name: v.name, weight: v.weight })),
+        ...rulesById.get(rule.id),
+      });
+    }
+  }
+
+  // Restarted or removed tests keep their data; list them after the current ones
+  const known = new Set(tests.map((t) => t.testId));
+  for (const past of await listAbTests(session.shop)) {
+    if (known.has(past.testId)) continue;
+    known.add(past.testId);
+    tests.push({
+      testId: past.testId,
+      ruleId: past.ruleId,
+      status: "ended",
+      startedAt: past.firstSeen.toISOString(),
+      endedAt: past.lastSeen.toISOString(),
+      variants: null,
+      ...(rulesById.get(past.ruleId) || { ruleName: "Deleted rule", profileName: null, isLive: false }),
+    });
+  }
+
+  return { tests, results: await getAbTestResults(session.shop, tests.map((t) => t.testId)) };
+};
+
+// ============================================================================
+// COMPONENTS
+// ============================================================================
+
+function Verdict({ comparison }) {
+  if (!comparison.enoughData) {
+    return <s-text size="small" style={subduedStyle}>Needs {MIN_VISITORS}+ visitors per variant</s-text>;
+  }
+  if (comparison.pValue === null) {
+    return <s-text size="small" style={subduedStyle}>No conversions yet</s-text>;
+  }
+  const confidence = `${((1 - comparison.pValue) * 100).toFixed(1)}% confidence`;
+  if (!comparison.significant) {
+    return <s-text size="small" style={subduedStyle}>No clear difference yet ({confidence})</s-text>;
+  }
+  return comparison.lift > 0
+    ? <s-badge tone="success">Better ({confidence})</s-badge>
+    : <s-badge tone="critical">Worse ({confidence})</s-badge>;
+}
+
+function TestCard({ test, results, metric }) {
+  // Ended tests no longer have names or weights; fall back to the stored variant ids
+  const variants = test.variants
+    || Object.keys(results).sort().map((id, index) => ({ id, name: index === 0 ? "Control" : `Variant ${id.toUpperCase()}`, weight: null }));
+  const totalWeight = variants.reduce((sum, v) => sum + (v.weight || 0), 0);
+  const rows = variants.map((v) => ({ ...v, ...(results[v.id] || { visitors: 0, impressions: 0, add_to_cart: 0, checkout: 0 }) }));
+  const control = rows[0];
+
+  return (
+    <div style={cardStyle}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12, flexWrap: "wrap" }}>
+        <div>
+          <s-heading>{test.ruleName}</s-heading>
+          <s-text size="small" style={subduedStyle}>
+            {test.profileName ? `${test.profileName}${test.isLive ? " (live)" : ""} · ` : ""}
+            {test.startedAt ? `Started ${formatDate(test.startedAt)}` : "Not started"}
+            {test.endedAt ? ` · Last visitor ${formatDate(test.endedAt)}` : ""}
+          </s-text>
+        </div>
+        {test.status === "running" && <s-badge tone="success">Running</s-badge>}
+        {test.status === "paused" && <s-badge>Paused</s-badge>}
+        {test.status === "ended" && <s-badge>Ended</s-badge>}
+      </div>
+
+      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+        <thead>
+          <tr>
+            <th style={cellStyle}>Variant</th>
+            <th style={numberCellStyle}>Traffic</th>
+            <th style={numberCellStyle}>Visitors</th>
+            <th style={numberCellStyle}>Views</th>
+            <th style={numberCellStyle}>Add to cart</th>
+            <th style={numberCellStyle}>Checkout</th>
+            <th style={cellStyle}>{METRICS[metric]} vs control</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row, index) => {
+            const comparison = index === 0 ? null : compareToControl(
+              { conversions: control[metric], visitors: control.visitors },
+              { conversions: row[metric], visitors: row.visitors }
+            );
+            return (
+              <tr key={row.id}>
+                <td style={cellStyle}>{row.name}{index === 0 && <span style={subduedStyle}> (control)</span>}</td>
+                <td style={numberCellStyle}>{totalWeight > 0 && row.weight !== null ? formatPercent(row.weight / totalWeight, 0) : "—"}</td>
+                <td style={numberCellStyle}>{row.visitors.toLocaleString()}</td>
+                <td style={numberCellStyle}>{row.impressions.toLocaleString()}</td>
+                <td style={numberCellStyle}>{formatPercent(conversionRate(row.add_to_cart, row.visitors))} <span style={subduedStyle}>({row.add_to_cart})</span></td>
+                <td style={numberCellStyle}>{formatPercent(conversionRate(row.checkout, row.visitors))} <span style={subduedStyle}>({row.checkout})</span></td>
+                <td style={cellStyle}>
+                  {comparison ? (
+                    <div style={{ display: "grid", gap: 2 }}>
+                      <s-text>{comparison.lift === null ? "—" : `${comparison.lift >= 0 ? "+" : ""}${formatPercent(comparison.lift)}`}</s-text>
+                      <Verdict comparison={comparison} />
+                    </div>
+                  ) : (
+                    <span style={subduedStyle}>—</span>
+                  )}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// ============================================================================
+// MAIN COMPONENT
+// ============================================================================
+
+export default function ExperimentsPage() {
+  const { tests, results } = useLoaderData();
+  const [metric, setMetric] = useState("add_to_cart");
+
+  return (
+    <s-page heading="Experiments">
+      <div style={{ display: "grid", gap: 24, maxWidth: 1000 }}>
+
+        <div style={cardStyle}>
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12 }}>
+            <div>
+              <s-heading>Message A/B tests</s-heading>
+              <s-text size="small" style={subduedStyle}>
+                Visitors are people who saw a variant; rates are the share of them who went on to add to cart or
+                start checkout (each counted once per test). A variant is called better or worse at{" "}
+                {SIGNIFICANCE_LEVEL * 100}% confidence.
+              </s-text>
+            </div>
+            <label style={{ display: "flex", alignItems: "center", gap: 6, flexShrink: 0 }}>
+              <s-text size="small">Judge by</s-text>
+              <select value={metric} onChange={(e) => setMetric(e.target.value)}>
+                {Object.entries(METRICS).map(([key, label]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          {tests.length === 0 && (
+            <s-text style={subduedStyle}>
+              No tests yet. Turn on an A/B test in a rule&apos;s Messages section in the{" "}
+              <Link to="/app/messages">Messages Editor</Link>.
+            </s-text>
+          )}
+        </div>
+
+        {tests.map((test) => (
+          <TestCard key={test.testId} test={test} results={results[test.testId] || {}} metric={metric} />
+        ))}
+
+      </div>
+    </s-page>
+  );
+}
+
+// ============================================================================
+// ERROR BOUNDARY & HEADERS EXPORTS
+// ============================================================================
+
+export function ErrorBoundary() {
+  return boundary.error(useRouteError());
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
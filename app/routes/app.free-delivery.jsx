@@ -5,12 +5,20 @@
 import { useEffect, useRef, useState } from "react";
 import { useFetcher, useLoaderData } from "react-router";
 import { authenticate } from "../shopify.server";
+import { ensureHistoryBaseline, getHistoryAuthor, recordConfigVersions } from "../models/configHistory.server";
+import { ensureStorefrontToken } from "../models/deliveryRules.server";
 import { safeLogError, validateSettings } from "../utils/validation";
 import { generateIconsMetafield, getIconSvg, getConfiguredUtilityIcons, getUtilityIconSvg } from "../utils/icons";
 import { ChevronDownIcon, ChevronRightIcon } from "../components/icons/ChevronIcons";
 import { HelpLink } from "../components/HelpLink";
 import { FontSelector } from "../components/FontSelector";
 import { ColorPicker } from "../components/ColorPicker";
+import { ScheduledLiveBadge } from "../components/ProfileSchedules";
+import { CurrencyThresholds } from "../components/CurrencyThresholds";
+import { ThresholdBasis } from "../components/ThresholdBasis";
+import { SegmentThresholds } from "../components/SegmentThresholds";
+import { CartMilestonesEditor } from "../components/CartMilestonesEditor";
+import { CartProgressSettings } from "../components/CartProgressSettings";
 import {
   GET_SHOP_DELIVERY_DATA,
   GET_SHOP_ID,
@@ -55,6 +63,8 @@ export const loader = async ({ request }) => {
     settings: settingsMf?.value ?? "{}",
     config: configMf?.value ?? "{}",
     shopId,
+    shopCurrency: json?.data?.shop?.currencyCode || "GBP",
+    currencies: json?.data?.shop?.enabledPresentmentCurrencies || [],
     hasExistingSettings,
     hasExistingConfig,
   };
@@ -65,7 +75,7 @@ export const loader = async ({ request }) => {
 // ============================================================================
 
 export const action = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
+  const { admin, session, sessionToken } = await authenticate.admin(request);
 
   const formData = await request.formData();
   const settingsRaw = formData.get("settings");
@@ -142,6 +152,8 @@ export const action = async ({ request }) => {
     ownerId: shopId,
   }));
 
+  await ensureHistoryBaseline(admin, session.shop);
+
   const setRes = await admin.graphql(SET_METAFIELDS_MINIMAL, {
     variables: {
       metafields: metafieldsWithOwner,
@@ -157,6 +169,15 @@ export const action = async ({ request }) => {
     return { ok: false, error: errors[0]?.message || "Unable to save. Please try again." };
   }
 
+  await recordConfigVersions(
+    session.shop,
+    metafieldsToSave.map((mf) => ({ kind: mf.key, value: mf.value })),
+    { author: getHistoryAuthor({ session, sessionToken }), source: "free-delivery" }
+  );
+
+  // Tag exclusions saved here are looked up on the storefront with this token
+  await ensureStorefrontToken(admin, shopId);
+
   return { ok: true };
 };
 
@@ -212,7 +233,7 @@ const setExpandedLevelsStorage = (levelsMap) => {
 // ============================================================================
 
 export default function FreeDeliveryPage() {
-  const { settings: settingsRaw, config: configRaw, shopId, hasExistingSettings, hasExistingConfig } = useLoaderData();
+  const { settings: settingsRaw, config: configRaw, shopId, shopCurrency, currencies, hasExistingSettings, hasExistingConfig } = useLoaderData();
   const fetcher = useFetcher();
 
   // Parse config to get profiles (v3 format) - includes v2→v3 migration
@@ -403,7 +424,7 @@ export default function FreeDeliveryPage() {
 
   // Set live profile (which one is on the site)
   const setLiveProfileId = (newLiveId) => {
-    setConfig(prev => ({ ...prev, liveProfileId: newLiveId }));
+    setConfig(prev => ({ ...prev, liveProfileId: newLiveId, liveProfileUpdatedAt: new Date().toISOString() }));
   };
 
   // Sync exclusion rules to settings (also clear legacy fields)
@@ -665,6 +686,13 @@ export default function FreeDeliveryPage() {
     );
   };
 
+  // Helper to format a minor-unit amount in the store's currency (whole amounts without decimals)
+  const formatShopMoney = (amount) => new Intl.NumberFormat(undefined, {
+    style: 'currency',
+    currency: shopCurrency,
+    minimumFractionDigits: amount % 100 === 0 ? 0 : 2,
+  }).format(amount / 100);
+
   // Helper to generate pricing preview (uses first level)
   const getPricingPreview = (config, levelIndex = 0) => {
     if (!config) return '';
@@ -682,7 +710,7 @@ export default function FreeDeliveryPage() {
     for (const segment of segments) {
       let part = segment.label || '';
       if (segment.cost != null && segment.cost > 0) {
-        const costStr = `£${(segment.cost / 100).toFixed(2).replace(/\.00$/, '')}`;
+        const costStr = formatShopMoney(segment.cost);
         part += ` ${segment.cost_bold ? '**' + costStr + '**' : costStr}`;
       }
       if (showDays && segment.days) {
@@ -693,7 +721,7 @@ export default function FreeDeliveryPage() {
     }
 
     if (freeText) {
-      const text = freeText.replace('{threshold}', `£${((settings.fd_threshold || 0) / 100).toFixed(2).replace(/\.00$/, '')}`);
+      const text = freeText.replace('{threshold}', formatShopMoney(settings.fd_threshold || 0));
       parts.push(text);
     }
 
@@ -738,6 +766,7 @@ export default function FreeDeliveryPage() {
                   <option key={p.id} value={p.id}>{p.name}</option>
                 ))}
               </select>
+              <ScheduledLiveBadge config={config} />
             </div>
 
             {/* Editing profile selector */}
@@ -829,7 +858,7 @@ export default function FreeDeliveryPage() {
                 <div style={{ padding: "16px", display: "grid", gap: 16 }}>
                   <div>
                     <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
-                      <s-text style={{ color: "var(--p-color-text-subdued, #6b7280)" }}>£</s-text>
+                      <s-text style={{ color: "var(--p-color-text-subdued, #6b7280)" }}>{shopCurrency}</s-text>
                       <input
                         type="number"
                         min="0"
@@ -844,6 +873,9 @@ export default function FreeDeliveryPage() {
                       <span style={{ fontSize: 12 }}>Customers spending this amount or more qualify for free delivery</span>
                     </div>
                   </div>
+                  <CurrencyThresholds settings={settings} setSettings={setSettings} shopCurrency={shopCurrency} currencies={currencies} />
+                  <SegmentThresholds settings={settings} setSettings={setSettings} shopCurrency={shopCurrency} formatMoney={formatShopMoney} />
+                  <ThresholdBasis settings={settings} setSettings={setSettings} />
                 </div>
               </div>
 
@@ -1652,6 +1684,9 @@ export default function FreeDeliveryPage() {
                 </div>
               </div>
 
+              {/* Section 3: Cart Progress */}
+              <CartProgressSettings settings={settings} setSettings={setSettings} formatMoney={formatShopMoney} />
+
             </div>
 
           {/* Section 4: Announcement Bar */}
@@ -1817,6 +1852,8 @@ export default function FreeDeliveryPage() {
                   <span style={{ fontSize: 12, flexShrink: 0 }}>💡</span>
                   <span style={{ fontSize: 12 }}>Defaults to "Free delivery on orders over {"{threshold}"}" if blank and no additional messages</span>
                 </div>
+
+                <CartMilestonesEditor settings={settings} setSettings={setSettings} formatMoney={formatShopMoney} />
                 </>
                 )}
 
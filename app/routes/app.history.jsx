@@ -0,0 +1,330 @@
+// ============================================================================
+// IMPORTS
+// ============================================================================
+
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData, useRouteError, useSearchParams } from "react-router";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import {
+  ensureHistoryBaseline,
+  getConfigVersion,
+  getHistoryAuthor,
+  getPreviousConfigVersion,
+  listConfigVersions,
+  recordConfigVersions,
+} from "../models/configHistory.server";
+import { safeLogError, friendlyError, validateConfig, validateSettings } from "../utils/validation";
+import { diffSnapshots } from "../utils/configDiff";
+import { ConfigDiffTable } from "../components/ConfigDiffTable";
+import { GET_SHOP_ID, SET_METAFIELDS_MINIMAL, METAFIELD_NAMESPACE, CONFIG_KEY } from "../graphql/queries";
+
+// ============================================================================
+// DISPLAY HELPERS
+// ============================================================================
+
+const KIND_LABELS = { config: "Rules & profiles", settings: "Global settings" };
+
+const SOURCE_LABELS = {
+  baseline: "Before history began",
+  dashboard: "Dashboard",
+  messages: "Messages Editor",
+  "free-delivery": "Free Delivery",
+  icons: "Icons",
+  restore: "Restored",
+  import: "Imported file",
+  csv: "Rules CSV",
+  timezone: "Shop timezone update",
+};
+
+const cardStyle = {
+  border: "1px solid var(--p-color-border, #e5e7eb)",
+  borderRadius: 8,
+  padding: 16,
+  display: "grid",
+  gap: 12,
+  background: "var(--p-color-bg-surface-secondary, #f9fafb)",
+};
+
+const subduedStyle = { color: "var(--p-color-text-subdued, #6b7280)" };
+
+const cellStyle = { padding: "6px 8px", borderBottom: "1px solid var(--p-color-border, #e5e7eb)", textAlign: "left", verticalAlign: "top" };
+
+const formatDate = (value) => new Date(value).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+
+const formatSize = (bytes) => (bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`);
+
+// ============================================================================
+// LOADER - Version list, plus the selected version and what it is compared to
+// ============================================================================
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+  const versionId = url.searchParams.get("version");
+  const against = url.searchParams.get("against") === "current" ? "current" : "previous";
+
+  const versions = await listConfigVersions(session.shop);
+
+  let selected = null;
+  if (versionId) {
+    const version = await getConfigVersion(session.shop, versionId);
+    if (version) {
+      // "current" = the newest version of the same kind, i.e. what is live now
+      const compareTo = against === "current"
+        ? versions.find((v) => v.kind === version.kind)
+        : await getPreviousConfigVersion(version);
+      let compareValue = compareTo?.value ?? null;
+      if (against === "current") {
+        compareValue = compareTo.id === version.id ? version.value : (await getConfigVersion(session.shop, compareTo.id))?.value;
+      }
+
+      selected = {
+        id: version.id,
+        kind: version.kind,
+        value: version.value,
+        compareId: compareTo?.id || null,
+        compareValue: compareValue ?? null,
+      };
+    }
+  }
+
+  return { versions, selected, against };
+};
+
+// ============================================================================
+// ACTION - Restore a version to its metafield
+// ============================================================================
+
+export const action = async ({ request }) => {
+  const { admin, session, sessionToken } = await authenticate.admin(request);
+
+  const formData = await request.formData();
+  if (formData.get("intent") !== "restore") {
+    return { ok: false, error: "Unknown action." };
+  }
+
+  const version = await getConfigVersion(session.shop, String(formData.get("id") || ""));
+  if (!version) {
+    return { ok: false, error: "That version no longer exists." };
+  }
+
+  // Re-validate: a version saved under older rules must still be valid today
+  let parsed;
+  try {
+    parsed = JSON.parse(version.value);
+  } catch (error) {
+    safeLogError("Failed to parse history version", error);
+    return { ok: false, error: "This version is damaged and can't be restored." };
+  }
+  const validation = version.kind === CONFIG_KEY ? validateConfig(parsed) : validateSettings(parsed);
+  if (!validation.success) {
+    safeLogError("History version validation failed", new Error(validation.error));
+    return { ok: false, error: "This version no longer passes validation and can't be restored." };
+  }
+  const value = JSON.stringify(validation.data);
+
+  const shopRes = await admin.graphql(GET_SHOP_ID);
+  const shopJson = await shopRes.json();
+  if (shopJson.errors) {
+    return { ok: false, error: friendlyError(shopJson.errors, "Unable to restore. Please try again.") };
+  }
+  const shopId = shopJson?.data?.shop?.id;
+
+  await ensureHistoryBaseline(admin, session.shop);
+
+  const setRes = await admin.graphql(SET_METAFIELDS_MINIMAL, {
+    variables: {
+      metafields: [
+        {
+          ownerId: shopId,
+          namespace: METAFIELD_NAMESPACE,
+          key: version.kind,
+          type: "json",
+          value,
+        },
+      ],
+    },
+  });
+
+  const setJson = await setRes.json();
+  if (setJson.errors) {
+    return { ok: false, error: friendlyError(setJson.errors, "Unable to restore. Please try again.") };
+  }
+  const errors = setJson?.data?.metafieldsSet?.userErrors ?? [];
+  if (errors.length) {
+    return { ok: false, error: friendlyError(errors, "Unable to restore this version.") };
+  }
+
+  await recordConfigVersions(
+    session.shop,
+    [{ kind: version.kind, value }],
+    { author: getHistoryAuthor({ session, sessionToken }), source: "restore" }
+  );
+
+  return { ok: true, restoredAt: version.createdAt };
+};
+
+// ============================================================================
+// MAIN COMPONENT
+// ============================================================================
+
+export default function HistoryPage() {
+  const { versions, selected, against } = useLoaderData();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const fetcher = useFetcher();
+  const [kindFilter, setKindFilter] = useState("");
+  const [restoringId, setRestoringId] = useState(null);
+
+  useEffect(() => {
+    if (fetcher.state === "idle") setRestoringId(null);
+  }, [fetcher.state]);
+
+  const latestIdByKind = {};
+  for (const v of versions) {
+    if (!latestIdByKind[v.kind]) latestIdByKind[v.kind] = v.id;
+  }
+
+  const select = (id, nextAgainst = against) => {
+    const next = new URLSearchParams(searchParams);
+    next.set("version", id);
+    if (nextAgainst === "current") next.set("against", "current");
+    else next.delete("against");
+    setSearchParams(next);
+  };
+
+  const restore = (version) => {
+    const label = `${KIND_LABELS[version.kind] || version.kind} from ${formatDate(version.createdAt)}`;
+    if (!window.confirm(`Restore ${label}? Your current ${KIND_LABELS[version.kind]?.toLowerCase() || "values"} will be replaced (and kept in history).`)) return;
+    setRestoringId(version.id);
+    const formData = new FormData();
+    formData.set("intent", "restore");
+    formData.set("id", version.id);
+    fetcher.submit(formData, { method: "POST" });
+  };
+
+  const shown = kindFilter ? versions.filter((v) => v.kind === kindFilter) : versions;
+  const changes = selected ? diffSnapshots(selected.kind, selected.compareValue, selected.value) : [];
+  const compareIsSelf = selected && selected.compareId === selected.id;
+
+  return (
+    <s-page heading="History">
+      <div style={{ display: "grid", gap: 24, maxWidth: 1000 }}>
+
+        <div style={cardStyle}>
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12 }}>
+            <div>
+              <s-heading>Saved versions</s-heading>
+              <s-text size="small" style={subduedStyle}>
+                Every save of your rules and global settings is kept here, including each auto-save (up to 200
+                of each).
+              </s-text>
+            </div>
+            <select value={kindFilter} onChange={(e) => setKindFilter(e.target.value)} aria-label="Show versions of">
+              <option value="">All</option>
+              {Object.entries(KIND_LABELS).map(([kind, label]) => (
+                <option key={kind} value={kind}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          {fetcher.state === "idle" && fetcher.data?.ok && (
+            <s-text style={{ color: "var(--p-color-text-success, #047857)" }}>
+              Restored the version from {formatDate(fetcher.data.restoredAt)}. It is live on your storefront now.
+            </s-text>
+          )}
+          {fetcher.state === "idle" && fetcher.data?.error && (
+            <s-text style={{ color: "var(--p-color-text-critical, #dc2626)" }}>{fetcher.data.error}</s-text>
+          )}
+
+          {shown.length === 0 ? (
+            <s-text style={subduedStyle}>No versions yet. They appear here after your next save.</s-text>
+          ) : (
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+              <thead>
+                <tr>
+                  <th style={cellStyle}>Saved</th>
+                  <th style={cellStyle}>What</th>
+                  <th style={cellStyle}>By</th>
+                  <th style={cellStyle}>From</th>
+                  <th style={cellStyle}>Size</th>
+                  <th style={cellStyle} aria-label="Actions" />
+                </tr>
+              </thead>
+              <tbody>
+                {shown.map((v) => {
+                  const isCurrent = latestIdByKind[v.kind] === v.id;
+                  const isSelected = selected?.id === v.id;
+                  return (
+                    <tr key={v.id} style={isSelected ? { background: "var(--p-color-bg-surface-selected, #eef2ff)" } : undefined}>
+                      <td style={cellStyle}>
+                        {formatDate(v.createdAt)}
+                        {isCurrent && <s-badge tone="success" style={{ marginLeft: 6 }}>Current</s-badge>}
+                      </td>
+                      <td style={cellStyle}>{KIND_LABELS[v.kind] || v.kind}</td>
+                      <td style={cellStyle}>{v.author || <span style={subduedStyle}>Unknown</span>}</td>
+                      <td style={cellStyle}>{SOURCE_LABELS[v.source] || v.source}</td>
+                      <td style={cellStyle}>{formatSize(v.size)}</td>
+                      <td style={{ ...cellStyle, whiteSpace: "nowrap", textAlign: "right" }}>
+                        <s-button variant="plain" onClick={() => select(v.id)}>View changes</s-button>
+                        {!isCurrent && (
+                          <s-button
+                            variant="plain"
+                            onClick={() => restore(v)}
+                            disabled={fetcher.state !== "idle"}
+                            loading={restoringId === v.id}
+                            style={{ marginLeft: 8 }}
+                          >
+                            Restore
+                          </s-button>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        {selected && (
+          <div style={cardStyle}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12 }}>
+              <s-heading>Changes in this version</s-heading>
+              <label style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                <s-text size="small">Compare with</s-text>
+                <select value={against} onChange={(e) => select(selected.id, e.target.value)}>
+                  <option value="previous">The version before it</option>
+                  <option value="current">What is live now</option>
+                </select>
+              </label>
+            </div>
+            <s-text size="small" style={subduedStyle}>
+              {against === "current"
+                ? (compareIsSelf
+                  ? "This is the live version."
+                  : "Showing what restoring this version would change: \"Before\" is live now, \"After\" is this version.")
+                : (selected.compareId
+                  ? "Showing what this save changed compared with the version before it."
+                  : "This is the oldest version, so everything in it is shown as new.")}
+            </s-text>
+            <ConfigDiffTable changes={compareIsSelf ? [] : changes} />
+          </div>
+        )}
+
+      </div>
+    </s-page>
+  );
+}
+
+// ============================================================================
+// ERROR BOUNDARY & HEADERS EXPORTS
+// ============================================================================
+
+export function ErrorBoundary() {
+  return boundary.error(useRouteError());
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
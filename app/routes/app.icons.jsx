@@ -6,6 +6,7 @@ import { useEffect, useRef, useState } from "react";
 import { useFetcher, useLoaderData, useRouteError } from "react-router";
 import { boundary } from "@shopify/shopify-app-react-router/server";
 import { authenticate } from "../shopify.server";
+import { ensureHistoryBaseline, getHistoryAuthor, recordConfigVersions } from "../models/configHistory.server";
 import { safeLogError, friendlyError, validateSettings } from "../utils/validation";
 import { getIconSvg, PRESET_ICONS } from "../utils/icons";
 import { HelpLink } from "../components/HelpLink";
@@ -79,7 +80,7 @@ export const loader = async ({ request }) => {
 // ============================================================================
 
 export const action = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
+  const { admin, session, sessionToken } = await authenticate.admin(request);
 
   const formData = await request.formData();
   const settingsRaw = formData.get("settings");
@@ -112,6 +113,9 @@ export const action = async ({ request }) => {
     shopId = shopJson?.data?.shop?.id;
   }
 
+  const settingsValue = JSON.stringify(settingsValidation.data);
+  await ensureHistoryBaseline(admin, session.shop);
+
   const setRes = await admin.graphql(SET_METAFIELDS_MINIMAL, {
     variables: {
       metafields: [
@@ -120,7 +124,7 @@ export const action = async ({ request }) => {
           namespace: METAFIELD_NAMESPACE,
           key: SETTINGS_KEY,
           type: "json",
-          value: JSON.stringify(settingsValidation.data),
+          value: settingsValue,
         },
       ],
     },
@@ -135,6 +139,12 @@ export const action = async ({ request }) => {
     return { ok: false, error: friendlyError(errors, "Unable to save. Please check your settings and try again.") };
   }
 
+  await recordConfigVersions(
+    session.shop,
+    [{ kind: SETTINGS_KEY, value: settingsValue }],
+    { author: getHistoryAuthor({ session, sessionToken }), source: "icons" }
+  );
+
   return { ok: true };
 };
 
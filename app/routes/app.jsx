@@ -208,7 +208,11 @@ export default function App() {
         <s-link href="/app/messages">Messages Editor</s-link>
         <s-link href="/app/free-delivery">Free Delivery</s-link>
         <s-link href="/app/tag-manager">Tag Manager</s-link>
+        <s-link href="/app/coverage">Rule Coverage</s-link>
         <s-link href="/app/icons">Icons</s-link>
+        <s-link href="/app/experiments">Experiments</s-link>
+        <s-link href="/app/history">History</s-link>
+        <s-link href="/app/backup">Export &amp; Import</s-link>
         <s-link href="/app/help">Help</s-link>
       </s-app-nav>
       {hasActiveSubscription ? (
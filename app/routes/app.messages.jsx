@@ -6,19 +6,29 @@ import { useEffect, useMemo, useRef, useState } from "react";
 import { Link, useFetcher, useLoaderData, useNavigate, useRouteError, useSearchParams } from "react-router";
 import { boundary } from "@shopify/shopify-app-react-router/server";
 import { authenticate } from "../shopify.server";
-import { ensureDeliveryRulesDefinition } from "../models/deliveryRules.server";
+import { ensureDeliveryRulesDefinition, syncShopTimezone } from "../models/deliveryRules.server";
+import { ensureHistoryBaseline, getHistoryAuthor, recordConfigVersions } from "../models/configHistory.server";
 import { ChevronDownIcon, ChevronRightIcon } from "../components/icons/ChevronIcons";
 import { newRuleId, newProfileId } from "../utils/idGenerators";
+import { defaultProfile, defaultRule, migrateToV2, migrateToV3 } from "../utils/configMigrations";
 import { isHHMM, ruleHasMatch, safeParseNumber, friendlyError, safeLogError, validateConfig } from "../utils/validation";
 import { getSingleIconSize, getTextFontSize, getTextFontWeight, normalizeFontSize, normalizeEtaLabelFontSize, normalizeEtaDateFontSize, normalizeSingleIconSize } from "../utils/styling";
 import { getIconSvg, getConfiguredCustomIcons, generateIconsMetafield } from "../utils/icons";
-import { getHolidaysForYear, HOLIDAY_DEFINITIONS } from "../utils/holidays";
+import { getHolidaysForYear, getHolidayRegion, getSubdivisions, HOLIDAY_DEFINITIONS } from "../utils/holidays";
+import { getShopNow, isValidTimeZone, resolveDispatchSettings, getCutoffStatus, getDeliveryEstimate, getFulfilmentLocation, formatRemaining } from "../utils/deliveryDates";
+import { removeProfileFromSchedules } from "../utils/profileSchedules";
 import { CustomDatePicker } from "../components/CustomDatePicker";
+import { CourierHolidaySettings } from "../components/CourierHolidaySettings";
 import { FontSelector } from "../components/FontSelector";
 import { PreviewLine } from "../components/PreviewLine";
 import { ETATimelinePreview } from "../components/ETATimelinePreview";
+import { DeliveryZonesEditor } from "../components/DeliveryZonesEditor";
+import { FulfilmentLocationsEditor } from "../components/FulfilmentLocationsEditor";
+import { MatchValuePicker } from "../components/MatchValuePicker";
+import { ProfileSchedules, ScheduledLiveBadge } from "../components/ProfileSchedules";
 import { ColorPicker } from "../components/ColorPicker";
 import { HelpLink } from "../components/HelpLink";
+import { AbTestEditor } from "../components/AbTestEditor";
 import {
   GET_SHOP_DELIVERY_DATA,
   GET_SHOP_ID,
@@ -35,23 +45,32 @@ import {
 // DEFAULT SETTINGS & CONSTANTS
 // ============================================================================
 
+// Suffix shown after {countdown} when the shopper's clock differs from the shop's
+const DEFAULT_LOCAL_CUTOFF_TEXT = "— by {time} your time";
+
 // Default global settings
 function defaultGlobalSettings() {
   return {
     preview_timezone: "",
+    countdown_local_time: false,
+    countdown_local_time_text: DEFAULT_LOCAL_CUTOFF_TEXT,
     cutoff_time: "14:00",
     cutoff_time_sat: "",
     cutoff_time_sun: "",
     lead_time: 0,
     closed_days: ["sat", "sun"],
     bank_holiday_country: "",
+    bank_holiday_subdivision: "",
     custom_holidays: [],
+    fulfilment_locations: [],
+    delivery_holiday_mode: "same",
     courier_no_delivery_days: ["sat", "sun"],
     // Delivery windows (defaults for all rules)
     courier_delivery_days_min: 3,
     courier_delivery_days_max: 5,
     express_delivery_days_min: 1,
     express_delivery_days_max: 1,
+    delivery_zones: [],
     // Typography - Messages font
     use_theme_font: true,
     custom_font_family: "",
@@ -249,6 +268,13 @@ export const loader = async ({ request }) => {
     }
   }
 
+  // The storefront countdown converts cutoffs with the shop's IANA timezone (DST-aware)
+  const shopTimezone = json?.data?.shop?.ianaTimezone || "";
+  if (shopTimezone) {
+    await syncShopTimezone(admin, shopDomain, shopId, settingsMf?.value, shopTimezone);
+    globalSettings.shop_timezone = shopTimezone;
+  }
+
   // Check if user has any rules (for empty state display)
   let hasRules = false;
   try {
@@ -264,13 +290,21 @@ export const loader = async ({ request }) => {
 
   const shopCurrency = json?.data?.shop?.currencyCode || 'GBP';
 
-  // Fetch store tags for the Tag Wizard modal
+  // Fetch store tags for the Tag Wizard modal, plus collections/vendors/types for match pickers
   let allStoreTags = [];
+  let matchOptions = { collections: [], vendors: [], productTypes: [] };
   try {
     const filtersRes = await admin.graphql(GET_FILTER_OPTIONS);
     const filtersJson = await filtersRes.json();
     allStoreTags = (filtersJson.data?.productTags?.edges || []).map((e) => e.node).filter(Boolean);
-  } catch { /* ignore — modal just won't show store tags */ }
+    matchOptions = {
+      collections: (filtersJson.data?.collections?.edges || [])
+        .map((e) => ({ value: e.node.handle, label: e.node.title }))
+        .filter((c) => c.value),
+      vendors: (filtersJson.data?.productVendors?.edges || []).map((e) => e.node).filter(Boolean),
+      productTypes: (filtersJson.data?.productTypes?.edges || []).map((e) => e.node).filter(Boolean),
+    };
+  } catch { /* ignore — modal and pickers just won't show store values */ }
 
   // Track whether we loaded with existing data (for auto-save safeguard)
   const hasExistingConfig = !!configMf?.value;
@@ -285,6 +319,7 @@ export const loader = async ({ request }) => {
     hasExistingSettings,
     hasRules, // For empty state display
     allStoreTags, // For Tag Wizard modal
+    matchOptions, // For collection/vendor/product type match pickers
   };
 };
 
@@ -299,7 +334,7 @@ export function shouldRevalidate({ formMethod }) {
 }
 
 export const action = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
+  const { admin, session, sessionToken } = await authenticate.admin(request);
 
   const formData = await request.formData();
 
@@ -371,6 +406,8 @@ export const action = async ({ request }) => {
     ownerId: shopId,
   }));
 
+  await ensureHistoryBaseline(admin, session.shop);
+
   const setRes = await admin.graphql(SET_METAFIELDS_MINIMAL, {
     variables: {
       metafields: metafieldsWithOwner,
@@ -386,6 +423,12 @@ export const action = async ({ request }) => {
     return { ok: false, error: friendlyError(errors, "Unable to save. Please check your configuration and try again.") };
   }
 
+  await recordConfigVersions(
+    session.shop,
+    metafieldsToSave.map((mf) => ({ kind: mf.key, value: mf.value })),
+    { author: getHistoryAuthor({ session, sessionToken }), source: "messages" }
+  );
+
   return { ok: true };
 };
 
@@ -393,71 +436,6 @@ export const action = async ({ request }) => {
 // UTILITY FUNCTIONS
 // ============================================================================
 
-function defaultProfile(name = "Default") {
-  return {
-    id: newProfileId(),
-    name: name,
-    rules: [],
-    // Default fd_* settings (empty/zero) so Free Delivery doesn't inherit from globalSettings
-    fd_threshold: 0,
-    fd_exclusion_rules: [],
-    fd_pricing_configs: [],
-    fd_show_announcement_bar: false,
-  };
-}
-
-// Migrate v1 config to v2 format (profiles)
-function migrateToV2(config) {
-  if (config?.version === 2 || config?.version === 3) {
-    // Ensure liveProfileId exists (backward compat for existing v2 configs)
-    if (!config.liveProfileId && config.activeProfileId) {
-      return { ...config, liveProfileId: config.activeProfileId };
-    }
-    return config;
-  }
-
-  // v1 format: { version: 1, rules: [] }
-  // v2 format: { version: 2, profiles: [...], activeProfileId, liveProfileId }
-  const profile = defaultProfile("Default");
-  profile.rules = config?.rules ?? [];
-
-  return {
-    version: 2,
-    profiles: [profile],
-    activeProfileId: profile.id,
-    liveProfileId: profile.id,
-  };
-}
-
-// Migrate v2 config to v3 format (fd_* settings per profile)
-// v3 moves Free Delivery settings into each profile so they can be copied/switched
-function migrateToV3(config, globalSettings) {
-  if (config?.version === 3) return config;
-  if (config?.version !== 2) return config; // Must be v2 first
-
-  // Extract fd_* keys from globalSettings
-  const fdSettings = {};
-  if (globalSettings && typeof globalSettings === 'object') {
-    for (const key of Object.keys(globalSettings)) {
-      if (key.startsWith('fd_')) {
-        fdSettings[key] = globalSettings[key];
-      }
-    }
-  }
-
-  // Copy fd_* into each profile
-  const profiles = (config.profiles || []).map(p => ({
-    ...p,
-    ...fdSettings,
-  }));
-
-  return {
-    ...config,
-    version: 3,
-    profiles,
-  };
-}
-
 // Normalize URL - prepend https:// to bare domains
 function normalizeUrl(url) {
   if (/^(https?:\/\/|\/)/i.test(url)) return url;
@@ -527,7 +505,7 @@ function renderSegment(seg, i, keyPrefix = '', globalSettings = null) {
 }
 
 // Replace {arrival}, {express}, and {countdown} placeholders with computed strings for preview
-function replaceDatePlaceholders(text, rule, globalSettings, shopCurrency = 'GBP', countdownText = '02h 14m') {
+function replaceDatePlaceholders(text, rule, globalSettings, shopCurrency = 'GBP', countdownText = '02h 14m', destinationCountry = '') {
   if (!text) return text;
 
   // Format currency helper - strips .00 for whole numbers (£50 not £50.00)
@@ -550,148 +528,22 @@ function replaceDatePlaceholders(text, rule, globalSettings, shopCurrency = 'GBP
 
   if (!text.includes('{arrival}') && !text.includes('{express}') && !text.includes('{countdown}') && !text.includes('{shipped}')) return text;
 
-  // Import the same business day logic used by ETATimelinePreview
-  const weekdayNames = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
-  const months = ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'];
-  const formatDate = (d) => `${months[d.getMonth()]} ${d.getDate()}`;
-
-  const previewTz = globalSettings?.preview_timezone || "";
-  const now = new Date();
-  let today;
-  if (previewTz) {
-    try {
-      const fmt = new Intl.DateTimeFormat("en-US", {
-        timeZone: previewTz, year: "numeric", month: "2-digit", day: "2-digit",
-        hour: "2-digit", minute: "2-digit", second: "2-digit", hour12: false,
-      });
-      const parts = fmt.formatToParts(now);
-      const g = (t) => parts.find((p) => p.type === t)?.value;
-      today = new Date(Number(g("year")), Number(g("month")) - 1, Number(g("day")), Number(g("hour")), Number(g("minute")), Number(g("second")));
-    } catch { today = now; }
-  } else {
-    today = now;
-  }
-
-  const todayDayName = weekdayNames[today.getDay()];
-  // Separate override flags for each dispatch setting type
-  const useCutoffOverride = rule.settings?.override_cutoff_times;
-  const useClosedDaysOverride = rule.settings?.override_closed_days;
-  const useLeadTimeOverride = rule.settings?.override_lead_time;
-  const useCourierOverride = rule.settings?.override_courier_no_delivery_days;
-
-  let cutoffTime = globalSettings?.cutoff_time || "14:00";
-  if (useCutoffOverride && rule.settings?.cutoff_time?.trim()) cutoffTime = rule.settings.cutoff_time;
-  if (todayDayName === "sat") {
-    const sat = useCutoffOverride ? rule.settings?.cutoff_time_sat : globalSettings?.cutoff_time_sat;
-    if (sat?.trim()) cutoffTime = sat;
-  } else if (todayDayName === "sun") {
-    const sun = useCutoffOverride ? rule.settings?.cutoff_time_sun : globalSettings?.cutoff_time_sun;
-    if (sun?.trim()) cutoffTime = sun;
-  }
-  const [cH, cM] = (cutoffTime || "14:00").split(":").map(Number);
-  const cutoffToday = new Date(today);
-  cutoffToday.setHours(cH ?? 14, cM ?? 0, 0, 0);
-  const beforeCutoff = today.getTime() < cutoffToday.getTime();
-
-  const closedDaysArr = useClosedDaysOverride ? (rule.settings?.closed_days || []) : (globalSettings?.closed_days || []);
-  const closedDays = new Set(Array.isArray(closedDaysArr) ? closedDaysArr : String(closedDaysArr).split(',').map(d => d.trim().toLowerCase()).filter(Boolean));
-
-  const bankHolidayCountry = globalSettings?.bank_holiday_country || "";
-  const customHolidaysArr = globalSettings?.custom_holidays || [];
-  const customHolidays = new Set(Array.isArray(customHolidaysArr) ? customHolidaysArr.map(h => typeof h === 'string' ? h : h?.date).filter(Boolean) : []);
-
-  const isHoliday = (date) => {
-    const ds = `${date.getFullYear()}-${String(date.getMonth()+1).padStart(2,'0')}-${String(date.getDate()).padStart(2,'0')}`;
-    if (customHolidays.has(ds)) return true;
-    if (bankHolidayCountry) {
-      const bankHolidays = getHolidaysForYear(bankHolidayCountry, date.getFullYear());
-      if (bankHolidays.includes(ds)) return true;
-    }
-    return false;
-  };
-
-  const isTodayClosed = closedDays.has(todayDayName) || isHoliday(today);
-  let shippingDate;
-  if (beforeCutoff && !isTodayClosed) {
-    shippingDate = new Date(today);
-  } else {
-    shippingDate = new Date(today.getTime() + 86400000);
-    let attempts = 14;
-    while (attempts > 0) {
-      const dn = weekdayNames[shippingDate.getDay()];
-      if (!closedDays.has(dn) && !isHoliday(shippingDate)) break;
-      shippingDate = new Date(shippingDate.getTime() + 86400000);
-      attempts--;
-    }
-  }
-
-  // Apply lead time: add X business days to shipping date
-  const leadTime = useLeadTimeOverride
-    ? (rule.settings?.lead_time ?? globalSettings?.lead_time ?? 0)
-    : (globalSettings?.lead_time ?? 0);
-  if (leadTime > 0) {
-    let daysAdded = 0;
-    let maxAttempts = 60;
-    while (daysAdded < leadTime && maxAttempts > 0) {
-      shippingDate = new Date(shippingDate.getTime() + 86400000);
-      const dn = weekdayNames[shippingDate.getDay()];
-      if (!closedDays.has(dn) && !isHoliday(shippingDate)) {
-        daysAdded++;
-      }
-      maxAttempts--;
-    }
-  }
-
-  const courierArr = useCourierOverride
-    ? (rule.settings?.courier_no_delivery_days ?? globalSettings?.courier_no_delivery_days ?? ["sat", "sun"])
-    : (globalSettings?.courier_no_delivery_days || ["sat", "sun"]);
-  const courierNoDelivery = new Set(Array.isArray(courierArr) ? courierArr : String(courierArr).split(',').map(d => d.trim().toLowerCase()).filter(Boolean));
-
-  const addBizDays = (start, num) => {
-    let cur = new Date(start.getTime());
-    let added = 0, max = 60;
-    while (added < num && max > 0) {
-      cur = new Date(cur.getTime() + 86400000);
-      if (!courierNoDelivery.has(weekdayNames[cur.getDay()]) && !isHoliday(cur)) added++;
-      max--;
-    }
-    return cur;
-  };
+  // Same engine as ETATimelinePreview and the storefront (dib-date-engine.js)
+  const settings = resolveDispatchSettings(rule, globalSettings, destinationCountry);
+  const estimate = getDeliveryEstimate(getShopNow(globalSettings?.preview_timezone || globalSettings?.shop_timezone), settings);
 
   if (text.includes('{arrival}')) {
-    const minDays = rule.settings?.override_courier_delivery_window
-      ? (rule.settings?.eta_delivery_days_min ?? globalSettings?.courier_delivery_days_min ?? 3)
-      : (globalSettings?.courier_delivery_days_min ?? 3);
-    const maxDays = rule.settings?.override_courier_delivery_window
-      ? (rule.settings?.eta_delivery_days_max ?? globalSettings?.courier_delivery_days_max ?? 5)
-      : (globalSettings?.courier_delivery_days_max ?? 5);
-    const minDate = addBizDays(shippingDate, minDays);
-    const maxDate = addBizDays(shippingDate, maxDays);
-    const arrivalText = minDays === maxDays ? formatDate(minDate)
-      : minDate.getMonth() === maxDate.getMonth() ? `${formatDate(minDate)}-${maxDate.getDate()}`
-      : `${formatDate(minDate)}-${formatDate(maxDate)}`;
-    text = text.replace('{arrival}', arrivalText);
+    text = text.replace('{arrival}', estimate.arrivalText);
   }
   if (text.includes('{express}')) {
-    const expressMinDays = rule.settings?.override_express_delivery_window
-      ? (rule.settings?.express_delivery_days_min ?? globalSettings?.express_delivery_days_min ?? 1)
-      : (globalSettings?.express_delivery_days_min ?? 1);
-    const expressMaxDays = rule.settings?.override_express_delivery_window
-      ? (rule.settings?.express_delivery_days_max ?? globalSettings?.express_delivery_days_max ?? 1)
-      : (globalSettings?.express_delivery_days_max ?? 1);
-    const expressMinDate = addBizDays(shippingDate, expressMinDays);
-    const expressMaxDate = addBizDays(shippingDate, expressMaxDays);
-    const expressText = expressMinDays === expressMaxDays ? formatDate(expressMinDate)
-      : expressMinDate.getMonth() === expressMaxDate.getMonth() ? `${formatDate(expressMinDate)}-${expressMaxDate.getDate()}`
-      : `${formatDate(expressMinDate)}-${formatDate(expressMaxDate)}`;
-    text = text.replace('{express}', expressText);
+    text = text.replace('{express}', estimate.expressText);
   }
   if (text.includes('{countdown}')) {
     // Real-time countdown based on cutoff time settings
     text = text.replace('{countdown}', countdownText);
   }
   if (text.includes('{shipped}')) {
-    text = text.replace('{shipped}', formatDate(shippingDate));
+    text = text.replace('{shipped}', estimate.shippedText);
   }
   // Note: {lb} is handled in rendering, not here (needs to become actual <br /> element)
   return text;
@@ -820,125 +672,6 @@ function migrateMessageFields(settings) {
   return result;
 }
 
-function defaultRule() {
-  return {
-    id: newRuleId(),
-    name: "Untitled rule",
-    match: { product_handles: [], tags: [], exclude_handles: [], stock_status: "any", is_fallback: false },
-    settings: {
-      // Collapsed states - only Product Matching expanded by default
-      collapsed_product_matching: false,
-      collapsed_dispatch_settings: true,
-      collapsed_countdown_messages: true,
-      collapsed_countdown_icon: true,
-      collapsed_eta_timeline: true,
-
-      show_messages: false,
-      message_line_1: "",
-      message_line_2: "",
-      message_line_3: "",
-      message_line_4: "",
-      cutoff_fallback_message: "",
-      show_icon: false,
-      icon: "truck",
-      icon_style: "solid",
-      icon_color: "#111827",
-      icon_layout: "per-line",
-      show_icon_per_line_overrides: false,
-      single_icon_size: "medium",
-      icon_vertical_align: "top",
-      border_thickness: 0,
-      border_color: "#e5e7eb",
-      border_radius: 8,
-      background_color: "",
-      max_width: 600,
-
-      // Dispatch settings overrides (separate flags)
-      override_cutoff_times: false,
-      override_lead_time: false,
-      override_closed_days: false,
-      override_courier_no_delivery_days: false,
-      override_courier_delivery_window: false,
-      override_express_delivery_window: false,
-      cutoff_time: "",
-      cutoff_time_sat: "",
-      cutoff_time_sun: "",
-      closed_days: [],
-      lead_time: 0,
-      courier_no_delivery_days: [],
-
-      // ETA Timeline
-      show_eta_timeline: false,
-      eta_left_padding: 0,
-      eta_icon_size: 36,
-      eta_connector_style: "double-chevron",
-      eta_connector_color: "#111827",
-      eta_connector_use_main_color: true,
-      eta_connector_alignment: "center",
-      eta_connector_size: 24,
-      eta_color: "#111827",
-      eta_use_main_icon_color: true,
-      eta_border_width: 0,
-      eta_border_color: "#e5e7eb",
-      eta_border_radius: 8,
-      eta_background_color: "",
-      eta_delivery_days_min: 3,
-      eta_delivery_days_max: 5,
-      express_delivery_days_min: 1,
-      express_delivery_days_max: 1,
-      eta_order_icon: "clipboard-document-check",
-      eta_shipping_icon: "truck",
-      eta_delivery_icon: "home",
-      eta_order_icon_style: "solid",
-      eta_shipping_icon_style: "solid",
-      eta_delivery_icon_style: "solid",
-      eta_label_order: "Ordered",
-      eta_label_shipping: "Shipped",
-      eta_label_delivery: "Delivered",
-      match_eta_width: false,
-
-      // Text styling (per-rule override for messages)
-      override_global_text_styling: false,
-      text_color: "#374151",
-      font_size: 16,
-      font_weight: "normal",
-
-      // ETA text styling (per-rule override) - Labels (Ordered, Shipped, Delivered)
-      override_eta_text_styling: false,
-      eta_label_color: "#374151",
-      eta_label_font_size: 12,
-      eta_label_font_weight: "normal",
-
-      // ETA text styling - Dates (Jan 20, Jan 21-24)
-      eta_date_color: "#6b7280",
-      eta_date_font_size: 11,
-      eta_date_font_weight: "normal",
-
-      // Special Delivery block
-      show_special_delivery: false,
-      special_delivery_message: "",
-      special_delivery_icon_size: 24,
-      special_delivery_icon_color: "#111827",
-      special_delivery_use_main_icon_color: true,
-      // Special Delivery - Border Styling
-      special_delivery_border_thickness: 0,
-      special_delivery_border_color: "#e5e7eb",
-      special_delivery_border_radius: 8,
-      special_delivery_background_color: "",
-      special_delivery_match_eta_width: false,
-      special_delivery_max_width: 600,
-      // Special Delivery - Text Styling (per-rule override)
-      special_delivery_override_global_text_styling: false,
-      special_delivery_text_color: "#374151",
-      special_delivery_font_size: "medium",
-      special_delivery_font_weight: "normal",
-      special_delivery_text_alignment: "left",
-      // Special Delivery - Icon selection from Icons page
-      special_delivery_icon: "",
-    },
-  };
-}
-
 // ============================================================================
 // PREVIEW COMPONENTS
 // ============================================================================
@@ -991,6 +724,8 @@ export default function Index() {
 
   // Custom holiday management state
   const [newCustomHoliday, setNewCustomHoliday] = useState("");
+  // Destination country the previews use for delivery zones ("" = default windows)
+  const [previewCountry, setPreviewCountry] = useState("");
   const [newCustomHolidayLabel, setNewCustomHolidayLabel] = useState("");
 
   // Helper functions for Global Settings
@@ -1424,105 +1159,43 @@ export default function Index() {
   const safeSelectedIndex =
     rules.length === 0 ? 0 : Math.min(selectedIndex, rules.length - 1);
   const rule = rules[safeSelectedIndex] ?? null;
+  // Dispatch calendar the selected rule inherits (its fulfilment location, else global)
+  const ruleLocation = getFulfilmentLocation(globalSettings?.fulfilment_locations, rule?.settings?.location_id);
+  const ruleCalendar = ruleLocation || globalSettings;
 
   // Real-time countdown for preview (requires rule to be defined)
   useEffect(() => {
     const calculateCountdown = () => {
-      const previewTz = globalSettings?.preview_timezone || "";
+      // Same cutoff logic as replaceDatePlaceholders and the storefront countdown
       const now = new Date();
-      let shopNow;
-
-      // Convert to shop timezone if set
-      if (previewTz) {
-        try {
-          const fmt = new Intl.DateTimeFormat("en-US", {
-            timeZone: previewTz, year: "numeric", month: "2-digit", day: "2-digit",
-            hour: "2-digit", minute: "2-digit", second: "2-digit", hour12: false,
-          });
-          const parts = fmt.formatToParts(now);
-          const g = (t) => parts.find((p) => p.type === t)?.value;
-          shopNow = new Date(Number(g("year")), Number(g("month")) - 1, Number(g("day")), Number(g("hour")), Number(g("minute")), Number(g("second")));
-        } catch { shopNow = now; }
-      } else {
-        shopNow = now;
-      }
-
-      const dayName = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'][shopNow.getDay()];
-
-      // Check for rule overrides (same pattern as replaceDatePlaceholders)
-      const useCutoffOverride = rule?.settings?.override_cutoff_times;
-      const useClosedDaysOverride = rule?.settings?.override_closed_days;
+      const timeZone = globalSettings?.preview_timezone || globalSettings?.shop_timezone;
+      const shopNow = getShopNow(timeZone, now);
+      const { state, remainingMs } = getCutoffStatus(
+        shopNow,
+        resolveDispatchSettings(rule, globalSettings),
+        isValidTimeZone(timeZone) ? { timeZone, now } : {}
+      );
 
-      // Check if today is a closed day (with rule override support)
-      const closedDaysArr = useClosedDaysOverride
-        ? (rule?.settings?.closed_days || [])
-        : (globalSettings?.closed_days || []);
-      const closedDays = new Set(Array.isArray(closedDaysArr) ? closedDaysArr : String(closedDaysArr).split(',').map(d => d.trim().toLowerCase()).filter(Boolean));
-      if (closedDays.has(dayName)) {
+      if (state === 'closed') {
         setCountdownText('closed today');
-        return;
-      }
-
-      // Check if today is a holiday
-      const dateStr = `${shopNow.getFullYear()}-${String(shopNow.getMonth()+1).padStart(2,'0')}-${String(shopNow.getDate()).padStart(2,'0')}`;
-      const customHolidaysArr = globalSettings?.custom_holidays || [];
-      const customHolidays = new Set(Array.isArray(customHolidaysArr) ? customHolidaysArr.map(h => typeof h === 'string' ? h : h?.date).filter(Boolean) : []);
-      const bankHolidayCountry = globalSettings?.bank_holiday_country || "";
-      let isHolidayToday = customHolidays.has(dateStr);
-      if (!isHolidayToday && bankHolidayCountry) {
-        const bankHolidays = getHolidaysForYear(bankHolidayCountry, shopNow.getFullYear());
-        isHolidayToday = bankHolidays.includes(dateStr);
-      }
-      if (isHolidayToday) {
+      } else if (state === 'holiday') {
         setCountdownText('holiday today');
-        return;
-      }
-
-      // Get cutoff time (with rule override support)
-      let cutoffStr = globalSettings?.cutoff_time || '14:00';
-      if (useCutoffOverride && rule?.settings?.cutoff_time?.trim()) {
-        cutoffStr = rule.settings.cutoff_time;
-      }
-      if (dayName === 'sat') {
-        const sat = useCutoffOverride ? rule?.settings?.cutoff_time_sat : globalSettings?.cutoff_time_sat;
-        if (sat?.trim()) cutoffStr = sat;
-      } else if (dayName === 'sun') {
-        const sun = useCutoffOverride ? rule?.settings?.cutoff_time_sun : globalSettings?.cutoff_time_sun;
-        if (sun?.trim()) cutoffStr = sun;
-      }
-
-      // Parse cutoff time and calculate in shop timezone
-      const [hours, minutes] = cutoffStr.split(':').map(Number);
-      const cutoff = new Date(shopNow);
-      cutoff.setHours(hours, minutes, 0, 0);
-
-      // Calculate difference
-      const diff = cutoff.getTime() - shopNow.getTime();
-
-      if (diff <= 0) {
+      } else if (state === 'passed') {
         setCountdownText('cutoff passed');
-        return;
-      }
-
-      const totalMinutes = Math.floor(diff / 60000);
-      if (totalMinutes < 1) {
-        setCountdownText('less than 1 min');
-        return;
-      }
-      const h = Math.floor(totalMinutes / 60);
-      const m = totalMinutes % 60;
-
-      if (h > 0) {
-        setCountdownText(`${h}h ${m.toString().padStart(2, '0')}m`);
+      } else if (globalSettings?.countdown_local_time) {
+        // Preview the shopper-local suffix with the browser's clock
+        const localTime = new Date(now.getTime() + remainingMs).toLocaleTimeString([], { hour: "numeric", minute: "2-digit" });
+        const format = globalSettings.countdown_local_time_text || DEFAULT_LOCAL_CUTOFF_TEXT;
+        setCountdownText(`${formatRemaining(remainingMs)} ${format.replace(/\{time\}/gi, localTime)}`);
       } else {
-        setCountdownText(`${m}m`);
+        setCountdownText(formatRemaining(remainingMs));
       }
     };
 
     calculateCountdown(); // Initial calculation
     const interval = setInterval(calculateCountdown, 60000); // Update every minute
     return () => clearInterval(interval);
-  }, [globalSettings?.cutoff_time, globalSettings?.cutoff_time_sat, globalSettings?.cutoff_time_sun, globalSettings?.preview_timezone, globalSettings?.closed_days, globalSettings?.custom_holidays, globalSettings?.bank_holiday_country, rule?.settings?.override_cutoff_times, rule?.settings?.cutoff_time, rule?.settings?.cutoff_time_sat, rule?.settings?.cutoff_time_sun, rule?.settings?.override_closed_days, rule?.settings?.closed_days]);
+  }, [globalSettings, rule]);
 
   // Tag Wizard modal state
   const [showAddTagsModal, setShowAddTagsModal] = useState(false);
@@ -1538,6 +1211,7 @@ export default function Index() {
     return Array.from(tagSet).sort();
   }, [rules]);
   const loaderStoreTags = useLoaderData().allStoreTags || [];
+  const loaderMatchOptions = useLoaderData().matchOptions || { collections: [], vendors: [], productTypes: [] };
 
   // Collapsed panel state (stored in localStorage, not metafield)
   const [collapsedPanels, setCollapsedPanels] = useState({
@@ -1613,22 +1287,24 @@ export default function Index() {
     const updatedProfiles = profiles.map((p) =>
       p.id === activeProfileId ? { ...p, rules: nextRules } : p
     );
-    setDraft(JSON.stringify({ version: 3, profiles: updatedProfiles, activeProfileId, liveProfileId }));
+    setDraft(JSON.stringify({ ...parsed, version: 3, profiles: updatedProfiles, activeProfileId, liveProfileId }));
   };
 
   // Update all profiles (activeProfileId = editing, liveProfileId = on site)
-  const setProfiles = (nextProfiles, newActiveId = activeProfileId) => {
+  // extra: other top-level config fields to replace (e.g. schedules)
+  const setProfiles = (nextProfiles, newActiveId = activeProfileId, extra = {}) => {
     if (newActiveId !== activeProfileId) {
       flushPendingEdits(); // Save any pending edits before switching profiles
     }
-    setDraft(JSON.stringify({ version: 3, profiles: nextProfiles, activeProfileId: newActiveId, liveProfileId }));
+    setDraft(JSON.stringify({ ...parsed, version: 3, profiles: nextProfiles, activeProfileId: newActiveId, liveProfileId, ...extra }));
     // Note: selectedIndex reset is handled by the effect watching activeProfileId changes
   };
 
   // Set which profile is live on the site (separate from editing)
   // Also copies the new live profile's fd_* settings to globalSettings for Liquid to read
   const setLiveProfile = (newLiveId) => {
-    setDraft(JSON.stringify({ ...parsed, liveProfileId: newLiveId }));
+    // Timestamp lets a manual choice win over the revert of a schedule that already ended
+    setDraft(JSON.stringify({ ...parsed, liveProfileId: newLiveId, liveProfileUpdatedAt: new Date().toISOString() }));
 
     // Copy fd_* from new live profile to globalSettings
     const newLiveProfile = profiles.find(p => p.id === newLiveId);
@@ -1643,6 +1319,11 @@ export default function Index() {
     }
   };
 
+  // Replace the profile go-live schedules (storefront resolves them at render time)
+  const setSchedules = (nextSchedules) => {
+    setDraft(JSON.stringify({ ...parsed, schedules: nextSchedules }));
+  };
+
   // Profile management functions (max 5 profiles)
   const maxProfilesReached = profiles.length >= 5;
 
@@ -1725,7 +1406,11 @@ export default function Index() {
       nextLiveId = nextProfiles[Math.min(removedIndex, nextProfiles.length - 1)]?.id;
     }
 
-    setDraft(JSON.stringify({ version: 3, profiles: nextProfiles, activeProfileId: nextActiveId, liveProfileId: nextLiveId }));
+    // Schedules for the deleted profile go too (restored by undo)
+    const schedules = parsed?.schedules || [];
+    const nextSchedules = removeProfileFromSchedules(schedules, profileId);
+
+    setDraft(JSON.stringify({ ...parsed, version: 3, profiles: nextProfiles, activeProfileId: nextActiveId, liveProfileId: nextLiveId, schedules: nextSchedules }));
 
     // Reset editing profile if we deleted the one being edited
     if (profileId === editingProfileId) {
@@ -1733,7 +1418,7 @@ export default function Index() {
     }
 
     // Remember it for undo
-    setLastDeletedProfile({ profile: removed, index: removedIndex });
+    setLastDeletedProfile({ profile: removed, index: removedIndex, schedules });
 
     // Auto-expire undo after 10s
     undoProfileTimerRef.current = setTimeout(() => {
@@ -1752,7 +1437,7 @@ export default function Index() {
     const restored = [...profiles];
     restored.splice(insertAt, 0, lastDeletedProfile.profile);
 
-    setProfiles(restored, lastDeletedProfile.profile.id);
+    setProfiles(restored, lastDeletedProfile.profile.id, { schedules: lastDeletedProfile.schedules || [] });
     setLastDeletedProfile(null);
   };
 
@@ -1760,7 +1445,7 @@ export default function Index() {
     const updatedProfiles = profiles.map((p) =>
       p.id === profileId ? { ...p, name: newName } : p
     );
-    setDraft(JSON.stringify({ version: 3, profiles: updatedProfiles, activeProfileId, liveProfileId }));
+    setDraft(JSON.stringify({ ...parsed, version: 3, profiles: updatedProfiles, activeProfileId, liveProfileId }));
   };
 
   const addRule = () => {
@@ -1886,6 +1571,7 @@ export default function Index() {
               <option key={p.id} value={p.id}>{p.name}</option>
             ))}
           </select>
+          <ScheduledLiveBadge config={parsed} />
         </div>
         {/* Editing profile selector */}
         <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
@@ -2028,6 +1714,7 @@ export default function Index() {
                       <option key={p.id} value={p.id}>{p.name}</option>
                     ))}
                   </select>
+                  <ScheduledLiveBadge config={parsed} />
                 </div>
                 {/* Editing profile selector */}
                 <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
@@ -3128,18 +2815,25 @@ export default function Index() {
                   </div>
                 </div>
 
+                {/* Profile Schedules */}
+                <div style={{ border: "1px solid var(--p-color-border, #e5e7eb)", borderRadius: 8, padding: 16, display: "grid", gap: 12, background: "var(--p-color-bg-surface-secondary, #f9fafb)" }}>
+                  <s-heading size="small">Profile Schedules</s-heading>
+                  <ProfileSchedules config={parsed} onChange={setSchedules} disabled={profilesLocked} />
+                </div>
+
                 {/* Preview Timezone */}
                 <div style={{ border: "1px solid var(--p-color-border, #e5e7eb)", borderRadius: 8, padding: 16, display: "grid", gap: 12, background: "var(--p-color-bg-surface-secondary, #f9fafb)" }}>
-                  <s-heading size="small">Preview Timezone</s-heading>
+                  <s-heading size="small">Timezone</s-heading>
                   <s-text size="small" style={{ color: "var(--p-color-text-subdued, #6b7280)" }}>
-                    Match this to your Shopify store timezone so the preview matches your live storefront.
+                    Cutoffs use your store timezone{globalSettings?.shop_timezone ? ` (${globalSettings.shop_timezone})` : ""}, including
+                    daylight saving changes. Previews follow it too unless you pick another timezone below.
                   </s-text>
                   <select
                     value={globalSettings?.preview_timezone || ""}
                     onChange={(e) => setGlobalSettings({ ...globalSettings, preview_timezone: e.target.value })}
                     style={{ width: "100%" }}
                   >
-                    <option value="">Browser default</option>
+                    <option value="">{globalSettings?.shop_timezone ? `Store timezone (${globalSettings.shop_timezone})` : "Browser default"}</option>
                     <optgroup label="UTC">
                       <option value="UTC">UTC</option>
                     </optgroup>
@@ -3184,6 +2878,30 @@ export default function Index() {
                       <option value="Africa/Lagos">Africa/Lagos (GMT+1)</option>
                     </optgroup>
                   </select>
+                  <label style={{ display: "flex", alignItems: "center", gap: 8 }}>
+                    <input
+                      type="checkbox"
+                      checked={!!globalSettings?.countdown_local_time}
+                      onChange={(e) => setGlobalSettings({ ...globalSettings, countdown_local_time: e.target.checked })}
+                    />
+                    <s-text size="small">Show the cutoff in the shopper&apos;s local time after &#123;countdown&#125;</s-text>
+                  </label>
+                  {globalSettings?.countdown_local_time && (
+                    <label>
+                      <s-text size="small">Local time text ({"{time}"} is replaced, e.g. &quot;2:00 pm&quot;)</s-text>
+                      <input
+                        type="text"
+                        maxLength={60}
+                        value={globalSettings?.countdown_local_time_text ?? DEFAULT_LOCAL_CUTOFF_TEXT}
+                        onChange={(e) => setGlobalSettings({ ...globalSettings, countdown_local_time_text: e.target.value })}
+                        placeholder={DEFAULT_LOCAL_CUTOFF_TEXT}
+                        style={{ width: "100%" }}
+                      />
+                      <span style={{ fontSize: 12, color: "var(--p-color-text-subdued, #6b7280)" }}>
+                        Only shown to shoppers whose timezone differs from your store&apos;s.
+                      </span>
+                    </label>
+                  )}
                 </div>
 
                 {/* Courier Delivery Window */}
@@ -3292,6 +3010,17 @@ export default function Index() {
                   </div>
                 </div>
 
+                {/* Delivery Zones */}
+                <DeliveryZonesEditor
+                  globalSettings={globalSettings}
+                  setGlobalSettings={setGlobalSettings}
+                  previewCountry={previewCountry}
+                  onPreviewCountryChange={setPreviewCountry}
+                />
+
+                {/* Fulfilment Locations */}
+                <FulfilmentLocationsEditor globalSettings={globalSettings} setGlobalSettings={setGlobalSettings} />
+
                 {/* Cutoff Times */}
                 <div style={{ border: "1px solid var(--p-color-border, #e5e7eb)", borderRadius: 8, padding: 16, display: "grid", gap: 12, background: "var(--p-color-bg-surface-secondary, #f9fafb)" }}>
                   <s-heading size="small">Cutoff Times</s-heading>
@@ -3427,11 +3156,11 @@ export default function Index() {
                 <div style={{ border: "1px solid var(--p-color-border, #e5e7eb)", borderRadius: 8, padding: 16, display: "grid", gap: 12, background: "var(--p-color-bg-surface-secondary, #f9fafb)" }}>
                   <s-heading size="small">Bank Holidays</s-heading>
                   <s-text size="small" style={{ color: "var(--p-color-text-subdued, #6b7280)" }}>
-                    Select your country to automatically skip bank holidays
+                    Select your country (and region, where holidays differ) to automatically skip bank holidays
                   </s-text>
                   <select
                     value={globalSettings?.bank_holiday_country || ""}
-                    onChange={(e) => setGlobalSettings({ ...globalSettings, bank_holiday_country: e.target.value })}
+                    onChange={(e) => setGlobalSettings({ ...globalSettings, bank_holiday_country: e.target.value, bank_holiday_subdivision: "" })}
                     style={{ width: "100%" }}
                   >
                     <option value="">None (no bank holidays)</option>
@@ -3441,10 +3170,23 @@ export default function Index() {
                         <option key={code} value={code}>{name}</option>
                       ))}
                   </select>
+                  {getSubdivisions(globalSettings?.bank_holiday_country).length > 0 && (
+                    <select
+                      value={globalSettings?.bank_holiday_subdivision || ""}
+                      onChange={(e) => setGlobalSettings({ ...globalSettings, bank_holiday_subdivision: e.target.value })}
+                      aria-label="Bank holiday region"
+                      style={{ width: "100%" }}
+                    >
+                      <option value="">National holidays only</option>
+                      {getSubdivisions(globalSettings.bank_holiday_country).map(({ code, name }) => (
+                        <option key={code} value={code}>{name}</option>
+                      ))}
+                    </select>
+                  )}
                   {globalSettings?.bank_holiday_country && (
                     <div style={{ fontSize: 12, color: "var(--p-color-text-subdued, #6b7280)" }}>
                       Holidays for {new Date().getFullYear()}:{" "}
-                      {getHolidaysForYear(globalSettings.bank_holiday_country, new Date().getFullYear())
+                      {getHolidaysForYear(getHolidayRegion(globalSettings.bank_holiday_country, globalSettings.bank_holiday_subdivision), new Date().getFullYear())
                         .map(date => {
                           const d = new Date(date + "T00:00:00");
                           return d.toLocaleDateString("en-GB", { day: "numeric", month: "short" });
@@ -3541,6 +3283,9 @@ export default function Index() {
                     </div>
                   )}
                 </div>
+
+                {/* Courier Holidays */}
+                <CourierHolidaySettings globalSettings={globalSettings} setGlobalSettings={setGlobalSettings} />
               </div>
             )}
 
@@ -3735,6 +3480,59 @@ export default function Index() {
                     />
                   </label>
 
+                  {/* Collection / vendor / product type matching (ANY value matches) */}
+                  {[
+                    { key: "collections", label: "Collections (ANY collection matches)", options: loaderMatchOptions.collections, placeholder: "Add collection…" },
+                    { key: "vendors", label: "Vendors (ANY vendor matches)", options: loaderMatchOptions.vendors.map((v) => ({ value: v, label: v })), placeholder: "Add vendor…" },
+                    { key: "product_types", label: "Product types (ANY type matches)", options: loaderMatchOptions.productTypes.map((t) => ({ value: t, label: t })), placeholder: "Add product type…" },
+                  ].map(({ key, label, options, placeholder }) => (
+                    <MatchValuePicker
+                      key={key}
+                      label={label}
+                      values={rule.match?.[key] || []}
+                      options={options}
+                      placeholder={placeholder}
+                      onChange={(values) => {
+                        const next = [...rules];
+                        next[safeSelectedIndex] = {
+                          ...rule,
+                          match: { ...rule.match, [key]: values },
+                        };
+                        setRules(next);
+                      }}
+                    />
+                  ))}
+
+                  {/* Variant matching - evaluated against the selected variant, swapped live on the storefront */}
+                  {[
+                    { key: "variant_skus", label: "Variant SKUs (comma-separated, ANY SKU matches)" },
+                    { key: "variant_options", label: "Variant option values (comma-separated, e.g. Large, Red)" },
+                  ].map(({ key, label }) => (
+                    <label key={key}>
+                      <s-text>{label}</s-text>
+                      <input
+                        key={`${rule.id}-${key}-${(rule.match?.[key] || []).join(",")}`}
+                        defaultValue={(rule.match?.[key] || []).join(", ")}
+                        onBlur={(e) => {
+                          const values = e.target.value
+                            .split(",")
+                            .map((v) => v.trim())
+                            .filter(Boolean);
+                          const currentRules = rulesRef.current;
+                          const ruleIndex = currentRules.findIndex((r) => r.id === rule.id);
+                          if (ruleIndex < 0) return; // Rule was deleted
+                          const next = [...currentRules];
+                          next[ruleIndex] = {
+                            ...currentRules[ruleIndex],
+                            match: { ...currentRules[ruleIndex].match, [key]: values },
+                          };
+                          setRules(next);
+                        }}
+                        style={{ width: "100%" }}
+                      />
+                    </label>
+                  ))}
+
                   <label>
                     <s-text>Exclusions - Product handles (comma-separated)</s-text>
                     <input
@@ -3842,6 +3640,43 @@ export default function Index() {
                       <option value="mixed_stock">Mixed stock (variants have different statuses)</option>
                     </select>
                       </label>
+
+                      <label style={{ display: "flex", gap: 6, alignItems: "flex-start" }}>
+                        <input
+                          type="checkbox"
+                          checked={rule.match?.stock_scope === "variant"}
+                          style={{ marginTop: 4 }}
+                          onChange={(e) => {
+                            const next = [...rules];
+                            next[safeSelectedIndex] = {
+                              ...rule,
+                              match: { ...rule.match, stock_scope: e.target.checked ? "variant" : "product" },
+                            };
+                            setRules(next);
+                          }}
+                        />
+                        <s-text>Check stock status against the selected variant (updates as shoppers switch variants)</s-text>
+                      </label>
+
+                      <label>
+                        <s-text>Variant inventory policy</s-text>
+                        <select
+                          value={rule.match?.inventory_policy || "any"}
+                          onChange={(e) => {
+                            const next = [...rules];
+                            next[safeSelectedIndex] = {
+                              ...rule,
+                              match: { ...rule.match, inventory_policy: e.target.value },
+                            };
+                            setRules(next);
+                          }}
+                          style={{ width: "100%" }}
+                        >
+                          <option value="any">Any (ignore policy)</option>
+                          <option value="deny">Stop selling when out of stock</option>
+                          <option value="continue">Continue selling when out of stock (backorder)</option>
+                        </select>
+                      </label>
                     </div>
                   )}
                 </div>
@@ -3892,6 +3727,39 @@ export default function Index() {
                   {!collapsedPanels.dispatch_settings && (
                     <div style={{ padding: "16px", display: "grid", gap: 16 }}>
 
+                      {/* ===== FULFILMENT LOCATION ===== */}
+                      {(globalSettings?.fulfilment_locations || []).length > 0 && (
+                        <>
+                          <label style={{ display: "grid", gap: 4 }}>
+                            <s-text>Ships from</s-text>
+                            <select
+                              value={ruleLocation ? ruleLocation.id : ""}
+                              onChange={(e) => {
+                                const next = [...rules];
+                                next[safeSelectedIndex] = {
+                                  ...rule,
+                                  settings: { ...rule.settings, location_id: e.target.value },
+                                };
+                                setRules(next);
+                              }}
+                              style={{ width: "100%" }}
+                            >
+                              <option value="">Default calendar (global settings)</option>
+                              {globalSettings.fulfilment_locations.map((l) => (
+                                <option key={l.id} value={l.id}>{l.name || "Unnamed location"}</option>
+                              ))}
+                            </select>
+                          </label>
+                          <div style={{ display: "flex", alignItems: "center", gap: 6, color: "var(--p-color-text-subdued, #6b7280)" }}>
+                            <span style={{ fontSize: 12, flexShrink: 0 }}>💡</span>
+                            <span style={{ fontSize: 12 }}>The location&apos;s cutoffs, closed days and bank holidays replace the global ones. Overrides below still apply.</span>
+                          </div>
+
+                          {/* Divider */}
+                          <div style={{ borderTop: "1px solid var(--p-color-border, #e5e7eb)", margin: "4px 0" }} />
+                        </>
+                      )}
+
                       {/* ===== COURIER DELIVERY WINDOW ===== */}
                       <div>
                         <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
@@ -4075,9 +3943,10 @@ export default function Index() {
 
                         {!rule.settings?.override_cutoff_times ? (
                           <div style={{ marginLeft: 24, marginTop: 4, color: "var(--p-color-text-subdued, #6b7280)", fontSize: 12 }}>
-                            Using: <strong>{globalSettings?.cutoff_time || "14:00"}</strong>
-                            {globalSettings?.cutoff_time_sat && <> (Sat: {globalSettings.cutoff_time_sat})</>}
-                            {globalSettings?.cutoff_time_sun && <> (Sun: {globalSettings.cutoff_time_sun})</>}
+                            Using: <strong>{ruleCalendar?.cutoff_time || globalSettings?.cutoff_time || "14:00"}</strong>
+                            {ruleCalendar?.cutoff_time_sat && <> (Sat: {ruleCalendar.cutoff_time_sat})</>}
+                            {ruleCalendar?.cutoff_time_sun && <> (Sun: {ruleCalendar.cutoff_time_sun})</>}
+                            {ruleLocation && <> from {ruleLocation.name || "location"}</>}
                           </div>
                         ) : (
                           <div style={{ marginLeft: 24, marginTop: 8, display: "grid", gap: 8 }}>
@@ -4208,9 +4077,10 @@ export default function Index() {
 
                         {!rule.settings?.override_closed_days ? (
                           <div style={{ marginLeft: 24, marginTop: 4, color: "var(--p-color-text-subdued, #6b7280)", fontSize: 12 }}>
-                            Using: <strong>{(globalSettings?.closed_days || []).length > 0
-                              ? (globalSettings?.closed_days || []).map(d => d.charAt(0).toUpperCase() + d.slice(1)).join(", ")
+                            Using: <strong>{(ruleCalendar?.closed_days || []).length > 0
+                              ? (ruleCalendar?.closed_days || []).map(d => d.charAt(0).toUpperCase() + d.slice(1)).join(", ")
                               : "None"}</strong>
+                            {ruleLocation && <> from {ruleLocation.name || "location"}</>}
                           </div>
                         ) : (
                           <div style={{ marginLeft: 24, marginTop: 8 }}>
@@ -4532,6 +4402,18 @@ export default function Index() {
                       </label>
                     )}
 
+                    <AbTestEditor
+                      settings={rule.settings}
+                      onChange={(abTest) => {
+                        const next = [...rules];
+                        next[safeSelectedIndex] = {
+                          ...rule,
+                          settings: { ...rule.settings, ab_test: abTest },
+                        };
+                        setRules(next);
+                      }}
+                    />
+
                     {/* Border Styling sub-section */}
                     <div style={{ borderTop: "1px solid var(--p-color-border, #e5e7eb)", paddingTop: 16, display: "grid", gap: 12 }}>
                       <s-heading>Border Styling</s-heading>
@@ -7064,7 +6946,7 @@ export default function Index() {
                               {rule.settings?.show_messages !== false ? (
                                 <>
                                   {rule.settings?.message_line_1 && (() => {
-                                    const processed = replacePricingPlaceholders(replaceDatePlaceholders(rule.settings.message_line_1, rule, previewSettings, shopCurrency, countdownText), previewSettings, shopCurrency);
+                                    const processed = replacePricingPlaceholders(replaceDatePlaceholders(rule.settings.message_line_1, rule, previewSettings, shopCurrency, countdownText, previewCountry), previewSettings, shopCurrency);
                                     if (processed === '__INVALID_PRICING_CODE__') {
                                       return (
                                         <PreviewLine rule={rule} globalSettings={globalSettings} lineNumber={1}>
@@ -7082,7 +6964,7 @@ export default function Index() {
                                   })()}
 
                                   {rule.settings?.message_line_2 && (() => {
-                                    const processed = replacePricingPlaceholders(replaceDatePlaceholders(rule.settings.message_line_2, rule, previewSettings, shopCurrency, countdownText), previewSettings, shopCurrency);
+                                    const processed = replacePricingPlaceholders(replaceDatePlaceholders(rule.settings.message_line_2, rule, previewSettings, shopCurrency, countdownText, previewCountry), previewSettings, shopCurrency);
                                     if (processed === '__INVALID_PRICING_CODE__') {
                                       return (
                                         <PreviewLine rule={rule} globalSettings={globalSettings} lineNumber={2}>
@@ -7100,7 +6982,7 @@ export default function Index() {
                                   })()}
 
                                   {rule.settings?.message_line_3 && (() => {
-                                    const processed = replacePricingPlaceholders(replaceDatePlaceholders(rule.settings.message_line_3, rule, previewSettings, shopCurrency, countdownText), previewSettings, shopCurrency);
+                                    const processed = replacePricingPlaceholders(replaceDatePlaceholders(rule.settings.message_line_3, rule, previewSettings, shopCurrency, countdownText, previewCountry), previewSettings, shopCurrency);
                                     if (processed === '__INVALID_PRICING_CODE__') {
                                       return (
                                         <PreviewLine rule={rule} globalSettings={globalSettings} lineNumber={3}>
@@ -7118,7 +7000,7 @@ export default function Index() {
                                   })()}
 
                                   {rule.settings?.message_line_4 && (() => {
-                                    const processed = replacePricingPlaceholders(replaceDatePlaceholders(rule.settings.message_line_4, rule, previewSettings, shopCurrency, countdownText), previewSettings, shopCurrency);
+                                    const processed = replacePricingPlaceholders(replaceDatePlaceholders(rule.settings.message_line_4, rule, previewSettings, shopCurrency, countdownText, previewCountry), previewSettings, shopCurrency);
                                     if (processed === '__INVALID_PRICING_CODE__') {
                                       return (
                                         <PreviewLine rule={rule} globalSettings={globalSettings} lineNumber={4}>
@@ -7143,7 +7025,7 @@ export default function Index() {
                         {/* ETA Timeline Preview - shown below messages when enabled */}
                         {rule.settings?.show_eta_timeline && (
                           <div style={{ display: "inline-block", minWidth: 0, maxWidth: "100%" }}>
-                            <ETATimelinePreview rule={rule} globalSettings={globalSettings} />
+                            <ETATimelinePreview rule={rule} globalSettings={globalSettings} destinationCountry={previewCountry} />
                           </div>
                         )}
 
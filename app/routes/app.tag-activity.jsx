@@ -0,0 +1,317 @@
+// ============================================================================
+// IMPORTS
+// ============================================================================
+
+import { useEffect, useState } from "react";
+import { Link, useFetcher, useLoaderData, useRouteError, useSearchParams } from "react-router";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import { getHistoryAuthor } from "../models/configHistory.server";
+import {
+  TAG_BATCH_SOURCES,
+  claimTagBatchRevert,
+  getTagBatch,
+  getTagBatchFilterOptions,
+  listTagBatches,
+  recordTagBatch,
+  releaseTagBatchRevert,
+  runTagBatch,
+} from "../models/tagBatches.server";
+import { BULK_TAG_THRESHOLD, getActiveTagJob, startTagJob } from "../models/tagJobs.server";
+import { revertableIds } from "../utils/tagChanges";
+import { safeLogError } from "../utils/validation";
+
+// ============================================================================
+// DISPLAY HELPERS
+// ============================================================================
+
+const SOURCE_LABELS = { manual: "Tag Manager", bulk: "Bulk job", revert: "Revert" };
+
+const ACTION_LABELS = { add: "Added", remove: "Removed" };
+
+// Products listed for the selected batch
+const MAX_RESULTS_SHOWN = 250;
+
+const cardStyle = {
+  border: "1px solid var(--p-color-border, #e5e7eb)",
+  borderRadius: 8,
+  padding: 16,
+  display: "grid",
+  gap: 12,
+  background: "var(--p-color-bg-surface-secondary, #f9fafb)",
+};
+
+const subduedStyle = { color: "var(--p-color-text-subdued, #6b7280)" };
+
+const cellStyle = { padding: "6px 8px", borderBottom: "1px solid var(--p-color-border, #e5e7eb)", textAlign: "left", verticalAlign: "top" };
+
+const formatDate = (value) => new Date(value).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+
+const productAdminUrl = (id) => `shopify://admin/products/${id.split("/").pop()}`;
+
+// ============================================================================
+// LOADER - Log entries for the filters, plus the selected entry's products
+// ============================================================================
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+  const filters = {
+    tag: url.searchParams.get("tag") || "",
+    action: ACTION_LABELS[url.searchParams.get("action")] ? url.searchParams.get("action") : "",
+    source: TAG_BATCH_SOURCES.includes(url.searchParams.get("source")) ? url.searchParams.get("source") : "",
+    author: url.searchParams.get("author") || "",
+  };
+  const batchId = url.searchParams.get("batch");
+
+  const [batches, options, selected] = await Promise.all([
+    listTagBatches(session.shop, filters),
+    getTagBatchFilterOptions(session.shop),
+    batchId ? getTagBatch(session.shop, batchId) : null,
+  ]);
+
+  return { batches, options, filters, selected };
+};
+
+// ============================================================================
+// ACTION - Revert a batch
+// ============================================================================
+
+export const action = async ({ request }) => {
+  const { admin, session, sessionToken } = await authenticate.admin(request);
+
+  const formData = await request.formData();
+  if (formData.get("intent") !== "revert") {
+    return { ok: false, error: "Unknown action." };
+  }
+
+  const batch = await getTagBatch(session.shop, String(formData.get("id") || ""));
+  if (!batch) return { ok: false, error: "That change is no longer in the log." };
+  if (batch.revertedAt) return { ok: false, error: "This change has already been reverted." };
+
+  const productIds = revertableIds(batch.results);
+  if (productIds.length === 0) return { ok: false, error: "This change didn't alter any product, so there is nothing to revert." };
+
+  const bulk = productIds.length > BULK_TAG_THRESHOLD;
+  if (bulk && await getActiveTagJob(session.shop)) {
+    return { ok: false, error: "A bulk tag job is still running. Wait for it to finish, then try again." };
+  }
+  if (!(await claimTagBatchRevert(session.shop, batch.id))) {
+    return { ok: false, error: "This change has already been reverted." };
+  }
+
+  const revertAction = batch.action === "add" ? "remove" : "add";
+  const author = getHistoryAuthor({ session, sessionToken });
+  const description = `Undoes "${batch.tag}" ${batch.action === "add" ? "added to" : "removed from"}: ${batch.description}`;
+
+  if (bulk) {
+    const job = await startTagJob(admin, session.shop, {
+      action: revertAction, tag: batch.tag, description, productIds, author, revertOfId: batch.id,
+    });
+    if (job.status === "failed") return { ok: false, error: `The revert couldn't be started: ${job.error}` };
+    return { ok: true, started: true, count: productIds.length };
+  }
+
+  try {
+    const results = await runTagBatch(admin, revertAction, batch.tag, productIds);
+    await recordTagBatch(session.shop, {
+      author, action: revertAction, tag: batch.tag, source: "revert", description, results, revertOfId: batch.id,
+    });
+    const failed = results.filter((r) => !r.ok).length;
+    return { ok: true, count: results.length - failed, failed };
+  } catch (error) {
+    safeLogError("Failed to revert tag change", error);
+    await releaseTagBatchRevert(session.shop, batch.id);
+    return { ok: false, error: "The revert couldn't be completed. Please try again." };
+  }
+};
+
+// ============================================================================
+// MAIN COMPONENT
+// ============================================================================
+
+export default function TagActivityPage() {
+  const { batches, options, filters, selected } = useLoaderData();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const fetcher = useFetcher();
+  const [revertingId, setRevertingId] = useState(null);
+
+  useEffect(() => {
+    if (fetcher.state === "idle") setRevertingId(null);
+  }, [fetcher.state]);
+
+  const setParam = (key, value) => {
+    const next = new URLSearchParams(searchParams);
+    if (value) next.set(key, value);
+    else next.delete(key);
+    setSearchParams(next);
+  };
+
+  const revert = (batch) => {
+    const count = batch.productCount - batch.failedCount;
+    const what = batch.action === "add" ? `remove "${batch.tag}" from` : `add "${batch.tag}" back to`;
+    if (!window.confirm(`Revert this change? This will ${what} the products it changed (up to ${count}). Products changed again since then are reverted too.`)) return;
+    setRevertingId(batch.id);
+    const formData = new FormData();
+    formData.set("intent", "revert");
+    formData.set("id", batch.id);
+    fetcher.submit(formData, { method: "POST" });
+  };
+
+  const hasFilters = Object.values(filters).some(Boolean);
+
+  return (
+    <s-page heading="Tag activity">
+      <div style={{ display: "grid", gap: 24, maxWidth: 1000 }}>
+
+        <div style={cardStyle}>
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "flex-start", gap: 12, flexWrap: "wrap" }}>
+            <div>
+              <s-heading>Tag changes</s-heading>
+              <s-text size="small" style={subduedStyle}>
+                Every tag added or removed in the <Link to="/app/tag-manager">Tag Manager</Link>, kept for a year.
+                Auto-tag rules have their own log on the Tag Manager page.
+              </s-text>
+            </div>
+            <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+              <select value={filters.tag} onChange={(e) => setParam("tag", e.target.value)} aria-label="Tag">
+                <option value="">All tags</option>
+                {options.tags.map((tag) => <option key={tag} value={tag}>{tag}</option>)}
+              </select>
+              <select value={filters.action} onChange={(e) => setParam("action", e.target.value)} aria-label="Change">
+                <option value="">Added or removed</option>
+                {Object.entries(ACTION_LABELS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+              </select>
+              <select value={filters.source} onChange={(e) => setParam("source", e.target.value)} aria-label="From">
+                <option value="">All sources</option>
+                {TAG_BATCH_SOURCES.map((source) => <option key={source} value={source}>{SOURCE_LABELS[source]}</option>)}
+              </select>
+              <select value={filters.author} onChange={(e) => setParam("author", e.target.value)} aria-label="By">
+                <option value="">Everyone</option>
+                {options.authors.map((author) => <option key={author} value={author}>{author}</option>)}
+              </select>
+            </div>
+          </div>
+
+          {fetcher.state === "idle" && fetcher.data?.ok && (
+            <s-text style={{ color: "var(--p-color-text-success, #047857)" }}>
+              {fetcher.data.started
+                ? `Reverting ${fetcher.data.count.toLocaleString()} products in the background. The revert appears here when it finishes.`
+                : `Reverted ${fetcher.data.count.toLocaleString()} product${fetcher.data.count !== 1 ? "s" : ""}.`
+                  + (fetcher.data.failed ? ` ${fetcher.data.failed} couldn't be changed.` : "")}
+            </s-text>
+          )}
+          {fetcher.state === "idle" && fetcher.data?.error && (
+            <s-text style={{ color: "var(--p-color-text-critical, #dc2626)" }}>{fetcher.data.error}</s-text>
+          )}
+
+          {batches.length === 0 ? (
+            <s-text style={subduedStyle}>
+              {hasFilters ? "No tag changes match these filters." : "No tag changes yet. They appear here after you add or remove a tag in the Tag Manager."}
+            </s-text>
+          ) : (
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+              <thead>
+                <tr>
+                  <th style={cellStyle}>When</th>
+                  <th style={cellStyle}>Change</th>
+                  <th style={cellStyle}>Products</th>
+                  <th style={cellStyle}>By</th>
+                  <th style={cellStyle}>From</th>
+                  <th style={cellStyle} aria-label="Actions" />
+                </tr>
+              </thead>
+              <tbody>
+                {batches.map((b) => (
+                  <tr key={b.id} style={selected?.id === b.id ? { background: "var(--p-color-bg-surface-selected, #eef2ff)" } : undefined}>
+                    <td style={cellStyle}>{formatDate(b.createdAt)}</td>
+                    <td style={cellStyle}>
+                      {ACTION_LABELS[b.action]} <strong>{b.tag}</strong>
+                      {b.revertedById && <s-badge style={{ marginLeft: 6 }}>Reverted</s-badge>}
+                      {b.revertedAt && !b.revertedById && <s-badge tone="info" style={{ marginLeft: 6 }}>Reverting</s-badge>}
+                      <div style={{ fontSize: 12, ...subduedStyle }}>{b.description}</div>
+                    </td>
+                    <td style={cellStyle}>
+                      {(b.productCount - b.failedCount).toLocaleString()}
+                      {b.failedCount > 0 && <span style={{ color: "var(--p-color-text-critical, #dc2626)" }}> · {b.failedCount.toLocaleString()} failed</span>}
+                    </td>
+                    <td style={cellStyle}>{b.author || <span style={subduedStyle}>Unknown</span>}</td>
+                    <td style={cellStyle}>{SOURCE_LABELS[b.source] || b.source}</td>
+                    <td style={{ ...cellStyle, whiteSpace: "nowrap", textAlign: "right" }}>
+                      <s-button variant="plain" onClick={() => setParam("batch", b.id)}>View products</s-button>
+                      {!b.revertedAt && b.productCount > b.failedCount && (
+                        <s-button
+                          variant="plain"
+                          onClick={() => revert(b)}
+                          disabled={fetcher.state !== "idle"}
+                          loading={revertingId === b.id}
+                          style={{ marginLeft: 8 }}
+                        >
+                          Revert
+                        </s-button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        {selected && (
+          <div style={cardStyle}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12 }}>
+              <s-heading>{ACTION_LABELS[selected.action]} &ldquo;{selected.tag}&rdquo; — {formatDate(selected.createdAt)}</s-heading>
+              <s-button variant="plain" onClick={() => setParam("batch", "")}>Close</s-button>
+            </div>
+            <s-text size="small" style={subduedStyle}>
+              {selected.description}. {revertableIds(selected.results).length.toLocaleString()} of {selected.results.length.toLocaleString()} products changed.
+            </s-text>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+              <thead>
+                <tr>
+                  <th style={cellStyle}>Product</th>
+                  <th style={cellStyle}>Result</th>
+                </tr>
+              </thead>
+              <tbody>
+                {selected.results.slice(0, MAX_RESULTS_SHOWN).map((r) => (
+                  <tr key={r.id}>
+                    <td style={cellStyle}>
+                      <s-link href={productAdminUrl(r.id)} target="_blank">{r.title || `Product ${r.id.split("/").pop()}`}</s-link>
+                    </td>
+                    <td style={cellStyle}>
+                      {!r.ok && <span style={{ color: "var(--p-color-text-critical, #dc2626)" }}>Failed: {r.error}</span>}
+                      {r.ok && r.changed && (selected.action === "add" ? "Tag added" : "Tag removed")}
+                      {r.ok && !r.changed && (
+                        <span style={subduedStyle}>{selected.action === "add" ? "Already had the tag" : "Didn't have the tag"}</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {selected.results.length > MAX_RESULTS_SHOWN && (
+              <s-text size="small" style={subduedStyle}>
+                Showing the first {MAX_RESULTS_SHOWN} of {selected.results.length.toLocaleString()} products.
+              </s-text>
+            )}
+          </div>
+        )}
+
+      </div>
+    </s-page>
+  );
+}
+
+// ============================================================================
+// ERROR BOUNDARY & HEADERS EXPORTS
+// ============================================================================
+
+export function ErrorBoundary() {
+  return boundary.error(useRouteError());
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
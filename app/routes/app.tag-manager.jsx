@@ -4,18 +4,50 @@
 // ============================================================================
 
 import { useState, useEffect, useCallback, useRef, useMemo } from "react";
-import { useFetcher, useLoaderData } from "react-router";
+import { Link, useFetcher, useLoaderData } from "react-router";
 import { authenticate } from "../shopify.server";
 import {
   SEARCH_PRODUCTS,
   GET_FILTER_OPTIONS,
-  TAGS_ADD,
-  TAGS_REMOVE,
   GET_SHOP_DELIVERY_DATA,
   METAFIELD_NAMESPACE,
   CONFIG_KEY,
   SETTINGS_KEY,
 } from "../graphql/queries";
+import { listAutoTagRules, saveAutoTagRule, deleteAutoTagRule, listAutoTagActivity } from "../models/autoTags.server";
+import { autoTagSearchQuery, missingAutoTags, productMatchesAutoTagRule } from "../utils/autoTagRules";
+import { validateAutoTagRule, safeLogError } from "../utils/validation";
+import { AutoTagRules } from "../components/AutoTagRules";
+import { BULK_TAG_THRESHOLD, getActiveTagJob, startTagJob, advanceTagJob } from "../models/tagJobs.server";
+import { runTagBatch, recordTagBatch } from "../models/tagBatches.server";
+import { getHistoryAuthor } from "../models/configHistory.server";
+import { TagJobBanner } from "../components/TagJobBanner";
+
+// Products checked by an auto-tag rule's dry-run preview
+const PREVIEW_SCAN_LIMIT = 100;
+
+// How often the page checks a running bulk tag job
+const TAG_JOB_POLL_MS = 3000;
+
+const TAG_JOB_BUSY = "Another bulk tag job is still running. Wait for it to finish, then try again.";
+
+/**
+ * Admin product search query for the Tag Manager filters
+ * @param {{ search?: string, vendor?: string, productType?: string, tag?: string, collectionId?: string }} filters
+ * @returns {string[]} - Terms to join with AND
+ */
+function productQueryParts({ search, vendor, productType, tag, collectionId }) {
+  const queryParts = [];
+  if (search) queryParts.push(`title:*${search}*`);
+  if (vendor) queryParts.push(`vendor:"${vendor}"`);
+  if (productType) queryParts.push(`product_type:"${productType}"`);
+  if (tag) queryParts.push(`tag:"${tag}"`);
+  if (collectionId) {
+    const numericId = collectionId.replace("gid://shopify/Collection/", "");
+    queryParts.push(`collection_id:${numericId}`);
+  }
+  return queryParts;
+}
 
 // ============================================================================
 // Prevent loader revalidation after tag operations
@@ -26,10 +58,10 @@ export function shouldRevalidate({ formMethod }) {
 }
 
 // ============================================================================
-// LOADER — Fetch initial products, filter options, and rule tags from config
+// LOADER — Fetch initial products, filter options, rule tags from config and auto-tag rules
 // ============================================================================
 export const loader = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
+  const { admin, session } = await authenticate.admin(request);
 
   // Fetch products (newest first), filter options, and config in parallel
   const [productsRes, filtersRes, configRes] = await Promise.all([
@@ -89,14 +121,34 @@ export const loader = async ({ request }) => {
   const ruleTagsLower = ruleTags.map((t) => t.toLowerCase());
   const storeTags = allStoreTags.filter((t) => !ruleTagsLower.includes(t.toLowerCase())).sort();
 
-  return { products, pageInfo, vendors, productTypes, collections, ruleTags, storeTags };
+  // Auto-tag rules and their activity; the rest of the page still works without them
+  let autoTagRules = null;
+  let autoTagActivity = [];
+  try {
+    [autoTagRules, autoTagActivity] = await Promise.all([
+      listAutoTagRules(session.shop),
+      listAutoTagActivity(session.shop),
+    ]);
+  } catch (error) {
+    safeLogError("Failed to load auto-tag rules", error);
+  }
+
+  // A bulk tag job still running from an earlier visit
+  let tagJob = null;
+  try {
+    tagJob = await getActiveTagJob(session.shop);
+  } catch (error) {
+    safeLogError("Failed to load tag job", error);
+  }
+
+  return { products, pageInfo, vendors, productTypes, collections, ruleTags, storeTags, autoTagRules, autoTagActivity, tagJob };
 };
 
 // ============================================================================
-// ACTION — Handle search, add tag, remove tag
+// ACTION — Handle search, add tag, remove tag, and auto-tag rule save/delete/preview
 // ============================================================================
 export const action = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
+  const { admin, session, sessionToken } = await authenticate.admin(request);
   const formData = await request.formData();
   const actionType = formData.get("productAction");
 
@@ -111,16 +163,7 @@ export const action = async ({ request }) => {
     const first = parseInt(formData.get("first") || "25", 10);
     const appendMode = formData.get("appendMode") === "true";
 
-    const queryParts = [];
-    if (search) queryParts.push(`title:*${search}*`);
-    if (vendor) queryParts.push(`vendor:"${vendor}"`);
-    if (productType) queryParts.push(`product_type:"${productType}"`);
-    if (tag) queryParts.push(`tag:"${tag}"`);
-    if (collectionId) {
-      const numericId = collectionId.replace("gid://shopify/Collection/", "");
-      queryParts.push(`collection_id:${numericId}`);
-    }
-    const query = queryParts.join(" AND ") || null;
+    const query = productQueryParts({ search, vendor, productType, tag, collectionId }).join(" AND ") || null;
 
     const productsRes = await admin.graphql(SEARCH_PRODUCTS, { variables: { first, after, query } });
     const productsJson = await productsRes.json();
@@ -154,25 +197,146 @@ export const action = async ({ request }) => {
     let productIds;
     try { productIds = JSON.parse(productIdsJson); } catch { return { ok: false, error: "Invalid productIds" }; }
 
-    const mutation = actionType === "addTag" ? TAGS_ADD : TAGS_REMOVE;
-    const results = [];
+    if (productIds.length > BULK_TAG_THRESHOLD) {
+      if (await getActiveTagJob(session.shop)) return { ok: false, productAction: actionType, error: TAG_JOB_BUSY };
+      const job = await startTagJob(admin, session.shop, {
+        action: actionType === "addTag" ? "add" : "remove",
+        tag,
+        description: `${productIds.length} selected products`,
+        productIds,
+        author: getHistoryAuthor({ session, sessionToken }),
+      });
+      return { ok: job.status !== "failed", productAction: "startTagJob", job, error: job.error };
+    }
+
+    const tagAction = actionType === "addTag" ? "add" : "remove";
+    const results = await runTagBatch(admin, tagAction, tag, productIds);
+    try {
+      await recordTagBatch(session.shop, {
+        author: getHistoryAuthor({ session, sessionToken }),
+        action: tagAction,
+        tag,
+        source: "manual",
+        description: results.length === 1 ? results[0].title || "1 product" : `${results.length} products`,
+        results,
+      });
+    } catch (error) {
+      // The tags are already changed; a missing log entry shouldn't report a failure
+      safeLogError("Failed to record tag change", error);
+    }
+    return { ok: true, productAction: actionType, results };
+  }
+
+  // ------ Bulk tag job for every product matching the filters ------
+  if (actionType === "startTagJob") {
+    const tagAction = formData.get("tagAction");
+    const tag = (formData.get("tag") || "").trim();
+    if (!tag || !["add", "remove"].includes(tagAction)) return { ok: false, productAction: actionType, error: "Missing required fields" };
+    if (await getActiveTagJob(session.shop)) return { ok: false, productAction: actionType, error: TAG_JOB_BUSY };
+
+    const filters = {
+      search: formData.get("search") || "",
+      vendor: formData.get("vendor") || "",
+      productType: formData.get("productType") || "",
+      collectionId: formData.get("collectionId") || "",
+    };
+    const filterParts = productQueryParts(filters);
+    // The Tagged / Untagged view: only products with the tag, or with none of the rule tags
+    const tagFilter = formData.get("tagFilter") || "";
+    let ruleTags = [];
+    try { ruleTags = JSON.parse(formData.get("ruleTags") || "[]"); } catch { /* no rule tags */ }
+    const untaggedParts = tagFilter === "untagged"
+      ? ruleTags.filter((t) => t.toLowerCase() !== tag.toLowerCase()).map((t) => `-tag:"${t}"`)
+      : [];
+    const excludesAll = tagFilter === "untagged" && ruleTags.some((t) => t.toLowerCase() === tag.toLowerCase());
+    if ((tagFilter === "tagged" && tagAction === "add") || (excludesAll && tagAction === "remove")) {
+      return { ok: false, productAction: actionType, error: "No products in this view can be changed" };
+    }
+    // Skip products that already have (or don't have) the tag
+    const query = [...filterParts, ...untaggedParts, `${tagAction === "add" ? "-" : ""}tag:"${tag}"`].join(" AND ");
+    const collection = formData.get("collectionTitle") || "";
+    const described = [
+      filters.search && `title contains "${filters.search}"`,
+      filters.vendor && `vendor "${filters.vendor}"`,
+      filters.productType && `type "${filters.productType}"`,
+      filters.collectionId && `collection "${collection || filters.collectionId}"`,
+      tagFilter === "tagged" && `tag "${tag}"`,
+      tagFilter === "untagged" && "no rule tags",
+    ].filter(Boolean);
+    const job = await startTagJob(admin, session.shop, {
+      action: tagAction,
+      tag,
+      description: described.length ? `Products with ${described.join(", ")}` : "All products",
+      query,
+      author: getHistoryAuthor({ session, sessionToken }),
+    });
+    return { ok: job.status !== "failed", productAction: actionType, job, error: job.error };
+  }
+
+  if (actionType === "pollTagJob") {
+    const id = formData.get("id");
+    if (!id) return { ok: false, productAction: actionType, error: "Missing job" };
+    try {
+      const job = await advanceTagJob(admin, session.shop, id);
+      return { ok: true, productAction: actionType, job };
+    } catch (error) {
+      // Keep polling: the next check usually gets through
+      safeLogError("Failed to check tag job", error);
+      return { ok: true, productAction: actionType };
+    }
+  }
+
+  // ------ Auto-tag rules ------
+  if (actionType === "saveAutoTagRule" || actionType === "previewAutoTagRule") {
+    let validation;
+    try {
+      validation = validateAutoTagRule(JSON.parse(formData.get("rule") || "null"));
+    } catch {
+      return { ok: false, productAction: actionType, error: "Invalid rule" };
+    }
+    if (!validation.success) return { ok: false, productAction: actionType, error: validation.error };
+    const rule = validation.data;
 
-    for (const productId of productIds) {
+    if (actionType === "saveAutoTagRule") {
       try {
-        const res = await admin.graphql(mutation, { variables: { id: productId, tags: [tag] } });
-        const json = await res.json();
-        const data = actionType === "addTag" ? json.data?.tagsAdd : json.data?.tagsRemove;
-        const errors = data?.userErrors || [];
-        if (errors.length > 0) {
-          results.push({ id: productId, ok: false, error: errors[0].message });
-        } else {
-          results.push({ id: productId, ok: true, tags: data?.node?.tags || [] });
-        }
-      } catch (err) {
-        results.push({ id: productId, ok: false, error: err.message });
+        const saved = await saveAutoTagRule(session.shop, rule);
+        return { ok: true, productAction: actionType, rule: saved };
+      } catch (error) {
+        safeLogError("Failed to save auto-tag rule", error);
+        return { ok: false, productAction: actionType, error: "The rule couldn't be saved. Please try again." };
       }
     }
-    return { ok: true, productAction: actionType, results };
+
+    // Dry run: which of the products the search finds would gain tags
+    const query = autoTagSearchQuery(rule);
+    const productsRes = await admin.graphql(SEARCH_PRODUCTS, { variables: { first: PREVIEW_SCAN_LIMIT, after: null, query } });
+    const productsJson = await productsRes.json();
+    const productsData = productsJson.data?.products;
+    let alreadyTagged = 0;
+    const matches = [];
+    for (const { node } of productsData?.edges || []) {
+      const product = { id: node.id, title: node.title, vendor: node.vendor, productType: node.productType, tags: node.tags };
+      const tags = missingAutoTags(product, rule);
+      if (tags.length) matches.push({ ...product, tags });
+      else if (productMatchesAutoTagRule(product, rule)) alreadyTagged += 1;
+    }
+    return {
+      ok: true,
+      productAction: actionType,
+      preview: { matches, alreadyTagged, scanned: productsData?.edges?.length || 0, hasMore: !!productsData?.pageInfo?.hasNextPage },
+    };
+  }
+
+  if (actionType === "deleteAutoTagRule") {
+    const id = formData.get("id");
+    if (!id) return { ok: false, productAction: actionType, error: "Missing rule" };
+    try {
+      await deleteAutoTagRule(session.shop, id);
+    } catch (error) {
+      safeLogError("Failed to delete auto-tag rule", error);
+      return { ok: false, productAction: actionType, error: "The rule couldn't be deleted. Please try again." };
+    }
+    return { ok: true, productAction: actionType, id };
   }
 
   return { ok: false, error: "Unknown action" };
@@ -215,6 +379,9 @@ export default function TagManagerPage() {
   const [storeTagSearch, setStoreTagSearch] = useState("");
   const [showAllStoreTags, setShowAllStoreTags] = useState(false);
   const [createdTag, setCreatedTag] = useState(null); // temporary tag before applied to a product
+  const jobFetcher = useFetcher();
+  const [tagJob, setTagJob] = useState(loaderData.tagJob || null);
+  const [tagJobError, setTagJobError] = useState("");
   const [appliedCreatedTags, setAppliedCreatedTags] = useState(new Set()); // created tags that were applied
 
   // ---------------------------------------------------------------------------
@@ -269,6 +436,12 @@ export default function TagManagerPage() {
       setPageInfo(data.pageInfo || { hasNextPage: false, endCursor: null });
       setLoading(false);
     }
+    // Large selections come back as a bulk job
+    if (data.productAction === "startTagJob") {
+      if (data.job) setTagJob(data.job);
+      setTagJobError(data.ok || data.job ? "" : data.error || "");
+      setPendingIds(new Set());
+    }
     if (data.productAction === "addTag" || data.productAction === "removeTag") {
       let updatedProducts = products;
       if (data.ok && data.results) {
@@ -393,6 +566,57 @@ export default function TagManagerPage() {
     submitAction({ action: "removeTag", tag: workingTag, productIds: JSON.stringify([productId]) });
   };
 
+  // ---------------------------------------------------------------------------
+  // Bulk tag job: start, poll until finished, then reload the list
+  // ---------------------------------------------------------------------------
+  useEffect(() => {
+    const data = jobFetcher.data;
+    if (!data || jobFetcher.state !== "idle") return;
+    if (data.job) setTagJob(data.job);
+    // A job that failed to start shows its own error
+    setTagJobError(data.ok || data.job ? "" : data.error || "The job couldn't be started. Please try again.");
+  }, [jobFetcher.state, jobFetcher.data]);
+
+  const submitJobAction = jobFetcher.submit;
+  useEffect(() => {
+    if (!tagJob?.active || jobFetcher.state !== "idle") return;
+    const timer = setTimeout(() => {
+      submitJobAction({ productAction: "pollTagJob", id: tagJob.id }, { method: "POST" });
+    }, TAG_JOB_POLL_MS);
+    return () => clearTimeout(timer);
+  }, [tagJob, jobFetcher.state, submitJobAction]);
+
+  const tagJobWasActiveRef = useRef(!!tagJob?.active);
+  useEffect(() => {
+    if (tagJobWasActiveRef.current && tagJob && !tagJob.active) submitSearch();
+    tagJobWasActiveRef.current = !!tagJob?.active;
+  }, [tagJob, submitSearch]);
+
+  const tagFilter = showNoTagOnly ? "untagged" : showTaggedOnly ? "tagged" : "";
+  const tagFilterLabel = showNoTagOnly ? "Untagged" : "Tagged";
+  // In the Tagged view every product already has the tag; in the Untagged view none has a rule tag
+  const bulkAddBlocked = tagFilter === "tagged";
+  const bulkRemoveBlocked = tagFilter === "untagged" && ruleTags.some((t) => t.toLowerCase() === workingTag.toLowerCase());
+
+  const handleBulkTag = (tagAction) => {
+    const what = tagAction === "add" ? `Add the tag "${workingTag}" to` : `Remove the tag "${workingTag}" from`;
+    const scope = tagFilter ? `the current search, filters and ${tagFilterLabel} view` : "the current search and filters";
+    if (!window.confirm(`${what} every product matching ${scope} — not only the products shown? It runs in the background and can take a few minutes in large stores.`)) return;
+    setTagJobError("");
+    submitJobAction({
+      productAction: "startTagJob",
+      tagAction,
+      tag: workingTag,
+      tagFilter,
+      ruleTags: JSON.stringify(ruleTags),
+      search,
+      vendor: filterVendor,
+      productType: filterType,
+      collectionId: filterCollection,
+      collectionTitle: collections.find((c) => c.id === filterCollection)?.title || "",
+    }, { method: "POST" });
+  };
+
   // ---------------------------------------------------------------------------
   // Filtered products
   // ---------------------------------------------------------------------------
@@ -434,6 +658,7 @@ export default function TagManagerPage() {
               </h2>
               <p style={{ margin: "4px 0 0 0", fontSize: 13, color: "#616161" }}>
                 Browse products and manage tags used by your delivery messaging rules.
+                {" "}<Link to="/app/tag-activity" style={{ color: "#0369a1" }}>Activity log</Link>
               </p>
             </div>
             <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
@@ -691,8 +916,39 @@ export default function TagManagerPage() {
               }}>
               Clear
             </button>
+            {hasActiveTag && (
+              <>
+                <button onClick={() => handleBulkTag("add")} disabled={bulkAddBlocked || !!tagJob?.active || jobFetcher.state !== "idle"}
+                  title={bulkAddBlocked
+                    ? `Every product in the Tagged view already has "${workingTag}"`
+                    : `Add "${workingTag}" to every product matching the search and filters${tagFilter ? ` in the ${tagFilterLabel} view` : ""}`}
+                  style={{
+                    padding: "6px 12px", borderRadius: 6, border: "1px solid #d1d5db",
+                    background: "white", fontSize: 13, color: "#303030",
+                    cursor: bulkAddBlocked || tagJob?.active ? "not-allowed" : "pointer", opacity: bulkAddBlocked || tagJob?.active ? 0.5 : 1,
+                  }}>
+                  Add to all matching
+                </button>
+                <button onClick={() => handleBulkTag("remove")} disabled={bulkRemoveBlocked || !!tagJob?.active || jobFetcher.state !== "idle"}
+                  title={bulkRemoveBlocked
+                    ? `No product in the Untagged view has "${workingTag}"`
+                    : `Remove "${workingTag}" from every product matching the search and filters${tagFilter ? ` in the ${tagFilterLabel} view` : ""}`}
+                  style={{
+                    padding: "6px 12px", borderRadius: 6, border: "1px solid #fecaca",
+                    background: "#fef2f2", fontSize: 13, color: "#dc2626",
+                    cursor: bulkRemoveBlocked || tagJob?.active ? "not-allowed" : "pointer", opacity: bulkRemoveBlocked || tagJob?.active ? 0.5 : 1,
+                  }}>
+                  Remove from all matching
+                </button>
+              </>
+            )}
           </div>
 
+          {/* ---- Bulk tag job ---- */}
+          {(tagJob || tagJobError) && (
+            <TagJobBanner job={tagJob} error={tagJobError} onDismiss={() => { setTagJob(null); setTagJobError(""); }} />
+          )}
+
           {/* ---- Product List ---- */}
           <div style={{ minHeight: 200 }}>
             {loading && products.length === 0 && (
@@ -795,6 +1051,14 @@ export default function TagManagerPage() {
           </div>
         </div>
       </s-section>
+      <s-section>
+        <AutoTagRules
+          rules={loaderData.autoTagRules}
+          activity={loaderData.autoTagActivity || []}
+          vendors={vendors}
+          productTypes={productTypes}
+        />
+      </s-section>
     </s-page>
   );
 }
@@ -14,6 +14,13 @@ export default function PrivacyPolicy() {
         When you install the app, we collect your shop domain, shop ID, and access tokens required
         to operate the app. We do not collect personal information about customers of the store.
       </p>
+      <p>
+        The app&apos;s storefront blocks report anonymous daily counts of how often delivery messages and
+        the free delivery bar are shown. When a store runs a message A/B test, a random visitor
+        identifier is kept in the shopper&apos;s browser so they keep seeing the same message, and is sent
+        with their views, add-to-carts and checkouts. Neither is linked to customer accounts, names or
+        contact details.
+      </p>
 
       <h2>How We Use Your Information</h2>
       <p>
@@ -23,7 +30,10 @@ export default function PrivacyPolicy() {
 
       <h2>Data Storage</h2>
       <p>
-        Data is stored securely and is deleted when the app is uninstalled from your Shopify store.
+        Data is stored securely. When the app is uninstalled, access tokens are deleted straight away
+        and everything else stored for your store (settings history, A/B test results and storefront
+        counts) is deleted when Shopify asks for the store&apos;s data to be erased, 48 hours later. A
+        record that the deletion took place is kept.
       </p>
 
       <h2>Your Rights</h2>
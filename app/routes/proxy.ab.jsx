@@ -0,0 +1,56 @@
+import { authenticate } from "../shopify.server";
+import { AB_EVENT_TYPES, recordAbConversion, recordAbImpressions } from "../models/abTests.server";
+import { safeLogError } from "../utils/validation";
+
+// Storefront beacons from dib-ab-test.js, via the app proxy at /apps/delivery-messaging/ab
+
+// A visitor is in a handful of tests at most; anything bigger isn't from our script
+const MAX_TESTS = 20;
+const MAX_BODY_BYTES = 8 * 1024;
+
+const isId = (value) => typeof value === "string" && value.length > 0 && value.length <= 64;
+
+const noContent = () => new Response(null, { status: 204 });
+
+export const loader = () => new Response("Method not allowed", { status: 405 });
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.public.appProxy(request);
+  // No session: the app was uninstalled but the theme still has the block
+  if (!session) return noContent();
+
+  const text = await request.text();
+  if (text.length > MAX_BODY_BYTES) return new Response("Payload too large", { status: 413 });
+
+  let event;
+  try {
+    event = JSON.parse(text);
+  } catch {
+    return new Response("Invalid JSON", { status: 400 });
+  }
+
+  const { type, visitor } = event || {};
+  const tests = Array.isArray(event?.tests)
+    ? event.tests.filter((t) => isId(t?.t) && isId(t?.v) && (t.r === undefined || typeof t.r === "string")).slice(0, MAX_TESTS)
+    : [];
+  if (!AB_EVENT_TYPES.includes(type) || !isId(visitor) || tests.length === 0) {
+    return new Response("Invalid event", { status: 400 });
+  }
+
+  try {
+    if (type === "impression") {
+      await recordAbImpressions(
+        session.shop,
+        visitor,
+        tests.map((t) => ({ testId: t.t, variantId: t.v, ruleId: (t.r || "").slice(0, 64) }))
+      );
+    } else {
+      await recordAbConversion(session.shop, visitor, type, tests.map((t) => t.t));
+    }
+  } catch (error) {
+    safeLogError(`A/B ${type} failed for ${session.shop}`, error);
+    return new Response("Internal error", { status: 500 });
+  }
+
+  return noContent();
+};
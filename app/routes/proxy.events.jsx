@@ -0,0 +1,45 @@
+import { authenticate } from "../shopify.server";
+import { STOREFRONT_EVENT_TYPES, recordStorefrontEvents } from "../models/storefrontEvents.server";
+import { safeLogError } from "../utils/validation";
+
+// Storefront beacons from dib-analytics.js, via the app proxy at /apps/delivery-messaging/events
+
+// dib-analytics.js sends at most 50 events per request
+const MAX_EVENTS = 50;
+const MAX_BODY_BYTES = 8 * 1024;
+
+const noContent = () => new Response(null, { status: 204 });
+
+export const loader = () => new Response("Method not allowed", { status: 405 });
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.public.appProxy(request);
+  // No session: the app was uninstalled but the theme still has the block
+  if (!session) return noContent();
+
+  const text = await request.text();
+  if (text.length > MAX_BODY_BYTES) return new Response("Payload too large", { status: 413 });
+
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch {
+    return new Response("Invalid JSON", { status: 400 });
+  }
+
+  const events = (Array.isArray(body?.events) ? body.events : [])
+    .filter((e) => STOREFRONT_EVENT_TYPES.includes(e?.type) && (e.rule === undefined || (typeof e.rule === "string" && e.rule.length <= 64)))
+    .slice(0, MAX_EVENTS);
+  if (events.length === 0) {
+    return new Response("Invalid events", { status: 400 });
+  }
+
+  try {
+    await recordStorefrontEvents(session.shop, events);
+  } catch (error) {
+    safeLogError(`Storefront events failed for ${session.shop}`, error);
+    return new Response("Internal error", { status: 500 });
+  }
+
+  return noContent();
+};
@@ -1,9 +1,17 @@
 import { authenticate } from "../shopify.server";
 import db from "../db.server";
+import { applyAutoTagRules } from "../models/autoTags.server";
+import { handleBulkOperationFinish } from "../models/tagJobs.server";
+import { purgeShopData, recordComplianceAudit, scheduleWebhookEventPrune } from "../models/compliance.server";
 import { safeLogError } from "../utils/validation";
 
+// The app stores nothing about a store's customers: A/B test visitor ids are random and
+// never linked to a customer, so customer requests have nothing to export or delete
+const NO_CUSTOMER_DATA = { customerDataHeld: false, removed: {} };
+
 export const action = async ({ request }) => {
-  const { shop, session, topic } = await authenticate.webhook(request);
+  // Topics arrive normalised, e.g. "app/uninstalled" -> "APP_UNINSTALLED"
+  const { shop, session, topic, admin, payload } = await authenticate.webhook(request);
   const webhookId = request.headers.get("X-Shopify-Webhook-Id");
 
   // Idempotency check
@@ -20,13 +28,49 @@ export const action = async ({ request }) => {
   console.log(`Received ${topic} webhook for ${shop}`);
 
   try {
-    // Only delete sessions on uninstall
-    if (topic === "app/uninstalled" && session) {
-      await db.session.deleteMany({ where: { shop } });
+    switch (topic) {
+      case "APP_UNINSTALLED":
+        // Only sessions go now; settings history etc. stay until shop/redact in case the store reinstalls
+        if (session) {
+          await db.session.deleteMany({ where: { shop } });
+        }
+        break;
+
+      case "CUSTOMERS_DATA_REQUEST":
+      case "CUSTOMERS_REDACT":
+        await recordComplianceAudit({ shop, topic, webhookId, summary: NO_CUSTOMER_DATA });
+        break;
+
+      case "SHOP_REDACT": {
+        // Sent 48 hours after uninstall: remove everything held for the store
+        const removed = await purgeShopData(shop);
+        await recordComplianceAudit({ shop, topic, webhookId, summary: { removed } });
+        console.log(`Purged data for ${shop}:`, JSON.stringify(removed));
+        break;
+      }
+
+      case "PRODUCTS_CREATE":
+      case "PRODUCTS_UPDATE": {
+        // No admin client once the app is uninstalled. Adding tags fires products/update
+        // again, which then finds nothing missing, so this can't loop.
+        if (!admin) break;
+        const added = await applyAutoTagRules(admin, shop, payload);
+        if (added.length) console.log(`Auto-tagged ${payload.admin_graphql_api_id} on ${shop}: ${added.join(", ")}`);
+        break;
+      }
+
+      case "BULK_OPERATIONS_FINISH":
+        // Moves Tag Manager bulk jobs on even when nobody has the page open
+        if (admin) await handleBulkOperationFinish(admin, shop, payload);
+        break;
+
+      default:
+        break;
     }
 
-    // Record webhook as processed
-    if (webhookId) {
+    // Record webhook as processed. Not for shop/redact: the row would store the shop
+    // again right after the purge, and a repeated purge just finds nothing to remove.
+    if (webhookId && topic !== "SHOP_REDACT") {
       await db.webhookEvent.create({
         data: { id: webhookId, topic, shop },
       });
@@ -36,5 +80,7 @@ export const action = async ({ request }) => {
     return new Response("Internal error", { status: 500 });
   }
 
+  scheduleWebhookEventPrune();
+
   return new Response(null, { status: 200 });
 };
@@ -0,0 +1,59 @@
+// ============================================================================
+// A/B TEST STATISTICS
+// Conversion rates and a two-proportion z-test of each variant against the control
+// ============================================================================
+
+// Confidence needed before a difference is called significant
+export const SIGNIFICANCE_LEVEL = 0.95;
+
+// Below this many visitors per variant the normal approximation is unreliable
+export const MIN_VISITORS = 30;
+
+// Abramowitz & Stegun 7.1.26 (max error 1.5e-7) — plenty for a report
+function erf(x) {
+  const sign = x < 0 ? -1 : 1;
+  const ax = Math.abs(x);
+  const t = 1 / (1 + 0.3275911 * ax);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  return sign * (1 - poly * Math.exp(-ax * ax));
+}
+
+const normalCdf = (z) => 0.5 * (1 + erf(z / Math.SQRT2));
+
+/**
+ * Conversion rate, or null with no visitors
+ * @param {number} conversions
+ * @param {number} visitors
+ * @returns {number|null}
+ */
+export function conversionRate(conversions, visitors) {
+  return visitors > 0 ? conversions / visitors : null;
+}
+
+/**
+ * Compare a variant's conversion rate with the control's
+ * @param {{ conversions: number, visitors: number }} control
+ * @param {{ conversions: number, visitors: number }} variant
+ * @returns {{ lift: number|null, pValue: number|null, significant: boolean, enoughData: boolean }}
+ *   lift is relative (0.1 = 10% better than control); pValue is two-sided
+ */
+export function compareToControl(control, variant) {
+  const controlRate = conversionRate(control.conversions, control.visitors);
+  const variantRate = conversionRate(variant.conversions, variant.visitors);
+  const enoughData = control.visitors >= MIN_VISITORS && variant.visitors >= MIN_VISITORS;
+
+  const lift = controlRate ? (variantRate - controlRate) / controlRate : null;
+  if (controlRate === null || variantRate === null) {
+    return { lift, pValue: null, significant: false, enoughData };
+  }
+
+  const pooled = (control.conversions + variant.conversions) / (control.visitors + variant.visitors);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / control.visitors + 1 / variant.visitors));
+  if (standardError === 0) {
+    return { lift, pValue: null, significant: false, enoughData };
+  }
+
+  const z = (variantRate - controlRate) / standardError;
+  const pValue = 2 * (1 - normalCdf(Math.abs(z)));
+  return { lift, pValue, significant: enoughData && pValue < 1 - SIGNIFICANCE_LEVEL, enoughData };
+}
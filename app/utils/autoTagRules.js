@@ -0,0 +1,104 @@
+// ============================================================================
+// AUTO-TAG RULES
+// Match products against saved auto-tag rules (conditions ANDed) and build the
+// equivalent product search query for the Tag Manager's dry-run preview
+// ============================================================================
+
+export const AUTO_TAG_FIELDS = [
+  { value: "vendor", label: "Vendor" },
+  { value: "product_type", label: "Product type" },
+  { value: "title", label: "Title" },
+  { value: "tag", label: "Tag" },
+];
+
+export const AUTO_TAG_OPERATORS = [
+  { value: "equals", label: "is" },
+  { value: "not_equals", label: "is not" },
+  { value: "contains", label: "contains" },
+];
+
+export const MAX_AUTO_TAG_CONDITIONS = 5;
+export const MAX_AUTO_TAG_TAGS = 5;
+
+const lower = (value) => String(value ?? "").trim().toLowerCase();
+
+/**
+ * Product fields used by the rules, from a products/* webhook payload
+ * (REST shape: tags is one comma-separated string)
+ * @param {Object} payload
+ * @returns {{ id: string, title: string, vendor: string, productType: string, tags: string[] }}
+ */
+export function productFromWebhookPayload(payload) {
+  const tags = Array.isArray(payload?.tags) ? payload.tags : String(payload?.tags || "").split(",");
+  return {
+    id: payload?.admin_graphql_api_id || (payload?.id ? `gid://shopify/Product/${payload.id}` : ""),
+    title: payload?.title || "",
+    vendor: payload?.vendor || "",
+    productType: payload?.product_type || "",
+    tags: tags.map((t) => t.trim()).filter(Boolean),
+  };
+}
+
+function conditionMatches(product, { field, operator, value }) {
+  const wanted = lower(value);
+  if (field === "tag") {
+    const tags = product.tags.map(lower);
+    if (operator === "contains") return tags.some((t) => t.includes(wanted));
+    const has = tags.includes(wanted);
+    return operator === "not_equals" ? !has : has;
+  }
+  const actual = lower(field === "vendor" ? product.vendor : field === "product_type" ? product.productType : product.title);
+  if (operator === "contains") return actual.includes(wanted);
+  if (operator === "not_equals") return actual !== wanted;
+  return actual === wanted;
+}
+
+/**
+ * Whether a product meets every condition of a rule (a rule with no conditions matches nothing)
+ * @param {{ title: string, vendor: string, productType: string, tags: string[] }} product
+ * @param {{ conditions: Object[] }} rule
+ * @returns {boolean}
+ */
+export function productMatchesAutoTagRule(product, rule) {
+  const conditions = rule?.conditions || [];
+  return conditions.length > 0 && conditions.every((condition) => conditionMatches(product, condition));
+}
+
+/**
+ * Tags a rule would add to a product: its tags the product doesn't have yet.
+ * Empty when the product doesn't match, or already has them all, so applying
+ * the tags (which fires products/update again) never loops.
+ * @param {Object} product
+ * @param {{ conditions: Object[], tags: string[] }} rule
+ * @returns {string[]}
+ */
+export function missingAutoTags(product, rule) {
+  if (!productMatchesAutoTagRule(product, rule)) return [];
+  const existing = product.tags.map(lower);
+  return rule.tags.filter((tag) => !existing.includes(lower(tag)));
+}
+
+const quote = (value) => `"${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+
+/**
+ * Admin product search query narrowing the candidates for a rule. Only an
+ * approximation (search is not exact-match), so results still go through
+ * productMatchesAutoTagRule.
+ * @param {{ conditions: Object[], tags: string[] }} rule
+ * @returns {string|null}
+ */
+export function autoTagSearchQuery(rule) {
+  const parts = [];
+  for (const { field, operator, value } of rule.conditions || []) {
+    if (operator === "contains") {
+      // Wildcards only work on title; other "contains" conditions are left to the matcher
+      if (field !== "title") continue;
+      const words = String(value).replace(/["*\\]/g, "").split(/\s+/).filter(Boolean);
+      parts.push(...words.map((word) => `title:*${word}*`));
+      continue;
+    }
+    const term = `${field}:${quote(value)}`;
+    parts.push(operator === "not_equals" ? `-${term}` : term);
+  }
+  return parts.join(" AND ") || null;
+}
@@ -0,0 +1,109 @@
+// ============================================================================
+// CONFIG BUNDLE
+// One downloadable file holding a shop's rules, global settings and custom
+// icons, for moving a setup between stores (e.g. staging -> production)
+// ============================================================================
+
+import { validateConfig, validateSettings } from "./validation";
+import { migrateToV2, migrateToV3 } from "./configMigrations";
+
+export const BUNDLE_FORMAT = "delivery-messaging-bundle";
+
+// Bump when the bundle layout changes; parseConfigBundle() must keep reading older versions
+export const BUNDLE_SCHEMA_VERSION = 1;
+
+// Custom icons live in settings but travel as their own section of the bundle
+const ICON_KEYS = ["custom_icons", "utility_icons", "custom_connector_svg"];
+
+// Values that belong to the store, not the setup, and stay as they are on import
+const STORE_SETTINGS_KEYS = ["shop_timezone"];
+
+const isPlainObject = (value) => Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Build an export bundle from the stored metafield values
+ * @param {Object} params
+ * @param {Object|null} params.config - Parsed config metafield
+ * @param {Object|null} params.settings - Parsed settings metafield
+ * @param {string} params.shop - Shop domain the bundle came from
+ * @returns {Object}
+ */
+export function buildConfigBundle({ config, settings, shop }) {
+  const setup = { ...(settings || {}) };
+  const icons = {};
+  for (const key of ICON_KEYS) {
+    if (key in setup) icons[key] = setup[key];
+    delete setup[key];
+  }
+  for (const key of STORE_SETTINGS_KEYS) delete setup[key];
+
+  return {
+    format: BUNDLE_FORMAT,
+    schemaVersion: BUNDLE_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    shop,
+    config: config || null,
+    settings: setup,
+    icons,
+  };
+}
+
+/**
+ * Read, migrate and validate an uploaded bundle
+ * @param {string} text - File contents
+ * @param {Object|null} currentSettings - Settings of the store importing it (keeps its store-specific values)
+ * @returns {{ ok: true, config: Object, settings: Object, shop: string|null, exportedAt: string|null } | { ok: false, error: string }}
+ */
+export function parseConfigBundle(text, currentSettings = null) {
+  let bundle;
+  try {
+    bundle = JSON.parse(text);
+  } catch {
+    return { ok: false, error: "This file isn't valid JSON." };
+  }
+
+  if (!isPlainObject(bundle) || bundle.format !== BUNDLE_FORMAT) {
+    return { ok: false, error: "This file isn't a Delivery Messaging export." };
+  }
+  if (!Number.isInteger(bundle.schemaVersion) || bundle.schemaVersion < 1) {
+    return { ok: false, error: "This export has no schema version and can't be imported." };
+  }
+  if (bundle.schemaVersion > BUNDLE_SCHEMA_VERSION) {
+    return { ok: false, error: "This export was made by a newer version of the app. Update the app on this store, then import again." };
+  }
+  if (!isPlainObject(bundle.config) || !isPlainObject(bundle.settings)) {
+    return { ok: false, error: "This export is missing its rules or settings." };
+  }
+  if (![1, 2, 3].includes(bundle.config.version)) {
+    return { ok: false, error: "The rules in this export are in an unknown format." };
+  }
+
+  const settings = { ...bundle.settings };
+  for (const key of ICON_KEYS) {
+    if (isPlainObject(bundle.icons) && key in bundle.icons) settings[key] = bundle.icons[key];
+  }
+  for (const key of STORE_SETTINGS_KEYS) {
+    delete settings[key];
+    if (currentSettings?.[key] !== undefined) settings[key] = currentSettings[key];
+  }
+
+  const settingsValidation = validateSettings(settings);
+  if (!settingsValidation.success) {
+    return { ok: false, error: `The settings in this export are invalid (${settingsValidation.error}).` };
+  }
+
+  // Older exports may hold a v1/v2 config; bring it up to v3 with the bundle's own fd_* settings
+  const config = migrateToV3(migrateToV2(bundle.config), settingsValidation.data);
+  const configValidation = validateConfig(config);
+  if (!configValidation.success) {
+    return { ok: false, error: `The rules in this export are invalid (${configValidation.error}).` };
+  }
+
+  return {
+    ok: true,
+    config: configValidation.data,
+    settings: settingsValidation.data,
+    shop: typeof bundle.shop === "string" ? bundle.shop : null,
+    exportedAt: typeof bundle.exportedAt === "string" ? bundle.exportedAt : null,
+  };
+}
@@ -0,0 +1,159 @@
+// ============================================================================
+// CONFIG DIFF
+// Structured differences between two saved config or settings snapshots, for
+// the History page. Configs are compared profile by profile and rule by rule
+// (matched on id), so a rename reads as a change rather than a remove + add.
+// ============================================================================
+
+// Keys the app maintains itself, or UI state that says nothing about behaviour
+const IGNORED_SETTINGS_KEYS = new Set(["shop_timezone"]);
+const IGNORED_RULE_KEYS = new Set(["collapsed_product_matching", "collapsed_dispatch_settings", "collapsed_countdown_messages", "collapsed_countdown_icon", "collapsed_eta_timeline"]);
+
+// Profile keys diffed separately (rules) or above (name)
+const PROFILE_STRUCTURE_KEYS = new Set(["id", "name", "rules"]);
+
+const MAX_VALUE_LENGTH = 80;
+
+/**
+ * Short, readable form of a value for the diff table
+ * @param {*} value
+ * @returns {string}
+ */
+export function formatDiffValue(value) {
+  if (value === undefined) return "(not set)";
+  if (value === null || value === "") return "(empty)";
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH - 1)}…` : text;
+}
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Changed keys between two flat-ish objects, one entry per key
+function diffFields(before = {}, after = {}, scope, ignored = new Set()) {
+  const keys = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])].sort();
+  return keys
+    .filter((key) => !ignored.has(key) && !isEqual(before?.[key], after?.[key]))
+    .map((key) => ({ type: "changed", scope, field: key, before: before?.[key], after: after?.[key] }));
+}
+
+// v1/v2/v3 configs as a list of profiles
+function toProfiles(config) {
+  if (Array.isArray(config?.profiles)) return config.profiles;
+  if (Array.isArray(config?.rules)) return [{ id: "default", name: "Default", rules: config.rules }];
+  return [];
+}
+
+function diffRules(beforeRules = [], afterRules = [], profileName) {
+  const changes = [];
+  const beforeById = new Map(beforeRules.map((r) => [r.id, r]));
+  const afterById = new Map(afterRules.map((r) => [r.id, r]));
+
+  for (const rule of afterRules) {
+    if (!beforeById.has(rule.id)) {
+      changes.push({ type: "added", scope: profileName, field: `Rule "${rule.name || "Untitled"}"` });
+    }
+  }
+  for (const rule of beforeRules) {
+    if (!afterById.has(rule.id)) {
+      changes.push({ type: "removed", scope: profileName, field: `Rule "${rule.name || "Untitled"}"` });
+    }
+  }
+  for (const after of afterRules) {
+    const before = beforeById.get(after.id);
+    if (!before) continue;
+    const scope = `${profileName} › ${after.name || "Untitled"}`;
+    if (before.name !== after.name) {
+      changes.push({ type: "changed", scope, field: "name", before: before.name, after: after.name });
+    }
+    changes.push(...diffFields(before.match, after.match, scope).map((c) => ({ ...c, field: `match.${c.field}` })));
+    changes.push(...diffFields(before.settings, after.settings, scope, IGNORED_RULE_KEYS));
+  }
+
+  const beforeOrder = beforeRules.filter((r) => afterById.has(r.id)).map((r) => r.id);
+  const afterOrder = afterRules.filter((r) => beforeById.has(r.id)).map((r) => r.id);
+  if (!isEqual(beforeOrder, afterOrder)) {
+    changes.push({ type: "changed", scope: profileName, field: "Rule order" });
+  }
+  return changes;
+}
+
+/**
+ * Compare two rule configs (any version)
+ * @param {Object|null} before - Older config
+ * @param {Object|null} after - Newer config
+ * @returns {{ type: "added"|"removed"|"changed", scope: string, field: string, before?: *, after?: * }[]}
+ */
+export function diffConfigs(before, after) {
+  const changes = [];
+  const beforeProfiles = toProfiles(before);
+  const afterProfiles = toProfiles(after);
+  const beforeById = new Map(beforeProfiles.map((p) => [p.id, p]));
+  const afterById = new Map(afterProfiles.map((p) => [p.id, p]));
+  const nameOf = (id) => (afterById.get(id) || beforeById.get(id))?.name || id || "(none)";
+
+  for (const profile of afterProfiles) {
+    if (!beforeById.has(profile.id)) {
+      changes.push({ type: "added", scope: "Profiles", field: `Profile "${profile.name}" (${(profile.rules || []).length} rules)` });
+    }
+  }
+  for (const profile of beforeProfiles) {
+    if (!afterById.has(profile.id)) {
+      changes.push({ type: "removed", scope: "Profiles", field: `Profile "${profile.name}" (${(profile.rules || []).length} rules)` });
+    }
+  }
+
+  for (const after of afterProfiles) {
+    const before = beforeById.get(after.id);
+    if (!before) continue;
+    const profileName = `Profile "${after.name}"`;
+    if (before.name !== after.name) {
+      changes.push({ type: "changed", scope: profileName, field: "name", before: before.name, after: after.name });
+    }
+    changes.push(...diffRules(before.rules || [], after.rules || [], profileName));
+    changes.push(...diffFields(before, after, profileName, PROFILE_STRUCTURE_KEYS));
+  }
+
+  if ((before?.liveProfileId || null) !== (after?.liveProfileId || null)) {
+    changes.push({ type: "changed", scope: "Profiles", field: "Live profile", before: nameOf(before?.liveProfileId), after: nameOf(after?.liveProfileId) });
+  }
+  if (!isEqual(before?.schedules || [], after?.schedules || [])) {
+    changes.push({
+      type: "changed",
+      scope: "Profiles",
+      field: "Schedules",
+      before: `${(before?.schedules || []).length} scheduled`,
+      after: `${(after?.schedules || []).length} scheduled`,
+    });
+  }
+  return changes;
+}
+
+/**
+ * Compare two global settings objects
+ * @param {Object|null} before - Older settings
+ * @param {Object|null} after - Newer settings
+ * @returns {Object[]} - Same shape as diffConfigs()
+ */
+export function diffSettings(before, after) {
+  return diffFields(before || {}, after || {}, "Global settings", IGNORED_SETTINGS_KEYS);
+}
+
+/**
+ * Compare two raw snapshots of the same metafield
+ * @param {"config"|"settings"} kind - Metafield key
+ * @param {string|null} beforeValue - Older JSON (null = nothing saved yet)
+ * @param {string|null} afterValue - Newer JSON
+ * @returns {Object[]}
+ */
+export function diffSnapshots(kind, beforeValue, afterValue) {
+  const parse = (value) => {
+    try {
+      return value ? JSON.parse(value) : null;
+    } catch {
+      return null;
+    }
+  };
+  return kind === "config"
+    ? diffConfigs(parse(beforeValue), parse(afterValue))
+    : diffSettings(parse(beforeValue), parse(afterValue));
+}
@@ -0,0 +1,198 @@
+// ============================================================================
+// CONFIG DEFAULTS & MIGRATIONS
+// Starting values for new profiles and rules, and the steps that bring any
+// stored config up to the current (v3) shape:
+//   v1 { version: 1, rules } - a single rule list
+//   v2 { version: 2, profiles, activeProfileId, liveProfileId }
+//   v3 as v2, with the fd_* Free Delivery settings copied into each profile
+// ============================================================================
+
+import { newProfileId, newRuleId } from "./idGenerators";
+
+export function defaultProfile(name = "Default") {
+  return {
+    id: newProfileId(),
+    name: name,
+    rules: [],
+    // Default fd_* settings (empty/zero) so Free Delivery doesn't inherit from globalSettings
+    fd_threshold: 0,
+    fd_currency_thresholds: {},
+    fd_convert_threshold: false,
+    fd_exclusion_rules: [],
+    fd_pricing_configs: [],
+    fd_milestones: [],
+    fd_show_announcement_bar: false,
+    fd_cart_progress_enabled: false,
+  };
+}
+
+export function defaultRule() {
+  return {
+    id: newRuleId(),
+    name: "Untitled rule",
+    match: { product_handles: [], tags: [], collections: [], vendors: [], product_types: [], variant_skus: [], variant_options: [], inventory_policy: "any", exclude_handles: [], stock_status: "any", stock_scope: "product", is_fallback: false },
+    settings: {
+      // Collapsed states - only Product Matching expanded by default
+      collapsed_product_matching: false,
+      collapsed_dispatch_settings: true,
+      collapsed_countdown_messages: true,
+      collapsed_countdown_icon: true,
+      collapsed_eta_timeline: true,
+
+      show_messages: false,
+      message_line_1: "",
+      message_line_2: "",
+      message_line_3: "",
+      message_line_4: "",
+      cutoff_fallback_message: "",
+      show_icon: false,
+      icon: "truck",
+      icon_style: "solid",
+      icon_color: "#111827",
+      icon_layout: "per-line",
+      show_icon_per_line_overrides: false,
+      single_icon_size: "medium",
+      icon_vertical_align: "top",
+      border_thickness: 0,
+      border_color: "#e5e7eb",
+      border_radius: 8,
+      background_color: "",
+      max_width: 600,
+
+      // Dispatch settings overrides (separate flags)
+      override_cutoff_times: false,
+      override_lead_time: false,
+      override_closed_days: false,
+      override_courier_no_delivery_days: false,
+      override_courier_delivery_window: false,
+      override_express_delivery_window: false,
+      cutoff_time: "",
+      cutoff_time_sat: "",
+      cutoff_time_sun: "",
+      closed_days: [],
+      lead_time: 0,
+      courier_no_delivery_days: [],
+
+      // ETA Timeline
+      show_eta_timeline: false,
+      eta_left_padding: 0,
+      eta_icon_size: 36,
+      eta_connector_style: "double-chevron",
+      eta_connector_color: "#111827",
+      eta_connector_use_main_color: true,
+      eta_connector_alignment: "center",
+      eta_connector_size: 24,
+      eta_color: "#111827",
+      eta_use_main_icon_color: true,
+      eta_border_width: 0,
+      eta_border_color: "#e5e7eb",
+      eta_border_radius: 8,
+      eta_background_color: "",
+      eta_delivery_days_min: 3,
+      eta_delivery_days_max: 5,
+      express_delivery_days_min: 1,
+      express_delivery_days_max: 1,
+      eta_order_icon: "clipboard-document-check",
+      eta_shipping_icon: "truck",
+      eta_delivery_icon: "home",
+      eta_order_icon_style: "solid",
+      eta_shipping_icon_style: "solid",
+      eta_delivery_icon_style: "solid",
+      eta_label_order: "Ordered",
+      eta_label_shipping: "Shipped",
+      eta_label_delivery: "Delivered",
+      match_eta_width: false,
+
+      // Text styling (per-rule override for messages)
+      override_global_text_styling: false,
+      text_color: "#374151",
+      font_size: 16,
+      font_weight: "normal",
+
+      // ETA text styling (per-rule override) - Labels (Ordered, Shipped, Delivered)
+      override_eta_text_styling: false,
+      eta_label_color: "#374151",
+      eta_label_font_size: 12,
+      eta_label_font_weight: "normal",
+
+      // ETA text styling - Dates (Jan 20, Jan 21-24)
+      eta_date_color: "#6b7280",
+      eta_date_font_size: 11,
+      eta_date_font_weight: "normal",
+
+      // Special Delivery block
+      show_special_delivery: false,
+      special_delivery_message: "",
+      special_delivery_icon_size: 24,
+      special_delivery_icon_color: "#111827",
+      special_delivery_use_main_icon_color: true,
+      // Special Delivery - Border Styling
+      special_delivery_border_thickness: 0,
+      special_delivery_border_color: "#e5e7eb",
+      special_delivery_border_radius: 8,
+      special_delivery_background_color: "",
+      special_delivery_match_eta_width: false,
+      special_delivery_max_width: 600,
+      // Special Delivery - Text Styling (per-rule override)
+      special_delivery_override_global_text_styling: false,
+      special_delivery_text_color: "#374151",
+      special_delivery_font_size: "medium",
+      special_delivery_font_weight: "normal",
+      special_delivery_text_alignment: "left",
+      // Special Delivery - Icon selection from Icons page
+      special_delivery_icon: "",
+    },
+  };
+}
+
+// Migrate v1 config to v2 format (profiles)
+export function migrateToV2(config) {
+  if (config?.version === 2 || config?.version === 3) {
+    // Ensure liveProfileId exists (backward compat for existing v2 configs)
+    if (!config.liveProfileId && config.activeProfileId) {
+      return { ...config, liveProfileId: config.activeProfileId };
+    }
+    return config;
+  }
+
+  // v1 format: { version: 1, rules: [] }
+  // v2 format: { version: 2, profiles: [...], activeProfileId, liveProfileId }
+  const profile = defaultProfile("Default");
+  profile.rules = config?.rules ?? [];
+
+  return {
+    version: 2,
+    profiles: [profile],
+    activeProfileId: profile.id,
+    liveProfileId: profile.id,
+  };
+}
+
+// Migrate v2 config to v3 format (fd_* settings per profile)
+// v3 moves Free Delivery settings into each profile so they can be copied/switched
+export function migrateToV3(config, globalSettings) {
+  if (config?.version === 3) return config;
+  if (config?.version !== 2) return config; // Must be v2 first
+
+  // Extract fd_* keys from globalSettings
+  const fdSettings = {};
+  if (globalSettings && typeof globalSettings === 'object') {
+    for (const key of Object.keys(globalSettings)) {
+      if (key.startsWith('fd_')) {
+        fdSettings[key] = globalSettings[key];
+      }
+    }
+  }
+
+  // Copy fd_* into each profile
+  const profiles = (config.profiles || []).map(p => ({
+    ...p,
+    ...fdSettings,
+  }));
+
+  return {
+    ...config,
+    version: 3,
+    profiles,
+  };
+}
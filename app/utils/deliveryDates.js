@@ -0,0 +1,477 @@
+// ============================================================================
+// DELIVERY DATE ENGINE
+// Pure shipping-date, lead-time and courier business-day calculations.
+//
+// This module is the single source of truth for delivery dates. The admin
+// previews import it directly, and scripts/build-date-engine.js bundles it
+// (together with holidays.js) into the storefront asset dib-date-engine.js,
+// which dib-countdown.js consumes via window.DIBDateEngine. Keep it free of
+// DOM, React and Node APIs so both builds stay identical.
+//
+// All Date values are "shop wall-clock" dates: their local fields (year,
+// month, day, hours, minutes) equal the time in the shop's timezone. Use
+// getShopNow() or getShopNowFromOffset() to build one, and
+// shopWallClockToMs() to turn one back into a real instant.
+// ============================================================================
+
+import { addDays, formatDate, getHolidaysForYear, getHolidayRegion, HOLIDAY_DEFINITIONS } from "./holidays.js";
+
+export const WEEKDAY_KEYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const MONTH_LABELS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+// Safety limits for day-stepping loops
+const MAX_NEXT_OPEN_DAY_ATTEMPTS = 14;
+const MAX_BUSINESS_DAY_ATTEMPTS = 60;
+
+// ============================================================================
+// SHOP CLOCK
+// ============================================================================
+
+/**
+ * Build a shop wall-clock date from an IANA timezone
+ * @param {string} timeZone - IANA timezone (e.g. "Europe/London"); empty uses the runtime clock
+ * @param {Date} now - Real current time
+ * @returns {Date} - Date whose local fields match the shop timezone
+ */
+export function getShopNow(timeZone, now = new Date()) {
+  if (!timeZone) return new Date(now.getTime());
+  try {
+    const fmt = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      year: "numeric", month: "2-digit", day: "2-digit",
+      hour: "2-digit", minute: "2-digit", second: "2-digit",
+      hour12: false,
+    });
+    const parts = fmt.formatToParts(now);
+    const g = (t) => Number(parts.find((p) => p.type === t)?.value);
+    // Some engines report midnight as hour 24
+    return new Date(g("year"), g("month") - 1, g("day"), g("hour") % 24, g("minute"), g("second"));
+  } catch {
+    return new Date(now.getTime());
+  }
+}
+
+/**
+ * Check whether the runtime knows an IANA timezone
+ * @param {string} timeZone - e.g. "Europe/London"
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== "string") return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Parse a UTC offset string as rendered by Liquid's `date: '%z'`
+ * @param {string} value - Offset such as "+0100" or "-05:00"
+ * @returns {number|null} - Offset in minutes, or null if invalid
+ */
+export function parseOffsetMinutes(value) {
+  if (!value || typeof value !== "string") return null;
+  const m = value.trim().replace(":", "").match(/^([+-])(\d{2})(\d{2})$/);
+  if (!m) return null;
+  const sign = m[1] === "-" ? -1 : 1;
+  return sign * (Number(m[2]) * 60 + Number(m[3]));
+}
+
+/**
+ * Build a shop wall-clock date from a fixed UTC offset
+ * @param {number} offsetMinutes - Shop UTC offset in minutes
+ * @param {Date} now - Real current time
+ * @returns {Date} - Date whose local fields match the shop's local time
+ */
+export function getShopNowFromOffset(offsetMinutes, now = new Date()) {
+  const shifted = new Date(now.getTime() + offsetMinutes * 60000);
+  return new Date(
+    shifted.getUTCFullYear(), shifted.getUTCMonth(), shifted.getUTCDate(),
+    shifted.getUTCHours(), shifted.getUTCMinutes(), shifted.getUTCSeconds()
+  );
+}
+
+/**
+ * Milliseconds for a wall-clock date, ignoring the runtime's own DST rules
+ * @param {Date} date - Shop wall-clock date
+ * @returns {number}
+ */
+function wallClockMs(date) {
+  return Date.UTC(
+    date.getFullYear(), date.getMonth(), date.getDate(),
+    date.getHours(), date.getMinutes(), date.getSeconds()
+  );
+}
+
+/**
+ * UTC offset of an IANA timezone at a given instant
+ * @param {string} timeZone - IANA timezone
+ * @param {Date} instant - Real time
+ * @returns {number} - Offset in minutes (e.g. 60 for London in summer)
+ */
+export function getTimeZoneOffsetMinutes(timeZone, instant = new Date()) {
+  const wholeSecondMs = Math.floor(instant.getTime() / 1000) * 1000;
+  return Math.round((wallClockMs(getShopNow(timeZone, instant)) - wholeSecondMs) / 60000);
+}
+
+/**
+ * Convert a shop wall-clock date to the real instant it represents
+ * The offset is looked up a second time at the first guess, so wall-clock
+ * times on the far side of a DST change resolve with that day's offset.
+ * @param {Date} date - Shop wall-clock date
+ * @param {string} timeZone - Shop IANA timezone
+ * @returns {number} - Epoch milliseconds
+ */
+export function shopWallClockToMs(date, timeZone) {
+  const wall = wallClockMs(date);
+  const guess = wall - getTimeZoneOffsetMinutes(timeZone, new Date(wall)) * 60000;
+  return wall - getTimeZoneOffsetMinutes(timeZone, new Date(guess)) * 60000;
+}
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+/**
+ * Parse a HH:MM time string
+ * @param {string} value - Time string to parse
+ * @returns {{ hour: number, min: number }|null} - Parsed parts, or null if invalid
+ */
+export function parseCutoffTime(value) {
+  if (typeof value !== "string") return null;
+  const m = value.trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!m) return null;
+  const hour = Number(m[1]);
+  const min = Number(m[2]);
+  if (hour > 23 || min > 59) return null;
+  return { hour, min };
+}
+
+/**
+ * Convert an array or comma-separated string of weekday keys to a Set
+ * Missing values (null/undefined) use the fallback; an empty list means "none".
+ */
+function toDaySet(value, fallback) {
+  if (value == null) return new Set(fallback);
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  return new Set(list.map((d) => String(d).trim().toLowerCase()).filter(Boolean));
+}
+
+/**
+ * Convert custom holidays ([{date,label}], ["YYYY-MM-DD"] or "a,b") to a Set of dates
+ */
+function toHolidaySet(value) {
+  if (!value) return new Set();
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  return new Set(
+    list
+      .map((h) => (typeof h === "string" ? h.trim() : h?.date))
+      .filter(Boolean)
+  );
+}
+
+function toDayCount(value, fallback) {
+  const n = parseInt(value, 10);
+  return isNaN(n) || n < 0 ? fallback : n;
+}
+
+// Courier calendar region: the shopper's country when we have holidays for it,
+// keeping a configured subdivision that lies in that country
+function toDeliveryRegion(configured, destination) {
+  const dest = typeof destination === "string" ? destination.trim().toUpperCase() : "";
+  if (!dest || !HOLIDAY_DEFINITIONS[dest]) return configured;
+  return configured.split("-")[0] === dest ? configured : dest;
+}
+
+/**
+ * Normalise raw dispatch settings into the shape the engine works with.
+ * Keys match the settings metafield, so the admin passes resolved settings
+ * and the storefront passes values read from data attributes.
+ * @param {Object} raw - Snake_case dispatch settings
+ * @returns {Object} - Normalised settings
+ */
+export function normalizeDispatchSettings(raw = {}) {
+  const bankHolidayCountry = raw.bank_holiday_country || ""; // Country or subdivision code, e.g. "GB-SCT"
+  const customHolidays = toHolidaySet(raw.custom_holidays);
+
+  return {
+    cutoffTime: raw.cutoff_time || "14:00",
+    cutoffTimeSat: raw.cutoff_time_sat || "",
+    cutoffTimeSun: raw.cutoff_time_sun || "",
+    closedDays: toDaySet(raw.closed_days, []),
+    leadTime: toDayCount(raw.lead_time, 0),
+    courierNoDeliveryDays: toDaySet(raw.courier_no_delivery_days, ["sat", "sun"]),
+    bankHolidayCountry,
+    customHolidays,
+    // Courier calendar - null/absent means the courier observes the dispatch calendar
+    deliveryBankHolidayCountry: toDeliveryRegion(
+      raw.delivery_bank_holiday_country ?? bankHolidayCountry,
+      raw.delivery_holiday_destination
+    ),
+    deliveryCustomHolidays: raw.delivery_custom_holidays == null
+      ? customHolidays
+      : toHolidaySet(raw.delivery_custom_holidays),
+    deliveryMin: toDayCount(raw.delivery_days_min, 3),
+    deliveryMax: toDayCount(raw.delivery_days_max, 5),
+    expressMin: toDayCount(raw.express_days_min, 1),
+    expressMax: toDayCount(raw.express_days_max, 1),
+  };
+}
+
+/**
+ * Find the delivery zone covering a destination country
+ * @param {Object[]} zones - delivery_zones setting ({ countries: ["IE", ...], ...windows })
+ * @param {string} countryCode - ISO 3166-1 alpha-2 code, e.g. from localization.country
+ * @returns {Object|null} - First matching zone
+ */
+export function getDeliveryZone(zones, countryCode) {
+  const code = typeof countryCode === "string" ? countryCode.trim().toUpperCase() : "";
+  if (!code || !Array.isArray(zones)) return null;
+  return zones.find((z) => Array.isArray(z?.countries) && z.countries.includes(code)) || null;
+}
+
+/**
+ * Find a fulfilment location by id
+ * @param {Object[]} locations - fulfilment_locations setting
+ * @param {string} locationId - Rule's location_id ("" = default calendar)
+ * @returns {Object|null}
+ */
+export function getFulfilmentLocation(locations, locationId) {
+  if (!locationId || !Array.isArray(locations)) return null;
+  return locations.find((l) => l?.id === locationId) || null;
+}
+
+/**
+ * Resolve a rule's effective dispatch settings (rule overrides, else location, else global)
+ * Mirrors the override flags the Liquid blocks apply before rendering data attributes.
+ * @param {Object} rule - Rule object with settings
+ * @param {Object} globalSettings - Global settings
+ * @param {string} [destinationCountry] - Shopper's country code, for delivery zones and courier holidays
+ * @returns {Object} - Normalised settings
+ */
+export function resolveDispatchSettings(rule, globalSettings, destinationCountry = "") {
+  const s = rule?.settings || {};
+  const g = globalSettings || {};
+  const nonEmpty = (v) => (typeof v === "string" && v.trim() ? v : "");
+  const separateDeliveryHolidays = g.delivery_holiday_mode === "separate";
+  // A fulfilment location replaces the global dispatch calendar; rule overrides still win
+  const calendar = getFulfilmentLocation(g.fulfilment_locations, s.location_id) || g;
+  // A destination zone replaces the global windows; rule overrides still win
+  const zone = getDeliveryZone(g.delivery_zones, destinationCountry);
+  const baseWindow = {
+    deliveryMin: zone?.delivery_days_min ?? g.courier_delivery_days_min,
+    deliveryMax: zone?.delivery_days_max ?? g.courier_delivery_days_max,
+    expressMin: zone?.express_days_min ?? g.express_delivery_days_min,
+    expressMax: zone?.express_days_max ?? g.express_delivery_days_max,
+  };
+
+  const cutoffOverride = !!s.override_cutoff_times;
+  const courierWindowOverride = !!s.override_courier_delivery_window;
+  const expressWindowOverride = !!s.override_express_delivery_window;
+
+  return normalizeDispatchSettings({
+    cutoff_time: (cutoffOverride && nonEmpty(s.cutoff_time)) || nonEmpty(calendar.cutoff_time) || g.cutoff_time,
+    cutoff_time_sat: cutoffOverride ? nonEmpty(s.cutoff_time_sat) : nonEmpty(calendar.cutoff_time_sat),
+    cutoff_time_sun: cutoffOverride ? nonEmpty(s.cutoff_time_sun) : nonEmpty(calendar.cutoff_time_sun),
+    closed_days: s.override_closed_days ? (s.closed_days || []) : (calendar.closed_days || []),
+    lead_time: s.override_lead_time ? (s.lead_time ?? g.lead_time) : g.lead_time,
+    courier_no_delivery_days: s.override_courier_no_delivery_days
+      ? (s.courier_no_delivery_days ?? g.courier_no_delivery_days)
+      : g.courier_no_delivery_days,
+    // Bank holidays follow the location; custom holidays are global-only (no per-rule UI)
+    bank_holiday_country: getHolidayRegion(calendar.bank_holiday_country, calendar.bank_holiday_subdivision),
+    custom_holidays: g.custom_holidays,
+    ...(separateDeliveryHolidays && {
+      delivery_bank_holiday_country: getHolidayRegion(g.delivery_bank_holiday_country, g.delivery_bank_holiday_subdivision),
+      delivery_custom_holidays: g.delivery_custom_holidays || [],
+      delivery_holiday_destination: g.delivery_holiday_by_destination ? destinationCountry : "",
+    }),
+    delivery_days_min: courierWindowOverride ? (s.eta_delivery_days_min ?? baseWindow.deliveryMin) : baseWindow.deliveryMin,
+    delivery_days_max: courierWindowOverride ? (s.eta_delivery_days_max ?? baseWindow.deliveryMax) : baseWindow.deliveryMax,
+    express_days_min: expressWindowOverride ? (s.express_delivery_days_min ?? baseWindow.expressMin) : baseWindow.expressMin,
+    express_days_max: expressWindowOverride ? (s.express_delivery_days_max ?? baseWindow.expressMax) : baseWindow.expressMax,
+  });
+}
+
+// ============================================================================
+// HOLIDAYS & CUTOFF
+// ============================================================================
+
+/**
+ * Check whether a date is a custom or bank holiday
+ * @param {Date} date - Shop wall-clock date
+ * @param {Object} settings - Normalised settings
+ * @param {"dispatch"|"delivery"} [phase] - Warehouse calendar, or the courier's
+ * @returns {boolean}
+ */
+export function isHoliday(date, settings, phase = "dispatch") {
+  const courier = phase === "delivery";
+  const customHolidays = courier ? settings.deliveryCustomHolidays : settings.customHolidays;
+  const region = courier ? settings.deliveryBankHolidayCountry : settings.bankHolidayCountry;
+  const dateStr = formatDate(date);
+  if (customHolidays.has(dateStr)) return true;
+  if (region) {
+    return getHolidaysForYear(region, date.getFullYear()).includes(dateStr);
+  }
+  return false;
+}
+
+/**
+ * Check whether the business dispatches on a date
+ * @param {Date} date - Shop wall-clock date
+ * @param {Object} settings - Normalised settings
+ * @returns {boolean}
+ */
+export function isDispatchDay(date, settings) {
+  return !settings.closedDays.has(WEEKDAY_KEYS[date.getDay()]) && !isHoliday(date, settings);
+}
+
+/**
+ * Get the cutoff time string that applies on a given weekday
+ * @param {Object} settings - Normalised settings
+ * @param {string} dayKey - Weekday key ("sun".."sat")
+ * @returns {string} - HH:MM cutoff
+ */
+export function getCutoffForDay(settings, dayKey) {
+  if (dayKey === "sat" && settings.cutoffTimeSat.trim()) return settings.cutoffTimeSat;
+  if (dayKey === "sun" && settings.cutoffTimeSun.trim()) return settings.cutoffTimeSun;
+  return settings.cutoffTime;
+}
+
+/**
+ * Work out where "now" sits relative to today's cutoff
+ * Pass the shop's IANA timezone and the real time in `clock` to measure the
+ * remaining time between real instants, which stays correct when a DST change
+ * falls between now and the cutoff. Without it the wall-clock difference is used.
+ * @param {Date} shopNow - Shop wall-clock now
+ * @param {Object} settings - Normalised settings
+ * @param {{ timeZone?: string, now?: Date }} [clock] - Shop timezone and real current time
+ * @returns {{ state: "open"|"closed"|"holiday"|"passed", remainingMs: number }}
+ */
+export function getCutoffStatus(shopNow, settings, clock = {}) {
+  if (settings.closedDays.has(WEEKDAY_KEYS[shopNow.getDay()])) return { state: "closed", remainingMs: 0 };
+  if (isHoliday(shopNow, settings)) return { state: "holiday", remainingMs: 0 };
+
+  const cutoff = parseCutoffTime(getCutoffForDay(settings, WEEKDAY_KEYS[shopNow.getDay()])) || { hour: 14, min: 0 };
+  const cutoffDate = new Date(shopNow.getFullYear(), shopNow.getMonth(), shopNow.getDate(), cutoff.hour, cutoff.min, 0);
+  const remainingMs = clock.timeZone && clock.now
+    ? shopWallClockToMs(cutoffDate, clock.timeZone) - clock.now.getTime()
+    : wallClockMs(cutoffDate) - wallClockMs(shopNow);
+  if (remainingMs <= 0) return { state: "passed", remainingMs: 0 };
+  return { state: "open", remainingMs };
+}
+
+/**
+ * Format a countdown duration
+ * @param {number} ms - Remaining milliseconds
+ * @returns {string} - e.g. "2h 05m", "45m", "less than 1 min"
+ */
+export function formatRemaining(ms) {
+  const totalMin = Math.floor(ms / 60000);
+  if (totalMin < 1) return "less than 1 min";
+  const h = Math.floor(totalMin / 60);
+  const m = totalMin % 60;
+  if (h > 0) return `${h}h ${String(m).padStart(2, "0")}m`;
+  return `${m}m`;
+}
+
+// ============================================================================
+// SHIPPING & DELIVERY DATES
+// ============================================================================
+
+/**
+ * Calculate the dispatch date: today if before cutoff on an open day,
+ * otherwise the next open day, then plus lead time in business days
+ * @param {Date} shopNow - Shop wall-clock now
+ * @param {Object} settings - Normalised settings
+ * @returns {Date} - Shipping date (midnight, shop wall-clock)
+ */
+export function calculateShippingDate(shopNow, settings) {
+  const today = new Date(shopNow.getFullYear(), shopNow.getMonth(), shopNow.getDate());
+  let shippingDate = today;
+
+  if (getCutoffStatus(shopNow, settings).state !== "open") {
+    shippingDate = addDays(today, 1);
+    for (let attempts = 0; attempts < MAX_NEXT_OPEN_DAY_ATTEMPTS; attempts++) {
+      if (isDispatchDay(shippingDate, settings)) break;
+      shippingDate = addDays(shippingDate, 1);
+    }
+  }
+
+  let daysAdded = 0;
+  for (let attempts = 0; daysAdded < settings.leadTime && attempts < MAX_BUSINESS_DAY_ATTEMPTS; attempts++) {
+    shippingDate = addDays(shippingDate, 1);
+    if (isDispatchDay(shippingDate, settings)) daysAdded++;
+  }
+
+  return shippingDate;
+}
+
+/**
+ * Add courier business days, skipping courier no-delivery days and holidays
+ * @param {Date} startDate - Shipping date
+ * @param {number} numDays - Business days to add
+ * @param {Object} settings - Normalised settings
+ * @returns {Date} - Delivery date
+ */
+export function addDeliveryDays(startDate, numDays, settings) {
+  let current = startDate;
+  let daysAdded = 0;
+  for (let attempts = 0; daysAdded < numDays && attempts < MAX_BUSINESS_DAY_ATTEMPTS; attempts++) {
+    current = addDays(current, 1);
+    if (!settings.courierNoDeliveryDays.has(WEEKDAY_KEYS[current.getDay()]) && !isHoliday(current, settings, "delivery")) {
+      daysAdded++;
+    }
+  }
+  return current;
+}
+
+/**
+ * Format a date for display (e.g. "Jan 20")
+ * @param {Date} date
+ * @returns {string}
+ */
+export function formatShortDate(date) {
+  return `${MONTH_LABELS[date.getMonth()]} ${date.getDate()}`;
+}
+
+/**
+ * Format a delivery window (e.g. "Jan 20", "Jan 20-23", "Jan 30-Feb 2")
+ * @param {Date} minDate - Earliest delivery date
+ * @param {Date} maxDate - Latest delivery date
+ * @returns {string}
+ */
+export function formatDateRange(minDate, maxDate) {
+  if (formatDate(minDate) === formatDate(maxDate)) return formatShortDate(minDate);
+  if (minDate.getMonth() === maxDate.getMonth()) return `${formatShortDate(minDate)}-${maxDate.getDate()}`;
+  return `${formatShortDate(minDate)}-${formatShortDate(maxDate)}`;
+}
+
+/**
+ * Compute every date the previews and storefront placeholders display
+ * @param {Date} shopNow - Shop wall-clock now
+ * @param {Object} settings - Normalised settings
+ * @returns {Object} - Dates plus preformatted {shipped}, {arrival} and {express} strings
+ */
+export function getDeliveryEstimate(shopNow, settings) {
+  const shippingDate = calculateShippingDate(shopNow, settings);
+  const deliveryMinDate = addDeliveryDays(shippingDate, settings.deliveryMin, settings);
+  const deliveryMaxDate = addDeliveryDays(shippingDate, settings.deliveryMax, settings);
+  const expressMinDate = addDeliveryDays(shippingDate, settings.expressMin, settings);
+  const expressMaxDate = addDeliveryDays(shippingDate, settings.expressMax, settings);
+
+  return {
+    orderDate: shopNow,
+    shippingDate,
+    deliveryMinDate,
+    deliveryMaxDate,
+    expressMinDate,
+    expressMaxDate,
+    shippedText: formatShortDate(shippingDate),
+    arrivalText: formatDateRange(deliveryMinDate, deliveryMaxDate),
+    expressText: formatDateRange(expressMinDate, expressMaxDate),
+  };
+}
@@ -0,0 +1,21 @@
+// ============================================================================
+// DOWNLOAD HELPER
+// Save generated text (exports, CSVs) as a file from the browser
+// ============================================================================
+
+/**
+ * Trigger a browser download of a text file
+ * @param {string} fileName - Suggested file name
+ * @param {string} text - File contents
+ * @param {string} type - MIME type
+ */
+export function downloadTextFile(fileName, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
@@ -99,6 +99,26 @@ export function getMidsummerDay(year) {
   return new Date(year, 5, 20);
 }
 
+/**
+ * Get a fixed-date holiday moved to the following Monday when it falls on a weekend
+ * (e.g. St Andrew's Day in Scotland)
+ */
+function getMondayIfWeekend(year, month, day) {
+  const date = new Date(year, month, day);
+  if (date.getDay() === 6) return addDays(date, 2);
+  if (date.getDay() === 0) return addDays(date, 1);
+  return date;
+}
+
+/**
+ * Get the Wednesday before November 23 (Repentance and Prayer Day, Saxony)
+ */
+function getRepentanceDay(year) {
+  const date = new Date(year, 10, 22);
+  while (date.getDay() !== 3) date.setDate(date.getDate() - 1);
+  return date;
+}
+
 /**
  * Get All Saints Day for countries that observe it on Saturday
  * (Saturday between Oct 31 - Nov 6)
@@ -792,17 +812,376 @@ export const HOLIDAY_DEFINITIONS = {
   },
 };
 
+// ============================================================================
+// SUBDIVISION HOLIDAY DEFINITIONS
+// ============================================================================
+
+/**
+ * Regional calendars keyed by country, then ISO 3166-2 subdivision suffix
+ * Each getHolidays(year, national) receives the country's list and returns the
+ * subdivision's full list, so regions can drop national days as well as add their own.
+ * A subdivision without getHolidays observes the national list unchanged.
+ */
+const without = (holidays, ...dates) => holidays.filter((d) => !dates.includes(d));
+
+export const SUBDIVISION_DEFINITIONS = {
+  // === Europe ===
+  DE: {
+    BW: {
+      name: "Baden-Württemberg",
+      getHolidays: (year, national) => {
+        const easter = getEasterSunday(year);
+        return [
+          ...national,
+          `${year}-01-06`, // Epiphany
+          formatDate(addDays(easter, 60)), // Corpus Christi
+          `${year}-11-01`, // All Saints
+        ];
+      },
+    },
+    BY: {
+      name: "Bavaria",
+      getHolidays: (year, national) => {
+        const easter = getEasterSunday(year);
+        return [
+          ...national,
+          `${year}-01-06`, // Epiphany
+          formatDate(addDays(easter, 60)), // Corpus Christi
+          `${year}-08-15`, // Assumption
+          `${year}-11-01`, // All Saints
+        ];
+      },
+    },
+    BE: {
+      name: "Berlin",
+      getHolidays: (year, national) => [
+        ...national,
+        `${year}-03-08`, // International Women's Day
+      ],
+    },
+    BB: {
+      name: "Brandenburg",
+      getHolidays: (year, national) => [
+        ...national,
+        `${year}-10-31`, // Reformation Day
+      ],
+    },
+    HB: {
+      name: "Bremen",
+      getHolidays: (year, national) => [
+        ...national,
+        `${year}-10-31`, // Reformation Day
+      ],
+    },
+    HH: {
+      name: "Hamburg",
+      getHolidays: (year, national) => [
+        ...national,
+        `${year}-10-31`, // Reformation Day
+      ],
+    },
+    HE: {
+      name: "Hesse",
+      getHolidays: (year, national) => [
+        ...national,
+        formatDate(addDays(getEasterSunday(year), 60)), // Corpus Christi
+      ],
+    },
+    MV: {
+      name: "Mecklenburg-Vorpommern",
+      getHolidays: (year, national) => [
+        ...national,
+        `${year}-03-08`, // International Women's Day
+        `${year}-10-31`, // Reformation Day
+      ],
+    },
+    NI: {
+      name: "Lower Saxony",
+      getHolidays: (year, national) => [
+        ...national,
+        `${year}-10-31`, // Reformation Day
+      ],
+    },
+    NW: {
+      name: "North Rhine-Westphalia",
+      getHolidays: (year, national) => [
+        ...national,
+        formatDate(addDays(getEasterSunday(year), 60)), // Corpus Christi
+        `${year}-11-01`, // All Saints
+      ],
+    },
+    RP: {
+      name: "Rhineland-Palatinate",
+      getHolidays: (year, national) => [
+        ...national,
+        formatDate(addDays(getEasterSunday(year), 60)), // Corpus Christi
+        `${year}-11-01`, // All Saints
+      ],
+    },
+    SL: {
+      name: "Saarland",
+      getHolidays: (year, national) => [
+        ...national,
+        formatDate(addDays(getEasterSunday(year), 60)), // Corpus Christi
+        `${year}-08-15`, // Assumption
+        `${year}-11-01`, // All Saints
+      ],
+    },
+    SN: {
+      name: "Saxony",
+      getHolidays: (year, national) => [
+        ...national,
+        `${year}-10-31`, // Reformation Day
+        formatDate(getRepentanceDay(year)), // Repentance and Prayer Day
+      ],
+    },
+    ST: {
+      name: "Saxony-Anhalt",
+      getHolidays: (year, national) => [
+        ...national,
+        `${year}-01-06`, // Epiphany
+        `${year}-10-31`, // Reformation Day
+      ],
+    },
+    SH: {
+      name: "Schleswig-Holstein",
+      getHolidays: (year, national) => [
+        ...national,
+        `${year}-10-31`, // Reformation Day
+      ],
+    },
+    TH: {
+      name: "Thuringia",
+      getHolidays: (year, national) => [
+        ...national,
+        `${year}-09-20`, // World Children's Day
+        `${year}-10-31`, // Reformation Day
+      ],
+    },
+  },
+  GB: {
+    ENG: { name: "England" },
+    WLS: { name: "Wales" },
+    SCT: {
+      name: "Scotland",
+      getHolidays: (year, national) => {
+        const easter = getEasterSunday(year);
+        const englishSummer = getNthWeekdayOfMonth(year, 7, 1, -1); // Last Monday of August
+        const holidays = [
+          ...without(national, formatDate(addDays(easter, 1)), formatDate(englishSummer)),
+          `${year}-01-02`, // 2nd January
+          formatDate(getNthWeekdayOfMonth(year, 7, 1, 1)), // Summer Bank Holiday (first Monday of August)
+          formatDate(getMondayIfWeekend(year, 10, 30)), // St Andrew's Day
+        ];
+
+        // Handle substitute days if New Year's Day/2nd January falls on weekend
+        const newYear = new Date(year, 0, 1);
+        if (newYear.getDay() === 0) {
+          holidays.push(`${year}-01-03`); // Substitute for New Year's Day (2nd January is the Monday)
+        } else if (newYear.getDay() === 6) {
+          holidays.push(`${year}-01-03`); // Substitute for New Year's Day
+          holidays.push(`${year}-01-04`); // Substitute for 2nd January
+        } else if (newYear.getDay() === 5) {
+          holidays.push(`${year}-01-04`); // Substitute for 2nd January (Saturday)
+        }
+
+        return holidays;
+      },
+    },
+    NIR: {
+      name: "Northern Ireland",
+      getHolidays: (year, national) => [
+        ...national,
+        formatDate(getMondayIfWeekend(year, 2, 17)), // St Patrick's Day
+        formatDate(getMondayIfWeekend(year, 6, 12)), // Battle of the Boyne
+      ],
+    },
+  },
+  // === North America ===
+  CA: {
+    AB: { name: "Alberta" },
+    BC: {
+      name: "British Columbia",
+      getHolidays: (year, national) => [
+        ...national,
+        `${year}-09-30`, // National Day for Truth and Reconciliation
+      ],
+    },
+    ON: {
+      name: "Ontario",
+      getHolidays: (year, national) => without(national, `${year}-11-11`), // No Remembrance Day
+    },
+    QC: {
+      name: "Quebec",
+      getHolidays: (year, national) => [
+        ...without(
+          national,
+          formatDate(getNthWeekdayOfMonth(year, 1, 1, 3)), // No Family Day
+          formatDate(getNthWeekdayOfMonth(year, 7, 1, 1)), // No Civic Holiday
+          `${year}-11-11`, // No Remembrance Day
+        ),
+        `${year}-06-24`, // Saint-Jean-Baptiste Day
+      ],
+    },
+  },
+  US: {
+    CA: {
+      name: "California",
+      getHolidays: (year, national) => [
+        ...national,
+        `${year}-03-31`, // César Chávez Day
+        formatDate(addDays(getNthWeekdayOfMonth(year, 10, 4, 4), 1)), // Day after Thanksgiving
+      ],
+    },
+    MA: {
+      name: "Massachusetts",
+      getHolidays: (year, national) => [
+        ...national,
+        formatDate(getNthWeekdayOfMonth(year, 3, 1, 3)), // Patriots' Day (third Monday of April)
+      ],
+    },
+    NY: {
+      name: "New York",
+      getHolidays: (year, national) => [
+        ...national,
+        `${year}-02-12`, // Lincoln's Birthday
+      ],
+    },
+    TX: {
+      name: "Texas",
+      getHolidays: (year, national) => [
+        ...national,
+        `${year}-03-02`, // Texas Independence Day
+        `${year}-04-21`, // San Jacinto Day
+        formatDate(addDays(getNthWeekdayOfMonth(year, 10, 4, 4), 1)), // Day after Thanksgiving
+        `${year}-12-24`, // Christmas Eve
+        `${year}-12-26`, // Day after Christmas
+      ],
+    },
+  },
+  // === Oceania ===
+  AU: {
+    ACT: {
+      name: "Australian Capital Territory",
+      getHolidays: (year, national) => {
+        // Reconciliation Day - Monday on or after May 27
+        let reconciliationDay = new Date(year, 4, 27);
+        while (reconciliationDay.getDay() !== 1) reconciliationDay.setDate(reconciliationDay.getDate() + 1);
+        return [
+          ...national,
+          formatDate(getNthWeekdayOfMonth(year, 2, 1, 2)), // Canberra Day
+          formatDate(reconciliationDay), // Reconciliation Day
+          formatDate(getNthWeekdayOfMonth(year, 9, 1, 1)), // Labour Day
+        ];
+      },
+    },
+    NSW: {
+      name: "New South Wales",
+      getHolidays: (year, national) => [
+        ...national,
+        formatDate(getNthWeekdayOfMonth(year, 9, 1, 1)), // Labour Day
+      ],
+    },
+    NT: {
+      name: "Northern Territory",
+      getHolidays: (year, national) => [
+        ...national,
+        formatDate(getNthWeekdayOfMonth(year, 4, 1, 1)), // May Day
+        formatDate(getNthWeekdayOfMonth(year, 7, 1, 1)), // Picnic Day
+      ],
+    },
+    QLD: {
+      name: "Queensland",
+      getHolidays: (year, national) => {
+        const easter = getEasterSunday(year);
+        return [
+          ...without(national, formatDate(getNthWeekdayOfMonth(year, 5, 1, 2))), // Birthday is in October
+          formatDate(addDays(easter, -1)), // Easter Saturday
+          formatDate(getNthWeekdayOfMonth(year, 4, 1, 1)), // Labour Day
+          formatDate(getNthWeekdayOfMonth(year, 9, 1, 1)), // King's Birthday
+        ];
+      },
+    },
+    SA: {
+      name: "South Australia",
+      getHolidays: (year, national) => [
+        ...national,
+        formatDate(addDays(getEasterSunday(year), -1)), // Easter Saturday
+        formatDate(getNthWeekdayOfMonth(year, 2, 1, 2)), // Adelaide Cup Day
+        formatDate(getNthWeekdayOfMonth(year, 9, 1, 1)), // Labour Day
+      ],
+    },
+    TAS: {
+      name: "Tasmania",
+      getHolidays: (year, national) => [
+        ...national,
+        formatDate(getNthWeekdayOfMonth(year, 2, 1, 2)), // Eight Hours Day
+      ],
+    },
+    VIC: {
+      name: "Victoria",
+      getHolidays: (year, national) => {
+        const easter = getEasterSunday(year);
+        return [
+          ...national,
+          formatDate(getNthWeekdayOfMonth(year, 2, 1, 2)), // Labour Day
+          formatDate(addDays(easter, -1)), // Easter Saturday
+          formatDate(easter), // Easter Sunday
+          formatDate(getNthWeekdayOfMonth(year, 10, 2, 1)), // Melbourne Cup Day (first Tuesday of November)
+        ];
+      },
+    },
+    WA: {
+      name: "Western Australia",
+      getHolidays: (year, national) => [
+        ...without(national, formatDate(getNthWeekdayOfMonth(year, 5, 1, 2))), // Birthday is in September
+        formatDate(getNthWeekdayOfMonth(year, 2, 1, 1)), // Labour Day
+        formatDate(getNthWeekdayOfMonth(year, 5, 1, 1)), // Western Australia Day
+        formatDate(getNthWeekdayOfMonth(year, 8, 1, -1)), // King's Birthday (last Monday of September)
+      ],
+    },
+  },
+};
+
 // ============================================================================
 // PUBLIC API
 // ============================================================================
 
 /**
- * Get holidays for a country and year (dynamically calculated)
+ * Get holidays for a country or subdivision and year (dynamically calculated)
+ * @param regionCode - Country code ("GB") or ISO 3166-2 subdivision code ("GB-SCT")
+ * @param year - The year
  */
-export function getHolidaysForYear(countryCode, year) {
+export function getHolidaysForYear(regionCode, year) {
+  const [countryCode, subdivisionCode] = String(regionCode || "").split("-");
   const country = HOLIDAY_DEFINITIONS[countryCode];
   if (!country || !country.getHolidays) return [];
-  return country.getHolidays(year).sort();
+  const national = country.getHolidays(year);
+  const subdivision = subdivisionCode ? SUBDIVISION_DEFINITIONS[countryCode]?.[subdivisionCode] : null;
+  const holidays = subdivision?.getHolidays ? subdivision.getHolidays(year, national) : national;
+  return [...new Set(holidays)].sort();
+}
+
+/**
+ * Get the subdivisions with their own holiday calendar for a country
+ * @param countryCode - Country code, e.g. "DE"
+ * @returns {{ code: string, name: string }[]} - Full codes, e.g. { code: "DE-BY", name: "Bavaria" }
+ */
+export function getSubdivisions(countryCode) {
+  return Object.entries(SUBDIVISION_DEFINITIONS[countryCode] || {})
+    .map(([code, { name }]) => ({ code: `${countryCode}-${code}`, name }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Pick the holiday calendar to use: the subdivision if it belongs to the country, else the country
+ * @param countryCode - bank_holiday_country setting
+ * @param subdivisionCode - bank_holiday_subdivision setting
+ */
+export function getHolidayRegion(countryCode, subdivisionCode) {
+  if (!countryCode) return "";
+  if (subdivisionCode && subdivisionCode.startsWith(`${countryCode}-`)) return subdivisionCode;
+  return countryCode;
 }
 
 /**
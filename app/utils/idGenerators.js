@@ -1,6 +1,6 @@
 // ============================================================================
 // ID GENERATORS
-// Generate unique IDs for rules and profiles
+// Generate unique IDs for rules, profiles, schedules, delivery zones, locations, A/B tests, cart milestones and customer thresholds
 // ============================================================================
 
 export function newRuleId() {
@@ -10,3 +10,27 @@ export function newRuleId() {
 export function newProfileId() {
   return globalThis.crypto?.randomUUID?.() ?? `profile-${Date.now()}`;
 }
+
+export function newScheduleId() {
+  return globalThis.crypto?.randomUUID?.() ?? `schedule-${Date.now()}`;
+}
+
+export function newZoneId() {
+  return globalThis.crypto?.randomUUID?.() ?? `zone-${Date.now()}`;
+}
+
+export function newLocationId() {
+  return globalThis.crypto?.randomUUID?.() ?? `location-${Date.now()}`;
+}
+
+export function newAbTestId() {
+  return globalThis.crypto?.randomUUID?.() ?? `test-${Date.now()}`;
+}
+
+export function newMilestoneId() {
+  return globalThis.crypto?.randomUUID?.() ?? `milestone-${Date.now()}`;
+}
+
+export function newSegmentThresholdId() {
+  return globalThis.crypto?.randomUUID?.() ?? `segment-${Date.now()}`;
+}
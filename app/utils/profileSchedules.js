@@ -0,0 +1,117 @@
+// ============================================================================
+// PROFILE SCHEDULES
+// Timed go-live windows for profiles. The theme blocks resolve the live profile
+// with the same rules in Liquid, so keep the two in step:
+//   1. A schedule whose window contains "now" wins (latest start if they overlap)
+//   2. Otherwise the most recently ended schedule's revert profile, unless the
+//      live profile was changed by hand after that schedule ended
+//   3. Otherwise the manually selected live profile
+// ============================================================================
+
+export const MAX_SCHEDULES = 20;
+
+const toMs = (iso) => {
+  const ms = Date.parse(iso);
+  return Number.isNaN(ms) ? null : ms;
+};
+
+/**
+ * Where a schedule sits relative to a point in time
+ * @param {Object} schedule - { startsAt, endsAt }
+ * @param {Date} now
+ * @returns {"upcoming"|"active"|"ended"|"invalid"}
+ */
+export function getScheduleStatus(schedule, now = new Date()) {
+  const start = toMs(schedule?.startsAt);
+  const end = toMs(schedule?.endsAt);
+  if (start === null || end === null || end <= start) return "invalid";
+  const t = now.getTime();
+  if (t < start) return "upcoming";
+  if (t < end) return "active";
+  return "ended";
+}
+
+/**
+ * Resolve which profile the storefront is showing at a point in time
+ * @param {Object} config - v3 config ({ profiles, liveProfileId, liveProfileUpdatedAt, schedules })
+ * @param {Date} now
+ * @returns {{ profileId: string|null, schedule: Object|null, reason: "manual"|"scheduled"|"reverted" }}
+ */
+export function getEffectiveLiveProfile(config, now = new Date()) {
+  const profileIds = new Set((config?.profiles || []).map((p) => p.id));
+  const manualId = config?.liveProfileId ?? config?.profiles?.[0]?.id ?? null;
+  const t = now.getTime();
+
+  let active = null;
+  let reverted = null;
+  let revertedEnd = toMs(config?.liveProfileUpdatedAt) ?? 0;
+
+  for (const schedule of config?.schedules || []) {
+    if (!profileIds.has(schedule.profileId)) continue;
+    const status = getScheduleStatus(schedule, now);
+    if (status === "active") {
+      if (!active || toMs(schedule.startsAt) >= toMs(active.startsAt)) active = schedule;
+    } else if (status === "ended" && profileIds.has(schedule.revertProfileId)) {
+      const end = toMs(schedule.endsAt);
+      if (end > revertedEnd && end <= t) {
+        revertedEnd = end;
+        reverted = schedule;
+      }
+    }
+  }
+
+  if (active) return { profileId: active.profileId, schedule: active, reason: "scheduled" };
+  if (reverted) return { profileId: reverted.revertProfileId, schedule: reverted, reason: "reverted" };
+  return { profileId: manualId, schedule: null, reason: "manual" };
+}
+
+/**
+ * Schedules that have not finished yet, soonest first
+ * @param {Object[]} schedules
+ * @param {Date} now
+ * @returns {Object[]}
+ */
+export function getUpcomingSchedules(schedules, now = new Date()) {
+  return (schedules || [])
+    .filter((s) => {
+      const status = getScheduleStatus(s, now);
+      return status === "upcoming" || status === "active";
+    })
+    .sort((a, b) => toMs(a.startsAt) - toMs(b.startsAt));
+}
+
+/**
+ * Check a schedule before saving it
+ * @param {Object} schedule - { profileId, startsAt, endsAt, revertProfileId }
+ * @param {Object[]} profiles
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateSchedule(schedule, profiles) {
+  const ids = new Set((profiles || []).map((p) => p.id));
+  if (!ids.has(schedule?.profileId)) return "Choose a profile to schedule.";
+  const start = toMs(schedule.startsAt);
+  const end = toMs(schedule.endsAt);
+  if (start === null) return "Enter a start date and time.";
+  if (end === null) return "Enter an end date and time.";
+  if (end <= start) return "The end must be after the start.";
+  if (schedule.revertProfileId && !ids.has(schedule.revertProfileId)) return "The revert profile no longer exists.";
+  if (schedule.revertProfileId === schedule.profileId) return "Revert to a different profile than the scheduled one.";
+  return null;
+}
+
+/**
+ * Drop or repair schedules that reference a deleted profile
+ * @param {Object[]} schedules
+ * @param {string} profileId - Deleted profile
+ * @returns {Object[]}
+ */
+export function removeProfileFromSchedules(schedules, profileId) {
+  return (schedules || [])
+    .filter((s) => s.profileId !== profileId)
+    .map((s) => {
+      if (s.revertProfileId !== profileId) return s;
+      const next = { ...s };
+      delete next.revertProfileId;
+      return next;
+    });
+}
@@ -0,0 +1,141 @@
+// ============================================================================
+// RULE COVERAGE
+// Which of a profile's rules each product matches, checked the same way the
+// theme blocks do it in Liquid, so keep the two in step:
+//   1. Rules are checked top to bottom and the first match wins
+//   2. A fallback rule matches anything that passes its stock filters
+//   3. A handle match only needs the stock filters to pass
+//   4. A tag, collection/vendor/type or variant match also needs the product
+//      not to be in the rule's excluded handles
+// The storefront checks the shopper's selected variant; the report uses the
+// first available variant, as on a product page with no variant chosen.
+// ============================================================================
+
+import { toCsv } from "./rulesCsv";
+
+const isFallback = (rule) => rule?.match?.is_fallback === true || rule?.match?.is_fallback === "true";
+
+const listHas = (list, value) => Array.isArray(list) && list.length > 0 && list.includes(value);
+
+/**
+ * Product fields used for matching, from a COVERAGE_PRODUCTS node
+ * @param {Object} node
+ * @returns {Object} - { id, title, handle, vendor, productType, tags, collections, variants, variantsTruncated }
+ */
+export function productFromCoverageNode(node) {
+  const variants = (node?.variants?.nodes || []).map((v) => ({
+    sku: v.sku || "",
+    available: Boolean(v.availableForSale),
+    // Liquid reads untracked inventory as 0
+    quantity: Number(v.inventoryQuantity) || 0,
+    inventoryPolicy: String(v.inventoryPolicy || "").toLowerCase(),
+    options: (v.selectedOptions || []).map((o) => o.value),
+  }));
+  return {
+    id: node?.id || "",
+    title: node?.title || "",
+    handle: node?.handle || "",
+    vendor: node?.vendor || "",
+    productType: node?.productType || "",
+    tags: node?.tags || [],
+    collections: (node?.collections?.nodes || []).map((c) => c.handle),
+    variants,
+    variantsTruncated: (node?.variantsCount?.count || 0) > variants.length,
+  };
+}
+
+function stockMatches(match, product, variant) {
+  const status = match.stock_status || "any";
+  if (status !== "any") {
+    const byVariant = match.stock_scope === "variant";
+    const variants = byVariant ? (variant ? [variant] : []) : product.variants;
+    const available = byVariant ? Boolean(variant?.available) : product.variants.some((v) => v.available);
+
+    const inStock = variants.some((v) => v.available && v.quantity > 0);
+    const preorder = variants.some((v) => v.available && v.quantity <= 0);
+    const outOfStock = variants.some((v) => !v.available);
+    const mixed = [inStock, preorder, outOfStock].filter(Boolean).length > 1;
+    const isPreOrder = available && !inStock && preorder;
+
+    if (status === "in_stock" && (!available || isPreOrder || mixed)) return false;
+    if (status === "out_of_stock" && available) return false;
+    if (status === "pre_order" && (!isPreOrder || mixed)) return false;
+    if (status === "mixed_stock" && !mixed) return false;
+  }
+  if ((match.inventory_policy === "deny" || match.inventory_policy === "continue") && variant?.inventoryPolicy !== match.inventory_policy) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Whether a rule matches a product on the storefront
+ * @param {Object} rule
+ * @param {Object} product - From productFromCoverageNode
+ * @returns {boolean}
+ */
+export function ruleMatchesProduct(rule, product) {
+  const match = rule?.match || {};
+  const variant = product.variants.find((v) => v.available) || product.variants[0] || null;
+  const stockOk = stockMatches(match, product, variant);
+
+  if (isFallback(rule)) return stockOk;
+  if (listHas(match.product_handles, product.handle)) return stockOk;
+
+  const tagMatch = (match.tags || []).some((tag) => product.tags.includes(tag));
+  const attrMatch = listHas(match.vendors, product.vendor)
+    || listHas(match.product_types, product.productType)
+    || product.collections.some((handle) => listHas(match.collections, handle));
+  const variantMatch = Boolean(variant) && (
+    (variant.sku !== "" && listHas(match.variant_skus, variant.sku))
+    || variant.options.some((value) => listHas(match.variant_options, value))
+  );
+  if (!tagMatch && !attrMatch && !variantMatch) return false;
+  return stockOk && !listHas(match.exclude_handles, product.handle);
+}
+
+/**
+ * Check one product against a profile's rules
+ * "multiple" means more than one specific (non-fallback) rule matches, so the
+ * order of those rules decides which one the product gets.
+ * @param {Object[]} rules - In evaluation order
+ * @param {Object} product - From productFromCoverageNode
+ * @returns {{ id, title, handle, ruleId: string|null, candidateIds: string[], fallback: boolean, multiple: boolean, variantsTruncated: boolean }}
+ */
+export function evaluateProductCoverage(rules, product) {
+  const matched = (rules || []).filter((rule) => ruleMatchesProduct(rule, product));
+  const winner = matched[0] || null;
+  return {
+    id: product.id,
+    title: product.title,
+    handle: product.handle,
+    ruleId: winner?.id || null,
+    candidateIds: matched.map((rule) => rule.id),
+    fallback: Boolean(winner) && isFallback(winner),
+    multiple: matched.filter((rule) => !isFallback(rule)).length > 1,
+    variantsTruncated: product.variantsTruncated,
+  };
+}
+
+/**
+ * The report as CSV: one row per product
+ * @param {Object[]} results - From evaluateProductCoverage
+ * @param {Object[]} rules - The profile's rules (for names)
+ * @returns {string}
+ */
+export function coverageToCsv(results, rules) {
+  const names = new Map((rules || []).map((rule) => [rule.id, rule.name || rule.id]));
+  const status = (r) => (!r.ruleId ? "no_match" : r.fallback ? "fallback" : "matched");
+  return toCsv([
+    ["product_id", "handle", "title", "status", "matched_rule", "candidate_rules", "multiple_candidates"],
+    ...results.map((r) => [
+      r.id,
+      r.handle,
+      r.title,
+      status(r),
+      r.ruleId ? names.get(r.ruleId) : "",
+      r.candidateIds.map((id) => names.get(id)).join(", "),
+      r.multiple ? "TRUE" : "FALSE",
+    ]),
+  ]);
+}
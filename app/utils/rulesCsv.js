@@ -0,0 +1,275 @@
+// ============================================================================
+// RULES CSV
+// Spreadsheet round trip for one profile's rules: one rule per row, with the
+// matching, dispatch, message and ETA fields people bulk-edit as columns.
+// Anything not in a column (styling, icons, etc.) is left as it is on import.
+// ============================================================================
+
+import { isHHMM, validateRule } from "./validation";
+import { defaultRule } from "./configMigrations";
+
+const DAY_KEYS = ["mon", "tue", "wed", "thu", "fri", "sat", "sun"];
+const STOCK_STATUSES = ["any", "in_stock", "out_of_stock", "pre_order", "mixed_stock"];
+
+// kind: how the cell is written and read; section: where the value lives on the rule
+export const RULE_CSV_COLUMNS = [
+  { header: "id", kind: "id" },
+  { header: "name", kind: "name" },
+  { header: "product_handles", section: "match", kind: "list" },
+  { header: "tags", section: "match", kind: "list" },
+  { header: "exclude_handles", section: "match", kind: "list" },
+  { header: "stock_status", section: "match", kind: "stock" },
+  { header: "override_cutoff_times", section: "settings", kind: "bool" },
+  { header: "cutoff_time", section: "settings", kind: "time" },
+  { header: "cutoff_time_sat", section: "settings", kind: "time" },
+  { header: "cutoff_time_sun", section: "settings", kind: "time" },
+  { header: "override_lead_time", section: "settings", kind: "bool" },
+  { header: "lead_time", section: "settings", kind: "number", min: 0, max: 30 },
+  { header: "override_closed_days", section: "settings", kind: "bool" },
+  { header: "closed_days", section: "settings", kind: "days" },
+  { header: "show_messages", section: "settings", kind: "bool" },
+  { header: "message_line_1", section: "settings", kind: "text" },
+  { header: "message_line_2", section: "settings", kind: "text" },
+  { header: "message_line_3", section: "settings", kind: "text" },
+  { header: "message_line_4", section: "settings", kind: "text" },
+  { header: "show_eta_timeline", section: "settings", kind: "bool" },
+  { header: "override_courier_delivery_window", section: "settings", kind: "bool" },
+  { header: "eta_delivery_days_min", section: "settings", kind: "number", min: 0, max: 60 },
+  { header: "eta_delivery_days_max", section: "settings", kind: "number", min: 0, max: 60 },
+  { header: "override_express_delivery_window", section: "settings", kind: "bool" },
+  { header: "express_delivery_days_min", section: "settings", kind: "number", min: 1, max: 60 },
+  { header: "express_delivery_days_max", section: "settings", kind: "number", min: 1, max: 60 },
+];
+
+const COLUMNS_BY_HEADER = new Map(RULE_CSV_COLUMNS.map((c) => [c.header, c]));
+
+// ----------------------------------------------------------------------------
+// CSV text
+// ----------------------------------------------------------------------------
+
+const escapeCell = (value) => {
+  const text = String(value ?? "");
+  return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write rows of cells as CSV text (CRLF line endings, quoting only where needed)
+ * @param {Array<Array<*>>} rows
+ * @returns {string}
+ */
+export function toCsv(rows) {
+  return `${rows.map((row) => row.map(escapeCell).join(",")).join("\r\n")}\r\n`;
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted cells, doubled quotes, line breaks inside quotes)
+ * @param {string} text
+ * @returns {string[][]} - Rows of cells, blank lines dropped
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (inQuotes) {
+      if (ch === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+}
+
+// ----------------------------------------------------------------------------
+// Cells
+// ----------------------------------------------------------------------------
+
+function writeCell(column, rule) {
+  if (column.kind === "id") return rule.id;
+  if (column.kind === "name") return rule.name;
+  const value = rule[column.section]?.[column.header];
+  switch (column.kind) {
+    case "list":
+    case "days":
+      return (value || []).join(", ");
+    case "bool":
+      return value ? "TRUE" : "FALSE";
+    case "stock":
+      return value || "any";
+    default:
+      return value ?? "";
+  }
+}
+
+// Returns { value } or { error }; { skip: true } leaves the rule's current value alone
+function readCell(column, raw) {
+  const text = raw.trim();
+  switch (column.kind) {
+    case "list":
+      return { value: text ? [...new Set(text.split(",").map((v) => v.trim()).filter(Boolean))] : [] };
+    case "days": {
+      const days = text ? [...new Set(text.split(",").map((v) => v.trim().toLowerCase().slice(0, 3)).filter(Boolean))] : [];
+      const unknown = days.filter((d) => !DAY_KEYS.includes(d));
+      if (unknown.length) return { error: `${column.header}: unknown day "${unknown[0]}" (use mon, tue, wed, thu, fri, sat, sun)` };
+      if (days.length === DAY_KEYS.length) return { error: `${column.header}: at least one day must stay open` };
+      return { value: DAY_KEYS.filter((d) => days.includes(d)) };
+    }
+    case "bool": {
+      const lower = text.toLowerCase();
+      if (["true", "yes", "y", "1"].includes(lower)) return { value: true };
+      if (["", "false", "no", "n", "0"].includes(lower)) return { value: false };
+      return { error: `${column.header}: "${text}" is not TRUE or FALSE` };
+    }
+    case "number": {
+      if (text === "") return { skip: true };
+      const n = Number(text);
+      if (!Number.isInteger(n) || n < column.min || n > column.max) {
+        return { error: `${column.header}: "${text}" must be a whole number from ${column.min} to ${column.max}` };
+      }
+      return { value: n };
+    }
+    case "time":
+      if (text && !isHHMM(text)) return { error: `${column.header}: "${text}" is not a 24-hour time like 14:00` };
+      return { value: text };
+    case "stock": {
+      const status = text || "any";
+      if (!STOCK_STATUSES.includes(status)) return { error: `${column.header}: "${text}" must be one of ${STOCK_STATUSES.join(", ")}` };
+      return { value: status };
+    }
+    default:
+      return { value: raw };
+  }
+}
+
+// ----------------------------------------------------------------------------
+// Export / import
+// ----------------------------------------------------------------------------
+
+/**
+ * Write a profile's rules as CSV
+ * @param {Object[]} rules - Rules in evaluation order
+ * @returns {string}
+ */
+export function rulesToCsv(rules) {
+  return toCsv([
+    RULE_CSV_COLUMNS.map((c) => c.header),
+    ...(rules || []).map((rule) => RULE_CSV_COLUMNS.map((c) => writeCell(c, rule))),
+  ]);
+}
+
+/**
+ * Read an edited CSV back into a profile's rule list
+ * The CSV is the whole list: rows keep their order, rows without a known id
+ * become new rules, and rules with no row are removed.
+ * @param {string} text - CSV file contents
+ * @param {Object[]} currentRules - The profile's rules now
+ * @returns {{ ok: true, rules: Object[] } | { ok: false, errors: { row: number|null, message: string }[] }}
+ */
+export function rulesFromCsv(text, currentRules) {
+  const rows = parseCsv(text);
+  if (rows.length === 0) {
+    return { ok: false, errors: [{ row: null, message: "The file is empty." }] };
+  }
+
+  const headers = rows[0].map((h) => h.trim().toLowerCase());
+  if (!headers.includes("name")) {
+    return { ok: false, errors: [{ row: 1, message: 'The header row needs a "name" column.' }] };
+  }
+  const unknownHeaders = headers.filter((h) => h && !COLUMNS_BY_HEADER.has(h));
+  if (unknownHeaders.length) {
+    return { ok: false, errors: [{ row: 1, message: `Unknown column${unknownHeaders.length > 1 ? "s" : ""}: ${unknownHeaders.join(", ")}` }] };
+  }
+
+  const currentById = new Map((currentRules || []).map((r) => [r.id, r]));
+  const seenIds = new Set();
+  const rules = [];
+  const errors = [];
+
+  rows.slice(1).forEach((cells, index) => {
+    const row = index + 2; // 1-based, after the header, as a spreadsheet shows it
+    const rowErrors = [];
+    const id = (cells[headers.indexOf("id")] || "").trim();
+
+    if (id && seenIds.has(id)) {
+      errors.push({ row, message: `id "${id}" appears on more than one row` });
+      return;
+    }
+    if (id) seenIds.add(id);
+
+    const base = currentById.get(id) || defaultRule();
+    const rule = { ...base, match: { ...base.match }, settings: { ...base.settings } };
+
+    headers.forEach((header, i) => {
+      const column = COLUMNS_BY_HEADER.get(header);
+      if (!column || column.kind === "id") return;
+      if (column.kind === "name") {
+        rule.name = (cells[i] || "").trim();
+        if (!rule.name) rowErrors.push("name is required");
+        return;
+      }
+      const result = readCell(column, cells[i] || "");
+      if (result.error) rowErrors.push(result.error);
+      else if (!result.skip) rule[column.section][column.header] = result.value;
+    });
+
+    const s = rule.settings;
+    if (s.eta_delivery_days_min > s.eta_delivery_days_max) rowErrors.push("eta_delivery_days_min is more than eta_delivery_days_max");
+    if (s.express_delivery_days_min > s.express_delivery_days_max) rowErrors.push("express_delivery_days_min is more than express_delivery_days_max");
+
+    if (rowErrors.length === 0) {
+      const validation = validateRule(rule);
+      if (!validation.success) rowErrors.push(validation.error);
+    }
+
+    if (rowErrors.length) {
+      errors.push(...rowErrors.map((message) => ({ row, message })));
+    } else {
+      rules.push(rule);
+    }
+  });
+
+  if (errors.length) return { ok: false, errors };
+  if (rules.length === 0) {
+    return { ok: false, errors: [{ row: null, message: "The file has no rules. Every profile needs at least one rule." }] };
+  }
+  return { ok: true, rules };
+}
+
+/**
+ * Config with one profile's rules swapped for an imported list
+ * @param {Object} config - v3 config
+ * @param {string} profileId - Profile the CSV was imported into
+ * @param {Object[]} rules - Rules from rulesFromCsv()
+ * @returns {Object}
+ */
+export function replaceProfileRules(config, profileId, rules) {
+  return {
+    ...config,
+    profiles: config.profiles.map((p) => (p.id === profileId ? { ...p, rules } : p)),
+  };
+}
@@ -0,0 +1,71 @@
+// ============================================================================
+// TAG CHANGES
+// Which products a Tag Manager change actually alters, and which of them a
+// revert changes back
+// ============================================================================
+
+const hasTag = (tags, tag) => tags.some((t) => t.toLowerCase() === tag.toLowerCase());
+
+/**
+ * Whether adding or removing the tag changes a product with these tags
+ * @param {string[]} tags - The product's current tags
+ * @param {"add"|"remove"} action
+ * @param {string} tag
+ * @returns {boolean}
+ */
+export function needsTagChange(tags, action, tag) {
+  return hasTag(tags, tag) !== (action === "add");
+}
+
+/**
+ * Split selected products into the ones the change alters and the ones already in the end state
+ * Products missing from the read (deleted, or the read failed) count as needing it.
+ * @param {string[]} productIds - Selected products, in order
+ * @param {Map<string, { tags: string[] }>} products - Current tags by product id
+ * @param {"add"|"remove"} action
+ * @param {string} tag
+ * @returns {{ pending: string[], unchanged: string[] }}
+ */
+export function splitTagChanges(productIds, products, action, tag) {
+  const pending = [];
+  const unchanged = [];
+  for (const id of productIds) {
+    const product = products.get(id);
+    if (!product || needsTagChange(product.tags, action, tag)) pending.push(id);
+    else unchanged.push(id);
+  }
+  return { pending, unchanged };
+}
+
+/**
+ * Per-product results of a bulk tag job, for the activity log
+ * Uploaded products count as changed when their line has no error; products skipped
+ * because they were already in the end state are logged as unchanged.
+ * @param {Object} job
+ * @param {"add"|"remove"} job.action
+ * @param {string[]} job.productIds - Uploaded products, in line order
+ * @param {string[]} [job.unchangedIds] - Selected products left out of the upload
+ * @param {Map<number, Object>} rows - Result file rows by line number
+ * @param {string|null} missing - Error for uploaded products with no row (null if they succeeded)
+ * @returns {{ id: string, title: string, ok: boolean, changed: boolean, error?: string }[]}
+ */
+export function tagJobResults({ action, productIds, unchangedIds = [] }, rows, missing) {
+  const key = action === "add" ? "tagsAdd" : "tagsRemove";
+  const results = productIds.map((id, line) => {
+    const row = rows.get(line);
+    const error = row
+      ? row.errors?.[0]?.message || row.data?.[key]?.userErrors?.[0]?.message || null
+      : missing;
+    return { id, title: "", ok: !error, changed: !error, ...(error ? { error } : {}) };
+  });
+  return [...results, ...unchangedIds.map((id) => ({ id, title: "", ok: true, changed: false }))];
+}
+
+/**
+ * Products a revert changes back: the ones a logged batch actually changed
+ * @param {{ id: string, ok: boolean, changed: boolean }[]} results
+ * @returns {string[]}
+ */
+export function revertableIds(results) {
+  return results.filter((r) => r.ok && r.changed).map((r) => r.id);
+}
@@ -13,9 +13,34 @@ import { z } from "zod";
 const ruleMatchSchema = z.object({
   product_handles: z.array(z.string()).optional(),
   tags: z.array(z.string()).optional(),
+  collections: z.array(z.string()).optional(), // collection handles
+  vendors: z.array(z.string()).optional(),
+  product_types: z.array(z.string()).optional(),
+  variant_skus: z.array(z.string()).optional(),
+  variant_options: z.array(z.string()).optional(), // option values, e.g. "Large"
+  inventory_policy: z.enum(["any", "deny", "continue"]).optional(),
   stock_status: z.string().optional(),
+  stock_scope: z.enum(["product", "variant"]).optional(),
 }).passthrough();
 
+// A/B test message variant; the first variant is the control and shows the rule's own lines
+const abVariantSchema = z.object({
+  id: z.string().min(1).max(32),
+  name: z.string().max(40),
+  weight: z.number().int().min(0).max(100),
+  message_line_1: z.string().optional(),
+  message_line_2: z.string().optional(),
+  message_line_3: z.string().optional(),
+  message_line_4: z.string().optional(),
+});
+
+const abTestSchema = z.object({
+  enabled: z.boolean().optional(),
+  test_id: z.string().min(1).max(64), // new id on every (re)start, so results start fresh
+  started_at: z.string().optional(),
+  variants: z.array(abVariantSchema).min(2).max(3),
+}).refine((test) => test.variants.some((v) => v.weight > 0), { message: "A/B test needs a variant with a weight above 0" });
+
 // Rule settings schema - using passthrough for forward compatibility
 const ruleSettingsSchema = z.object({
   // Collapsed states
@@ -30,6 +55,7 @@ const ruleSettingsSchema = z.object({
   message_line_2: z.string().optional(),
   message_line_3: z.string().optional(),
   message_line_4: z.string().optional(),
+  ab_test: abTestSchema.optional(),
   // Icon settings
   show_icon: z.boolean().optional(),
   icon: z.string().optional(),
@@ -61,6 +87,8 @@ const ruleSettingsSchema = z.object({
   closed_days: z.array(z.string()).optional(),
   lead_time: z.number().min(0).max(30).optional(),
   courier_no_delivery_days: z.array(z.string()).optional(),
+  // Fulfilment location ("" = default dispatch calendar)
+  location_id: z.string().optional(),
   // ETA Timeline
   show_eta_timeline: z.boolean().optional(),
   eta_delivery_days_min: z.number().optional(),
@@ -102,12 +130,24 @@ const configV2Schema = z.object({
   liveProfileId: z.string().optional(),
 });
 
+// Profile schedule schema - profileId goes live from startsAt until endsAt (ISO 8601 UTC),
+// then revertProfileId (or the manually selected live profile) takes over again
+const profileScheduleSchema = z.object({
+  id: z.string(),
+  profileId: z.string(),
+  startsAt: z.string(),
+  endsAt: z.string(),
+  revertProfileId: z.string().optional(),
+});
+
 // Config v3 schema (current - profiles include fd_* settings)
 const configV3Schema = z.object({
   version: z.literal(3),
   profiles: z.array(profileSchema.passthrough()).min(1), // passthrough allows fd_* keys
   activeProfileId: z.string(),
   liveProfileId: z.string().optional(),
+  liveProfileUpdatedAt: z.string().optional(),
+  schedules: z.array(profileScheduleSchema).max(20).optional(),
 });
 
 // Combined config schema
@@ -132,6 +172,55 @@ const utilityIconSchema = z.object({
   svg: z.string().optional(),
 });
 
+// Delivery zone schema - destination countries with their own delivery windows
+const deliveryZoneSchema = z.object({
+  id: z.string(),
+  name: z.string().max(40).optional(),
+  countries: z.array(z.string().regex(/^[A-Z]{2}$/)),
+  delivery_days_min: z.number().min(0).optional(),
+  delivery_days_max: z.number().min(0).optional(),
+  express_days_min: z.number().min(1).optional(),
+  express_days_max: z.number().min(1).optional(),
+});
+
+// Threshold basis schema - which cart lines and prices count towards fd_threshold
+const fdThresholdBasisSchema = z.object({
+  discounts: z.enum(["after", "before"]).optional(),
+  exclude_gift_cards: z.boolean().optional(),
+  exclude_subscriptions: z.boolean().optional(),
+  exclude_tags: z.array(z.string()).max(50).optional(),
+  exclude_properties: z.array(z.string()).max(20).optional(),
+});
+
+// Customer threshold schema - a threshold for logged-in or tagged customers (first match wins)
+const fdSegmentThresholdSchema = z.object({
+  id: z.string(),
+  match: z.enum(["tag", "logged_in"]),
+  tag: z.string().max(255).optional(),
+  amount: z.number().int().min(0),
+});
+
+// Cart milestone schema - a reward after free delivery (amount in minor units of the store currency)
+const fdMilestoneSchema = z.object({
+  id: z.string(),
+  amount: z.number().int().min(0),
+  progress_message: z.string().optional(),
+  unlocked_message: z.string().optional(),
+  icon: z.string().optional(),
+});
+
+// Fulfilment location schema - a warehouse with its own dispatch calendar
+const fulfilmentLocationSchema = z.object({
+  id: z.string(),
+  name: z.string().max(40).optional(),
+  cutoff_time: z.string().optional(),
+  cutoff_time_sat: z.string().optional(),
+  cutoff_time_sun: z.string().optional(),
+  closed_days: z.array(z.string()).optional(),
+  bank_holiday_country: z.string().optional(),
+  bank_holiday_subdivision: z.string().optional(),
+});
+
 // Free delivery exclusion rule schema
 const fdExclusionRuleSchema = z.object({
   id: z.string(),
@@ -184,6 +273,11 @@ const fdPricingConfigSchema = z.object({
 
 // Global settings schema
 export const settingsSchema = z.object({
+  // Timezone (shop_timezone is synced from Shop.ianaTimezone by the loaders)
+  shop_timezone: z.string().optional(),
+  preview_timezone: z.string().optional(),
+  countdown_local_time: z.boolean().optional(),
+  countdown_local_time_text: z.string().max(60).optional(),
   // Business hours
   cutoff_time: z.string().optional(),
   cutoff_time_sat: z.string().optional(),
@@ -193,9 +287,20 @@ export const settingsSchema = z.object({
   closed_days: z.array(z.string()).optional(),
   // Bank holidays
   bank_holiday_country: z.string().optional(),
+  bank_holiday_subdivision: z.string().optional(), // ISO 3166-2, e.g. "GB-SCT"
   custom_holidays: z.array(customHolidaySchema).optional(),
+  // Fulfilment locations (rules pick one to replace the calendar above)
+  fulfilment_locations: z.array(fulfilmentLocationSchema).max(10).optional(),
   // Courier settings
   courier_no_delivery_days: z.array(z.string()).optional(),
+  // Courier holidays ("same" = courier skips the dispatch holidays above)
+  delivery_holiday_mode: z.enum(["same", "separate"]).optional(),
+  delivery_bank_holiday_country: z.string().optional(),
+  delivery_bank_holiday_subdivision: z.string().optional(),
+  delivery_custom_holidays: z.array(customHolidaySchema).optional(),
+  delivery_holiday_by_destination: z.boolean().optional(),
+  // Delivery zones (per destination country windows)
+  delivery_zones: z.array(deliveryZoneSchema).max(20).optional(),
   // Typography
   use_theme_font: z.boolean().optional(),
   custom_font_family: z.string().optional(),
@@ -232,7 +337,16 @@ export const settingsSchema = z.object({
   utility_icons: z.array(utilityIconSchema).max(2).optional(),
   // Free Delivery Threshold
   fd_threshold: z.number().min(0).optional(),
+  // Thresholds for other checkout currencies (ISO code → minor units), and whether
+  // currencies without one convert fd_threshold at the storefront's exchange rate
+  fd_currency_thresholds: z.record(z.string().regex(/^[A-Z]{3}$/), z.number().int().min(0)).optional(),
+  fd_convert_threshold: z.boolean().optional(),
+  fd_threshold_basis: fdThresholdBasisSchema.optional(),
+  fd_segment_thresholds: z.array(fdSegmentThresholdSchema).max(10).optional(),
   fd_show_announcement_bar: z.boolean().optional(),
+  // Cart milestones after free delivery, and the icon free delivery shows on the milestone strip
+  fd_milestones: z.array(fdMilestoneSchema).max(4).optional(),
+  fd_milestone_icon: z.string().optional(),
   fd_announcement_progress_message: z.string().optional(),
   fd_announcement_unlocked_message: z.string().optional(),
   fd_announcement_empty_message: z.string().optional(),
@@ -242,6 +356,20 @@ export const settingsSchema = z.object({
   fd_announcement_text_size: z.number().min(12).max(18).optional(),
   fd_announcement_bar_height: z.string().optional(),
   fd_use_custom_link_styling: z.boolean().optional(),
+  // Cart page block / cart drawer embed progress
+  fd_cart_progress_enabled: z.boolean().optional(),
+  fd_cart_progress_message: z.string().optional(),
+  fd_cart_unlocked_message: z.string().optional(),
+  fd_cart_empty_message: z.string().optional(),
+  fd_cart_excluded_message: z.string().optional(),
+  fd_cart_bar_color: z.string().optional(),
+  fd_cart_track_color: z.string().optional(),
+  fd_cart_text_color: z.string().optional(),
+  fd_cart_bg_color: z.string().optional(),
+  fd_cart_text_size: z.number().min(12).max(18).optional(),
+  fd_cart_bar_height: z.number().min(4).max(16).optional(),
+  fd_cart_alignment: z.enum(["left", "center", "right"]).optional(),
+  fd_cart_show_totals: z.boolean().optional(),
   // Free delivery exclusion rules (array of up to 5 rules)
   fd_exclusion_rules: z.array(fdExclusionRuleSchema).max(5).optional(),
   // Multi-match fallback message (when cart matches multiple exclusion rules)
@@ -260,6 +388,21 @@ export const settingsSchema = z.object({
   fd_utility_mobile_mode: z.enum(['hide', 'icons', 'icons_left', 'icons_right']).optional(),
 }).passthrough();
 
+// Tag Manager auto-tag rule (stored in the AutoTagRule table, not the config metafield)
+const autoTagConditionSchema = z.object({
+  field: z.enum(["vendor", "product_type", "title", "tag"]),
+  operator: z.enum(["equals", "not_equals", "contains"]),
+  value: z.string().trim().min(1, "Enter a value").max(255),
+});
+
+const autoTagRuleSchema = z.object({
+  id: z.string().optional(),
+  name: z.string().trim().min(1, "Enter a name").max(80),
+  enabled: z.boolean(),
+  conditions: z.array(autoTagConditionSchema).min(1, "Add at least one condition").max(5),
+  tags: z.array(z.string().trim().min(1).max(255)).min(1, "Add a tag to apply").max(5),
+});
+
 /**
  * Format Zod errors into a user-friendly string
  * @param {z.ZodError} error - The Zod error object
@@ -280,6 +423,19 @@ function formatZodError(error) {
   return messages.join('; ');
 }
 
+/**
+ * Validate a single rule against schema
+ * @param {unknown} data - The rule to validate
+ * @returns {{ success: true, data: object } | { success: false, error: string }}
+ */
+export function validateRule(data) {
+  const result = ruleSchema.safeParse(data);
+  if (result.success) {
+    return { success: true, data: result.data };
+  }
+  return { success: false, error: formatZodError(result.error) };
+}
+
 /**
  * Validate config data against schema
  * @param {unknown} data - The data to validate
@@ -306,6 +462,19 @@ export function validateSettings(data) {
   return { success: false, error: formatZodError(result.error) };
 }
 
+/**
+ * Validate an auto-tag rule against schema
+ * @param {unknown} data - The rule to validate
+ * @returns {{ success: true, data: object } | { success: false, error: string }}
+ */
+export function validateAutoTagRule(data) {
+  const result = autoTagRuleSchema.safeParse(data);
+  if (result.success) {
+    return { success: true, data: result.data };
+  }
+  return { success: false, error: formatZodError(result.error) };
+}
+
 // ============================================================================
 // HELPER FUNCTIONS
 // ============================================================================
@@ -322,7 +491,7 @@ export function isHHMM(value) {
 }
 
 /**
- * Check if a rule has at least one matching condition (product handles or tags)
+ * Check if a rule has at least one matching condition (handles, tags, collections, vendors, product types or variants)
  * @param {Object} rule - The rule object to check
  * @returns {boolean} - True if rule has valid matching conditions
  */
@@ -336,7 +505,16 @@ export function ruleHasMatch(rule) {
   const tags = (rule?.match?.tags ?? [])
     .map((s) => String(s).trim())
     .filter(Boolean);
-  return handles.length > 0 || tags.length > 0;
+  const attributes = [
+    ...(rule?.match?.collections ?? []),
+    ...(rule?.match?.vendors ?? []),
+    ...(rule?.match?.product_types ?? []),
+    ...(rule?.match?.variant_skus ?? []),
+    ...(rule?.match?.variant_options ?? []),
+  ]
+    .map((s) => String(s).trim())
+    .filter(Boolean);
+  return handles.length > 0 || tags.length > 0 || attributes.length > 0;
 }
 
 /**
@@ -1,4 +1,4 @@
-(function(){'use strict';if(window.DeliveryMessaging&&window.DeliveryMessaging._initialized){return}const CART_ENDPOINT='/cart.js';const CART_CHANGE_ENDPOINTS=['/cart/add','/cart/change','/cart/update','/cart/clear'];const DEFAULTS={threshold:5000,currency:'GBP',locale:'en-GB',messageProgress:'Spend {remaining} more for free delivery',messageUnlocked:"You've unlocked free delivery!",messageEmpty:'',messageExcluded:'',multiMatchMessage:'',excludeProperty:'_dm_exclude',exclusionRules:[],excludeTags:[],excludeHandles:[],debounceMs:300,pollIntervalMs:1000,pollWindowMs:5000,maxPollDurationMs:30000};const productTagsCache={};const debug=(...args)=>{if(window.__DIB_DEBUG__)console.log('[DM]',...args)};async function fetchProductTags(handle){if(!handle)return[];if(productTagsCache[handle])return productTagsCache[handle];try{const res=await fetch('/products/'+handle+'.json');if(!res.ok)return[];const data=await res.json();const tags=(data.product&&data.product.tags)?data.product.tags.split(', '):[];productTagsCache[handle]=tags;return tags}catch(e){return[]}}let config={...DEFAULTS};let cart=null;let cartSignature=null;let state={cartTotal:0,threshold:0,remaining:0,unlocked:false,excluded:false,excludedRule:null,multiMatch:false,isEmpty:true,messageText:'',lastUpdated:null};let fetchInFlight=false;let fetchQueued=false;let debounceTimer=null;let errorBackoffMs=1000;let consecutiveErrors=0;let pollTimer=null;let pollWindowTimer=null;let pollStartTime=null;let isPolling=false;const subscribers=new Set();const LOCALE_MAP={de:'de-DE',fr:'fr-FR',es:'es-ES',it:'it-IT',nl:'nl-NL',pt:'pt-PT',pl:'pl-PL',cs:'cs-CZ',da:'da-DK',fi:'fi-FI',sv:'sv-SE',nb:'nb-NO',el:'el-GR',hu:'hu-HU',ro:'ro-RO',sk:'sk-SK',sl:'sl-SI',bg:'bg-BG',hr:'hr-HR',lt:'lt-LT',lv:'lv-LV',et:'et-EE',en:'en-GB',ja:'ja-JP',ko:'ko-KR',zh:'zh-CN',ar:'ar-SA',he:'he-IL',th:'th-TH',vi:'vi-VN',tr:'tr-TR',ru:'ru-RU',uk:'uk-UA'};const EUR_LOCALE='de-DE';function formatMoney(amountMinor,currency,locale){try{let l=locale;if(currency==='EUR')l=EUR_LOCALE;else if(l&&l.length===2)l=LOCALE_MAP[l.toLowerCase()]||(l+'-'+l.toUpperCase());const amount=amountMinor/100;let formatted=new Intl.NumberFormat(l,{style:'currency',currency:currency,minimumFractionDigits:amount%1===0?0:2,maximumFractionDigits:2}).format(amount);if(currency==='EUR')formatted='€'+formatted.replace(/\s*€/,'');return formatted}catch(e){const symbol=currency==='GBP'?'£':currency==='USD'?'$':currency==='EUR'?'€':currency+' ';return symbol+(amountMinor/100).toFixed(2)}}function generateCartSignature(cartData){if(!cartData)return'';const itemSig=(cartData.items||[]).map(item=>`${item.key}:${item.quantity}`).join(',');return`${cartData.token||''}|${cartData.total_price}|${cartData.item_count}|${itemSig}`}async function checkExclusions(cartData){if(!cartData||!cartData.items)return{excluded:false,rule:null,multiMatch:false};let excludedItemCount=0;let firstMatchedRule=null;for(const item of cartData.items){if(item.properties&&(item.properties[config.excludeProperty]===true||item.properties[config.excludeProperty]==='true')){excludedItemCount++;continue}let itemExcluded=false;const handle=item.handle;if(handle&&config.exclusionRules&&config.exclusionRules.length>0){for(const rule of config.exclusionRules){const ruleTags=rule.tags||[];const ruleHandles=rule.handles||[];if(ruleHandles.length>0&&ruleHandles.includes(handle)){itemExcluded=true;if(!firstMatchedRule)firstMatchedRule=rule;break}if(ruleTags.length>0){const tags=await fetchProductTags(handle);if(ruleTags.some(t=>tags.includes(t))){itemExcluded=true;if(!firstMatchedRule)firstMatchedRule=rule;break}}}}if(!itemExcluded&&handle){if(config.excludeHandles&&config.excludeHandles.length>0&&config.excludeHandles.includes(handle)){itemExcluded=true}else if(config.excludeTags&&config.excludeTags.length>0){const tags=await fetchProductTags(handle);if(config.excludeTags.some(t=>tags.includes(t))){itemExcluded=true}}}if(itemExcluded)excludedItemCount++}if(excludedItemCount>=2)return{excluded:true,rule:null,multiMatch:true};if(excludedItemCount===1)return{excluded:true,rule:firstMatchedRule,multiMatch:false};return{excluded:false,rule:null,multiMatch:false}}function processTemplate(template,values){if(!template)return'';let result=template;for(const[key,value]of Object.entries(values)){result=result.replace(new RegExp(`\\{${key}\\}`,'g'),value)}return result}function normalizeUrl(url){if(/^(https?:\/\/|\/)/i.test(url))return url;if(url.includes('.')&&/^[a-z0-9][-a-z0-9]*\./i.test(url))return'https://'+url;return null}function parseMarkdown(text){if(!text)return text;let result=text.replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;');if(result.includes('**')){result=result.split('**').map((part,i)=>i%2===1?'<strong>'+part+'</strong>':part).join('')}if(result.includes('[')){result=result.replace(/\[([^\]]+)\]\(([^)]+)\)/g,(match,linkText,url)=>{const decodedUrl=url.replace(/&amp;/g,'&');const finalUrl=normalizeUrl(decodedUrl);if(!finalUrl)return match;const t=/^(\/|tel:|mailto:)/i.test(finalUrl)?'_self':'_blank';return'<a href="'+finalUrl+'" target="'+t+'"'+(t==='_blank'?' rel="noopener"':'')+' class="dib-link">'+linkText+'</a>'})}return result}function processLinks(html){if(!html||!html.includes('['))return html;return html.replace(/\[([^\]]+)\]\(([^)]+)\)/g,(match,linkText,url)=>{const finalUrl=normalizeUrl(url);if(!finalUrl)return match;const t=/^(\/|tel:|mailto:)/i.test(finalUrl)?'_self':'_blank';return'<a href="'+finalUrl+'" target="'+t+'"'+(t==='_blank'?' rel="noopener"':'')+' class="dib-link">'+linkText+'</a>'})}function processMessageLinks(){document.querySelectorAll('.dib-msg-line').forEach(el=>{el.innerHTML=processLinks(el.innerHTML)});document.querySelectorAll('.dib-special-text').forEach(el=>{el.innerHTML=processLinks(el.innerHTML)})}function fetchCart(){if(fetchInFlight){fetchQueued=true;return}fetchInFlight=true;fetch(CART_ENDPOINT,{method:'GET',credentials:'same-origin',headers:{'Accept':'application/json'}}).then(response=>{if(!response.ok){throw new Error(`Cart fetch failed: ${response.status}`)}return response.json()}).then(cartData=>{consecutiveErrors=0;errorBackoffMs=1000;const newSignature=generateCartSignature(cartData);if(newSignature!==cartSignature){cartSignature=newSignature;cart=cartData;updateState()}}).catch(error=>{console.warn('[DeliveryMessaging] Cart fetch error:',error.message);consecutiveErrors++;if(consecutiveErrors>5){errorBackoffMs=Math.min(errorBackoffMs*2,30000)}}).finally(()=>{fetchInFlight=false;if(fetchQueued){fetchQueued=false;scheduleCartRefresh()}})}function scheduleCartRefresh(){if(debounceTimer){clearTimeout(debounceTimer)}debounceTimer=setTimeout(()=>{fetchCart()},config.debounceMs)}async function updateState(){const cartTotal=cart?cart.total_price:0;const isEmpty=!cart||cart.item_count===0;const exclusionResult=await checkExclusions(cart);const excluded=exclusionResult.excluded;const excludedRule=exclusionResult.rule;const multiMatch=exclusionResult.multiMatch;const threshold=config.threshold;const remaining=Math.max(0,threshold-cartTotal);const unlocked=threshold>0&&cartTotal>=threshold;const templateVars={remaining:formatMoney(remaining,config.currency,config.locale),threshold:formatMoney(threshold,config.currency,config.locale),total:formatMoney(cartTotal,config.currency,config.locale),cart_total:formatMoney(cartTotal,config.currency,config.locale)};let messageText='';if(excluded){let ruleMessage='';if(multiMatch){ruleMessage=config.multiMatchMessage||"Some items in your cart aren't eligible for free delivery"}else if(excludedRule&&excludedRule.cart_message){ruleMessage=excludedRule.cart_message}else{ruleMessage=config.messageExcluded}if(ruleMessage){messageText=processTemplate(ruleMessage,templateVars)}else{messageText=''}}else if(isEmpty){messageText=processTemplate(config.messageEmpty,templateVars)}else if(threshold===0){messageText=processTemplate(config.messageUnlocked,templateVars)}else if(unlocked){messageText=processTemplate(config.messageUnlocked,templateVars)}else{messageText=processTemplate(config.messageProgress,templateVars)}state={cartTotal,threshold,remaining,unlocked,excluded,excludedRule,multiMatch,isEmpty,messageText,lastUpdated:Date.now()};notifySubscribers();updateAllTargets()}function notifySubscribers(){const stateCopy={...state};subscribers.forEach(fn=>{try{fn(stateCopy)}catch(e){}})}function updateAllTargets(){const targets=document.querySelectorAll('[data-dm-target]');targets.forEach(target=>{if(target.hasAttribute('data-dm-cycling'))return;updateTarget(target)});updatePlaceholderSpans()}function updatePlaceholderSpans(){const remainingFormatted=formatMoney(state.remaining,config.currency,config.locale);const thresholdFormatted=formatMoney(state.threshold,config.currency,config.locale);const cartTotalFormatted=formatMoney(state.cartTotal,config.currency,config.locale);document.querySelectorAll('.dib-fd-remaining').forEach(el=>{el.textContent=remainingFormatted});document.querySelectorAll('.dib-fd-threshold').forEach(el=>{el.textContent=thresholdFormatted});document.querySelectorAll('.dib-fd-cart-total').forEach(el=>{el.textContent=cartTotalFormatted})}function isInClosedDrawer(el){const drawer=el.closest('cart-drawer,.cart-drawer,[data-cart-drawer],#CartDrawer,.drawer,.mini-cart,.side-cart');if(!drawer)return false;if(drawer.tagName==='CART-DRAWER')return !drawer.hasAttribute('open');if(drawer.classList.contains('is-open')||drawer.classList.contains('active')||drawer.classList.contains('drawer--is-open')||drawer.classList.contains('is-active'))return false;const style=window.getComputedStyle(drawer);if(style.display!=='none'&&style.visibility!=='hidden'&&style.opacity!=='0'){const rect=drawer.getBoundingClientRect();if(rect.width>0&&rect.height>0)return false}return true}function isInDrawer(el){return !!el.closest('cart-drawer,.cart-drawer,[data-cart-drawer],#CartDrawer,.drawer,.mini-cart,.side-cart')}function updateTarget(target){if(window.__DIB_CELEBRATION_IN_PROGRESS__)return;const targetEmptyMessage=target.dataset.emptyMessage||'';const targetProgressMessage=target.dataset.progressMessage||'';const targetUnlockedMessage=target.dataset.unlockedMessage||'';const targetExcludedMessage=target.dataset.excludedMessage||'';const targetId=target.className||target.id||'unknown';debug('updateTarget',targetId,{progressMsg:targetProgressMessage,unlockedMsg:targetUnlockedMessage,emptyMsg:targetEmptyMessage,state:{unlocked:state.unlocked,isEmpty:state.isEmpty,excluded:state.excluded}});const noHide=target.hasAttribute('data-dm-no-hide');if(state.excluded){const excludedMsg=targetExcludedMessage||state.messageText;if(!excludedMsg&&!noHide){target.style.display='none';return}}const targetTemplateVars={remaining:formatMoney(state.remaining,config.currency,config.locale),threshold:formatMoney(state.threshold,config.currency,config.locale),total:formatMoney(state.cartTotal,config.currency,config.locale),cart_total:formatMoney(state.cartTotal,config.currency,config.locale)};if(state.isEmpty){if(targetEmptyMessage){if(!noHide)target.style.display='flex';const messageEl=target.querySelector('[data-dm-message]')||target;messageEl.innerHTML=parseMarkdown(processTemplate(targetEmptyMessage,targetTemplateVars));target.dataset.dmState='empty-message';debug('updateTarget',targetId,'using target empty message');return}else if(!state.messageText&&!noHide){target.style.display='none';return}}if(!noHide)target.style.display='flex';const messageEl=target.querySelector('[data-dm-message]')||target;let displayMessage=state.messageText;let messageSource='global';if(state.excluded&&targetExcludedMessage){displayMessage=processTemplate(targetExcludedMessage,targetTemplateVars);messageSource='target-excluded'}else if(state.unlocked&&targetUnlockedMessage){displayMessage=processTemplate(targetUnlockedMessage,targetTemplateVars);messageSource='target-unlocked'}else if(!state.unlocked&&!state.isEmpty&&targetProgressMessage){displayMessage=processTemplate(targetProgressMessage,targetTemplateVars);messageSource='target-progress'}debug('updateTarget',targetId,'chose',messageSource,displayMessage);const newHtml=parseMarkdown(displayMessage);const currentHtml=messageEl.innerHTML;const isSkeleton=currentHtml.includes('dib-fd-skeleton');if(currentHtml===newHtml){debug('updateTarget',targetId,'skipping - same content');messageEl.style.opacity='1';return}if(isSkeleton){messageEl.innerHTML=newHtml;messageEl.style.opacity='1';debug('updateTarget',targetId,'direct set from skeleton')}else{const inDrawer=isInDrawer(target);const willCelebrate=state.unlocked&&target.dataset.dmState==='progress'&&target.dataset.dmCelebrated==='';if(inDrawer||willCelebrate){messageEl.innerHTML=newHtml;messageEl.style.opacity='1';debug('updateTarget',targetId,inDrawer?'instant (drawer)':'instant (pre-celebrate)')}else{messageEl.style.opacity='0';setTimeout(()=>{messageEl.innerHTML=newHtml;messageEl.style.opacity='1'},150);debug('updateTarget',targetId,'fade transition')}}const wasProgress=target.dataset.dmState==='progress';const newState=state.unlocked?'unlocked':(state.isEmpty?'empty':'progress');if(newState==='progress'){target.dataset.dmCelebrated=''}const shouldDeferCelebration=state.unlocked&&wasProgress&&target.dataset.dmCelebrated===''&&isInClosedDrawer(target);if(!shouldDeferCelebration){target.dataset.dmState=newState}target.dataset.dmExcluded=state.excluded?'true':'false';if(state.unlocked&&wasProgress&&target.dataset.dmCelebrated===''&&target.offsetParent!==null&&!isInClosedDrawer(target)){window.__DIB_CELEBRATION_IN_PROGRESS__=true;target.dataset.dmCelebrated='done';messageEl.style.opacity='1';const scrollbarWidth=window.innerWidth-document.documentElement.clientWidth;document.body.style.overflow='hidden';document.body.style.paddingRight=scrollbarWidth+'px';target.animate([{transform:'scale(0.98)'},{transform:'scale(1.02)'},{transform:'scale(1)'}],{duration:400,easing:'ease-out'}).finished.finally(()=>{window.__DIB_CELEBRATION_IN_PROGRESS__=false;document.body.style.overflow='';document.body.style.paddingRight=''})}const progressBar=target.querySelector('[data-dm-progress]');if(progressBar&&state.threshold>0){const percent=Math.min(100,(state.cartTotal/state.threshold)*100);const fg=state.excluded?'#9ca3af':(progressBar.dataset.fg||'#22c55e');const bg=progressBar.dataset.bg||'#e5e7eb';progressBar.style.background=`linear-gradient(to right, ${fg} ${percent}%, ${bg} ${percent}%)`}}function startPollingWindow(reason){if(isPolling)return;isPolling=true;pollStartTime=Date.now();if(pollTimer)clearInterval(pollTimer);if(pollWindowTimer)clearTimeout(pollWindowTimer);pollTimer=setInterval(()=>{if(Date.now()-pollStartTime>config.maxPollDurationMs){stopPolling();return}if(document.hidden)return;fetchCart()},config.pollIntervalMs);pollWindowTimer=setTimeout(()=>{stopPolling()},config.pollWindowMs)}function stopPolling(){isPolling=false;if(pollTimer){clearInterval(pollTimer);pollTimer=null}if(pollWindowTimer){clearTimeout(pollWindowTimer);pollWindowTimer=null}}function interceptFetch(){const originalFetch=window.fetch;window.fetch=function(input,init){const url=typeof input==='string'?input:(input.url||'');const isCartRequest=CART_CHANGE_ENDPOINTS.some(endpoint=>url.includes(endpoint));const promise=originalFetch.apply(this,arguments);if(isCartRequest){promise.then(()=>{scheduleCartRefresh();startPollingWindow('fetch')}).catch(()=>{scheduleCartRefresh()})}return promise}}function interceptXHR(){const originalOpen=XMLHttpRequest.prototype.open;const originalSend=XMLHttpRequest.prototype.send;XMLHttpRequest.prototype.open=function(method,url){this._dmUrl=url;return originalOpen.apply(this,arguments)};XMLHttpRequest.prototype.send=function(){const xhr=this;const url=xhr._dmUrl||'';const isCartRequest=CART_CHANGE_ENDPOINTS.some(endpoint=>url.includes(endpoint));if(isCartRequest){xhr.addEventListener('load',function(){scheduleCartRefresh();startPollingWindow('xhr')})}return originalSend.apply(this,arguments)}}function interceptFormSubmits(){document.addEventListener('submit',function(e){const form=e.target;if(!form||form.tagName!=='FORM')return;const action=form.action||'';if(action.includes('/cart/add')||action.includes('/cart')){setTimeout(()=>{scheduleCartRefresh();startPollingWindow('form')},500)}},true)}function interceptClicks(){document.addEventListener('click',function(e){const target=e.target;if(!target)return;const clickable=target.closest('button, a, [role="button"]');if(!clickable)return;const text=(clickable.textContent||'').toLowerCase();const classes=(clickable.className||'').toLowerCase();const name=(clickable.name||'').toLowerCase();const isCartButton=name.includes('add')||classes.includes('add-to-cart')||classes.includes('addtocart')||classes.includes('cart-add')||classes.includes('quantity')||classes.includes('qty-')||classes.includes('remove-from-cart')||classes.includes('cart-remove');if(isCartButton){setTimeout(()=>{scheduleCartRefresh();startPollingWindow('click')},800)}},true)}function handleVisibilityChange(){document.addEventListener('visibilitychange',function(){if(document.hidden){stopPolling()}else{scheduleCartRefresh()}})}function parseConfig(){let configEl=document.querySelector('[data-dm-config]');if(!configEl){configEl=document.querySelector('[data-dm-target]');if(!configEl){debug('parseConfig: no config element found');return}}const dataset=configEl.dataset;if(dataset.threshold){const parsed=parseInt(dataset.threshold,10);if(!isNaN(parsed)&&parsed>=0){config.threshold=parsed}}if(dataset.currency)config.currency=dataset.currency;if(dataset.locale)config.locale=dataset.locale;if(dataset.messageProgress)config.messageProgress=dataset.messageProgress;if(dataset.messageUnlocked)config.messageUnlocked=dataset.messageUnlocked;if(dataset.messageEmpty)config.messageEmpty=dataset.messageEmpty;if(dataset.messageExcluded)config.messageExcluded=dataset.messageExcluded;if(dataset.multiMatchMessage)config.multiMatchMessage=dataset.multiMatchMessage;if(dataset.excludeProperty)config.excludeProperty=dataset.excludeProperty;if(dataset.exclusionRules){try{config.exclusionRules=JSON.parse(dataset.exclusionRules)}catch(e){config.exclusionRules=[]}}if(dataset.excludeTags){try{config.excludeTags=JSON.parse(dataset.excludeTags)}catch(e){config.excludeTags=[]}}if(dataset.excludeHandles){try{config.excludeHandles=JSON.parse(dataset.excludeHandles)}catch(e){config.excludeHandles=[]}}if(dataset.debounceMs){const parsed=parseInt(dataset.debounceMs,10);if(!isNaN(parsed)&&parsed>0)config.debounceMs=parsed}debug('parseConfig: global config',{threshold:config.threshold,messageProgress:config.messageProgress,messageUnlocked:config.messageUnlocked})}window.DeliveryMessaging={_initialized:true,getCart:function(){return cart?{...cart}:null},getState:function(){return{...state}},getConfig:function(){return{...config}},refresh:function(){scheduleCartRefresh()},subscribe:function(fn){if(typeof fn==='function'){subscribers.add(fn);try{fn({...state})}catch(e){}return function(){subscribers.delete(fn)}}return function(){}},formatMoney:function(amountMinor){return formatMoney(amountMinor,config.currency,config.locale)},setConfig:function(newConfig){Object.assign(config,newConfig);updateState()},forceUpdate:function(){updateAllTargets()}};function init(){parseConfig();interceptFetch();interceptXHR();interceptFormSubmits();interceptClicks();handleVisibilityChange();fetchCart();processMessageLinks()}if(document.readyState==='loading'){document.addEventListener('DOMContentLoaded',init)}else{init()}})();
+(function(){'use strict';if(window.DeliveryMessaging&&window.DeliveryMessaging._initialized){return}const CART_ENDPOINT='/cart.js';const CART_CHANGE_ENDPOINTS=['/cart/add','/cart/change','/cart/update','/cart/clear'];const DEFAULTS={threshold:5000,currency:'GBP',locale:'en-GB',shopCurrency:'',thresholdCurrency:'',convertThreshold:false,segmentThreshold:false,messageProgress:'Spend {remaining} more for free delivery',messageUnlocked:"You've unlocked free delivery!",messageEmpty:'',messageExcluded:'',multiMatchMessage:'',excludeProperty:'_dm_exclude',exclusionRules:[],excludeTags:[],excludeHandles:[],storefrontToken:'',thresholdBasis:null,debounceMs:300,pollIntervalMs:1000,pollWindowMs:5000,maxPollDurationMs:30000};const STOREFRONT_API='/api/2025-10/graphql.json';const TAGS_STORAGE_KEY='dib_product_tags_v1';const TAGS_TTL_MS=600000;const TAGS_BATCH_SIZE=50;const productTagsCache={};const debug=(...args)=>{if(window.__DIB_DEBUG__)console.log('[DM]',...args)};function readTagStore(){try{return JSON.parse(sessionStorage.getItem(TAGS_STORAGE_KEY))||{}}catch(e){return{}}}function loadCachedTags(){const store=readTagStore();const now=Date.now();for(const[handle,entry]of Object.entries(store)){if(entry&&Array.isArray(entry.t)&&now-entry.at<TAGS_TTL_MS)productTagsCache[handle]=entry.t}}function cacheProductTags(entries){const store=readTagStore();const now=Date.now();for(const[handle,tags]of Object.entries(entries)){if(!handle||!Array.isArray(tags))continue;productTagsCache[handle]=tags;store[handle]={t:tags,at:now}}for(const handle of Object.keys(store)){if(!store[handle]||now-store[handle].at>=TAGS_TTL_MS)delete store[handle]}try{sessionStorage.setItem(TAGS_STORAGE_KEY,JSON.stringify(store))}catch(e){debug('cacheProductTags: sessionStorage unavailable',e)}}async function fetchProductTags(handle){if(!handle)return[];if(productTagsCache[handle])return productTagsCache[handle];try{const res=await fetch('/products/'+handle+'.json');if(!res.ok)return[];const data=await res.json();const tags=(data.product&&data.product.tags)?data.product.tags.split(', '):[];cacheProductTags({[handle]:tags});return tags}catch(e){return[]}}async function queryProductTags(handles){if(!config.storefrontToken)return null;try{const variables={};handles.forEach((h,i)=>{variables['h'+i]=h});const params=handles.map((h,i)=>'$h'+i+':String!').join(',');const fields=handles.map((h,i)=>'p'+i+':product(handle:$h'+i+'){tags}').join(' ');const res=await fetch(STOREFRONT_API,{method:'POST',headers:{'Content-Type':'application/json',Accept:'application/json','X-Shopify-Storefront-Access-Token':config.storefrontToken},body:JSON.stringify({query:'query DibProductTags('+params+'){'+fields+'}',variables})});if(!res.ok)return null;const json=await res.json();if(!json||!json.data||json.errors)return null;const found={};handles.forEach((h,i)=>{const product=json.data['p'+i];found[h]=product&&Array.isArray(product.tags)?product.tags:[]});return found}catch(e){return null}}async function resolveProductTags(handles){const missing=[...new Set(handles)].filter(h=>h&&!productTagsCache[h]);for(let i=0;i<missing.length;i+=TAGS_BATCH_SIZE){const batch=missing.slice(i,i+TAGS_BATCH_SIZE);const found=await queryProductTags(batch);debug('resolveProductTags',{batch:batch.length,storefrontApi:!!found});if(found)cacheProductTags(found);else await Promise.all(batch.map(fetchProductTags))}}let config={...DEFAULTS};let cart=null;let cartSignature=null;let state={cartTotal:0,threshold:0,remaining:0,unlocked:false,excluded:false,excludedRule:null,multiMatch:false,isEmpty:true,messageText:'',lastUpdated:null};let fetchInFlight=false;let fetchQueued=false;let debounceTimer=null;let errorBackoffMs=1000;let consecutiveErrors=0;let pollTimer=null;let pollWindowTimer=null;let pollStartTime=null;let isPolling=false;const subscribers=new Set();const LOCALE_MAP={de:'de-DE',fr:'fr-FR',es:'es-ES',it:'it-IT',nl:'nl-NL',pt:'pt-PT',pl:'pl-PL',cs:'cs-CZ',da:'da-DK',fi:'fi-FI',sv:'sv-SE',nb:'nb-NO',el:'el-GR',hu:'hu-HU',ro:'ro-RO',sk:'sk-SK',sl:'sl-SI',bg:'bg-BG',hr:'hr-HR',lt:'lt-LT',lv:'lv-LV',et:'et-EE',en:'en-GB',ja:'ja-JP',ko:'ko-KR',zh:'zh-CN',ar:'ar-SA',he:'he-IL',th:'th-TH',vi:'vi-VN',tr:'tr-TR',ru:'ru-RU',uk:'uk-UA'};const EUR_LOCALE='de-DE';function formatMoney(amountMinor,currency,locale){try{let l=locale;if(currency==='EUR')l=EUR_LOCALE;else if(l&&l.length===2)l=LOCALE_MAP[l.toLowerCase()]||(l+'-'+l.toUpperCase());const amount=amountMinor/100;let formatted=new Intl.NumberFormat(l,{style:'currency',currency:currency,minimumFractionDigits:amount%1===0?0:2,maximumFractionDigits:2}).format(amount);if(currency==='EUR')formatted='€'+formatted.replace(/\s*€/,'');return formatted}catch(e){const symbol=currency==='GBP'?'£':currency==='USD'?'$':currency==='EUR'?'€':currency+' ';return symbol+(amountMinor/100).toFixed(2)}}function shopifyCurrency(){return(window.Shopify&&window.Shopify.currency)||{}}function toPresentment(amountMinor,always){const rate=parseFloat(shopifyCurrency().rate);if(!(always||config.convertThreshold)||!config.shopCurrency||config.shopCurrency===config.currency||!(rate>0))return amountMinor;return Math.round(amountMinor*rate)}function presentmentThreshold(){return config.thresholdCurrency===config.currency?config.threshold:toPresentment(config.threshold,config.segmentThreshold)}function generateCartSignature(cartData){if(!cartData)return'';const itemSig=(cartData.items||[]).map(item=>`${item.key}:${item.quantity}`).join(',');return`${cartData.token||''}|${cartData.total_price}|${cartData.item_count}|${itemSig}`}function lineHasProperty(properties,rule){const eq=rule.indexOf('=');if(eq<0){const value=properties[rule];return value!==undefined&&value!==null&&value!==''}return String(properties[rule.slice(0,eq)])===rule.slice(eq+1)}async function qualifyingTotal(cartData){if(!cartData)return 0;const basis=config.thresholdBasis;const tags=(basis&&basis.exclude_tags)||[];const props=(basis&&basis.exclude_properties)||[];const before=!!basis&&basis.discounts==='before';if(!basis||(!before&&!basis.exclude_gift_cards&&!basis.exclude_subscriptions&&tags.length===0&&props.length===0))return cartData.total_price;const items=cartData.items||[];if(tags.length>0)await resolveProductTags(items.map(item=>item.handle));let total=0;for(const item of items){if(basis.exclude_gift_cards&&item.gift_card)continue;if(basis.exclude_subscriptions&&item.selling_plan_allocation)continue;if(props.length>0&&item.properties&&props.some(rule=>lineHasProperty(item.properties,rule)))continue;if(tags.length>0){const itemTags=await fetchProductTags(item.handle);if(tags.some(t=>itemTags.includes(t)))continue}total+=before?item.original_line_price:item.final_line_price}if(!before&&cartData.items_subtotal_price>0){total=Math.round(total*cartData.total_price/cartData.items_subtotal_price)}return total}async function checkExclusions(cartData){if(!cartData||!cartData.items)return{excluded:false,rule:null,multiMatch:false};let excludedItemCount=0;let firstMatchedRule=null;const usesTags=(config.excludeTags&&config.excludeTags.length>0)||(config.exclusionRules||[]).some(rule=>rule.tags&&rule.tags.length>0);if(usesTags){await resolveProductTags(cartData.items.filter(item=>!(item.properties&&(item.properties[config.excludeProperty]===true||item.properties[config.excludeProperty]==='true'))).map(item=>item.handle))}for(const item of cartData.items){if(item.properties&&(item.properties[config.excludeProperty]===true||item.properties[config.excludeProperty]==='true')){excludedItemCount++;continue}let itemExcluded=false;const handle=item.handle;if(handle&&config.exclusionRules&&config.exclusionRules.length>0){for(const rule of config.exclusionRules){const ruleTags=rule.tags||[];const ruleHandles=rule.handles||[];if(ruleHandles.length>0&&ruleHandles.includes(handle)){itemExcluded=true;if(!firstMatchedRule)firstMatchedRule=rule;break}if(ruleTags.length>0){const tags=await fetchProductTags(handle);if(ruleTags.some(t=>tags.includes(t))){itemExcluded=true;if(!firstMatchedRule)firstMatchedRule=rule;break}}}}if(!itemExcluded&&handle){if(config.excludeHandles&&config.excludeHandles.length>0&&config.excludeHandles.includes(handle)){itemExcluded=true}else if(config.excludeTags&&config.excludeTags.length>0){const tags=await fetchProductTags(handle);if(config.excludeTags.some(t=>tags.includes(t))){itemExcluded=true}}}if(itemExcluded)excludedItemCount++}if(excludedItemCount>=2)return{excluded:true,rule:null,multiMatch:true};if(excludedItemCount===1)return{excluded:true,rule:firstMatchedRule,multiMatch:false};return{excluded:false,rule:null,multiMatch:false}}function processTemplate(template,values){if(!template)return'';let result=template;for(const[key,value]of Object.entries(values)){result=result.replace(new RegExp(`\\{${key}\\}`,'g'),value)}return result}function normalizeUrl(url){if(/^(https?:\/\/|\/)/i.test(url))return url;if(url.includes('.')&&/^[a-z0-9][-a-z0-9]*\./i.test(url))return'https://'+url;return null}function parseMarkdown(text){if(!text)return text;let result=text.replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;');if(result.includes('**')){result=result.split('**').map((part,i)=>i%2===1?'<strong>'+part+'</strong>':part).join('')}if(result.includes('[')){result=result.replace(/\[([^\]]+)\]\(([^)]+)\)/g,(match,linkText,url)=>{const decodedUrl=url.replace(/&amp;/g,'&');const finalUrl=normalizeUrl(decodedUrl);if(!finalUrl)return match;const t=/^(\/|tel:|mailto:)/i.test(finalUrl)?'_self':'_blank';return'<a href="'+finalUrl+'" target="'+t+'"'+(t==='_blank'?' rel="noopener"':'')+' class="dib-link">'+linkText+'</a>'})}return result}function processLinks(html){if(!html||!html.includes('['))return html;return html.replace(/\[([^\]]+)\]\(([^)]+)\)/g,(match,linkText,url)=>{const finalUrl=normalizeUrl(url);if(!finalUrl)return match;const t=/^(\/|tel:|mailto:)/i.test(finalUrl)?'_self':'_blank';return'<a href="'+finalUrl+'" target="'+t+'"'+(t==='_blank'?' rel="noopener"':'')+' class="dib-link">'+linkText+'</a>'})}function processMessageLinks(){document.querySelectorAll('.dib-msg-line').forEach(el=>{el.innerHTML=processLinks(el.innerHTML)});document.querySelectorAll('.dib-special-text').forEach(el=>{el.innerHTML=processLinks(el.innerHTML)})}function fetchCart(){if(fetchInFlight){fetchQueued=true;return}fetchInFlight=true;fetch(CART_ENDPOINT,{method:'GET',credentials:'same-origin',headers:{'Accept':'application/json'}}).then(response=>{if(!response.ok){throw new Error(`Cart fetch failed: ${response.status}`)}return response.json()}).then(cartData=>{consecutiveErrors=0;errorBackoffMs=1000;const newSignature=generateCartSignature(cartData);if(newSignature!==cartSignature){cartSignature=newSignature;cart=cartData;updateState()}}).catch(error=>{console.warn('[DeliveryMessaging] Cart fetch error:',error.message);consecutiveErrors++;if(consecutiveErrors>5){errorBackoffMs=Math.min(errorBackoffMs*2,30000)}}).finally(()=>{fetchInFlight=false;if(fetchQueued){fetchQueued=false;scheduleCartRefresh()}})}function scheduleCartRefresh(){if(debounceTimer){clearTimeout(debounceTimer)}debounceTimer=setTimeout(()=>{fetchCart()},config.debounceMs)}async function updateState(){const cartTotal=await qualifyingTotal(cart);const isEmpty=!cart||cart.item_count===0;const exclusionResult=await checkExclusions(cart);const excluded=exclusionResult.excluded;const excludedRule=exclusionResult.rule;const multiMatch=exclusionResult.multiMatch;const threshold=presentmentThreshold();const remaining=Math.max(0,threshold-cartTotal);const unlocked=threshold>0&&cartTotal>=threshold;const templateVars={remaining:formatMoney(remaining,config.currency,config.locale),threshold:formatMoney(threshold,config.currency,config.locale),total:formatMoney(cartTotal,config.currency,config.locale),cart_total:formatMoney(cartTotal,config.currency,config.locale)};let messageText='';if(excluded){let ruleMessage='';if(multiMatch){ruleMessage=config.multiMatchMessage||"Some items in your cart aren't eligible for free delivery"}else if(excludedRule&&excludedRule.cart_message){ruleMessage=excludedRule.cart_message}else{ruleMessage=config.messageExcluded}if(ruleMessage){messageText=processTemplate(ruleMessage,templateVars)}else{messageText=''}}else if(isEmpty){messageText=processTemplate(config.messageEmpty,templateVars)}else if(threshold===0){messageText=processTemplate(config.messageUnlocked,templateVars)}else if(unlocked){messageText=processTemplate(config.messageUnlocked,templateVars)}else{messageText=processTemplate(config.messageProgress,templateVars)}state={cartTotal,threshold,remaining,unlocked,excluded,excludedRule,multiMatch,isEmpty,messageText,lastUpdated:Date.now()};notifySubscribers();updateAllTargets();trackBarState()}function trackBarState(){if(state.isEmpty||state.excluded||!document.querySelector('[data-dm-target]'))return;(window.__DIB_EVENTS__=window.__DIB_EVENTS__||[]).push({type:state.unlocked?'fd_unlocked':'fd_progress',session:true})}function notifySubscribers(){const stateCopy={...state};subscribers.forEach(fn=>{try{fn(stateCopy)}catch(e){}})}function updateAllTargets(){const targets=document.querySelectorAll('[data-dm-target]');targets.forEach(target=>{if(target.hasAttribute('data-dm-cycling'))return;updateTarget(target)});updatePlaceholderSpans()}function updatePlaceholderSpans(){const remainingFormatted=formatMoney(state.remaining,config.currency,config.locale);const thresholdFormatted=formatMoney(state.threshold,config.currency,config.locale);const cartTotalFormatted=formatMoney(state.cartTotal,config.currency,config.locale);document.querySelectorAll('.dib-fd-remaining').forEach(el=>{el.textContent=remainingFormatted});document.querySelectorAll('.dib-fd-threshold').forEach(el=>{el.textContent=thresholdFormatted});document.querySelectorAll('.dib-fd-cart-total').forEach(el=>{el.textContent=cartTotalFormatted})}function isInClosedDrawer(el){const drawer=el.closest('cart-drawer,.cart-drawer,[data-cart-drawer],#CartDrawer,.drawer,.mini-cart,.side-cart');if(!drawer)return false;if(drawer.tagName==='CART-DRAWER')return !drawer.hasAttribute('open');if(drawer.classList.contains('is-open')||drawer.classList.contains('active')||drawer.classList.contains('drawer--is-open')||drawer.classList.contains('is-active'))return false;const style=window.getComputedStyle(drawer);if(style.display!=='none'&&style.visibility!=='hidden'&&style.opacity!=='0'){const rect=drawer.getBoundingClientRect();if(rect.width>0&&rect.height>0)return false}return true}function isInDrawer(el){return !!el.closest('cart-drawer,.cart-drawer,[data-cart-drawer],#CartDrawer,.drawer,.mini-cart,.side-cart')}function updateTarget(target){if(window.__DIB_CELEBRATION_IN_PROGRESS__)return;const targetEmptyMessage=target.dataset.emptyMessage||'';const targetProgressMessage=target.dataset.progressMessage||'';const targetUnlockedMessage=target.dataset.unlockedMessage||'';const targetExcludedMessage=target.dataset.excludedMessage||'';const targetId=target.className||target.id||'unknown';debug('updateTarget',targetId,{progressMsg:targetProgressMessage,unlockedMsg:targetUnlockedMessage,emptyMsg:targetEmptyMessage,state:{unlocked:state.unlocked,isEmpty:state.isEmpty,excluded:state.excluded}});const noHide=target.hasAttribute('data-dm-no-hide');if(state.excluded){const excludedMsg=targetExcludedMessage||state.messageText||target.dataset.excludedFallback;if(!excludedMsg&&!noHide){target.style.display='none';return}}const targetTemplateVars={remaining:formatMoney(state.remaining,config.currency,config.locale),threshold:formatMoney(state.threshold,config.currency,config.locale),total:formatMoney(state.cartTotal,config.currency,config.locale),cart_total:formatMoney(state.cartTotal,config.currency,config.locale)};if(state.isEmpty){if(targetEmptyMessage){if(!noHide)target.style.display='flex';const messageEl=target.querySelector('[data-dm-message]')||target;messageEl.innerHTML=parseMarkdown(processTemplate(targetEmptyMessage,targetTemplateVars));target.dataset.dmState='empty-message';debug('updateTarget',targetId,'using target empty message');return}else if(!state.messageText&&!noHide){target.style.display='none';return}}if(!noHide)target.style.display='flex';const messageEl=target.querySelector('[data-dm-message]')||target;let displayMessage=state.messageText;let messageSource='global';if(state.excluded&&targetExcludedMessage){displayMessage=processTemplate(targetExcludedMessage,targetTemplateVars);messageSource='target-excluded'}else if(state.excluded&&!displayMessage&&target.dataset.excludedFallback){displayMessage=processTemplate(target.dataset.excludedFallback,targetTemplateVars);messageSource='target-excluded-fallback'}else if(state.unlocked&&targetUnlockedMessage){displayMessage=processTemplate(targetUnlockedMessage,targetTemplateVars);messageSource='target-unlocked'}else if(!state.unlocked&&!state.isEmpty&&targetProgressMessage){displayMessage=processTemplate(targetProgressMessage,targetTemplateVars);messageSource='target-progress'}debug('updateTarget',targetId,'chose',messageSource,displayMessage);const newHtml=parseMarkdown(displayMessage);const currentHtml=messageEl.innerHTML;const isSkeleton=currentHtml.includes('dib-fd-skeleton');if(currentHtml===newHtml){debug('updateTarget',targetId,'skipping - same content');messageEl.style.opacity='1';return}if(isSkeleton){messageEl.innerHTML=newHtml;messageEl.style.opacity='1';debug('updateTarget',targetId,'direct set from skeleton')}else{const inDrawer=isInDrawer(target);const willCelebrate=state.unlocked&&target.dataset.dmState==='progress'&&target.dataset.dmCelebrated==='';if(inDrawer||willCelebrate){messageEl.innerHTML=newHtml;messageEl.style.opacity='1';debug('updateTarget',targetId,inDrawer?'instant (drawer)':'instant (pre-celebrate)')}else{messageEl.style.opacity='0';setTimeout(()=>{messageEl.innerHTML=newHtml;messageEl.style.opacity='1'},150);debug('updateTarget',targetId,'fade transition')}}const wasProgress=target.dataset.dmState==='progress';const newState=state.unlocked?'unlocked':(state.isEmpty?'empty':'progress');if(newState==='progress'){target.dataset.dmCelebrated=''}const shouldDeferCelebration=state.unlocked&&wasProgress&&target.dataset.dmCelebrated===''&&isInClosedDrawer(target);if(!shouldDeferCelebration){target.dataset.dmState=newState}target.dataset.dmExcluded=state.excluded?'true':'false';if(state.unlocked&&wasProgress&&target.dataset.dmCelebrated===''&&target.offsetParent!==null&&!isInClosedDrawer(target)){window.__DIB_CELEBRATION_IN_PROGRESS__=true;target.dataset.dmCelebrated='done';messageEl.style.opacity='1';const scrollbarWidth=window.innerWidth-document.documentElement.clientWidth;document.body.style.overflow='hidden';document.body.style.paddingRight=scrollbarWidth+'px';target.animate([{transform:'scale(0.98)'},{transform:'scale(1.02)'},{transform:'scale(1)'}],{duration:400,easing:'ease-out'}).finished.finally(()=>{window.__DIB_CELEBRATION_IN_PROGRESS__=false;document.body.style.overflow='';document.body.style.paddingRight=''})}const progressBar=target.querySelector('[data-dm-progress]');if(progressBar&&state.threshold>0){const percent=Math.min(100,(state.cartTotal/state.threshold)*100);const fg=state.excluded?'#9ca3af':(progressBar.dataset.fg||'#22c55e');const bg=progressBar.dataset.bg||'#e5e7eb';progressBar.style.background=`linear-gradient(to right, ${fg} ${percent}%, ${bg} ${percent}%)`}}function startPollingWindow(reason){if(isPolling)return;isPolling=true;pollStartTime=Date.now();if(pollTimer)clearInterval(pollTimer);if(pollWindowTimer)clearTimeout(pollWindowTimer);pollTimer=setInterval(()=>{if(Date.now()-pollStartTime>config.maxPollDurationMs){stopPolling();return}if(document.hidden)return;fetchCart()},config.pollIntervalMs);pollWindowTimer=setTimeout(()=>{stopPolling()},config.pollWindowMs)}function stopPolling(){isPolling=false;if(pollTimer){clearInterval(pollTimer);pollTimer=null}if(pollWindowTimer){clearTimeout(pollWindowTimer);pollWindowTimer=null}}function interceptFetch(){const originalFetch=window.fetch;window.fetch=function(input,init){const url=typeof input==='string'?input:(input.url||'');const isCartRequest=CART_CHANGE_ENDPOINTS.some(endpoint=>url.includes(endpoint));const promise=originalFetch.apply(this,arguments);if(isCartRequest){promise.then(()=>{scheduleCartRefresh();startPollingWindow('fetch')}).catch(()=>{scheduleCartRefresh()})}return promise}}function interceptXHR(){const originalOpen=XMLHttpRequest.prototype.open;const originalSend=XMLHttpRequest.prototype.send;XMLHttpRequest.prototype.open=function(method,url){this._dmUrl=url;return originalOpen.apply(this,arguments)};XMLHttpRequest.prototype.send=function(){const xhr=this;const url=xhr._dmUrl||'';const isCartRequest=CART_CHANGE_ENDPOINTS.some(endpoint=>url.includes(endpoint));if(isCartRequest){xhr.addEventListener('load',function(){scheduleCartRefresh();startPollingWindow('xhr')})}return originalSend.apply(this,arguments)}}function interceptFormSubmits(){document.addEventListener('submit',function(e){const form=e.target;if(!form||form.tagName!=='FORM')return;const action=form.action||'';if(action.includes('/cart/add')||action.includes('/cart')){setTimeout(()=>{scheduleCartRefresh();startPollingWindow('form')},500)}},true)}function interceptClicks(){document.addEventListener('click',function(e){const target=e.target;if(!target)return;const clickable=target.closest('button, a, [role="button"]');if(!clickable)return;const text=(clickable.textContent||'').toLowerCase();const classes=(clickable.className||'').toLowerCase();const name=(clickable.name||'').toLowerCase();const isCartButton=name.includes('add')||classes.includes('add-to-cart')||classes.includes('addtocart')||classes.includes('cart-add')||classes.includes('quantity')||classes.includes('qty-')||classes.includes('remove-from-cart')||classes.includes('cart-remove');if(isCartButton){setTimeout(()=>{scheduleCartRefresh();startPollingWindow('click')},800)}},true)}function handleVisibilityChange(){document.addEventListener('visibilitychange',function(){if(document.hidden){stopPolling()}else{scheduleCartRefresh()}})}function parseConfig(){let configEl=document.querySelector('[data-dm-config]');if(!configEl){configEl=document.querySelector('[data-dm-target]');if(!configEl){debug('parseConfig: no config element found');return}}const dataset=configEl.dataset;if(dataset.threshold){const parsed=parseInt(dataset.threshold,10);if(!isNaN(parsed)&&parsed>=0){config.threshold=parsed}}config.currency=dataset.currency||shopifyCurrency().active||config.currency;config.locale=dataset.locale||(window.Shopify&&window.Shopify.locale)||config.locale;if(dataset.shopCurrency)config.shopCurrency=dataset.shopCurrency;if(dataset.thresholdCurrency)config.thresholdCurrency=dataset.thresholdCurrency;config.convertThreshold=dataset.convertThreshold==='true';config.segmentThreshold=dataset.segmentThreshold==='true';if(dataset.messageProgress)config.messageProgress=dataset.messageProgress;if(dataset.messageUnlocked)config.messageUnlocked=dataset.messageUnlocked;if(dataset.messageEmpty)config.messageEmpty=dataset.messageEmpty;if(dataset.messageExcluded)config.messageExcluded=dataset.messageExcluded;if(dataset.multiMatchMessage)config.multiMatchMessage=dataset.multiMatchMessage;if(dataset.excludeProperty)config.excludeProperty=dataset.excludeProperty;if(dataset.exclusionRules){try{config.exclusionRules=JSON.parse(dataset.exclusionRules)}catch(e){config.exclusionRules=[]}}if(dataset.excludeTags){try{config.excludeTags=JSON.parse(dataset.excludeTags)}catch(e){config.excludeTags=[]}}if(dataset.excludeHandles){try{config.excludeHandles=JSON.parse(dataset.excludeHandles)}catch(e){config.excludeHandles=[]}}if(dataset.thresholdBasis){try{config.thresholdBasis=JSON.parse(dataset.thresholdBasis)}catch(e){config.thresholdBasis=null}}if(dataset.storefrontToken)config.storefrontToken=dataset.storefrontToken;loadCachedTags();if(dataset.cartTags){try{cacheProductTags(JSON.parse(dataset.cartTags))}catch(e){debug('parseConfig: invalid cart tags',e)}}if(dataset.debounceMs){const parsed=parseInt(dataset.debounceMs,10);if(!isNaN(parsed)&&parsed>0)config.debounceMs=parsed}debug('parseConfig: global config',{threshold:config.threshold,messageProgress:config.messageProgress,messageUnlocked:config.messageUnlocked})}window.DeliveryMessaging={_initialized:true,getCart:function(){return cart?{...cart}:null},getState:function(){return{...state}},getConfig:function(){return{...config}},refresh:function(){scheduleCartRefresh()},subscribe:function(fn){if(typeof fn==='function'){subscribers.add(fn);try{fn({...state})}catch(e){}return function(){subscribers.delete(fn)}}return function(){}},formatMoney:function(amountMinor){return formatMoney(amountMinor,config.currency,config.locale)},toPresentment:function(amountMinor,always){return toPresentment(amountMinor,always)},getThreshold:function(){return presentmentThreshold()},setConfig:function(newConfig){Object.assign(config,newConfig);updateState()},forceUpdate:function(){updateAllTargets()}};function init(){parseConfig();interceptFetch();interceptXHR();interceptFormSubmits();interceptClicks();handleVisibilityChange();fetchCart();processMessageLinks()}if(document.readyState==='loading'){document.addEventListener('DOMContentLoaded',init)}else{init()}})();
 
 // Dynamic Shipping Levels - updates pricing display based on cart total
 (function(){
@@ -16,7 +16,7 @@
     const dm = window.DeliveryMessaging;
     if (!dm) return;
 
-    const fdThreshold = dm.getConfig().threshold || 0;
+    const fdThreshold = dm.getThreshold() || 0;
 
     document.querySelectorAll('.dib-pricing[data-levels]').forEach(el => {
       // First render: delay 2s so placeholder is readable
@@ -154,7 +154,8 @@
       let selectedLevel = levels[0];
       for (let i = 0; i < levels.length; i++) {
         const level = levels[i];
-        const threshold = level.threshold;
+        // Level amounts are in the store's currency
+        const threshold = level.threshold === null || level.threshold === undefined ? level.threshold : dm.toPresentment(level.threshold);
 
         if (threshold === null || threshold === undefined) {
           // No upper limit - this level applies for cart >= previous level's threshold
@@ -188,7 +189,7 @@
         if (!segment.label && !segment.cost) continue;
         let part = segment.label || '';
         if (segment.cost != null && segment.cost > 0) {
-          const costStr = dm.formatMoney(segment.cost);
+          const costStr = dm.formatMoney(dm.toPresentment(segment.cost));
           part += ' ' + (segment.cost_bold ? '**' + costStr + '**' : costStr);
         }
         if (showDays && segment.days) {
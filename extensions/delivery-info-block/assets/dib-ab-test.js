@@ -0,0 +1,198 @@
+/**
+ * Message A/B Tests
+ * Shows each visitor one variant of a rule's delivery message and reports what they
+ * saw, and their add-to-carts and checkouts, to the app through its app proxy.
+ *
+ * A block under test renders one .dib-lines per variant, the control first and the
+ * rest hidden. We pick a variant by weight, keep it for the visitor in localStorage
+ * so they always see the same wording, and remove the others. This loads before
+ * dib-countdown.js, which reveals the block, so the control never flashes.
+ */
+(function() {
+  'use strict';
+
+  if (window.DIBAbTest) return;
+
+  const ENDPOINT = ((window.Shopify && window.Shopify.routes && window.Shopify.routes.root) || '/') +
+    'apps/delivery-messaging/ab';
+  const ASSIGNMENTS_KEY = 'dib_ab';
+  const VISITOR_KEY = 'dib_vid';
+  // Conversions count for a test the visitor saw within this window
+  const ATTRIBUTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+  // Test ids already reported as seen on this page; variant swaps re-run apply()
+  const reported = new Set();
+  // Conversion types already sent from this page
+  const converted = new Set();
+  // Used when localStorage is unavailable (private mode): assignments last for this page
+  let memoryStore = {};
+  let memoryVisitor = '';
+
+  function readAssignments() {
+    try {
+      return JSON.parse(localStorage.getItem(ASSIGNMENTS_KEY) || '{}') || {};
+    } catch (e) {
+      return memoryStore;
+    }
+  }
+
+  function writeAssignments(assignments) {
+    memoryStore = assignments;
+    try {
+      localStorage.setItem(ASSIGNMENTS_KEY, JSON.stringify(assignments));
+    } catch (e) {
+      // Storage full or blocked; memoryStore keeps this page consistent
+    }
+  }
+
+  function randomId() {
+    if (window.crypto && window.crypto.randomUUID) return window.crypto.randomUUID();
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 12);
+  }
+
+  function getVisitorId() {
+    try {
+      let id = localStorage.getItem(VISITOR_KEY);
+      if (!id) {
+        id = randomId();
+        localStorage.setItem(VISITOR_KEY, id);
+      }
+      return id;
+    } catch (e) {
+      if (!memoryVisitor) memoryVisitor = randomId();
+      return memoryVisitor;
+    }
+  }
+
+  function send(type, tests) {
+    if (!tests.length) return;
+    const body = JSON.stringify({ type: type, visitor: getVisitorId(), tests: tests });
+    try {
+      if (navigator.sendBeacon && navigator.sendBeacon(ENDPOINT, new Blob([body], { type: 'text/plain' }))) return;
+    } catch (e) {
+      // Fall through to fetch
+    }
+    fetch(ENDPOINT, { method: 'POST', body: body, keepalive: true, credentials: 'same-origin' }).catch(() => {
+      // Reporting is best effort; the shopper never sees a failure
+    });
+  }
+
+  function pickVariant(options) {
+    const total = options.reduce((sum, o) => sum + o.weight, 0);
+    if (total <= 0) return options[0];
+    let roll = Math.random() * total;
+    for (const option of options) {
+      roll -= option.weight;
+      if (roll < 0) return option;
+    }
+    return options[options.length - 1];
+  }
+
+  // One group per block: the .dib-lines siblings of one test
+  function collectGroups() {
+    const groups = new Map();
+    document.querySelectorAll('.dib-lines[data-ab-test]:not([data-ab-shown])').forEach((el) => {
+      const parent = el.parentElement;
+      if (!parent) return;
+      const key = el.getAttribute('data-ab-test');
+      if (!groups.has(parent)) groups.set(parent, { testId: key, options: [] });
+      groups.get(parent).options.push({
+        el: el,
+        id: el.getAttribute('data-ab-variant') || '',
+        rule: el.getAttribute('data-ab-rule') || '',
+        weight: Math.max(0, parseInt(el.getAttribute('data-ab-weight'), 10) || 0),
+      });
+    });
+    return groups;
+  }
+
+  function apply() {
+    const groups = collectGroups();
+    if (!groups.size) return;
+
+    const assignments = readAssignments();
+    const now = Date.now();
+    const seen = [];
+
+    groups.forEach((group) => {
+      const stored = assignments[group.testId];
+      let chosen = stored && group.options.find((o) => o.id === stored.v);
+      if (!chosen) chosen = pickVariant(group.options);
+
+      group.options.forEach((option) => {
+        if (option === chosen) {
+          option.el.style.display = '';
+          option.el.setAttribute('data-ab-shown', '');
+        } else {
+          option.el.remove();
+        }
+      });
+
+      assignments[group.testId] = { v: chosen.id, r: chosen.rule, at: now };
+      if (!reported.has(group.testId)) {
+        reported.add(group.testId);
+        seen.push({ t: group.testId, v: chosen.id, r: chosen.rule });
+      }
+    });
+
+    writeAssignments(assignments);
+    send('impression', seen);
+  }
+
+  // Tests this visitor saw recently; the server attributes to the variant it recorded
+  function exposedTests() {
+    const assignments = readAssignments();
+    const now = Date.now();
+    return Object.keys(assignments)
+      .filter((testId) => assignments[testId] && now - assignments[testId].at < ATTRIBUTION_MS)
+      .map((testId) => ({ t: testId, v: assignments[testId].v, r: assignments[testId].r }));
+  }
+
+  function reportConversion(type) {
+    if (converted.has(type)) return;
+    const tests = exposedTests();
+    if (!tests.length) return;
+    converted.add(type);
+    send(type, tests);
+  }
+
+  function isCartAddUrl(url) {
+    return typeof url === 'string' && url.indexOf('/cart/add') !== -1;
+  }
+
+  // Add to cart: product forms, plus AJAX carts that post to /cart/add(.js)
+  document.addEventListener('submit', (e) => {
+    const form = e.target;
+    if (!form || !form.getAttribute) return;
+    const action = form.getAttribute('action') || '';
+    if (isCartAddUrl(action)) reportConversion('add_to_cart');
+    else if (action.indexOf('/checkout') !== -1 || (e.submitter && e.submitter.name === 'checkout')) reportConversion('checkout');
+  }, true);
+
+  const originalFetch = window.fetch;
+  window.fetch = function(input) {
+    const url = typeof input === 'string' ? input : (input && input.url) || '';
+    if (isCartAddUrl(url)) reportConversion('add_to_cart');
+    return originalFetch.apply(this, arguments);
+  };
+
+  const originalOpen = XMLHttpRequest.prototype.open;
+  XMLHttpRequest.prototype.open = function(method, url) {
+    if (isCartAddUrl(String(url))) reportConversion('add_to_cart');
+    return originalOpen.apply(this, arguments);
+  };
+
+  // Checkout: cart page buttons, cart drawers and dynamic checkout links
+  document.addEventListener('click', (e) => {
+    const target = e.target && e.target.closest && e.target.closest('[name="checkout"], a[href*="/checkout"], .shopify-payment-button');
+    if (target) reportConversion('checkout');
+  }, true);
+
+  window.DIBAbTest = { apply: apply };
+
+  apply();
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', apply);
+  }
+  document.addEventListener('shopify:section:load', apply);
+})();
@@ -0,0 +1,91 @@
+/**
+ * Storefront Analytics
+ * Counts how often each rule's delivery message, the cutoff fallback and the free
+ * delivery bar are seen, for the charts on the app's dashboard. Events are batched
+ * and sent through the app proxy; only daily counts are stored, nothing about the shopper.
+ *
+ * Other scripts may queue events before this one loads:
+ *   (window.__DIB_EVENTS__ = window.__DIB_EVENTS__ || []).push({ type: 'fd_unlocked', session: true });
+ * `session: true` counts the event once per browsing session instead of once per page.
+ */
+(function() {
+  'use strict';
+
+  if (window.DIBAnalytics) return;
+
+  const ENDPOINT = ((window.Shopify && window.Shopify.routes && window.Shopify.routes.root) || '/') +
+    'apps/delivery-messaging/events';
+  const SESSION_KEY = 'dib_events_seen';
+  const FLUSH_DELAY_MS = 2000;
+  const MAX_BATCH = 50;
+
+  let queue = [];
+  let flushTimer = null;
+  // Used when sessionStorage is unavailable: once-per-session becomes once-per-page
+  const pageSeen = new Set();
+
+  function seenThisSession(key) {
+    try {
+      const seen = JSON.parse(sessionStorage.getItem(SESSION_KEY) || '[]');
+      if (seen.indexOf(key) !== -1) return true;
+      seen.push(key);
+      sessionStorage.setItem(SESSION_KEY, JSON.stringify(seen));
+      return false;
+    } catch (e) {
+      if (pageSeen.has(key)) return true;
+      pageSeen.add(key);
+      return false;
+    }
+  }
+
+  function flush() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    while (queue.length) {
+      const body = JSON.stringify({ events: queue.splice(0, MAX_BATCH) });
+      try {
+        if (navigator.sendBeacon && navigator.sendBeacon(ENDPOINT, new Blob([body], { type: 'text/plain' }))) continue;
+      } catch (e) {
+        // Fall through to fetch
+      }
+      fetch(ENDPOINT, { method: 'POST', body: body, keepalive: true, credentials: 'same-origin' }).catch(() => {
+        // Analytics are best effort; the shopper never sees a failure
+      });
+    }
+  }
+
+  function track(event) {
+    if (!event || !event.type) return;
+    const rule = event.rule ? String(event.rule) : '';
+    if (event.session && seenThisSession(event.type + ':' + rule)) return;
+    queue.push(rule ? { type: event.type, rule: rule } : { type: event.type });
+    if (queue.length >= MAX_BATCH) flush();
+    else if (!flushTimer) flushTimer = setTimeout(flush, FLUSH_DELAY_MS);
+  }
+
+  // A rendered delivery message block = its matched rule fired
+  function scan() {
+    document.querySelectorAll('.dib-messages[data-dib-rule]:not([data-dib-counted])').forEach((block) => {
+      block.setAttribute('data-dib-counted', '');
+      const rule = block.getAttribute('data-dib-rule');
+      if (rule) track({ type: 'rule_shown', rule: rule });
+    });
+  }
+
+  const pending = Array.isArray(window.__DIB_EVENTS__) ? window.__DIB_EVENTS__ : [];
+  window.__DIB_EVENTS__ = { push: track };
+  pending.forEach(track);
+
+  window.DIBAnalytics = { track: track, scan: scan };
+
+  scan();
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', scan);
+  }
+  document.addEventListener('shopify:section:load', scan);
+  // Send what's queued before the page goes away
+  window.addEventListener('pagehide', flush);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flush();
+  });
+})();
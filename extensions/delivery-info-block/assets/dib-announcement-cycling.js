@@ -36,11 +36,20 @@
     const additional3Message = target.dataset.additional3Message || '';
     const additional3Duration = parseInt(target.dataset.additional3Duration, 10) || 5;
 
+    // Cart milestones after free delivery (amounts in the store currency, minor units)
+    let extraMilestones = [];
+    try {
+      extraMilestones = JSON.parse(target.dataset.milestones || '[]') || [];
+    } catch (e) {
+      extraMilestones = [];
+    }
+
     // State
     let currentIndex = 0;
     let cycleTimer = null;
     let messages = [];
     let lastCartState = null;
+    let lastReachedCount = 0;
 
     // Get message element
     const messageEl = target.querySelector('[data-dm-message]');
@@ -50,6 +59,27 @@
     const prevBtn = target.querySelector('.dfp');
     const nextBtn = target.querySelector('.dfn');
 
+    // Milestone strip (only rendered when milestones are configured)
+    const milestonesEl = target.querySelector('[data-dm-milestones]');
+
+    // Free delivery first, then each milestone above the one before it, in the shopper's currency.
+    // Milestones have no per-currency amounts, so they are always converted at Shopify.currency.rate.
+    function getMilestones(state) {
+      const dm = window.DeliveryMessaging;
+      const milestones = [{ id: 'fd', amount: state.threshold || dm.getThreshold(), isFD: true }];
+      extraMilestones
+        .map(m => ({ ...m, amount: dm.toPresentment(m.amount || 0, true) }))
+        .sort((a, b) => a.amount - b.amount)
+        .forEach(m => {
+          if (m.amount > milestones[milestones.length - 1].amount) milestones.push(m);
+        });
+      return milestones;
+    }
+
+    function countReached(milestones, cartTotal) {
+      return milestones.filter(m => cartTotal >= m.amount).length;
+    }
+
     // Build messages array based on current state
     // Note: FD messages store templates (processed on display) to avoid caching stale threshold values
     function buildMessages() {
@@ -64,6 +94,9 @@
         let fdTemplate = '';
         let fdDuration = 5;
         let fdType = 'progress';
+        let fdAmount = null;
+        let nextMilestone = null;
+        const milestones = getMilestones(state);
 
         if (state.excluded) {
           // Check for multi-match first (cart has products matching multiple rules)
@@ -83,6 +116,22 @@
           fdTemplate = target.dataset.emptyMessage || '';
           fdDuration = emptyDuration;
           fdType = 'empty';
+        } else if (state.unlocked && milestones.length > 1) {
+          // Past free delivery: the highest milestone reached, then progress towards the next one
+          const reachedCount = countReached(milestones, state.cartTotal);
+          const reached = milestones[reachedCount - 1];
+          const next = milestones[reachedCount];
+          if (reached.isFD) {
+            fdTemplate = target.dataset.unlockedMessage || '';
+          } else {
+            fdTemplate = reached.unlocked_message || '';
+            fdAmount = reached.amount;
+          }
+          fdDuration = unlockedDuration;
+          fdType = 'unlocked';
+          if (next && next.progress_message) {
+            nextMilestone = { template: next.progress_message, duration: progressDuration, type: 'milestone', isFD: true, amount: next.amount };
+          }
         } else if (state.unlocked) {
           fdTemplate = target.dataset.unlockedMessage || '';
           fdDuration = unlockedDuration;
@@ -95,7 +144,10 @@
 
         // Store template for FD messages (processed on display)
         if (fdTemplate) {
-          newMessages.push({ template: fdTemplate, duration: fdDuration, type: fdType, isFD: true });
+          newMessages.push({ template: fdTemplate, duration: fdDuration, type: fdType, isFD: true, amount: fdAmount });
+        }
+        if (nextMilestone) {
+          newMessages.push(nextMilestone);
         }
       }
 
@@ -123,21 +175,15 @@
       const state = window.DeliveryMessaging.getState();
       const dm = window.DeliveryMessaging;
 
-      // Fallback: if state.threshold is 0, read directly from DOM
+      // Fallback: if state.threshold is 0, use the configured threshold (in the shopper's currency)
       // This handles race condition on first page load
-      let threshold = state.threshold;
-      if (threshold === 0) {
-        const configEl = document.querySelector('[data-threshold]');
-        if (configEl) {
-          const parsed = parseInt(configEl.dataset.threshold, 10);
-          if (!isNaN(parsed) && parsed > 0) {
-            threshold = parsed;
-          }
-        }
-      }
+      // Milestone messages count towards their own amount instead
+      const hasAmount = msg.amount !== null && msg.amount !== undefined;
+      const threshold = hasAmount ? msg.amount : (state.threshold || dm.getThreshold());
+      const remaining = hasAmount ? Math.max(0, msg.amount - state.cartTotal) : state.remaining;
 
       const templateVars = {
-        remaining: dm.formatMoney(state.remaining),
+        remaining: dm.formatMoney(remaining),
         threshold: dm.formatMoney(threshold),
         total: dm.formatMoney(state.cartTotal),
         cart_total: dm.formatMoney(state.cartTotal)
@@ -280,12 +326,37 @@
       scheduleNext();
     }
 
+    // Fill each strip segment from the milestone before it; skipped milestones are hidden
+    function renderMilestones(state) {
+      if (!milestonesEl) return;
+      const milestones = getMilestones(state);
+      const segments = Array.from(milestonesEl.querySelectorAll('[data-milestone]'));
+      let previous = 0;
+      segments.forEach(segment => { segment.style.display = 'none'; });
+      milestones.forEach((m, i) => {
+        const segment = segments.find(s => s.dataset.milestone === m.id);
+        if (!segment) return;
+        const span = m.amount - previous;
+        const fill = span > 0 ? Math.min(1, Math.max(0, (state.cartTotal - previous) / span)) : 1;
+        segment.style.display = '';
+        segment.style.order = i;
+        segment.classList.toggle('dfmr', state.cartTotal >= m.amount);
+        const fillEl = segment.querySelector('.dfmf');
+        if (fillEl) fillEl.style.width = (fill * 100) + '%';
+        previous = m.amount;
+      });
+      milestonesEl.hidden = state.excluded || milestones.length < 2;
+    }
+
     function onCartUpdate(state) {
       // Don't start until cart data is actually loaded
       if (state.lastUpdated === null) {
         return; // Cart fetch not complete yet, keep placeholder
       }
 
+      renderMilestones(state);
+      const reachedCount = state.unlocked ? countReached(getMilestones(state), state.cartTotal) : 0;
+
       // Check if cart state actually changed (not just a refresh)
       const cartStateKey = `${state.cartTotal}-${state.isEmpty}-${state.excluded}-${state.unlocked}`;
 
@@ -293,7 +364,7 @@
       if (lastCartState !== null) {
         // Parse old state - format is "total-isEmpty-excluded-unlocked"
         const wasUnlocked = lastCartState.endsWith('-true');
-        if (state.unlocked && !wasUnlocked) {
+        if ((state.unlocked && !wasUnlocked) || reachedCount > lastReachedCount) {
           target.classList.add('dfcl');
           target.addEventListener('animationend', function handler() {
             target.classList.remove('dfcl');
@@ -313,6 +384,7 @@
       }
 
       lastCartState = cartStateKey;
+      lastReachedCount = reachedCount;
     }
 
     // Set up chevron handlers
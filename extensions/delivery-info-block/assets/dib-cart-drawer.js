@@ -0,0 +1,86 @@
+/**
+ * Cart Drawer Free Delivery Progress
+ * Inserts the fd_cart_progress markup from the app embed's <template> into the theme's
+ * cart drawer, and again whenever the theme re-renders the drawer after a cart change.
+ * delivery-messaging.js then keeps it updated like any other [data-dm-target].
+ */
+(function() {
+  'use strict';
+
+  // Common cart drawer containers, most specific first
+  const DRAWER_SELECTORS = [
+    'cart-drawer .drawer__inner',
+    '#CartDrawer .drawer__inner',
+    '[data-cart-drawer]',
+    'cart-drawer',
+    '#CartDrawer',
+    '.cart-drawer',
+    '.mini-cart',
+    '.side-cart'
+  ];
+
+  const template = document.querySelector('template[data-dib-cart-drawer]');
+  if (!template) return;
+  const source = template.content.querySelector('[data-dib-cart-progress]');
+  if (!source) return;
+
+  const customSelector = (template.dataset.selector || '').trim();
+  const position = template.dataset.position === 'bottom' ? 'bottom' : 'top';
+
+  // Runs before delivery-messaging.js (script order in the embed), so when nothing else on
+  // the page carries the free delivery settings, hand them over on a hidden config element
+  if (!document.querySelector('[data-dm-config],[data-dm-target]')) {
+    const configEl = document.createElement('div');
+    configEl.hidden = true;
+    for (const [key, value] of Object.entries(source.dataset)) {
+      if (key !== 'dmTarget' && key !== 'dibCartProgress') configEl.dataset[key] = value;
+    }
+    configEl.setAttribute('data-dm-config', '');
+    document.body.appendChild(configEl);
+  }
+
+  function findDrawer() {
+    const selectors = customSelector ? [customSelector] : DRAWER_SELECTORS;
+    for (const selector of selectors) {
+      try {
+        const el = document.querySelector(selector);
+        if (el) return el;
+      } catch (e) {
+        return null; // Invalid custom selector
+      }
+    }
+    return null;
+  }
+
+  function inject() {
+    const drawer = findDrawer();
+    if (!drawer || drawer.querySelector('[data-dib-cart-progress]')) return;
+
+    const fragment = template.content.cloneNode(true);
+    if (position === 'bottom') {
+      drawer.appendChild(fragment);
+    } else {
+      // Keep the drawer's own header (title, close button) above the progress
+      const header = Array.from(drawer.children).find(child => /header/i.test(child.className));
+      drawer.insertBefore(fragment, header ? header.nextSibling : drawer.firstChild);
+    }
+
+    if (window.DeliveryMessaging && window.DeliveryMessaging._initialized) {
+      window.DeliveryMessaging.forceUpdate();
+    }
+  }
+
+  // Themes replace the drawer contents after cart changes; batch checks to one per frame
+  let scheduled = false;
+  const observer = new MutationObserver(() => {
+    if (scheduled) return;
+    scheduled = true;
+    requestAnimationFrame(() => {
+      scheduled = false;
+      inject();
+    });
+  });
+
+  inject();
+  observer.observe(document.body, { childList: true, subtree: true });
+})();
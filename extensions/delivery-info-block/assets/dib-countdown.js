@@ -1,2 +1,2 @@
 /* eslint-disable no-empty */
-(()=>{if(window.__DIB_COUNTDOWN_INIT__)return;window.__DIB_COUNTDOWN_INIT__=true;function parseHHMM(v){if(!v||typeof v!=="string")return null;const m=v.trim().match(/^([01]\d|2[0-3]):([0-5]\d)$/);if(!m)return null;return{hh:Number(m[1]),mm:Number(m[2])}}function parseOffsetMinutes(z){if(!z||typeof z!=="string")return null;const cleaned=z.trim().replace(":","");const m=cleaned.match(/^([+-])(\d{2})(\d{2})$/);if(!m)return null;const sign=m[1]==="-"?-1:1;return sign*(Number(m[2])*60+Number(m[3]))}function formatRemaining(ms){const totalMin=Math.floor(ms/60000);if(totalMin<1){return"less than 1 min"}const hh=Math.floor(totalMin/60);const mm=totalMin%60;if(hh>0){return String(hh)+"h "+String(mm).padStart(2,"0")+"m"}return String(mm)+"m"}function appendMarkdownBold(el,text){if(!text)return;if(!text.includes("**")){el.appendChild(document.createTextNode(text));return}const parts=text.split("**");parts.forEach((part,i)=>{if(!part)return;if(i%2===1){const strong=document.createElement("strong");strong.textContent=part;el.appendChild(strong)}else{el.appendChild(document.createTextNode(part))}})}function formatETADate(date){const months=['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'];return months[date.getMonth()]+" "+date.getDate()}function addDeliveryDays(startDate,numDays,noDeliveryDays,customHolidays,bankHolidayCountry){const noDeliverySet=noDeliveryDays||new Set(['sat','sun']);const weekdayNames=["sun","mon","tue","wed","thu","fri","sat"];let currentDate=new Date(startDate.getTime());let daysAdded=0;let maxAttempts=60;while(daysAdded<numDays&&maxAttempts>0){currentDate=new Date(currentDate.getTime()+86400000);const weekdayKey=weekdayNames[currentDate.getDay()];const isNoDeliveryDay=noDeliverySet.has(weekdayKey);const isHolidayDay=customHolidays||bankHolidayCountry?isHoliday(currentDate,customHolidays||new Set(),bankHolidayCountry||""):false;if(!isNoDeliveryDay&&!isHolidayDay){daysAdded++}maxAttempts--}return currentDate}function splitClosedDays(v){if(!v)return new Set();return new Set(String(v).split(",").map((s)=>s.trim().toLowerCase()).filter(Boolean))}function parseCustomHolidays(v){if(!v)return new Set();return new Set(String(v).split(",").map((s)=>s.trim()).filter(Boolean))}function getEasterSunday(year){const a=year%19;const b=Math.floor(year/100);const c=year%100;const d=Math.floor(b/4);const e=b%4;const f=Math.floor((b+8)/25);const g=Math.floor((b-f+1)/3);const h=(19*a+b-d-g+15)%30;const i=Math.floor(c/4);const k=c%4;const l=(32+2*e+2*i-h-k)%7;const m=Math.floor((a+11*h+22*l)/451);const month=Math.floor((h+l-7*m+114)/31)-1;const day=((h+l-7*m+114)%31)+1;return new Date(year,month,day)}function getOrthodoxEaster(year){const a=year%4;const b=year%7;const c=year%19;const d=(19*c+15)%30;const e=(2*a+4*b-d+34)%7;const month=Math.floor((d+e+114)/31);const day=((d+e+114)%31)+1;const julianDate=new Date(year,month-1,day);julianDate.setDate(julianDate.getDate()+13);return julianDate}function getMidsummerDay(year){for(let d=20;d<=26;d++){const date=new Date(year,5,d);if(date.getDay()===6)return date}return new Date(year,5,20)}function getAllSaintsSaturday(year){for(let d=31;d<=31;d++){const date=new Date(year,9,d);if(date.getDay()===6)return date}for(let d=1;d<=6;d++){const date=new Date(year,10,d);if(date.getDay()===6)return date}return new Date(year,10,1)}function formatDateStr(date){const y=date.getFullYear();const m=String(date.getMonth()+1).padStart(2,'0');const d=String(date.getDate()).padStart(2,'0');return y+"-"+m+"-"+d}function addDaysToDate(date,days){const result=new Date(date);result.setDate(result.getDate()+days);return result}function getNthWeekdayOfMonth(year,month,weekday,n){if(n>0){const firstDay=new Date(year,month,1);let firstWeekday=firstDay.getDay();let daysUntilWeekday=(weekday-firstWeekday+7)%7;const day=1+daysUntilWeekday+(n-1)*7;return new Date(year,month,day)}else{const lastDay=new Date(year,month+1,0);let lastWeekday=lastDay.getDay();let daysBackToWeekday=(lastWeekday-weekday+7)%7;const day=lastDay.getDate()-daysBackToWeekday+(n+1)*7;return new Date(year,month,day)}}const BANK_HOLIDAYS={GB:(year)=>{const easter=getEasterSunday(year);const earlyMay=getNthWeekdayOfMonth(year,4,1,1);const springBank=getNthWeekdayOfMonth(year,4,1,-1);const summerBank=getNthWeekdayOfMonth(year,7,1,-1);return[year+"-01-01",formatDateStr(addDaysToDate(easter,-2)),formatDateStr(addDaysToDate(easter,1)),formatDateStr(earlyMay),formatDateStr(springBank),formatDateStr(summerBank),year+"-12-25",year+"-12-26"]},US:(year)=>{const mlkDay=getNthWeekdayOfMonth(year,0,1,3);const presidentsDay=getNthWeekdayOfMonth(year,1,1,3);const memorialDay=getNthWeekdayOfMonth(year,4,1,-1);const laborDay=getNthWeekdayOfMonth(year,8,1,1);const columbusDay=getNthWeekdayOfMonth(year,9,1,2);const thanksgiving=getNthWeekdayOfMonth(year,10,4,4);return[year+"-01-01",formatDateStr(mlkDay),formatDateStr(presidentsDay),formatDateStr(memorialDay),year+"-06-19",year+"-07-04",formatDateStr(laborDay),formatDateStr(columbusDay),year+"-11-11",formatDateStr(thanksgiving),year+"-12-25"]},DE:(year)=>{const easter=getEasterSunday(year);return[year+"-01-01",formatDateStr(addDaysToDate(easter,-2)),formatDateStr(addDaysToDate(easter,1)),year+"-05-01",formatDateStr(addDaysToDate(easter,39)),formatDateStr(addDaysToDate(easter,50)),year+"-10-03",year+"-12-25",year+"-12-26"]},FR:(year)=>{const easter=getEasterSunday(year);return[year+"-01-01",formatDateStr(addDaysToDate(easter,1)),year+"-05-01",year+"-05-08",formatDateStr(addDaysToDate(easter,39)),formatDateStr(addDaysToDate(easter,50)),year+"-07-14",year+"-08-15",year+"-11-01",year+"-11-11",year+"-12-25"]},IE:(year)=>{const easter=getEasterSunday(year);const mayBank=getNthWeekdayOfMonth(year,4,1,1);const juneBank=getNthWeekdayOfMonth(year,5,1,1);const augustBank=getNthWeekdayOfMonth(year,7,1,1);const octoberBank=getNthWeekdayOfMonth(year,9,1,-1);return[year+"-01-01",year+"-02-01",year+"-03-17",formatDateStr(addDaysToDate(easter,1)),formatDateStr(mayBank),formatDateStr(juneBank),formatDateStr(augustBank),formatDateStr(octoberBank),year+"-12-25",year+"-12-26"]},CA:(year)=>{const easter=getEasterSunday(year);const familyDay=getNthWeekdayOfMonth(year,1,1,3);let vicDay=new Date(year,4,24);while(vicDay.getDay()!==1)vicDay.setDate(vicDay.getDate()-1);const labourDay=getNthWeekdayOfMonth(year,8,1,1);const thanksgiving=getNthWeekdayOfMonth(year,9,1,2);return[year+"-01-01",formatDateStr(familyDay),formatDateStr(addDaysToDate(easter,-2)),formatDateStr(vicDay),year+"-07-01",formatDateStr(getNthWeekdayOfMonth(year,7,1,1)),formatDateStr(labourDay),formatDateStr(thanksgiving),year+"-11-11",year+"-12-25",year+"-12-26"]},AU:(year)=>{const easter=getEasterSunday(year);const queensBirthday=getNthWeekdayOfMonth(year,5,1,2);let ausDay=new Date(year,0,26);if(ausDay.getDay()===0)ausDay=new Date(year,0,27);else if(ausDay.getDay()===6)ausDay=new Date(year,0,28);return[year+"-01-01",formatDateStr(ausDay),formatDateStr(addDaysToDate(easter,-2)),formatDateStr(addDaysToDate(easter,1)),year+"-04-25",formatDateStr(queensBirthday),year+"-12-25",year+"-12-26"]},AT:(year)=>{const easter=getEasterSunday(year);return[year+"-01-01",year+"-01-06",formatDateStr(addDaysToDate(easter,1)),year+"-05-01",formatDateStr(addDaysToDate(easter,39)),formatDateStr(addDaysToDate(easter,50)),formatDateStr(addDaysToDate(easter,60)),year+"-08-15",year+"-10-26",year+"-11-01",year+"-12-08",year+"-12-25",year+"-12-26"]},BE:(year)=>{const easter=getEasterSunday(year);return[year+"-01-01",formatDateStr(addDaysToDate(easter,1)),year+"-05-01",formatDateStr(addDaysToDate(easter,39)),formatDateStr(addDaysToDate(easter,50)),year+"-07-21",year+"-08-15",year+"-11-01",year+"-11-11",year+"-12-25"]},CH:(year)=>{const easter=getEasterSunday(year);return[year+"-01-01",year+"-01-02",formatDateStr(addDaysToDate(easter,-2)),formatDateStr(addDaysToDate(easter,1)),formatDateStr(addDaysToDate(easter,39)),formatDateStr(addDaysToDate(easter,50)),year+"-08-01",year+"-12-25",year+"-12-26"]},CZ:(year)=>{const easter=getEasterSunday(year);return[year+"-01-01",formatDateStr(addDaysToDate(easter,-2)),formatDateStr(addDaysToDate(easter,1)),year+"-05-01",year+"-05-08",year+"-07-05",year+"-07-06",year+"-09-28",year+"-10-28",year+"-11-17",year+"-12-24",year+"-12-25",year+"-12-26"]},DK:(year)=>{const easter=getEasterSunday(year);return[year+"-01-01",formatDateStr(addDaysToDate(easter,-3)),formatDateStr(addDaysToDate(easter,-2)),formatDateStr(addDaysToDate(easter,1)),formatDateStr(addDaysToDate(easter,26)),formatDateStr(addDaysToDate(easter,39)),year+"-06-05",formatDateStr(addDaysToDate(easter,50)),year+"-12-25",year+"-12-26"]},ES:(year)=>{const easter=getEasterSunday(year);return[year+"-01-01",year+"-01-06",formatDateStr(addDaysToDate(easter,-2)),year+"-05-01",year+"-08-15",year+"-10-12",year+"-11-01",year+"-12-06",year+"-12-08",year+"-12-25"]},FI:(year)=>{const easter=getEasterSunday(year);const midsummer=getMidsummerDay(year);const allSaints=getAllSaintsSaturday(year);return[year+"-01-01",year+"-01-06",formatDateStr(addDaysToDate(easter,-2)),formatDateStr(addDaysToDate(easter,1)),year+"-05-01",formatDateStr(addDaysToDate(easter,39)),formatDateStr(addDaysToDate(midsummer,-1)),formatDateStr(midsummer),formatDateStr(allSaints),year+"-12-06",year+"-12-24",year+"-12-25",year+"-12-26"]},GR:(year)=>{const orthodoxEaster=getOrthodoxEaster(year);return[year+"-01-01",year+"-01-06",formatDateStr(addDaysToDate(orthodoxEaster,-48)),year+"-03-25",formatDateStr(addDaysToDate(orthodoxEaster,-2)),formatDateStr(orthodoxEaster),formatDateStr(addDaysToDate(orthodoxEaster,1)),year+"-05-01",formatDateStr(addDaysToDate(orthodoxEaster,50)),year+"-08-15",year+"-10-28",year+"-12-25",year+"-12-26"]},HU:(year)=>{const easter=getEasterSunday(year);return[year+"-01-01",year+"-03-15",formatDateStr(addDaysToDate(easter,-2)),formatDateStr(addDaysToDate(easter,1)),year+"-05-01",formatDateStr(addDaysToDate(easter,49)),formatDateStr(addDaysToDate(easter,50)),year+"-08-20",year+"-10-23",year+"-11-01",year+"-12-25",year+"-12-26"]},IT:(year)=>{const easter=getEasterSunday(year);return[year+"-01-01",year+"-01-06",formatDateStr(easter),formatDateStr(addDaysToDate(easter,1)),year+"-04-25",year+"-05-01",year+"-06-02",year+"-08-15",year+"-11-01",year+"-12-08",year+"-12-25",year+"-12-26"]},LU:(year)=>{const easter=getEasterSunday(year);return[year+"-01-01",formatDateStr(addDaysToDate(easter,1)),year+"-05-01",year+"-05-09",formatDateStr(addDaysToDate(easter,39)),formatDateStr(addDaysToDate(easter,50)),year+"-06-23",year+"-08-15",year+"-11-01",year+"-12-25",year+"-12-26"]},NL:(year)=>{const easter=getEasterSunday(year);let kingsDay=new Date(year,3,27);if(kingsDay.getDay()===0)kingsDay=new Date(year,3,26);return[year+"-01-01",formatDateStr(addDaysToDate(easter,-2)),formatDateStr(addDaysToDate(easter,1)),formatDateStr(kingsDay),year+"-05-05",formatDateStr(addDaysToDate(easter,39)),formatDateStr(addDaysToDate(easter,50)),year+"-12-25",year+"-12-26"]},NO:(year)=>{const easter=getEasterSunday(year);return[year+"-01-01",formatDateStr(addDaysToDate(easter,-3)),formatDateStr(addDaysToDate(easter,-2)),formatDateStr(addDaysToDate(easter,1)),year+"-05-01",year+"-05-17",formatDateStr(addDaysToDate(easter,39)),formatDateStr(addDaysToDate(easter,50)),year+"-12-25",year+"-12-26"]},PL:(year)=>{const easter=getEasterSunday(year);return[year+"-01-01",year+"-01-06",formatDateStr(easter),formatDateStr(addDaysToDate(easter,1)),year+"-05-01",year+"-05-03",formatDateStr(addDaysToDate(easter,49)),formatDateStr(addDaysToDate(easter,60)),year+"-08-15",year+"-11-01",year+"-11-11",year+"-12-25",year+"-12-26"]},PT:(year)=>{const easter=getEasterSunday(year);return[year+"-01-01",formatDateStr(addDaysToDate(easter,-47)),formatDateStr(addDaysToDate(easter,-2)),formatDateStr(easter),year+"-04-25",year+"-05-01",formatDateStr(addDaysToDate(easter,60)),year+"-06-10",year+"-08-15",year+"-10-05",year+"-11-01",year+"-12-01",year+"-12-08",year+"-12-25"]},RO:(year)=>{const orthodoxEaster=getOrthodoxEaster(year);return[year+"-01-01",year+"-01-02",year+"-01-24",formatDateStr(addDaysToDate(orthodoxEaster,-2)),formatDateStr(orthodoxEaster),formatDateStr(addDaysToDate(orthodoxEaster,1)),year+"-05-01",formatDateStr(addDaysToDate(orthodoxEaster,49)),formatDateStr(addDaysToDate(orthodoxEaster,50)),year+"-06-01",year+"-08-15",year+"-11-30",year+"-12-01",year+"-12-25",year+"-12-26"]},SE:(year)=>{const easter=getEasterSunday(year);const midsummer=getMidsummerDay(year);const allSaints=getAllSaintsSaturday(year);return[year+"-01-01",year+"-01-06",formatDateStr(addDaysToDate(easter,-2)),formatDateStr(addDaysToDate(easter,1)),year+"-05-01",formatDateStr(addDaysToDate(easter,39)),year+"-06-06",formatDateStr(addDaysToDate(midsummer,-1)),formatDateStr(midsummer),formatDateStr(allSaints),year+"-12-24",year+"-12-25",year+"-12-26"]},SK:(year)=>{const easter=getEasterSunday(year);return[year+"-01-01",year+"-01-06",formatDateStr(addDaysToDate(easter,-2)),formatDateStr(addDaysToDate(easter,1)),year+"-05-01",year+"-05-08",year+"-07-05",year+"-08-29",year+"-09-01",year+"-09-15",year+"-11-01",year+"-11-17",year+"-12-24",year+"-12-25",year+"-12-26"]},NZ:(year)=>{const easter=getEasterSunday(year);const queensBirthday=getNthWeekdayOfMonth(year,5,1,1);const labourDay=getNthWeekdayOfMonth(year,9,1,4);const matarikiDates={2024:"2024-06-28",2025:"2025-06-20",2026:"2026-07-10",2027:"2027-06-25",2028:"2028-07-14",2029:"2029-07-06",2030:"2030-06-21"};return[year+"-01-01",year+"-01-02",year+"-02-06",formatDateStr(addDaysToDate(easter,-2)),formatDateStr(addDaysToDate(easter,1)),year+"-04-25",formatDateStr(queensBirthday),matarikiDates[year]||year+"-06-20",formatDateStr(labourDay),year+"-12-25",year+"-12-26"]}};function getBankHolidaysForYear(countryCode,year){const getter=BANK_HOLIDAYS[countryCode];if(!getter)return[];return getter(year)}function isHoliday(date,customHolidays,bankHolidayCountry){const dateStr=formatDateStr(date);if(customHolidays.has(dateStr))return true;if(bankHolidayCountry){const year=date.getFullYear();const bankHolidays=getBankHolidaysForYear(bankHolidayCountry,year);if(bankHolidays.includes(dateStr))return true}return false}function computeCutoffForToday(el,now){const offsetStr=el.getAttribute("data-shop-offset")||"";const offsetMin=parseOffsetMinutes(offsetStr);const cutoffDefault=el.getAttribute("data-cutoff")||"";const cutoffSat=el.getAttribute("data-cutoff-sat")||"";const cutoffSun=el.getAttribute("data-cutoff-sun")||"";let weekdayKey=null;let y,mo,d;if(offsetMin!=null){const shopNowMs=now.getTime()+offsetMin*60*1000;const shopNow=new Date(shopNowMs);const weekday=["sun","mon","tue","wed","thu","fri","sat"][shopNow.getUTCDay()];weekdayKey=weekday;y=shopNow.getUTCFullYear();mo=shopNow.getUTCMonth()+1;d=shopNow.getUTCDate()}if(!weekdayKey||!y||!mo||!d)return{ok:false};const closed=splitClosedDays(el.getAttribute("data-closed-days")||"");if(closed.has(weekdayKey))return{ok:false};const customHolidays=parseCustomHolidays(el.getAttribute("data-custom-holidays")||"");const bankHolidayCountry=el.getAttribute("data-bank-holiday-country")||"";const todayDate=new Date(y,mo-1,d);if(isHoliday(todayDate,customHolidays,bankHolidayCountry))return{ok:false};let cutoff=cutoffDefault;if(weekdayKey==="sat"&&cutoffSat.trim())cutoff=cutoffSat;if(weekdayKey==="sun"&&cutoffSun.trim())cutoff=cutoffSun;const hm=parseHHMM(cutoff);if(!hm)return{ok:false};const cutoffUtcMs=Date.UTC(y,mo-1,d,hm.hh,hm.mm,0)-offsetMin*60*1000;return{ok:true,cutoffUtcMs}}function calculateShippingDate(el,now){const{ok,cutoffUtcMs}=computeCutoffForToday(el,now);const closed=splitClosedDays(el.getAttribute("data-closed-days")||"");const customHolidays=parseCustomHolidays(el.getAttribute("data-custom-holidays")||"");const bankHolidayCountry=el.getAttribute("data-bank-holiday-country")||"";const leadTime=parseInt(el.getAttribute("data-lead-time")||"0",10);const weekdayNames=["sun","mon","tue","wed","thu","fri","sat"];let shippingDate;if(ok&&cutoffUtcMs-now.getTime()>0){const todayKey=weekdayNames[now.getDay()];if(!closed.has(todayKey)&&!isHoliday(now,customHolidays,bankHolidayCountry)){shippingDate=now}else{shippingDate=new Date(now.getTime()+86400000)}}else{shippingDate=new Date(now.getTime()+86400000)}if(!shippingDate||(shippingDate.getTime()!==now.getTime())){let candidateDate=shippingDate||new Date(now.getTime()+86400000);let maxAttempts=14;while(maxAttempts>0){const weekdayKey=weekdayNames[candidateDate.getDay()];const isClosed=closed.has(weekdayKey);const isHolidayDay=isHoliday(candidateDate,customHolidays,bankHolidayCountry);if(!isClosed&&!isHolidayDay){shippingDate=candidateDate;break}candidateDate=new Date(candidateDate.getTime()+86400000);maxAttempts--}if(!shippingDate)shippingDate=new Date(now.getTime()+86400000)}if(leadTime>0){let daysAdded=0;let maxAttempts=60;while(daysAdded<leadTime&&maxAttempts>0){shippingDate=new Date(shippingDate.getTime()+86400000);const weekdayKey=weekdayNames[shippingDate.getDay()];if(!closed.has(weekdayKey)&&!isHoliday(shippingDate,customHolidays,bankHolidayCountry)){daysAdded++}maxAttempts--}}return shippingDate}function updateETATimeline(uid,shippingDate,orderDate){const etaTimeline=document.querySelector('.dib-eta-timeline[data-uid="'+uid+'"]');if(!etaTimeline)return;const orderDateEl=etaTimeline.querySelector('.dib-eta-stage:nth-child(1) .dib-eta-date');if(orderDateEl&&orderDate){orderDateEl.textContent=formatETADate(orderDate)}const shippingDateEl=etaTimeline.querySelector('.dib-eta-stage:nth-child(3) .dib-eta-date');if(shippingDateEl){shippingDateEl.textContent=formatETADate(shippingDate)}const courierNoDeliveryDaysStr=etaTimeline.getAttribute('data-courier-no-delivery')||'sat,sun';const courierNoDeliveryDays=splitClosedDays(courierNoDeliveryDaysStr);const customHolidays=parseCustomHolidays(etaTimeline.getAttribute("data-custom-holidays")||"");const bankHolidayCountry=etaTimeline.getAttribute("data-bank-holiday-country")||"";const deliveryMinDays=parseInt(etaTimeline.getAttribute('data-delivery-min')||'3');const deliveryMaxDays=parseInt(etaTimeline.getAttribute('data-delivery-max')||'5');const deliveryMinDate=addDeliveryDays(shippingDate,deliveryMinDays,courierNoDeliveryDays,customHolidays,bankHolidayCountry);const deliveryMaxDate=addDeliveryDays(shippingDate,deliveryMaxDays,courierNoDeliveryDays,customHolidays,bankHolidayCountry);const deliveryStageEl=etaTimeline.querySelector('.dib-eta-stage:nth-child(5)');const deliveryDateEl=deliveryStageEl?deliveryStageEl.querySelector('.dib-eta-date'):null;if(deliveryDateEl){if(deliveryMinDays===deliveryMaxDays){deliveryDateEl.textContent=formatETADate(deliveryMinDate);if(deliveryStageEl)deliveryStageEl.style.marginRight=''}else{const minMonth=deliveryMinDate.getMonth();const maxMonth=deliveryMaxDate.getMonth();if(minMonth===maxMonth){deliveryDateEl.textContent=formatETADate(deliveryMinDate)+"-"+deliveryMaxDate.getDate();if(deliveryStageEl)deliveryStageEl.style.marginRight=''}else{deliveryDateEl.textContent=formatETADate(deliveryMinDate)+"-"+formatETADate(deliveryMaxDate);if(deliveryStageEl){deliveryStageEl.style.marginRight='8px'}}}}}function updateCountdownPlaceholders(){document.querySelectorAll(".dib-countdown-placeholder").forEach(function(span){const line=span.closest(".dib-line");if(!line)return;const block=span.closest("[data-delivery-min]");if(!block)return;const cfgEl=block.querySelector(".dib-config");if(!cfgEl)return;const now=new Date();const{ok,cutoffUtcMs}=computeCutoffForToday(cfgEl,now);if(!ok||cutoffUtcMs-now.getTime()<=0){var fallback=line.getAttribute("data-cutoff-fallback")||"Order ships {shipped}";var shippingDate=calculateShippingDate(cfgEl,now);var shippedStr=formatETADate(shippingDate);fallback=fallback.replace(/\{shipped\}/gi,shippedStr);var textEl=line.querySelector(".dib-line-text");if(textEl){textEl.innerHTML="";if(fallback.indexOf("**")>-1){var parts=fallback.split("**");parts.forEach(function(part,i){if(!part)return;if(i%2===1){var strong=document.createElement("strong");strong.textContent=part;textEl.appendChild(strong)}else{textEl.appendChild(document.createTextNode(part))}})}else{textEl.textContent=fallback}}line.classList.add("is-ready");return}const remainingMs=cutoffUtcMs-now.getTime();const timeStr=formatRemaining(remainingMs);span.textContent=timeStr;line.classList.add("is-ready")})}function updateETATimelinesStandalone(){const timelines=document.querySelectorAll(".dib-eta-timeline");timelines.forEach((timeline)=>{const uid=timeline.getAttribute('data-uid');if(!uid)return;const block=document.getElementById(uid);if(!block)return;const dummyEl=document.createElement("div");dummyEl.setAttribute("data-uid",uid);dummyEl.setAttribute("data-shop-offset",timeline.getAttribute("data-shop-offset")||"");dummyEl.setAttribute("data-cutoff",timeline.getAttribute("data-cutoff")||"14:00");dummyEl.setAttribute("data-cutoff-sat",timeline.getAttribute("data-cutoff-sat")||"");dummyEl.setAttribute("data-cutoff-sun",timeline.getAttribute("data-cutoff-sun")||"");dummyEl.setAttribute("data-closed-days",timeline.getAttribute("data-closed-days")||"");dummyEl.setAttribute("data-lead-time",timeline.getAttribute("data-lead-time")||"0");dummyEl.setAttribute("data-courier-no-delivery",timeline.getAttribute("data-courier-no-delivery")||"sat,sun");dummyEl.setAttribute("data-bank-holiday-country",timeline.getAttribute("data-bank-holiday-country")||"");dummyEl.setAttribute("data-custom-holidays",timeline.getAttribute("data-custom-holidays")||"");const now=new Date();const shippingDate=calculateShippingDate(dummyEl,now);updateETATimeline(uid,shippingDate,now)})}function updatePlaceholders(){document.querySelectorAll(".dib-arrival-placeholder, .dib-express-placeholder").forEach(function(span){var block=span.closest("[data-delivery-min]");if(!block)return;var cfgEl=block.querySelector(".dib-config");if(!cfgEl)return;var now=new Date();var shippingDate=calculateShippingDate(cfgEl,now);var courierStr=block.getAttribute("data-courier-no-delivery")||"sat,sun";var courierNoDelivery=splitClosedDays(courierStr);var customHolidays=parseCustomHolidays(cfgEl.getAttribute("data-custom-holidays")||"");var bankHolidayCountry=cfgEl.getAttribute("data-bank-holiday-country")||"";if(span.classList.contains("dib-arrival-placeholder")){var minDays=parseInt(block.getAttribute("data-delivery-min"))||3;var maxDays=parseInt(block.getAttribute("data-delivery-max"))||5;var minDate=addDeliveryDays(shippingDate,minDays,courierNoDelivery,customHolidays,bankHolidayCountry);var maxDate=addDeliveryDays(shippingDate,maxDays,courierNoDelivery,customHolidays,bankHolidayCountry);if(minDays===maxDays){span.textContent=formatETADate(minDate)}else if(minDate.getMonth()===maxDate.getMonth()){span.textContent=formatETADate(minDate)+"-"+maxDate.getDate()}else{span.textContent=formatETADate(minDate)+"-"+formatETADate(maxDate)}}else{var expressMinDays=parseInt(block.getAttribute("data-express-min"))||1;var expressMaxDays=parseInt(block.getAttribute("data-express-max"))||1;var expressMinDate=addDeliveryDays(shippingDate,expressMinDays,courierNoDelivery,customHolidays,bankHolidayCountry);var expressMaxDate=addDeliveryDays(shippingDate,expressMaxDays,courierNoDelivery,customHolidays,bankHolidayCountry);if(expressMinDays===expressMaxDays){span.textContent=formatETADate(expressMinDate)}else if(expressMinDate.getMonth()===expressMaxDate.getMonth()){span.textContent=formatETADate(expressMinDate)+"-"+expressMaxDate.getDate()}else{span.textContent=formatETADate(expressMinDate)+"-"+formatETADate(expressMaxDate)}}});document.querySelectorAll(".dib-shipped-placeholder").forEach(function(span){var block=span.closest("[data-delivery-min]");if(!block)return;var cfgEl=block.querySelector(".dib-config");if(!cfgEl)return;var now=new Date();var shippingDate=calculateShippingDate(cfgEl,now);span.textContent=formatETADate(shippingDate)})}function constrainETAGap(){document.querySelectorAll('.dib-eta-timeline-block').forEach(function(block){var stages=block.querySelector('.dib-eta-stages');if(!stages)return;stages.style.gap='';var containerWidth=block.clientWidth;if(containerWidth<=0)return;var stageEls=stages.querySelectorAll('.dib-eta-stage');var connectorEls=[];stages.childNodes.forEach(function(child){if(child.nodeType===1&&!child.classList.contains('dib-eta-stage')){connectorEls.push(child)}});var stagesWidth=0;stageEls.forEach(function(el){stagesWidth+=el.offsetWidth});var connectorsWidth=0;connectorEls.forEach(function(el){connectorsWidth+=el.offsetWidth});var borderPadding=0;var cs=window.getComputedStyle(stages);var borderLeft=parseFloat(cs.borderLeftWidth)||0;var borderRight=parseFloat(cs.borderRightWidth)||0;var paddingLeft=parseFloat(cs.paddingLeft)||0;var paddingRight=parseFloat(cs.paddingRight)||0;borderPadding=borderLeft+borderRight+paddingLeft+paddingRight;var numGaps=stageEls.length+connectorEls.length-1;if(numGaps<=0)return;var availableForGaps=containerWidth-stagesWidth-connectorsWidth-borderPadding;var maxGapPerSlot=Math.max(0,availableForGaps/numGaps);var currentGap=parseFloat(cs.gap)||0;if(currentGap>maxGapPerSlot&&maxGapPerSlot>=0){stages.style.gap=Math.floor(maxGapPerSlot)+'px'}})}function parseLinks(){var cfg=document.querySelector('.dib-config[data-link-color]');var lc=cfg?cfg.getAttribute('data-link-color')||'#2563eb':'#2563eb';var ld=cfg?cfg.getAttribute('data-link-decoration')||'underline':'underline';var hc=cfg?cfg.getAttribute('data-link-hover-color')||'#1d4ed8':'#1d4ed8';var hd=cfg?cfg.getAttribute('data-link-hover-decoration')||'underline':'underline';var ho=cfg?cfg.getAttribute('data-link-hover-opacity')||'1':'1';var lt=cfg?cfg.getAttribute('data-link-thickness')||'1px':'1px';var ht=cfg?cfg.getAttribute('data-link-hover-thickness')||'2px':'2px';if(!document.getElementById('dib-link-styles')){var s=document.createElement('style');s.id='dib-link-styles';s.textContent='.dib-link{color:'+lc+';text-decoration:'+ld+';text-decoration-thickness:'+lt+';transition:all .15s ease}.dib-link:hover{color:'+hc+';text-decoration:'+hd+';text-decoration-thickness:'+ht+';opacity:'+ho+'}';document.head.appendChild(s)}document.querySelectorAll('.dib-line-text,.dib-special-text,.dib-special-header').forEach(function(el){if(el.dataset.mdParsed)return;var html=el.innerHTML;if(html.indexOf('**')>-1){html=html.split('**').map(function(p,i){return i%2===1?'<strong>'+p+'</strong>':p}).join('')}if(html.indexOf('[')>-1&&html.indexOf('](')>-1){html=html.replace(/\[([^\]]+)\]\(([^)]+)\)/g,function(_,t,u){var h=u.match(/^https?:\/\//i)?u:(/^(\/|tel:|mailto:)/i.test(u)?u:'https://'+u);var tgt=/^(\/|tel:|mailto:)/i.test(h)?'_self':'_blank';return'<a href="'+h+'" target="'+tgt+'"'+(tgt==='_blank'?' rel="noopener"':'')+' class="dib-link">'+t+'</a>'})}el.innerHTML=html;el.dataset.mdParsed='1'})}function tick(){document.querySelectorAll('[data-dib-js]:not([data-dib-init])').forEach(function(el){el.setAttribute('data-dib-init','1')});parseLinks();updateCountdownPlaceholders();updateETATimelinesStandalone();updatePlaceholders();constrainETAGap();document.querySelectorAll('.dib-messages .dib-container:not(.is-ready)').forEach(function(c){c.classList.add('is-ready')});document.querySelectorAll('.dib-eta-timeline:not(.is-ready)').forEach(function(t){t.classList.add('is-ready')});document.querySelectorAll('.dib-special-delivery-block .dib-container:not(.is-ready)').forEach(function(c){c.classList.add('is-ready')})}tick();setInterval(tick,30000);var delayedFn=function(){constrainETAGap()};if(document.readyState==='loading'){document.addEventListener('DOMContentLoaded',function(){setTimeout(delayedFn,50)})}else{setTimeout(delayedFn,50)}window.addEventListener('resize',function(){setTimeout(function(){constrainETAGap()},100)});window.DIBCountdown={computeCutoffForToday:computeCutoffForToday,formatRemaining:formatRemaining}})();
+(()=>{if(window.__DIB_COUNTDOWN_INIT__)return;window.__DIB_COUNTDOWN_INIT__=true;const E=window.DIBDateEngine;if(!E)return;const formatRemaining=E.formatRemaining;const formatETADate=E.formatShortDate;function appendMarkdownBold(el,text){if(!text)return;if(!text.includes("**")){el.appendChild(document.createTextNode(text));return}const parts=text.split("**");parts.forEach((part,i)=>{if(!part)return;if(i%2===1){const strong=document.createElement("strong");strong.textContent=part;el.appendChild(strong)}else{el.appendChild(document.createTextNode(part))}})}function readSettings(el,windowEl){const w=windowEl||el;return E.normalizeDispatchSettings({cutoff_time:el.getAttribute("data-cutoff"),cutoff_time_sat:el.getAttribute("data-cutoff-sat"),cutoff_time_sun:el.getAttribute("data-cutoff-sun"),closed_days:el.getAttribute("data-closed-days")||"",lead_time:el.getAttribute("data-lead-time"),courier_no_delivery_days:w.getAttribute("data-courier-no-delivery"),bank_holiday_country:el.getAttribute("data-bank-holiday-country"),custom_holidays:el.getAttribute("data-custom-holidays"),delivery_bank_holiday_country:el.getAttribute("data-delivery-holiday-country"),delivery_custom_holidays:el.getAttribute("data-delivery-custom-holidays"),delivery_holiday_destination:el.getAttribute("data-delivery-holiday-destination"),delivery_days_min:w.getAttribute("data-delivery-min"),delivery_days_max:w.getAttribute("data-delivery-max"),express_days_min:w.getAttribute("data-express-min"),express_days_max:w.getAttribute("data-express-max")})}function getShopTimeZone(el){const tz=el.getAttribute("data-shop-timezone")||"";return E.isValidTimeZone(tz)?tz:""}function getShopNow(el,now){const tz=getShopTimeZone(el);if(tz)return E.getShopNow(tz,now);const offsetMin=E.parseOffsetMinutes(el.getAttribute("data-shop-offset")||"");return offsetMin==null?new Date(now.getTime()):E.getShopNowFromOffset(offsetMin,now)}function computeCutoffForToday(el,now){const tz=getShopTimeZone(el);const status=E.getCutoffStatus(getShopNow(el,now),readSettings(el),tz?{timeZone:tz,now:now}:{});if(status.state!=="open")return{ok:false};return{ok:true,cutoffUtcMs:now.getTime()+status.remainingMs}}function getShopOffsetAt(el,ms){const tz=getShopTimeZone(el);return tz?E.getTimeZoneOffsetMinutes(tz,new Date(ms)):E.parseOffsetMinutes(el.getAttribute("data-shop-offset")||"")}function formatLocalCutoff(el,cutoffUtcMs){const format=el.getAttribute("data-local-cutoff");if(!format)return"";const cutoff=new Date(cutoffUtcMs);if(getShopOffsetAt(el,cutoffUtcMs)===-cutoff.getTimezoneOffset())return"";const time=cutoff.toLocaleTimeString([],{hour:"numeric",minute:"2-digit"});return" "+format.replace(/\{time\}/gi,time)}function calculateShippingDate(el,now){return E.calculateShippingDate(getShopNow(el,now),readSettings(el))}function getDeliveryEstimate(el,windowEl,now){return E.getDeliveryEstimate(getShopNow(el,now),readSettings(el,windowEl))}function updateETATimeline(etaTimeline,estimate){const orderDateEl=etaTimeline.querySelector('.dib-eta-stage:nth-child(1) .dib-eta-date');if(orderDateEl){orderDateEl.textContent=formatETADate(estimate.orderDate)}const shippingDateEl=etaTimeline.querySelector('.dib-eta-stage:nth-child(3) .dib-eta-date');if(shippingDateEl){shippingDateEl.textContent=formatETADate(estimate.shippingDate)}const deliveryStageEl=etaTimeline.querySelector('.dib-eta-stage:nth-child(5)');const deliveryDateEl=deliveryStageEl?deliveryStageEl.querySelector('.dib-eta-date'):null;if(deliveryDateEl){deliveryDateEl.textContent=estimate.arrivalText;deliveryStageEl.style.marginRight=estimate.deliveryMinDate.getMonth()!==estimate.deliveryMaxDate.getMonth()?'8px':''}}function updateCountdownPlaceholders(){document.querySelectorAll(".dib-countdown-placeholder").forEach(function(span){const line=span.closest(".dib-line");if(!line)return;const block=span.closest("[data-delivery-min]");if(!block)return;const cfgEl=block.querySelector(".dib-config");if(!cfgEl)return;const now=new Date();const{ok,cutoffUtcMs}=computeCutoffForToday(cfgEl,now);if(!ok||cutoffUtcMs-now.getTime()<=0){var fallback=line.getAttribute("data-cutoff-fallback")||"Order ships {shipped}";(window.__DIB_EVENTS__=window.__DIB_EVENTS__||[]).push({type:"cutoff_fallback",rule:block.getAttribute("data-dib-rule")});var shippingDate=calculateShippingDate(cfgEl,now);var shippedStr=formatETADate(shippingDate);fallback=fallback.replace(/\{shipped\}/gi,shippedStr);var textEl=line.querySelector(".dib-line-text");if(textEl){textEl.innerHTML="";if(fallback.indexOf("**")>-1){var parts=fallback.split("**");parts.forEach(function(part,i){if(!part)return;if(i%2===1){var strong=document.createElement("strong");strong.textContent=part;textEl.appendChild(strong)}else{textEl.appendChild(document.createTextNode(part))}})}else{textEl.textContent=fallback}}line.classList.add("is-ready");return}const remainingMs=cutoffUtcMs-now.getTime();const timeStr=formatRemaining(remainingMs)+formatLocalCutoff(cfgEl,cutoffUtcMs);span.textContent=timeStr;line.classList.add("is-ready")})}function updateETATimelinesStandalone(){const timelines=document.querySelectorAll(".dib-eta-timeline");timelines.forEach((timeline)=>{const uid=timeline.getAttribute('data-uid');if(!uid)return;const block=document.getElementById(uid);if(!block)return;updateETATimeline(timeline,getDeliveryEstimate(timeline,timeline,new Date()))})}function updatePlaceholders(){document.querySelectorAll(".dib-arrival-placeholder, .dib-express-placeholder, .dib-shipped-placeholder").forEach(function(span){var block=span.closest("[data-delivery-min]");if(!block)return;var cfgEl=block.querySelector(".dib-config");if(!cfgEl)return;var estimate=getDeliveryEstimate(cfgEl,block,new Date());if(span.classList.contains("dib-arrival-placeholder")){span.textContent=estimate.arrivalText}else if(span.classList.contains("dib-express-placeholder")){span.textContent=estimate.expressText}else{span.textContent=estimate.shippedText}})}function constrainETAGap(){document.querySelectorAll('.dib-eta-timeline-block').forEach(function(block){var stages=block.querySelector('.dib-eta-stages');if(!stages)return;stages.style.gap='';var containerWidth=block.clientWidth;if(containerWidth<=0)return;var stageEls=stages.querySelectorAll('.dib-eta-stage');var connectorEls=[];stages.childNodes.forEach(function(child){if(child.nodeType===1&&!child.classList.contains('dib-eta-stage')){connectorEls.push(child)}});var stagesWidth=0;stageEls.forEach(function(el){stagesWidth+=el.offsetWidth});var connectorsWidth=0;connectorEls.forEach(function(el){connectorsWidth+=el.offsetWidth});var borderPadding=0;var cs=window.getComputedStyle(stages);var borderLeft=parseFloat(cs.borderLeftWidth)||0;var borderRight=parseFloat(cs.borderRightWidth)||0;var paddingLeft=parseFloat(cs.paddingLeft)||0;var paddingRight=parseFloat(cs.paddingRight)||0;borderPadding=borderLeft+borderRight+paddingLeft+paddingRight;var numGaps=stageEls.length+connectorEls.length-1;if(numGaps<=0)return;var availableForGaps=containerWidth-stagesWidth-connectorsWidth-borderPadding;var maxGapPerSlot=Math.max(0,availableForGaps/numGaps);var currentGap=parseFloat(cs.gap)||0;if(currentGap>maxGapPerSlot&&maxGapPerSlot>=0){stages.style.gap=Math.floor(maxGapPerSlot)+'px'}})}function parseLinks(){var cfg=document.querySelector('.dib-config[data-link-color]');var lc=cfg?cfg.getAttribute('data-link-color')||'#2563eb':'#2563eb';var ld=cfg?cfg.getAttribute('data-link-decoration')||'underline':'underline';var hc=cfg?cfg.getAttribute('data-link-hover-color')||'#1d4ed8':'#1d4ed8';var hd=cfg?cfg.getAttribute('data-link-hover-decoration')||'underline':'underline';var ho=cfg?cfg.getAttribute('data-link-hover-opacity')||'1':'1';var lt=cfg?cfg.getAttribute('data-link-thickness')||'1px':'1px';var ht=cfg?cfg.getAttribute('data-link-hover-thickness')||'2px':'2px';if(!document.getElementById('dib-link-styles')){var s=document.createElement('style');s.id='dib-link-styles';s.textContent='.dib-link{color:'+lc+';text-decoration:'+ld+';text-decoration-thickness:'+lt+';transition:all .15s ease}.dib-link:hover{color:'+hc+';text-decoration:'+hd+';text-decoration-thickness:'+ht+';opacity:'+ho+'}';document.head.appendChild(s)}document.querySelectorAll('.dib-line-text,.dib-special-text,.dib-special-header').forEach(function(el){if(el.dataset.mdParsed)return;var html=el.innerHTML;if(html.indexOf('**')>-1){html=html.split('**').map(function(p,i){return i%2===1?'<strong>'+p+'</strong>':p}).join('')}if(html.indexOf('[')>-1&&html.indexOf('](')>-1){html=html.replace(/\[([^\]]+)\]\(([^)]+)\)/g,function(_,t,u){var h=u.match(/^https?:\/\//i)?u:(/^(\/|tel:|mailto:)/i.test(u)?u:'https://'+u);var tgt=/^(\/|tel:|mailto:)/i.test(h)?'_self':'_blank';return'<a href="'+h+'" target="'+tgt+'"'+(tgt==='_blank'?' rel="noopener"':'')+' class="dib-link">'+t+'</a>'})}el.innerHTML=html;el.dataset.mdParsed='1'})}function tick(){document.querySelectorAll('[data-dib-js]:not([data-dib-init])').forEach(function(el){el.setAttribute('data-dib-init','1')});parseLinks();updateCountdownPlaceholders();updateETATimelinesStandalone();updatePlaceholders();constrainETAGap();document.querySelectorAll('.dib-messages .dib-container:not(.is-ready)').forEach(function(c){c.classList.add('is-ready')});document.querySelectorAll('.dib-eta-timeline:not(.is-ready)').forEach(function(t){t.classList.add('is-ready')});document.querySelectorAll('.dib-special-delivery-block .dib-container:not(.is-ready)').forEach(function(c){c.classList.add('is-ready')})}tick();setInterval(tick,30000);var delayedFn=function(){constrainETAGap()};if(document.readyState==='loading'){document.addEventListener('DOMContentLoaded',function(){setTimeout(delayedFn,50)})}else{setTimeout(delayedFn,50)}window.addEventListener('resize',function(){setTimeout(function(){constrainETAGap()},100)});window.DIBCountdown={computeCutoffForToday:computeCutoffForToday,formatRemaining:formatRemaining,refresh:tick}})();
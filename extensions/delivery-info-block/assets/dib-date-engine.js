@@ -0,0 +1,1692 @@
+/* Generated by scripts/build-date-engine.js from app/utils/holidays.js and app/utils/deliveryDates.js. Do not edit by hand. */
+/* eslint-disable */
+(function () {
+  if (window.DIBDateEngine) return;
+
+  // --- app/utils/holidays.js ---
+
+  // ============================================================================
+  // DATE UTILITIES
+  // ============================================================================
+
+  /**
+   * Add days to a date
+   */
+  function addDays(date, days) {
+    const result = new Date(date);
+    result.setDate(result.getDate() + days);
+    return result;
+  }
+
+  /**
+   * Format date as YYYY-MM-DD
+   */
+  function formatDate(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, "0");
+    const day = String(date.getDate()).padStart(2, "0");
+    return `${year}-${month}-${day}`;
+  }
+
+  // ============================================================================
+  // EASTER & HOLIDAY CALCULATION HELPERS
+  // ============================================================================
+
+  /**
+   * Calculate Easter Sunday for a given year using the Anonymous Gregorian algorithm
+   * This is the basis for many moveable Christian holidays
+   */
+  function getEasterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return new Date(year, month - 1, day);
+  }
+
+  /**
+   * Calculate Orthodox Easter using the Julian calendar algorithm
+   * Used by Greece, Romania, and other Orthodox countries
+   */
+  function getOrthodoxEaster(year) {
+    const a = year % 4;
+    const b = year % 7;
+    const c = year % 19;
+    const d = (19 * c + 15) % 30;
+    const e = (2 * a + 4 * b - d + 34) % 7;
+    const month = Math.floor((d + e + 114) / 31);
+    const day = ((d + e + 114) % 31) + 1;
+    // Convert from Julian to Gregorian calendar (add 13 days for 1900-2099)
+    const julianDate = new Date(year, month - 1, day);
+    julianDate.setDate(julianDate.getDate() + 13);
+    return julianDate;
+  }
+
+  /**
+   * Get the nth occurrence of a specific weekday in a month
+   * @param year - The year
+   * @param month - Month (0-11)
+   * @param weekday - Day of week (0=Sunday, 1=Monday, etc.)
+   * @param n - Which occurrence (1=first, 2=second, etc., -1=last)
+   */
+  function getNthWeekdayOfMonth(year, month, weekday, n) {
+    if (n === -1) {
+      // Last occurrence of weekday in month
+      const lastDay = new Date(year, month + 1, 0);
+      const diff = (lastDay.getDay() - weekday + 7) % 7;
+      return new Date(year, month, lastDay.getDate() - diff);
+    }
+
+    const firstDay = new Date(year, month, 1);
+    const firstWeekday = firstDay.getDay();
+    let dayOfMonth = 1 + ((weekday - firstWeekday + 7) % 7) + (n - 1) * 7;
+    return new Date(year, month, dayOfMonth);
+  }
+
+
+  /**
+   * Get the Saturday between June 20-26 (Swedish Midsummer)
+   */
+  function getMidsummerDay(year) {
+    // Midsummer Day is the Saturday between June 20-26
+    for (let d = 20; d <= 26; d++) {
+      const date = new Date(year, 5, d); // June is month 5
+      if (date.getDay() === 6) return date;
+    }
+    return new Date(year, 5, 20);
+  }
+
+  /**
+   * Get a fixed-date holiday moved to the following Monday when it falls on a weekend
+   * (e.g. St Andrew's Day in Scotland)
+   */
+  function getMondayIfWeekend(year, month, day) {
+    const date = new Date(year, month, day);
+    if (date.getDay() === 6) return addDays(date, 2);
+    if (date.getDay() === 0) return addDays(date, 1);
+    return date;
+  }
+
+  /**
+   * Get the Wednesday before November 23 (Repentance and Prayer Day, Saxony)
+   */
+  function getRepentanceDay(year) {
+    const date = new Date(year, 10, 22);
+    while (date.getDay() !== 3) date.setDate(date.getDate() - 1);
+    return date;
+  }
+
+  /**
+   * Get All Saints Day for countries that observe it on Saturday
+   * (Saturday between Oct 31 - Nov 6)
+   */
+  function getAllSaintsSaturday(year) {
+    for (let d = 31; d <= 31; d++) {
+      const date = new Date(year, 9, d);
+      if (date.getDay() === 6) return date;
+    }
+    for (let d = 1; d <= 6; d++) {
+      const date = new Date(year, 10, d);
+      if (date.getDay() === 6) return date;
+    }
+    return new Date(year, 10, 1);
+  }
+
+  // ============================================================================
+  // COUNTRY HOLIDAY DEFINITIONS
+  // ============================================================================
+
+  /**
+   * Each country defines its holidays as a function that returns dates for a given year
+   * Holiday types:
+   * - Fixed: Same date every year (e.g., Jan 1, Dec 25)
+   * - Easter-based: Offset from Easter Sunday
+   * - Nth weekday: e.g., "first Monday of May"
+   */
+  const HOLIDAY_DEFINITIONS = {
+    // === Europe ===
+    AT: {
+      name: "Austria",
+      getHolidays: (year) => {
+        const easter = getEasterSunday(year);
+        return [
+          `${year}-01-01`, // New Year's Day
+          `${year}-01-06`, // Epiphany
+          formatDate(addDays(easter, 1)), // Easter Monday
+          `${year}-05-01`, // Labour Day
+          formatDate(addDays(easter, 39)), // Ascension Day
+          formatDate(addDays(easter, 50)), // Whit Monday
+          formatDate(addDays(easter, 60)), // Corpus Christi
+          `${year}-08-15`, // Assumption
+          `${year}-10-26`, // National Day
+          `${year}-11-01`, // All Saints
+          `${year}-12-08`, // Immaculate Conception
+          `${year}-12-25`, // Christmas
+          `${year}-12-26`, // St. Stephen's Day
+        ];
+      },
+    },
+    BE: {
+      name: "Belgium",
+      getHolidays: (year) => {
+        const easter = getEasterSunday(year);
+        return [
+          `${year}-01-01`, // New Year's Day
+          formatDate(addDays(easter, 1)), // Easter Monday
+          `${year}-05-01`, // Labour Day
+          formatDate(addDays(easter, 39)), // Ascension Day
+          formatDate(addDays(easter, 50)), // Whit Monday
+          `${year}-07-21`, // Belgian National Day
+          `${year}-08-15`, // Assumption
+          `${year}-11-01`, // All Saints
+          `${year}-11-11`, // Armistice Day
+          `${year}-12-25`, // Christmas
+        ];
+      },
+    },
+    CH: {
+      name: "Switzerland",
+      getHolidays: (year) => {
+        const easter = getEasterSunday(year);
+        return [
+          `${year}-01-01`, // New Year's Day
+          `${year}-01-02`, // Berchtold's Day
+          formatDate(addDays(easter, -2)), // Good Friday
+          formatDate(addDays(easter, 1)), // Easter Monday
+          formatDate(addDays(easter, 39)), // Ascension Day
+          formatDate(addDays(easter, 50)), // Whit Monday
+          `${year}-08-01`, // Swiss National Day
+          `${year}-12-25`, // Christmas
+          `${year}-12-26`, // St. Stephen's Day
+        ];
+      },
+    },
+    CZ: {
+      name: "Czech Republic",
+      getHolidays: (year) => {
+        const easter = getEasterSunday(year);
+        return [
+          `${year}-01-01`, // New Year's Day
+          formatDate(addDays(easter, -2)), // Good Friday
+          formatDate(addDays(easter, 1)), // Easter Monday
+          `${year}-05-01`, // Labour Day
+          `${year}-05-08`, // Liberation Day
+          `${year}-07-05`, // Saints Cyril and Methodius
+          `${year}-07-06`, // Jan Hus Day
+          `${year}-09-28`, // Czech Statehood Day
+          `${year}-10-28`, // Independence Day
+          `${year}-11-17`, // Struggle for Freedom Day
+          `${year}-12-24`, // Christmas Eve
+          `${year}-12-25`, // Christmas
+          `${year}-12-26`, // St. Stephen's Day
+        ];
+      },
+    },
+    DE: {
+      name: "Germany",
+      getHolidays: (year) => {
+        const easter = getEasterSunday(year);
+        return [
+          `${year}-01-01`, // New Year's Day
+          formatDate(addDays(easter, -2)), // Good Friday
+          formatDate(addDays(easter, 1)), // Easter Monday
+          `${year}-05-01`, // Labour Day
+          formatDate(addDays(easter, 39)), // Ascension Day
+          formatDate(addDays(easter, 50)), // Whit Monday
+          `${year}-10-03`, // German Unity Day
+          `${year}-12-25`, // Christmas
+          `${year}-12-26`, // St. Stephen's Day
+        ];
+      },
+    },
+    DK: {
+      name: "Denmark",
+      getHolidays: (year) => {
+        const easter = getEasterSunday(year);
+        return [
+          `${year}-01-01`, // New Year's Day
+          formatDate(addDays(easter, -3)), // Maundy Thursday
+          formatDate(addDays(easter, -2)), // Good Friday
+          formatDate(addDays(easter, 1)), // Easter Monday
+          formatDate(addDays(easter, 26)), // Store Bededag (Great Prayer Day)
+          formatDate(addDays(easter, 39)), // Ascension Day
+          `${year}-06-05`, // Constitution Day
+          formatDate(addDays(easter, 50)), // Whit Monday
+          `${year}-12-25`, // Christmas
+          `${year}-12-26`, // Second Christmas Day
+        ];
+      },
+    },
+    ES: {
+      name: "Spain",
+      getHolidays: (year) => {
+        const easter = getEasterSunday(year);
+        return [
+          `${year}-01-01`, // New Year's Day
+          `${year}-01-06`, // Epiphany
+          formatDate(addDays(easter, -2)), // Good Friday
+          `${year}-05-01`, // Labour Day
+          `${year}-08-15`, // Assumption
+          `${year}-10-12`, // Hispanic Day
+          `${year}-11-01`, // All Saints
+          `${year}-12-06`, // Constitution Day
+          `${year}-12-08`, // Immaculate Conception
+          `${year}-12-25`, // Christmas
+        ];
+      },
+    },
+    FI: {
+      name: "Finland",
+      getHolidays: (year) => {
+        const easter = getEasterSunday(year);
+        const midsummer = getMidsummerDay(year);
+        const allSaints = getAllSaintsSaturday(year);
+        return [
+          `${year}-01-01`, // New Year's Day
+          `${year}-01-06`, // Epiphany
+          formatDate(addDays(easter, -2)), // Good Friday
+          formatDate(addDays(easter, 1)), // Easter Monday
+          `${year}-05-01`, // May Day
+          formatDate(addDays(easter, 39)), // Ascension Day
+          formatDate(addDays(midsummer, -1)), // Midsummer Eve
+          formatDate(midsummer), // Midsummer Day
+          formatDate(allSaints), // All Saints (Saturday)
+          `${year}-12-06`, // Independence Day
+          `${year}-12-24`, // Christmas Eve
+          `${year}-12-25`, // Christmas
+          `${year}-12-26`, // St. Stephen's Day
+        ];
+      },
+    },
+    FR: {
+      name: "France",
+      getHolidays: (year) => {
+        const easter = getEasterSunday(year);
+        return [
+          `${year}-01-01`, // New Year's Day
+          formatDate(addDays(easter, 1)), // Easter Monday
+          `${year}-05-01`, // Labour Day
+          `${year}-05-08`, // Victory in Europe Day
+          formatDate(addDays(easter, 39)), // Ascension Day
+          formatDate(addDays(easter, 50)), // Whit Monday
+          `${year}-07-14`, // Bastille Day
+          `${year}-08-15`, // Assumption
+          `${year}-11-01`, // All Saints
+          `${year}-11-11`, // Armistice Day
+          `${year}-12-25`, // Christmas
+        ];
+      },
+    },
+    GB: {
+      name: "United Kingdom",
+      getHolidays: (year) => {
+        const easter = getEasterSunday(year);
+        const earlyMay = getNthWeekdayOfMonth(year, 4, 1, 1); // First Monday of May
+        const spring = getNthWeekdayOfMonth(year, 4, 1, -1); // Last Monday of May
+        const summer = getNthWeekdayOfMonth(year, 7, 1, -1); // Last Monday of August
+
+        const holidays = [
+          `${year}-01-01`, // New Year's Day
+          formatDate(addDays(easter, -2)), // Good Friday
+          formatDate(addDays(easter, 1)), // Easter Monday
+          formatDate(earlyMay), // Early May Bank Holiday
+          formatDate(spring), // Spring Bank Holiday
+          formatDate(summer), // Summer Bank Holiday
+          `${year}-12-25`, // Christmas
+          `${year}-12-26`, // Boxing Day
+        ];
+
+        // Handle substitute days if Christmas/Boxing Day falls on weekend
+        const christmas = new Date(year, 11, 25);
+        const boxingDay = new Date(year, 11, 26);
+        if (christmas.getDay() === 0) {
+          holidays.push(`${year}-12-27`); // Substitute for Christmas
+        } else if (christmas.getDay() === 6) {
+          holidays.push(`${year}-12-27`); // Substitute for Boxing Day
+          holidays.push(`${year}-12-28`); // Substitute for Christmas (if both on weekend)
+        }
+        if (boxingDay.getDay() === 0) {
+          holidays.push(`${year}-12-28`); // Substitute for Boxing Day (Sunday)
+        } else if (boxingDay.getDay() === 6 && christmas.getDay() !== 6) {
+          holidays.push(`${year}-12-28`); // Substitute for Boxing Day (Saturday, when Christmas is Friday)
+        }
+
+        return holidays;
+      },
+    },
+    GR: {
+      name: "Greece",
+      getHolidays: (year) => {
+        const orthodoxEaster = getOrthodoxEaster(year);
+        return [
+          `${year}-01-01`, // New Year's Day
+          `${year}-01-06`, // Epiphany
+          formatDate(addDays(orthodoxEaster, -48)), // Clean Monday (start of Lent)
+          `${year}-03-25`, // Independence Day
+          formatDate(addDays(orthodoxEaster, -2)), // Good Friday
+          formatDate(orthodoxEaster), // Easter Sunday
+          formatDate(addDays(orthodoxEaster, 1)), // Easter Monday
+          `${year}-05-01`, // Labour Day
+          formatDate(addDays(orthodoxEaster, 50)), // Whit Monday
+          `${year}-08-15`, // Assumption
+          `${year}-10-28`, // Ochi Day
+          `${year}-12-25`, // Christmas
+          `${year}-12-26`, // Second Christmas Day
+        ];
+      },
+    },
+    HU: {
+      name: "Hungary",
+      getHolidays: (year) => {
+        const easter = getEasterSunday(year);
+        return [
+          `${year}-01-01`, // New Year's Day
+          `${year}-03-15`, // National Day
+          formatDate(addDays(easter, -2)), // Good Friday
+          formatDate(addDays(easter, 1)), // Easter Monday
+          `${year}-05-01`, // Labour Day
+          formatDate(addDays(easter, 49)), // Whit Sunday
+          formatDate(addDays(easter, 50)), // Whit Monday
+          `${year}-08-20`, // St. Stephen's Day
+          `${year}-10-23`, // Republic Day
+          `${year}-11-01`, // All Saints
+          `${year}-12-25`, // Christmas
+          `${year}-12-26`, // Second Christmas Day
+        ];
+      },
+    },
+    IE: {
+      name: "Ireland",
+      getHolidays: (year) => {
+        const easter = getEasterSunday(year);
+        const stBrigid = getNthWeekdayOfMonth(year, 1, 1, 1); // First Monday of February
+        const mayBH = getNthWeekdayOfMonth(year, 4, 1, 1); // First Monday of May
+        const juneBH = getNthWeekdayOfMonth(year, 5, 1, 1); // First Monday of June
+        const augBH = getNthWeekdayOfMonth(year, 7, 1, 1); // First Monday of August
+        const octBH = getNthWeekdayOfMonth(year, 9, 1, -1); // Last Monday of October
+
+        const holidays = [
+          `${year}-01-01`, // New Year's Day
+          formatDate(stBrigid), // St. Brigid's Day
+          `${year}-03-17`, // St. Patrick's Day
+          formatDate(addDays(easter, 1)), // Easter Monday
+          formatDate(mayBH), // May Bank Holiday
+          formatDate(juneBH), // June Bank Holiday
+          formatDate(augBH), // August Bank Holiday
+          formatDate(octBH), // October Bank Holiday
+          `${year}-12-25`, // Christmas
+          `${year}-12-26`, // St. Stephen's Day
+        ];
+
+        // Handle substitute days
+        const christmas = new Date(year, 11, 25);
+        const stephensDay = new Date(year, 11, 26);
+        if (christmas.getDay() === 0) {
+          holidays.push(`${year}-12-27`);
+        } else if (christmas.getDay() === 6) {
+          holidays.push(`${year}-12-27`);
+          holidays.push(`${year}-12-28`);
+        }
+        // St. Stephen's Day substitute (when Christmas is not already on Saturday)
+        if (stephensDay.getDay() === 0 && christmas.getDay() !== 6) {
+          holidays.push(`${year}-12-28`);
+        } else if (stephensDay.getDay() === 6 && christmas.getDay() !== 6) {
+          holidays.push(`${year}-12-28`);
+        }
+
+        return holidays;
+      },
+    },
+    IT: {
+      name: "Italy",
+      getHolidays: (year) => {
+        const easter = getEasterSunday(year);
+        return [
+          `${year}-01-01`, // New Year's Day
+          `${year}-01-06`, // Epiphany
+          formatDate(easter), // Easter Sunday
+          formatDate(addDays(easter, 1)), // Easter Monday
+          `${year}-04-25`, // Liberation Day
+          `${year}-05-01`, // Labour Day
+          `${year}-06-02`, // Republic Day
+          `${year}-08-15`, // Assumption
+          `${year}-11-01`, // All Saints
+          `${year}-12-08`, // Immaculate Conception
+          `${year}-12-25`, // Christmas
+          `${year}-12-26`, // St. Stephen's Day
+        ];
+      },
+    },
+    LU: {
+      name: "Luxembourg",
+      getHolidays: (year) => {
+        const easter = getEasterSunday(year);
+        return [
+          `${year}-01-01`, // New Year's Day
+          formatDate(addDays(easter, 1)), // Easter Monday
+          `${year}-05-01`, // Labour Day
+          `${year}-05-09`, // Europe Day
+          formatDate(addDays(easter, 39)), // Ascension Day
+          formatDate(addDays(easter, 50)), // Whit Monday
+          `${year}-06-23`, // National Day
+          `${year}-08-15`, // Assumption
+          `${year}-11-01`, // All Saints
+          `${year}-12-25`, // Christmas
+          `${year}-12-26`, // St. Stephen's Day
+        ];
+      },
+    },
+    NL: {
+      name: "Netherlands",
+      getHolidays: (year) => {
+        const easter = getEasterSunday(year);
+        // King's Day is April 27, unless it's Sunday then April 26
+        let kingsDay = new Date(year, 3, 27);
+        if (kingsDay.getDay() === 0) kingsDay = new Date(year, 3, 26);
+
+        return [
+          `${year}-01-01`, // New Year's Day
+          formatDate(addDays(easter, -2)), // Good Friday
+          formatDate(addDays(easter, 1)), // Easter Monday
+          formatDate(kingsDay), // King's Day
+          `${year}-05-05`, // Liberation Day
+          formatDate(addDays(easter, 39)), // Ascension Day
+          formatDate(addDays(easter, 50)), // Whit Monday
+          `${year}-12-25`, // Christmas
+          `${year}-12-26`, // Second Christmas Day
+        ];
+      },
+    },
+    NO: {
+      name: "Norway",
+      getHolidays: (year) => {
+        const easter = getEasterSunday(year);
+        return [
+          `${year}-01-01`, // New Year's Day
+          formatDate(addDays(easter, -3)), // Maundy Thursday
+          formatDate(addDays(easter, -2)), // Good Friday
+          formatDate(addDays(easter, 1)), // Easter Monday
+          `${year}-05-01`, // Labour Day
+          `${year}-05-17`, // Constitution Day
+          formatDate(addDays(easter, 39)), // Ascension Day
+          formatDate(addDays(easter, 50)), // Whit Monday
+          `${year}-12-25`, // Christmas
+          `${year}-12-26`, // Second Christmas Day
+        ];
+      },
+    },
+    PL: {
+      name: "Poland",
+      getHolidays: (year) => {
+        const easter = getEasterSunday(year);
+        return [
+          `${year}-01-01`, // New Year's Day
+          `${year}-01-06`, // Epiphany
+          formatDate(easter), // Easter Sunday
+          formatDate(addDays(easter, 1)), // Easter Monday
+          `${year}-05-01`, // Labour Day
+          `${year}-05-03`, // Constitution Day
+          formatDate(addDays(easter, 49)), // Whit Sunday
+          formatDate(addDays(easter, 60)), // Corpus Christi
+          `${year}-08-15`, // Assumption
+          `${year}-11-01`, // All Saints
+          `${year}-11-11`, // Independence Day
+          `${year}-12-25`, // Christmas
+          `${year}-12-26`, // Second Christmas Day
+        ];
+      },
+    },
+    PT: {
+      name: "Portugal",
+      getHolidays: (year) => {
+        const easter = getEasterSunday(year);
+        return [
+          `${year}-01-01`, // New Year's Day
+          formatDate(addDays(easter, -47)), // Carnival
+          formatDate(addDays(easter, -2)), // Good Friday
+          formatDate(easter), // Easter Sunday
+          `${year}-04-25`, // Freedom Day
+          `${year}-05-01`, // Labour Day
+          formatDate(addDays(easter, 60)), // Corpus Christi
+          `${year}-06-10`, // Portugal Day
+          `${year}-08-15`, // Assumption
+          `${year}-10-05`, // Republic Day
+          `${year}-11-01`, // All Saints
+          `${year}-12-01`, // Restoration of Independence
+          `${year}-12-08`, // Immaculate Conception
+          `${year}-12-25`, // Christmas
+        ];
+      },
+    },
+    RO: {
+      name: "Romania",
+      getHolidays: (year) => {
+        const orthodoxEaster = getOrthodoxEaster(year);
+        return [
+          `${year}-01-01`, // New Year's Day
+          `${year}-01-02`, // Day after New Year
+          `${year}-01-24`, // Unification Day
+          formatDate(addDays(orthodoxEaster, -2)), // Good Friday
+          formatDate(orthodoxEaster), // Easter Sunday
+          formatDate(addDays(orthodoxEaster, 1)), // Easter Monday
+          `${year}-05-01`, // Labour Day
+          formatDate(addDays(orthodoxEaster, 49)), // Whit Sunday
+          formatDate(addDays(orthodoxEaster, 50)), // Whit Monday
+          `${year}-06-01`, // Children's Day
+          `${year}-08-15`, // Assumption
+          `${year}-11-30`, // St. Andrew's Day
+          `${year}-12-01`, // National Day
+          `${year}-12-25`, // Christmas
+          `${year}-12-26`, // Second Christmas Day
+        ];
+      },
+    },
+    SE: {
+      name: "Sweden",
+      getHolidays: (year) => {
+        const easter = getEasterSunday(year);
+        const midsummer = getMidsummerDay(year);
+        const allSaints = getAllSaintsSaturday(year);
+        return [
+          `${year}-01-01`, // New Year's Day
+          `${year}-01-06`, // Epiphany
+          formatDate(addDays(easter, -2)), // Good Friday
+          formatDate(addDays(easter, 1)), // Easter Monday
+          `${year}-05-01`, // Labour Day
+          formatDate(addDays(easter, 39)), // Ascension Day
+          `${year}-06-06`, // National Day
+          formatDate(addDays(midsummer, -1)), // Midsummer Eve
+          formatDate(midsummer), // Midsummer Day
+          formatDate(allSaints), // All Saints (Saturday)
+          `${year}-12-24`, // Christmas Eve
+          `${year}-12-25`, // Christmas
+          `${year}-12-26`, // Second Christmas Day
+        ];
+      },
+    },
+    SK: {
+      name: "Slovakia",
+      getHolidays: (year) => {
+        const easter = getEasterSunday(year);
+        return [
+          `${year}-01-01`, // New Year's Day / Republic Day
+          `${year}-01-06`, // Epiphany
+          formatDate(addDays(easter, -2)), // Good Friday
+          formatDate(addDays(easter, 1)), // Easter Monday
+          `${year}-05-01`, // Labour Day
+          `${year}-05-08`, // Victory Day
+          `${year}-07-05`, // Saints Cyril and Methodius
+          `${year}-08-29`, // Slovak National Uprising
+          `${year}-09-01`, // Constitution Day
+          `${year}-09-15`, // Our Lady of Sorrows
+          `${year}-11-01`, // All Saints
+          `${year}-11-17`, // Struggle for Freedom Day
+          `${year}-12-24`, // Christmas Eve
+          `${year}-12-25`, // Christmas
+          `${year}-12-26`, // Second Christmas Day
+        ];
+      },
+    },
+    // === North America ===
+    CA: {
+      name: "Canada",
+      getHolidays: (year) => {
+        const easter = getEasterSunday(year);
+        const familyDay = getNthWeekdayOfMonth(year, 1, 1, 3); // Third Monday of February
+        const labourDay = getNthWeekdayOfMonth(year, 8, 1, 1); // First Monday of September
+        const thanksgiving = getNthWeekdayOfMonth(year, 9, 1, 2); // Second Monday of October
+
+        // Victoria Day is the Monday on or before May 24
+        let victoriaDay = new Date(year, 4, 24);
+        while (victoriaDay.getDay() !== 1) victoriaDay.setDate(victoriaDay.getDate() - 1);
+
+        const holidays = [
+          `${year}-01-01`, // New Year's Day
+          formatDate(familyDay), // Family Day
+          formatDate(addDays(easter, -2)), // Good Friday
+          formatDate(victoriaDay), // Victoria Day
+          `${year}-07-01`, // Canada Day
+          formatDate(getNthWeekdayOfMonth(year, 7, 1, 1)), // Civic Holiday (first Monday of August)
+          formatDate(labourDay), // Labour Day
+          formatDate(thanksgiving), // Thanksgiving
+          `${year}-11-11`, // Remembrance Day
+          `${year}-12-25`, // Christmas
+          `${year}-12-26`, // Boxing Day
+        ];
+
+        // Handle Canada Day substitute
+        const canadaDay = new Date(year, 6, 1);
+        if (canadaDay.getDay() === 0) {
+          holidays.push(`${year}-07-02`);
+        } else if (canadaDay.getDay() === 6) {
+          holidays.push(`${year}-07-03`); // Monday substitute when Canada Day is Saturday
+        }
+
+        // Handle Christmas/Boxing Day substitutes
+        const christmas = new Date(year, 11, 25);
+        const boxingDay = new Date(year, 11, 26);
+        if (christmas.getDay() === 0) {
+          holidays.push(`${year}-12-27`);
+        } else if (christmas.getDay() === 6) {
+          holidays.push(`${year}-12-27`);
+          holidays.push(`${year}-12-28`);
+        }
+        // Boxing Day substitute (when Christmas is not already on Saturday)
+        if (boxingDay.getDay() === 0 && christmas.getDay() !== 6) {
+          holidays.push(`${year}-12-28`);
+        } else if (boxingDay.getDay() === 6 && christmas.getDay() !== 6) {
+          holidays.push(`${year}-12-28`);
+        }
+
+        return holidays;
+      },
+    },
+    US: {
+      name: "United States",
+      getHolidays: (year) => {
+        const mlkDay = getNthWeekdayOfMonth(year, 0, 1, 3); // Third Monday of January
+        const presidentsDay = getNthWeekdayOfMonth(year, 1, 1, 3); // Third Monday of February
+        const memorialDay = getNthWeekdayOfMonth(year, 4, 1, -1); // Last Monday of May
+        const laborDay = getNthWeekdayOfMonth(year, 8, 1, 1); // First Monday of September
+        const columbusDay = getNthWeekdayOfMonth(year, 9, 1, 2); // Second Monday of October
+        const thanksgiving = getNthWeekdayOfMonth(year, 10, 4, 4); // Fourth Thursday of November
+
+        const holidays = [
+          `${year}-01-01`, // New Year's Day
+          formatDate(mlkDay), // MLK Day
+          formatDate(presidentsDay), // Presidents Day
+          formatDate(memorialDay), // Memorial Day
+          `${year}-06-19`, // Juneteenth
+          `${year}-07-04`, // Independence Day
+          formatDate(laborDay), // Labor Day
+          formatDate(columbusDay), // Columbus Day
+          `${year}-11-11`, // Veterans Day
+          formatDate(thanksgiving), // Thanksgiving
+          `${year}-12-25`, // Christmas
+        ];
+
+        // Handle July 4th substitute (observed on Friday if Saturday, Monday if Sunday)
+        const july4 = new Date(year, 6, 4);
+        if (july4.getDay() === 6) {
+          holidays.push(`${year}-07-03`);
+        } else if (july4.getDay() === 0) {
+          holidays.push(`${year}-07-05`);
+        }
+
+        return holidays;
+      },
+    },
+    // === Oceania ===
+    AU: {
+      name: "Australia",
+      getHolidays: (year) => {
+        const easter = getEasterSunday(year);
+        const queensBirthday = getNthWeekdayOfMonth(year, 5, 1, 2); // Second Monday of June
+
+        // Australia Day - Jan 26 or next Monday if weekend
+        let ausDay = new Date(year, 0, 26);
+        if (ausDay.getDay() === 0) ausDay = new Date(year, 0, 27);
+        else if (ausDay.getDay() === 6) ausDay = new Date(year, 0, 28);
+
+        // ANZAC Day - April 25 (no substitute for weekend in most states)
+        const holidays = [
+          `${year}-01-01`, // New Year's Day
+          formatDate(ausDay), // Australia Day
+          formatDate(addDays(easter, -2)), // Good Friday
+          formatDate(addDays(easter, 1)), // Easter Monday
+          `${year}-04-25`, // ANZAC Day
+          formatDate(queensBirthday), // Queen's Birthday
+          `${year}-12-25`, // Christmas
+          `${year}-12-26`, // Boxing Day
+        ];
+
+        // Handle Christmas/Boxing Day substitutes
+        const christmas = new Date(year, 11, 25);
+        const boxingDay = new Date(year, 11, 26);
+        if (christmas.getDay() === 0) {
+          holidays.push(`${year}-12-27`);
+        } else if (christmas.getDay() === 6) {
+          holidays.push(`${year}-12-27`);
+          holidays.push(`${year}-12-28`);
+        }
+        // Boxing Day substitute (when Christmas is not already on Saturday)
+        if (boxingDay.getDay() === 0 && christmas.getDay() !== 6) {
+          holidays.push(`${year}-12-28`);
+        } else if (boxingDay.getDay() === 6 && christmas.getDay() !== 6) {
+          holidays.push(`${year}-12-28`);
+        }
+
+        return holidays;
+      },
+    },
+    NZ: {
+      name: "New Zealand",
+      getHolidays: (year) => {
+        const easter = getEasterSunday(year);
+        const queensBirthday = getNthWeekdayOfMonth(year, 5, 1, 1); // First Monday of June
+        const labourDay = getNthWeekdayOfMonth(year, 9, 1, 4); // Fourth Monday of October
+
+        // Matariki - Friday closest to first lunar month (approximate, varies)
+        // For simplicity, using an approximation
+        const matarikiDates = {
+          2024: "2024-06-28", 2025: "2025-06-20", 2026: "2026-07-10",
+          2027: "2027-06-25", 2028: "2028-07-14", 2029: "2029-07-06",
+          2030: "2030-06-21",
+        };
+
+        const holidays = [
+          `${year}-01-01`, // New Year's Day
+          `${year}-01-02`, // Day after New Year
+          `${year}-02-06`, // Waitangi Day
+          formatDate(addDays(easter, -2)), // Good Friday
+          formatDate(addDays(easter, 1)), // Easter Monday
+          `${year}-04-25`, // ANZAC Day
+          formatDate(queensBirthday), // Queen's Birthday
+          matarikiDates[year] || `${year}-06-20`, // Matariki (approximate)
+          formatDate(labourDay), // Labour Day
+          `${year}-12-25`, // Christmas
+          `${year}-12-26`, // Boxing Day
+        ];
+
+        // Handle substitute days
+        const christmas = new Date(year, 11, 25);
+        const boxingDay = new Date(year, 11, 26);
+        if (christmas.getDay() === 0) {
+          holidays.push(`${year}-12-27`);
+        } else if (christmas.getDay() === 6) {
+          holidays.push(`${year}-12-27`);
+          holidays.push(`${year}-12-28`);
+        }
+        // Boxing Day substitute (when Christmas is not already on Saturday)
+        if (boxingDay.getDay() === 0 && christmas.getDay() !== 6) {
+          holidays.push(`${year}-12-28`);
+        } else if (boxingDay.getDay() === 6 && christmas.getDay() !== 6) {
+          holidays.push(`${year}-12-28`);
+        }
+
+        return holidays;
+      },
+    },
+  };
+
+  // ============================================================================
+  // SUBDIVISION HOLIDAY DEFINITIONS
+  // ============================================================================
+
+  /**
+   * Regional calendars keyed by country, then ISO 3166-2 subdivision suffix
+   * Each getHolidays(year, national) receives the country's list and returns the
+   * subdivision's full list, so regions can drop national days as well as add their own.
+   * A subdivision without getHolidays observes the national list unchanged.
+   */
+  const without = (holidays, ...dates) => holidays.filter((d) => !dates.includes(d));
+
+  const SUBDIVISION_DEFINITIONS = {
+    // === Europe ===
+    DE: {
+      BW: {
+        name: "Baden-Württemberg",
+        getHolidays: (year, national) => {
+          const easter = getEasterSunday(year);
+          return [
+            ...national,
+            `${year}-01-06`, // Epiphany
+            formatDate(addDays(easter, 60)), // Corpus Christi
+            `${year}-11-01`, // All Saints
+          ];
+        },
+      },
+      BY: {
+        name: "Bavaria",
+        getHolidays: (year, national) => {
+          const easter = getEasterSunday(year);
+          return [
+            ...national,
+            `${year}-01-06`, // Epiphany
+            formatDate(addDays(easter, 60)), // Corpus Christi
+            `${year}-08-15`, // Assumption
+            `${year}-11-01`, // All Saints
+          ];
+        },
+      },
+      BE: {
+        name: "Berlin",
+        getHolidays: (year, national) => [
+          ...national,
+          `${year}-03-08`, // International Women's Day
+        ],
+      },
+      BB: {
+        name: "Brandenburg",
+        getHolidays: (year, national) => [
+          ...national,
+          `${year}-10-31`, // Reformation Day
+        ],
+      },
+      HB: {
+        name: "Bremen",
+        getHolidays: (year, national) => [
+          ...national,
+          `${year}-10-31`, // Reformation Day
+        ],
+      },
+      HH: {
+        name: "Hamburg",
+        getHolidays: (year, national) => [
+          ...national,
+          `${year}-10-31`, // Reformation Day
+        ],
+      },
+      HE: {
+        name: "Hesse",
+        getHolidays: (year, national) => [
+          ...national,
+          formatDate(addDays(getEasterSunday(year), 60)), // Corpus Christi
+        ],
+      },
+      MV: {
+        name: "Mecklenburg-Vorpommern",
+        getHolidays: (year, national) => [
+          ...national,
+          `${year}-03-08`, // International Women's Day
+          `${year}-10-31`, // Reformation Day
+        ],
+      },
+      NI: {
+        name: "Lower Saxony",
+        getHolidays: (year, national) => [
+          ...national,
+          `${year}-10-31`, // Reformation Day
+        ],
+      },
+      NW: {
+        name: "North Rhine-Westphalia",
+        getHolidays: (year, national) => [
+          ...national,
+          formatDate(addDays(getEasterSunday(year), 60)), // Corpus Christi
+          `${year}-11-01`, // All Saints
+        ],
+      },
+      RP: {
+        name: "Rhineland-Palatinate",
+        getHolidays: (year, national) => [
+          ...national,
+          formatDate(addDays(getEasterSunday(year), 60)), // Corpus Christi
+          `${year}-11-01`, // All Saints
+        ],
+      },
+      SL: {
+        name: "Saarland",
+        getHolidays: (year, national) => [
+          ...national,
+          formatDate(addDays(getEasterSunday(year), 60)), // Corpus Christi
+          `${year}-08-15`, // Assumption
+          `${year}-11-01`, // All Saints
+        ],
+      },
+      SN: {
+        name: "Saxony",
+        getHolidays: (year, national) => [
+          ...national,
+          `${year}-10-31`, // Reformation Day
+          formatDate(getRepentanceDay(year)), // Repentance and Prayer Day
+        ],
+      },
+      ST: {
+        name: "Saxony-Anhalt",
+        getHolidays: (year, national) => [
+          ...national,
+          `${year}-01-06`, // Epiphany
+          `${year}-10-31`, // Reformation Day
+        ],
+      },
+      SH: {
+        name: "Schleswig-Holstein",
+        getHolidays: (year, national) => [
+          ...national,
+          `${year}-10-31`, // Reformation Day
+        ],
+      },
+      TH: {
+        name: "Thuringia",
+        getHolidays: (year, national) => [
+          ...national,
+          `${year}-09-20`, // World Children's Day
+          `${year}-10-31`, // Reformation Day
+        ],
+      },
+    },
+    GB: {
+      ENG: { name: "England" },
+      WLS: { name: "Wales" },
+      SCT: {
+        name: "Scotland",
+        getHolidays: (year, national) => {
+          const easter = getEasterSunday(year);
+          const englishSummer = getNthWeekdayOfMonth(year, 7, 1, -1); // Last Monday of August
+          const holidays = [
+            ...without(national, formatDate(addDays(easter, 1)), formatDate(englishSummer)),
+            `${year}-01-02`, // 2nd January
+            formatDate(getNthWeekdayOfMonth(year, 7, 1, 1)), // Summer Bank Holiday (first Monday of August)
+            formatDate(getMondayIfWeekend(year, 10, 30)), // St Andrew's Day
+          ];
+
+          // Handle substitute days if New Year's Day/2nd January falls on weekend
+          const newYear = new Date(year, 0, 1);
+          if (newYear.getDay() === 0) {
+            holidays.push(`${year}-01-03`); // Substitute for New Year's Day (2nd January is the Monday)
+          } else if (newYear.getDay() === 6) {
+            holidays.push(`${year}-01-03`); // Substitute for New Year's Day
+            holidays.push(`${year}-01-04`); // Substitute for 2nd January
+          } else if (newYear.getDay() === 5) {
+            holidays.push(`${year}-01-04`); // Substitute for 2nd January (Saturday)
+          }
+
+          return holidays;
+        },
+      },
+      NIR: {
+        name: "Northern Ireland",
+        getHolidays: (year, national) => [
+          ...national,
+          formatDate(getMondayIfWeekend(year, 2, 17)), // St Patrick's Day
+          formatDate(getMondayIfWeekend(year, 6, 12)), // Battle of the Boyne
+        ],
+      },
+    },
+    // === North America ===
+    CA: {
+      AB: { name: "Alberta" },
+      BC: {
+        name: "British Columbia",
+        getHolidays: (year, national) => [
+          ...national,
+          `${year}-09-30`, // National Day for Truth and Reconciliation
+        ],
+      },
+      ON: {
+        name: "Ontario",
+        getHolidays: (year, national) => without(national, `${year}-11-11`), // No Remembrance Day
+      },
+      QC: {
+        name: "Quebec",
+        getHolidays: (year, national) => [
+          ...without(
+            national,
+            formatDate(getNthWeekdayOfMonth(year, 1, 1, 3)), // No Family Day
+            formatDate(getNthWeekdayOfMonth(year, 7, 1, 1)), // No Civic Holiday
+            `${year}-11-11`, // No Remembrance Day
+          ),
+          `${year}-06-24`, // Saint-Jean-Baptiste Day
+        ],
+      },
+    },
+    US: {
+      CA: {
+        name: "California",
+        getHolidays: (year, national) => [
+          ...national,
+          `${year}-03-31`, // César Chávez Day
+          formatDate(addDays(getNthWeekdayOfMonth(year, 10, 4, 4), 1)), // Day after Thanksgiving
+        ],
+      },
+      MA: {
+        name: "Massachusetts",
+        getHolidays: (year, national) => [
+          ...national,
+          formatDate(getNthWeekdayOfMonth(year, 3, 1, 3)), // Patriots' Day (third Monday of April)
+        ],
+      },
+      NY: {
+        name: "New York",
+        getHolidays: (year, national) => [
+          ...national,
+          `${year}-02-12`, // Lincoln's Birthday
+        ],
+      },
+      TX: {
+        name: "Texas",
+        getHolidays: (year, national) => [
+          ...national,
+          `${year}-03-02`, // Texas Independence Day
+          `${year}-04-21`, // San Jacinto Day
+          formatDate(addDays(getNthWeekdayOfMonth(year, 10, 4, 4), 1)), // Day after Thanksgiving
+          `${year}-12-24`, // Christmas Eve
+          `${year}-12-26`, // Day after Christmas
+        ],
+      },
+    },
+    // === Oceania ===
+    AU: {
+      ACT: {
+        name: "Australian Capital Territory",
+        getHolidays: (year, national) => {
+          // Reconciliation Day - Monday on or after May 27
+          let reconciliationDay = new Date(year, 4, 27);
+          while (reconciliationDay.getDay() !== 1) reconciliationDay.setDate(reconciliationDay.getDate() + 1);
+          return [
+            ...national,
+            formatDate(getNthWeekdayOfMonth(year, 2, 1, 2)), // Canberra Day
+            formatDate(reconciliationDay), // Reconciliation Day
+            formatDate(getNthWeekdayOfMonth(year, 9, 1, 1)), // Labour Day
+          ];
+        },
+      },
+      NSW: {
+        name: "New South Wales",
+        getHolidays: (year, national) => [
+          ...national,
+          formatDate(getNthWeekdayOfMonth(year, 9, 1, 1)), // Labour Day
+        ],
+      },
+      NT: {
+        name: "Northern Territory",
+        getHolidays: (year, national) => [
+          ...national,
+          formatDate(getNthWeekdayOfMonth(year, 4, 1, 1)), // May Day
+          formatDate(getNthWeekdayOfMonth(year, 7, 1, 1)), // Picnic Day
+        ],
+      },
+      QLD: {
+        name: "Queensland",
+        getHolidays: (year, national) => {
+          const easter = getEasterSunday(year);
+          return [
+            ...without(national, formatDate(getNthWeekdayOfMonth(year, 5, 1, 2))), // Birthday is in October
+            formatDate(addDays(easter, -1)), // Easter Saturday
+            formatDate(getNthWeekdayOfMonth(year, 4, 1, 1)), // Labour Day
+            formatDate(getNthWeekdayOfMonth(year, 9, 1, 1)), // King's Birthday
+          ];
+        },
+      },
+      SA: {
+        name: "South Australia",
+        getHolidays: (year, national) => [
+          ...national,
+          formatDate(addDays(getEasterSunday(year), -1)), // Easter Saturday
+          formatDate(getNthWeekdayOfMonth(year, 2, 1, 2)), // Adelaide Cup Day
+          formatDate(getNthWeekdayOfMonth(year, 9, 1, 1)), // Labour Day
+        ],
+      },
+      TAS: {
+        name: "Tasmania",
+        getHolidays: (year, national) => [
+          ...national,
+          formatDate(getNthWeekdayOfMonth(year, 2, 1, 2)), // Eight Hours Day
+        ],
+      },
+      VIC: {
+        name: "Victoria",
+        getHolidays: (year, national) => {
+          const easter = getEasterSunday(year);
+          return [
+            ...national,
+            formatDate(getNthWeekdayOfMonth(year, 2, 1, 2)), // Labour Day
+            formatDate(addDays(easter, -1)), // Easter Saturday
+            formatDate(easter), // Easter Sunday
+            formatDate(getNthWeekdayOfMonth(year, 10, 2, 1)), // Melbourne Cup Day (first Tuesday of November)
+          ];
+        },
+      },
+      WA: {
+        name: "Western Australia",
+        getHolidays: (year, national) => [
+          ...without(national, formatDate(getNthWeekdayOfMonth(year, 5, 1, 2))), // Birthday is in September
+          formatDate(getNthWeekdayOfMonth(year, 2, 1, 1)), // Labour Day
+          formatDate(getNthWeekdayOfMonth(year, 5, 1, 1)), // Western Australia Day
+          formatDate(getNthWeekdayOfMonth(year, 8, 1, -1)), // King's Birthday (last Monday of September)
+        ],
+      },
+    },
+  };
+
+  // ============================================================================
+  // PUBLIC API
+  // ============================================================================
+
+  /**
+   * Get holidays for a country or subdivision and year (dynamically calculated)
+   * @param regionCode - Country code ("GB") or ISO 3166-2 subdivision code ("GB-SCT")
+   * @param year - The year
+   */
+  function getHolidaysForYear(regionCode, year) {
+    const [countryCode, subdivisionCode] = String(regionCode || "").split("-");
+    const country = HOLIDAY_DEFINITIONS[countryCode];
+    if (!country || !country.getHolidays) return [];
+    const national = country.getHolidays(year);
+    const subdivision = subdivisionCode ? SUBDIVISION_DEFINITIONS[countryCode]?.[subdivisionCode] : null;
+    const holidays = subdivision?.getHolidays ? subdivision.getHolidays(year, national) : national;
+    return [...new Set(holidays)].sort();
+  }
+
+  /**
+   * Get the subdivisions with their own holiday calendar for a country
+   * @param countryCode - Country code, e.g. "DE"
+   * @returns {{ code: string, name: string }[]} - Full codes, e.g. { code: "DE-BY", name: "Bavaria" }
+   */
+  function getSubdivisions(countryCode) {
+    return Object.entries(SUBDIVISION_DEFINITIONS[countryCode] || {})
+      .map(([code, { name }]) => ({ code: `${countryCode}-${code}`, name }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Pick the holiday calendar to use: the subdivision if it belongs to the country, else the country
+   * @param countryCode - bank_holiday_country setting
+   * @param subdivisionCode - bank_holiday_subdivision setting
+   */
+  function getHolidayRegion(countryCode, subdivisionCode) {
+    if (!countryCode) return "";
+    if (subdivisionCode && subdivisionCode.startsWith(`${countryCode}-`)) return subdivisionCode;
+    return countryCode;
+  }
+
+  /**
+   * Get bank holidays data structure compatible with the UI
+   * Generates holidays dynamically for current and next year
+   */
+  function getBankHolidays() {
+    const result = {};
+
+    for (const [code, def] of Object.entries(HOLIDAY_DEFINITIONS)) {
+      result[code] = {
+        name: def.name,
+        // Generate holidays for current year, next year, and year after
+        getHolidaysForYear: (year) => getHolidaysForYear(code, year),
+      };
+    }
+
+    return result;
+  }
+
+  // --- app/utils/deliveryDates.js ---
+
+  // ============================================================================
+  // DELIVERY DATE ENGINE
+  // Pure shipping-date, lead-time and courier business-day calculations.
+  //
+  // This module is the single source of truth for delivery dates. The admin
+  // previews import it directly, and scripts/build-date-engine.js bundles it
+  // (together with holidays.js) into the storefront asset dib-date-engine.js,
+  // which dib-countdown.js consumes via window.DIBDateEngine. Keep it free of
+  // DOM, React and Node APIs so both builds stay identical.
+  //
+  // All Date values are "shop wall-clock" dates: their local fields (year,
+  // month, day, hours, minutes) equal the time in the shop's timezone. Use
+  // getShopNow() or getShopNowFromOffset() to build one, and
+  // shopWallClockToMs() to turn one back into a real instant.
+  // ============================================================================
+
+
+  const WEEKDAY_KEYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+  const MONTH_LABELS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+  // Safety limits for day-stepping loops
+  const MAX_NEXT_OPEN_DAY_ATTEMPTS = 14;
+  const MAX_BUSINESS_DAY_ATTEMPTS = 60;
+
+  // ============================================================================
+  // SHOP CLOCK
+  // ============================================================================
+
+  /**
+   * Build a shop wall-clock date from an IANA timezone
+   * @param {string} timeZone - IANA timezone (e.g. "Europe/London"); empty uses the runtime clock
+   * @param {Date} now - Real current time
+   * @returns {Date} - Date whose local fields match the shop timezone
+   */
+  function getShopNow(timeZone, now = new Date()) {
+    if (!timeZone) return new Date(now.getTime());
+    try {
+      const fmt = new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        year: "numeric", month: "2-digit", day: "2-digit",
+        hour: "2-digit", minute: "2-digit", second: "2-digit",
+        hour12: false,
+      });
+      const parts = fmt.formatToParts(now);
+      const g = (t) => Number(parts.find((p) => p.type === t)?.value);
+      // Some engines report midnight as hour 24
+      return new Date(g("year"), g("month") - 1, g("day"), g("hour") % 24, g("minute"), g("second"));
+    } catch {
+      return new Date(now.getTime());
+    }
+  }
+
+  /**
+   * Check whether the runtime knows an IANA timezone
+   * @param {string} timeZone - e.g. "Europe/London"
+   * @returns {boolean}
+   */
+  function isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== "string") return false;
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Parse a UTC offset string as rendered by Liquid's `date: '%z'`
+   * @param {string} value - Offset such as "+0100" or "-05:00"
+   * @returns {number|null} - Offset in minutes, or null if invalid
+   */
+  function parseOffsetMinutes(value) {
+    if (!value || typeof value !== "string") return null;
+    const m = value.trim().replace(":", "").match(/^([+-])(\d{2})(\d{2})$/);
+    if (!m) return null;
+    const sign = m[1] === "-" ? -1 : 1;
+    return sign * (Number(m[2]) * 60 + Number(m[3]));
+  }
+
+  /**
+   * Build a shop wall-clock date from a fixed UTC offset
+   * @param {number} offsetMinutes - Shop UTC offset in minutes
+   * @param {Date} now - Real current time
+   * @returns {Date} - Date whose local fields match the shop's local time
+   */
+  function getShopNowFromOffset(offsetMinutes, now = new Date()) {
+    const shifted = new Date(now.getTime() + offsetMinutes * 60000);
+    return new Date(
+      shifted.getUTCFullYear(), shifted.getUTCMonth(), shifted.getUTCDate(),
+      shifted.getUTCHours(), shifted.getUTCMinutes(), shifted.getUTCSeconds()
+    );
+  }
+
+  /**
+   * Milliseconds for a wall-clock date, ignoring the runtime's own DST rules
+   * @param {Date} date - Shop wall-clock date
+   * @returns {number}
+   */
+  function wallClockMs(date) {
+    return Date.UTC(
+      date.getFullYear(), date.getMonth(), date.getDate(),
+      date.getHours(), date.getMinutes(), date.getSeconds()
+    );
+  }
+
+  /**
+   * UTC offset of an IANA timezone at a given instant
+   * @param {string} timeZone - IANA timezone
+   * @param {Date} instant - Real time
+   * @returns {number} - Offset in minutes (e.g. 60 for London in summer)
+   */
+  function getTimeZoneOffsetMinutes(timeZone, instant = new Date()) {
+    const wholeSecondMs = Math.floor(instant.getTime() / 1000) * 1000;
+    return Math.round((wallClockMs(getShopNow(timeZone, instant)) - wholeSecondMs) / 60000);
+  }
+
+  /**
+   * Convert a shop wall-clock date to the real instant it represents
+   * The offset is looked up a second time at the first guess, so wall-clock
+   * times on the far side of a DST change resolve with that day's offset.
+   * @param {Date} date - Shop wall-clock date
+   * @param {string} timeZone - Shop IANA timezone
+   * @returns {number} - Epoch milliseconds
+   */
+  function shopWallClockToMs(date, timeZone) {
+    const wall = wallClockMs(date);
+    const guess = wall - getTimeZoneOffsetMinutes(timeZone, new Date(wall)) * 60000;
+    return wall - getTimeZoneOffsetMinutes(timeZone, new Date(guess)) * 60000;
+  }
+
+  // ============================================================================
+  // SETTINGS
+  // ============================================================================
+
+  /**
+   * Parse a HH:MM time string
+   * @param {string} value - Time string to parse
+   * @returns {{ hour: number, min: number }|null} - Parsed parts, or null if invalid
+   */
+  function parseCutoffTime(value) {
+    if (typeof value !== "string") return null;
+    const m = value.trim().match(/^(\d{1,2}):(\d{2})$/);
+    if (!m) return null;
+    const hour = Number(m[1]);
+    const min = Number(m[2]);
+    if (hour > 23 || min > 59) return null;
+    return { hour, min };
+  }
+
+  /**
+   * Convert an array or comma-separated string of weekday keys to a Set
+   * Missing values (null/undefined) use the fallback; an empty list means "none".
+   */
+  function toDaySet(value, fallback) {
+    if (value == null) return new Set(fallback);
+    const list = Array.isArray(value) ? value : String(value).split(",");
+    return new Set(list.map((d) => String(d).trim().toLowerCase()).filter(Boolean));
+  }
+
+  /**
+   * Convert custom holidays ([{date,label}], ["YYYY-MM-DD"] or "a,b") to a Set of dates
+   */
+  function toHolidaySet(value) {
+    if (!value) return new Set();
+    const list = Array.isArray(value) ? value : String(value).split(",");
+    return new Set(
+      list
+        .map((h) => (typeof h === "string" ? h.trim() : h?.date))
+        .filter(Boolean)
+    );
+  }
+
+  function toDayCount(value, fallback) {
+    const n = parseInt(value, 10);
+    return isNaN(n) || n < 0 ? fallback : n;
+  }
+
+  // Courier calendar region: the shopper's country when we have holidays for it,
+  // keeping a configured subdivision that lies in that country
+  function toDeliveryRegion(configured, destination) {
+    const dest = typeof destination === "string" ? destination.trim().toUpperCase() : "";
+    if (!dest || !HOLIDAY_DEFINITIONS[dest]) return configured;
+    return configured.split("-")[0] === dest ? configured : dest;
+  }
+
+  /**
+   * Normalise raw dispatch settings into the shape the engine works with.
+   * Keys match the settings metafield, so the admin passes resolved settings
+   * and the storefront passes values read from data attributes.
+   * @param {Object} raw - Snake_case dispatch settings
+   * @returns {Object} - Normalised settings
+   */
+  function normalizeDispatchSettings(raw = {}) {
+    const bankHolidayCountry = raw.bank_holiday_country || ""; // Country or subdivision code, e.g. "GB-SCT"
+    const customHolidays = toHolidaySet(raw.custom_holidays);
+
+    return {
+      cutoffTime: raw.cutoff_time || "14:00",
+      cutoffTimeSat: raw.cutoff_time_sat || "",
+      cutoffTimeSun: raw.cutoff_time_sun || "",
+      closedDays: toDaySet(raw.closed_days, []),
+      leadTime: toDayCount(raw.lead_time, 0),
+      courierNoDeliveryDays: toDaySet(raw.courier_no_delivery_days, ["sat", "sun"]),
+      bankHolidayCountry,
+      customHolidays,
+      // Courier calendar - null/absent means the courier observes the dispatch calendar
+      deliveryBankHolidayCountry: toDeliveryRegion(
+        raw.delivery_bank_holiday_country ?? bankHolidayCountry,
+        raw.delivery_holiday_destination
+      ),
+      deliveryCustomHolidays: raw.delivery_custom_holidays == null
+        ? customHolidays
+        : toHolidaySet(raw.delivery_custom_holidays),
+      deliveryMin: toDayCount(raw.delivery_days_min, 3),
+      deliveryMax: toDayCount(raw.delivery_days_max, 5),
+      expressMin: toDayCount(raw.express_days_min, 1),
+      expressMax: toDayCount(raw.express_days_max, 1),
+    };
+  }
+
+  /**
+   * Find the delivery zone covering a destination country
+   * @param {Object[]} zones - delivery_zones setting ({ countries: ["IE", ...], ...windows })
+   * @param {string} countryCode - ISO 3166-1 alpha-2 code, e.g. from localization.country
+   * @returns {Object|null} - First matching zone
+   */
+  function getDeliveryZone(zones, countryCode) {
+    const code = typeof countryCode === "string" ? countryCode.trim().toUpperCase() : "";
+    if (!code || !Array.isArray(zones)) return null;
+    return zones.find((z) => Array.isArray(z?.countries) && z.countries.includes(code)) || null;
+  }
+
+  /**
+   * Find a fulfilment location by id
+   * @param {Object[]} locations - fulfilment_locations setting
+   * @param {string} locationId - Rule's location_id ("" = default calendar)
+   * @returns {Object|null}
+   */
+  function getFulfilmentLocation(locations, locationId) {
+    if (!locationId || !Array.isArray(locations)) return null;
+    return locations.find((l) => l?.id === locationId) || null;
+  }
+
+  /**
+   * Resolve a rule's effective dispatch settings (rule overrides, else location, else global)
+   * Mirrors the override flags the Liquid blocks apply before rendering data attributes.
+   * @param {Object} rule - Rule object with settings
+   * @param {Object} globalSettings - Global settings
+   * @param {string} [destinationCountry] - Shopper's country code, for delivery zones and courier holidays
+   * @returns {Object} - Normalised settings
+   */
+  function resolveDispatchSettings(rule, globalSettings, destinationCountry = "") {
+    const s = rule?.settings || {};
+    const g = globalSettings || {};
+    const nonEmpty = (v) => (typeof v === "string" && v.trim() ? v : "");
+    const separateDeliveryHolidays = g.delivery_holiday_mode === "separate";
+    // A fulfilment location replaces the global dispatch calendar; rule overrides still win
+    const calendar = getFulfilmentLocation(g.fulfilment_locations, s.location_id) || g;
+    // A destination zone replaces the global windows; rule overrides still win
+    const zone = getDeliveryZone(g.delivery_zones, destinationCountry);
+    const baseWindow = {
+      deliveryMin: zone?.delivery_days_min ?? g.courier_delivery_days_min,
+      deliveryMax: zone?.delivery_days_max ?? g.courier_delivery_days_max,
+      expressMin: zone?.express_days_min ?? g.express_delivery_days_min,
+      expressMax: zone?.express_days_max ?? g.express_delivery_days_max,
+    };
+
+    const cutoffOverride = !!s.override_cutoff_times;
+    const courierWindowOverride = !!s.override_courier_delivery_window;
+    const expressWindowOverride = !!s.override_express_delivery_window;
+
+    return normalizeDispatchSettings({
+      cutoff_time: (cutoffOverride && nonEmpty(s.cutoff_time)) || nonEmpty(calendar.cutoff_time) || g.cutoff_time,
+      cutoff_time_sat: cutoffOverride ? nonEmpty(s.cutoff_time_sat) : nonEmpty(calendar.cutoff_time_sat),
+      cutoff_time_sun: cutoffOverride ? nonEmpty(s.cutoff_time_sun) : nonEmpty(calendar.cutoff_time_sun),
+      closed_days: s.override_closed_days ? (s.closed_days || []) : (calendar.closed_days || []),
+      lead_time: s.override_lead_time ? (s.lead_time ?? g.lead_time) : g.lead_time,
+      courier_no_delivery_days: s.override_courier_no_delivery_days
+        ? (s.courier_no_delivery_days ?? g.courier_no_delivery_days)
+        : g.courier_no_delivery_days,
+      // Bank holidays follow the location; custom holidays are global-only (no per-rule UI)
+      bank_holiday_country: getHolidayRegion(calendar.bank_holiday_country, calendar.bank_holiday_subdivision),
+      custom_holidays: g.custom_holidays,
+      ...(separateDeliveryHolidays && {
+        delivery_bank_holiday_country: getHolidayRegion(g.delivery_bank_holiday_country, g.delivery_bank_holiday_subdivision),
+        delivery_custom_holidays: g.delivery_custom_holidays || [],
+        delivery_holiday_destination: g.delivery_holiday_by_destination ? destinationCountry : "",
+      }),
+      delivery_days_min: courierWindowOverride ? (s.eta_delivery_days_min ?? baseWindow.deliveryMin) : baseWindow.deliveryMin,
+      delivery_days_max: courierWindowOverride ? (s.eta_delivery_days_max ?? baseWindow.deliveryMax) : baseWindow.deliveryMax,
+      express_days_min: expressWindowOverride ? (s.express_delivery_days_min ?? baseWindow.expressMin) : baseWindow.expressMin,
+      express_days_max: expressWindowOverride ? (s.express_delivery_days_max ?? baseWindow.expressMax) : baseWindow.expressMax,
+    });
+  }
+
+  // ============================================================================
+  // HOLIDAYS & CUTOFF
+  // ============================================================================
+
+  /**
+   * Check whether a date is a custom or bank holiday
+   * @param {Date} date - Shop wall-clock date
+   * @param {Object} settings - Normalised settings
+   * @param {"dispatch"|"delivery"} [phase] - Warehouse calendar, or the courier's
+   * @returns {boolean}
+   */
+  function isHoliday(date, settings, phase = "dispatch") {
+    const courier = phase === "delivery";
+    const customHolidays = courier ? settings.deliveryCustomHolidays : settings.customHolidays;
+    const region = courier ? settings.deliveryBankHolidayCountry : settings.bankHolidayCountry;
+    const dateStr = formatDate(date);
+    if (customHolidays.has(dateStr)) return true;
+    if (region) {
+      return getHolidaysForYear(region, date.getFullYear()).includes(dateStr);
+    }
+    return false;
+  }
+
+  /**
+   * Check whether the business dispatches on a date
+   * @param {Date} date - Shop wall-clock date
+   * @param {Object} settings - Normalised settings
+   * @returns {boolean}
+   */
+  function isDispatchDay(date, settings) {
+    return !settings.closedDays.has(WEEKDAY_KEYS[date.getDay()]) && !isHoliday(date, settings);
+  }
+
+  /**
+   * Get the cutoff time string that applies on a given weekday
+   * @param {Object} settings - Normalised settings
+   * @param {string} dayKey - Weekday key ("sun".."sat")
+   * @returns {string} - HH:MM cutoff
+   */
+  function getCutoffForDay(settings, dayKey) {
+    if (dayKey === "sat" && settings.cutoffTimeSat.trim()) return settings.cutoffTimeSat;
+    if (dayKey === "sun" && settings.cutoffTimeSun.trim()) return settings.cutoffTimeSun;
+    return settings.cutoffTime;
+  }
+
+  /**
+   * Work out where "now" sits relative to today's cutoff
+   * Pass the shop's IANA timezone and the real time in `clock` to measure the
+   * remaining time between real instants, which stays correct when a DST change
+   * falls between now and the cutoff. Without it the wall-clock difference is used.
+   * @param {Date} shopNow - Shop wall-clock now
+   * @param {Object} settings - Normalised settings
+   * @param {{ timeZone?: string, now?: Date }} [clock] - Shop timezone and real current time
+   * @returns {{ state: "open"|"closed"|"holiday"|"passed", remainingMs: number }}
+   */
+  function getCutoffStatus(shopNow, settings, clock = {}) {
+    if (settings.closedDays.has(WEEKDAY_KEYS[shopNow.getDay()])) return { state: "closed", remainingMs: 0 };
+    if (isHoliday(shopNow, settings)) return { state: "holiday", remainingMs: 0 };
+
+    const cutoff = parseCutoffTime(getCutoffForDay(settings, WEEKDAY_KEYS[shopNow.getDay()])) || { hour: 14, min: 0 };
+    const cutoffDate = new Date(shopNow.getFullYear(), shopNow.getMonth(), shopNow.getDate(), cutoff.hour, cutoff.min, 0);
+    const remainingMs = clock.timeZone && clock.now
+      ? shopWallClockToMs(cutoffDate, clock.timeZone) - clock.now.getTime()
+      : wallClockMs(cutoffDate) - wallClockMs(shopNow);
+    if (remainingMs <= 0) return { state: "passed", remainingMs: 0 };
+    return { state: "open", remainingMs };
+  }
+
+  /**
+   * Format a countdown duration
+   * @param {number} ms - Remaining milliseconds
+   * @returns {string} - e.g. "2h 05m", "45m", "less than 1 min"
+   */
+  function formatRemaining(ms) {
+    const totalMin = Math.floor(ms / 60000);
+    if (totalMin < 1) return "less than 1 min";
+    const h = Math.floor(totalMin / 60);
+    const m = totalMin % 60;
+    if (h > 0) return `${h}h ${String(m).padStart(2, "0")}m`;
+    return `${m}m`;
+  }
+
+  // ============================================================================
+  // SHIPPING & DELIVERY DATES
+  // ============================================================================
+
+  /**
+   * Calculate the dispatch date: today if before cutoff on an open day,
+   * otherwise the next open day, then plus lead time in business days
+   * @param {Date} shopNow - Shop wall-clock now
+   * @param {Object} settings - Normalised settings
+   * @returns {Date} - Shipping date (midnight, shop wall-clock)
+   */
+  function calculateShippingDate(shopNow, settings) {
+    const today = new Date(shopNow.getFullYear(), shopNow.getMonth(), shopNow.getDate());
+    let shippingDate = today;
+
+    if (getCutoffStatus(shopNow, settings).state !== "open") {
+      shippingDate = addDays(today, 1);
+      for (let attempts = 0; attempts < MAX_NEXT_OPEN_DAY_ATTEMPTS; attempts++) {
+        if (isDispatchDay(shippingDate, settings)) break;
+        shippingDate = addDays(shippingDate, 1);
+      }
+    }
+
+    let daysAdded = 0;
+    for (let attempts = 0; daysAdded < settings.leadTime && attempts < MAX_BUSINESS_DAY_ATTEMPTS; attempts++) {
+      shippingDate = addDays(shippingDate, 1);
+      if (isDispatchDay(shippingDate, settings)) daysAdded++;
+    }
+
+    return shippingDate;
+  }
+
+  /**
+   * Add courier business days, skipping courier no-delivery days and holidays
+   * @param {Date} startDate - Shipping date
+   * @param {number} numDays - Business days to add
+   * @param {Object} settings - Normalised settings
+   * @returns {Date} - Delivery date
+   */
+  function addDeliveryDays(startDate, numDays, settings) {
+    let current = startDate;
+    let daysAdded = 0;
+    for (let attempts = 0; daysAdded < numDays && attempts < MAX_BUSINESS_DAY_ATTEMPTS; attempts++) {
+      current = addDays(current, 1);
+      if (!settings.courierNoDeliveryDays.has(WEEKDAY_KEYS[current.getDay()]) && !isHoliday(current, settings, "delivery")) {
+        daysAdded++;
+      }
+    }
+    return current;
+  }
+
+  /**
+   * Format a date for display (e.g. "Jan 20")
+   * @param {Date} date
+   * @returns {string}
+   */
+  function formatShortDate(date) {
+    return `${MONTH_LABELS[date.getMonth()]} ${date.getDate()}`;
+  }
+
+  /**
+   * Format a delivery window (e.g. "Jan 20", "Jan 20-23", "Jan 30-Feb 2")
+   * @param {Date} minDate - Earliest delivery date
+   * @param {Date} maxDate - Latest delivery date
+   * @returns {string}
+   */
+  function formatDateRange(minDate, maxDate) {
+    if (formatDate(minDate) === formatDate(maxDate)) return formatShortDate(minDate);
+    if (minDate.getMonth() === maxDate.getMonth()) return `${formatShortDate(minDate)}-${maxDate.getDate()}`;
+    return `${formatShortDate(minDate)}-${formatShortDate(maxDate)}`;
+  }
+
+  /**
+   * Compute every date the previews and storefront placeholders display
+   * @param {Date} shopNow - Shop wall-clock now
+   * @param {Object} settings - Normalised settings
+   * @returns {Object} - Dates plus preformatted {shipped}, {arrival} and {express} strings
+   */
+  function getDeliveryEstimate(shopNow, settings) {
+    const shippingDate = calculateShippingDate(shopNow, settings);
+    const deliveryMinDate = addDeliveryDays(shippingDate, settings.deliveryMin, settings);
+    const deliveryMaxDate = addDeliveryDays(shippingDate, settings.deliveryMax, settings);
+    const expressMinDate = addDeliveryDays(shippingDate, settings.expressMin, settings);
+    const expressMaxDate = addDeliveryDays(shippingDate, settings.expressMax, settings);
+
+    return {
+      orderDate: shopNow,
+      shippingDate,
+      deliveryMinDate,
+      deliveryMaxDate,
+      expressMinDate,
+      expressMaxDate,
+      shippedText: formatShortDate(shippingDate),
+      arrivalText: formatDateRange(deliveryMinDate, deliveryMaxDate),
+      expressText: formatDateRange(expressMinDate, expressMaxDate),
+    };
+  }
+
+  window.DIBDateEngine = { addDays, formatDate, getEasterSunday, getOrthodoxEaster, getNthWeekdayOfMonth, getMidsummerDay, HOLIDAY_DEFINITIONS, SUBDIVISION_DEFINITIONS, getHolidaysForYear, getSubdivisions, getHolidayRegion, getBankHolidays, WEEKDAY_KEYS, getShopNow, isValidTimeZone, parseOffsetMinutes, getShopNowFromOffset, getTimeZoneOffsetMinutes, shopWallClockToMs, parseCutoffTime, normalizeDispatchSettings, getDeliveryZone, getFulfilmentLocation, resolveDispatchSettings, isHoliday, isDispatchDay, getCutoffForDay, getCutoffStatus, formatRemaining, calculateShippingDate, addDeliveryDays, formatShortDate, formatDateRange, getDeliveryEstimate };
+})();
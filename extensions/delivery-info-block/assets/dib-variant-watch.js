@@ -0,0 +1,122 @@
+/**
+ * Variant Switching
+ * Re-renders Delivery Messaging blocks when the shopper picks a different variant,
+ * so rules matching on SKU, option values, inventory policy or variant stock apply live.
+ *
+ * Each block renders inside a [data-dib-scope] wrapper carrying the variant it was
+ * evaluated for. On variant change we fetch the product section through the
+ * Section Rendering API and swap in the wrappers' fresh markup.
+ */
+(function() {
+  'use strict';
+
+  if (window.__DIB_VARIANT_WATCH_INIT__) return;
+  window.__DIB_VARIANT_WATCH_INIT__ = true;
+
+  // section id + variant id -> Promise<Document>
+  const sectionCache = new Map();
+  // scope -> variant id being fetched; data-variant-id only changes once the markup is swapped,
+  // so a failed request leaves the old id and the next check tries that variant again
+  const pendingVariant = new WeakMap();
+  let checkTimer = null;
+
+  function getSectionId(scope) {
+    const section = scope.closest('[id^="shopify-section-"]');
+    return section ? section.id.replace('shopify-section-', '') : '';
+  }
+
+  // Current variant: the product form's id input, else the ?variant= URL param
+  function getSelectedVariantId(scope) {
+    const section = scope.closest('[id^="shopify-section-"]') || document;
+    const input = section.querySelector('form[action*="/cart/add"] [name="id"]');
+    if (input && input.value) return String(input.value);
+    return new URLSearchParams(window.location.search).get('variant') || '';
+  }
+
+  function fetchSection(sectionId, variantId) {
+    const key = sectionId + ':' + variantId;
+    if (!sectionCache.has(key)) {
+      const url = window.location.pathname + '?variant=' + encodeURIComponent(variantId) +
+        '&section_id=' + encodeURIComponent(sectionId);
+      const request = fetch(url, { credentials: 'same-origin' })
+        .then((res) => {
+          if (!res.ok) throw new Error('Section request failed: ' + res.status);
+          return res.text();
+        })
+        .then((html) => new DOMParser().parseFromString(html, 'text/html'))
+        .catch((err) => {
+          sectionCache.delete(key);
+          throw err;
+        });
+      sectionCache.set(key, request);
+    }
+    return sectionCache.get(key);
+  }
+
+  function swapScope(scope, variantId) {
+    const sectionId = getSectionId(scope);
+    const scopeId = scope.getAttribute('data-dib-scope');
+    if (!sectionId || !scopeId) return;
+
+    pendingVariant.set(scope, variantId);
+    fetchSection(sectionId, variantId)
+      .then((doc) => {
+        // Ignore stale responses if the shopper has already moved on
+        if (pendingVariant.get(scope) !== variantId) return;
+        pendingVariant.delete(scope);
+        const fresh = doc.querySelector('[data-dib-scope="' + scopeId + '"]');
+        if (!fresh) return;
+        scope.innerHTML = fresh.innerHTML;
+        scope.setAttribute('data-variant-id', variantId);
+        // Keep the visitor on their A/B variant in the fresh markup
+        if (window.DIBAbTest) window.DIBAbTest.apply();
+        if (window.DIBAnalytics) window.DIBAnalytics.scan();
+        if (window.DIBCountdown && window.DIBCountdown.refresh) {
+          window.DIBCountdown.refresh();
+        }
+      })
+      .catch(() => {
+        // Keep the current message; it is still correct for the product as a whole
+        if (pendingVariant.get(scope) === variantId) pendingVariant.delete(scope);
+      });
+  }
+
+  function checkVariants() {
+    document.querySelectorAll('[data-dib-scope][data-variant-id]').forEach((scope) => {
+      const current = scope.getAttribute('data-variant-id');
+      if (!current) return;
+      const selected = getSelectedVariantId(scope);
+      if (!selected) return;
+      if (selected === current) {
+        // Back on the rendered variant: drop any request still in flight
+        pendingVariant.delete(scope);
+      } else if (selected !== pendingVariant.get(scope)) {
+        swapScope(scope, selected);
+      }
+    });
+  }
+
+  // Themes update the id input and URL at slightly different points; check twice
+  function scheduleCheck() {
+    clearTimeout(checkTimer);
+    checkVariants();
+    checkTimer = setTimeout(checkVariants, 300);
+  }
+
+  document.addEventListener('change', (e) => {
+    if (e.target && e.target.closest && e.target.closest('form, variant-selects, variant-radios, [data-variant-picker]')) {
+      scheduleCheck();
+    }
+  }, true);
+
+  ['pushState', 'replaceState'].forEach((method) => {
+    const original = window.history[method];
+    window.history[method] = function() {
+      const result = original.apply(this, arguments);
+      scheduleCheck();
+      return result;
+    };
+  });
+  window.addEventListener('popstate', scheduleCheck);
+  document.addEventListener('shopify:section:load', scheduleCheck);
+})();
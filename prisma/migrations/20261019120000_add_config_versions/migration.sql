@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "ConfigVersion" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "kind" TEXT NOT NULL,
+    "value" TEXT NOT NULL,
+    "size" INTEGER NOT NULL,
+    "author" TEXT,
+    "source" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ConfigVersion_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ConfigVersion_shop_kind_createdAt_idx" ON "ConfigVersion"("shop", "kind", "createdAt");
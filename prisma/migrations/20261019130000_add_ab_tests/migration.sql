@@ -0,0 +1,39 @@
+-- CreateTable
+CREATE TABLE "AbTestExposure" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "testId" TEXT NOT NULL,
+    "ruleId" TEXT NOT NULL,
+    "variantId" TEXT NOT NULL,
+    "visitorId" TEXT NOT NULL,
+    "impressions" INTEGER NOT NULL DEFAULT 1,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "AbTestExposure_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "AbTestConversion" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "testId" TEXT NOT NULL,
+    "variantId" TEXT NOT NULL,
+    "visitorId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AbTestConversion_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AbTestExposure_shop_testId_visitorId_key" ON "AbTestExposure"("shop", "testId", "visitorId");
+
+-- CreateIndex
+CREATE INDEX "AbTestExposure_shop_testId_idx" ON "AbTestExposure"("shop", "testId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AbTestConversion_shop_testId_visitorId_type_key" ON "AbTestConversion"("shop", "testId", "visitorId", "type");
+
+-- CreateIndex
+CREATE INDEX "AbTestConversion_shop_testId_idx" ON "AbTestConversion"("shop", "testId");
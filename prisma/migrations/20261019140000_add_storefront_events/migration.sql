@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "StorefrontEventDaily" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "day" DATE NOT NULL,
+    "event" TEXT NOT NULL,
+    "ruleId" TEXT NOT NULL DEFAULT '',
+    "count" INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT "StorefrontEventDaily_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StorefrontEventDaily_shop_day_event_ruleId_key" ON "StorefrontEventDaily"("shop", "day", "event", "ruleId");
+
+-- CreateIndex
+CREATE INDEX "StorefrontEventDaily_shop_day_idx" ON "StorefrontEventDaily"("shop", "day");
@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "ComplianceAudit" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "topic" TEXT NOT NULL,
+    "webhookId" TEXT,
+    "summary" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ComplianceAudit_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ComplianceAudit_shop_idx" ON "ComplianceAudit"("shop");
+
+-- CreateIndex
+CREATE INDEX "ComplianceAudit_createdAt_idx" ON "ComplianceAudit"("createdAt");
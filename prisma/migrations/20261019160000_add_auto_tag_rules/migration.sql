@@ -0,0 +1,34 @@
+-- CreateTable
+CREATE TABLE "AutoTagRule" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "conditions" TEXT NOT NULL,
+    "tags" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "AutoTagRule_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "AutoTagActivity" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "ruleId" TEXT NOT NULL,
+    "ruleName" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "productTitle" TEXT NOT NULL,
+    "tags" TEXT NOT NULL,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AutoTagActivity_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AutoTagRule_shop_idx" ON "AutoTagRule"("shop");
+
+-- CreateIndex
+CREATE INDEX "AutoTagActivity_shop_createdAt_idx" ON "AutoTagActivity"("shop", "createdAt");
@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "TagJob" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "action" TEXT NOT NULL,
+    "tag" TEXT NOT NULL,
+    "description" TEXT NOT NULL,
+    "query" TEXT,
+    "productIds" TEXT,
+    "status" TEXT NOT NULL,
+    "bulkOperationId" TEXT,
+    "total" INTEGER,
+    "processed" INTEGER NOT NULL DEFAULT 0,
+    "failed" INTEGER NOT NULL DEFAULT 0,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "TagJob_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "TagJob_shop_status_idx" ON "TagJob"("shop", "status");
+
+-- CreateIndex
+CREATE INDEX "TagJob_bulkOperationId_idx" ON "TagJob"("bulkOperationId");
@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE "TagJob" ADD COLUMN "author" TEXT,
+ADD COLUMN "revertOfId" TEXT;
+
+-- CreateTable
+CREATE TABLE "TagChangeBatch" (
+    "id" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "author" TEXT,
+    "action" TEXT NOT NULL,
+    "tag" TEXT NOT NULL,
+    "source" TEXT NOT NULL,
+    "description" TEXT NOT NULL,
+    "results" TEXT NOT NULL,
+    "productCount" INTEGER NOT NULL,
+    "failedCount" INTEGER NOT NULL,
+    "jobId" TEXT,
+    "revertOfId" TEXT,
+    "revertedAt" TIMESTAMP(3),
+    "revertedById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "TagChangeBatch_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "TagChangeBatch_shop_createdAt_idx" ON "TagChangeBatch"("shop", "createdAt");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "TagJob" ADD COLUMN     "unchangedIds" TEXT;
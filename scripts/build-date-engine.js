@@ -0,0 +1,71 @@
+// ============================================================================
+// BUILD STOREFRONT DATE ENGINE
+// Bundles app/utils/holidays.js + app/utils/deliveryDates.js into the theme
+// asset dib-date-engine.js so the storefront runs exactly the same date logic
+// as the admin previews.
+//
+// Usage:
+//   npm run build:date-engine          Regenerate the asset
+//   npm run build:date-engine -- --check   Fail if the asset is out of date
+// ============================================================================
+
+import { readFileSync, writeFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const SOURCES = ["app/utils/holidays.js", "app/utils/deliveryDates.js"];
+const OUTPUT = "extensions/delivery-info-block/assets/dib-date-engine.js";
+
+/**
+ * Strip ESM syntax from a source file and collect its exported names
+ * @param {string} source - Module source
+ * @returns {{ code: string, exports: string[] }}
+ */
+function stripModuleSyntax(source) {
+  const exports = [];
+  const code = source
+    .replace(/^import .*? from .*?;\n/gm, "")
+    .replace(/^export (function|const) (\w+)/gm, (_, kind, name) => {
+      exports.push(name);
+      return `${kind} ${name}`;
+    });
+  return { code, exports };
+}
+
+function build() {
+  const modules = SOURCES.map((file) => ({
+    file,
+    ...stripModuleSyntax(readFileSync(path.join(root, file), "utf8")),
+  }));
+  const exported = modules.flatMap((m) => m.exports);
+
+  const indent = (code) =>
+    code.replace(/^(?=.)/gm, "  ").trimEnd();
+
+  return [
+    "/* Generated by scripts/build-date-engine.js from " + SOURCES.join(" and ") + ". Do not edit by hand. */",
+    "/* eslint-disable */",
+    "(function () {",
+    "  if (window.DIBDateEngine) return;",
+    "",
+    ...modules.map((m) => `  // --- ${m.file} ---\n\n${indent(m.code)}\n`),
+    `  window.DIBDateEngine = { ${exported.join(", ")} };`,
+    "})();",
+    "",
+  ].join("\n");
+}
+
+const output = build();
+const outputPath = path.join(root, OUTPUT);
+
+if (process.argv.includes("--check")) {
+  if (readFileSync(outputPath, "utf8") !== output) {
+    console.error(`${OUTPUT} is out of date. Run: npm run build:date-engine`);
+    process.exit(1);
+  }
+  console.log(`${OUTPUT} is up to date.`);
+} else {
+  writeFileSync(outputPath, output);
+  console.log(`Wrote ${OUTPUT}`);
+}
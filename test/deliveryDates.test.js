@@ -0,0 +1,83 @@
+// ============================================================================
+// DELIVERY DATE ENGINE - GOLDEN FIXTURES
+// Runs every case in fixtures/deliveryDates.json through app/utils/deliveryDates.js
+// (what the admin previews use) and through the built storefront asset
+// dib-date-engine.js (window.DIBDateEngine), with the same settings and fixed
+// "now", and checks both give the expected dates.
+// ============================================================================
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import { readFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+import vm from "node:vm";
+
+import * as adminEngine from "../app/utils/deliveryDates.js";
+import { formatDate } from "../app/utils/holidays.js";
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const fixtures = JSON.parse(readFileSync(path.join(root, "test/fixtures/deliveryDates.json"), "utf8"));
+
+// Load the storefront asset the way a theme page does: a script that sets window.DIBDateEngine
+function loadStorefrontEngine() {
+  const window = {};
+  const source = readFileSync(path.join(root, "extensions/delivery-info-block/assets/dib-date-engine.js"), "utf8");
+  vm.runInNewContext(source, { window });
+  return window.DIBDateEngine;
+}
+
+// Settings as dib-countdown.js reads them: data attribute strings, lists comma separated
+function toDataAttributes(settings) {
+  return Object.fromEntries(
+    Object.entries(settings).map(([key, value]) => [key, Array.isArray(value) ? value.join(",") : String(value)])
+  );
+}
+
+const pad = (n) => String(n).padStart(2, "0");
+
+/**
+ * Everything the previews and the storefront show for one case, as plain strings and numbers
+ * @param {Object} engine - deliveryDates.js exports or window.DIBDateEngine
+ * @param {Object} fixture - Fixture case
+ * @param {Object} settings - Raw settings passed to normalizeDispatchSettings
+ * @returns {Object}
+ */
+function run(engine, fixture, settings) {
+  const now = new Date(fixture.now);
+  const shopNow = engine.getShopNow(fixture.timeZone, now);
+  const normalized = engine.normalizeDispatchSettings(settings);
+  const status = engine.getCutoffStatus(shopNow, normalized, { timeZone: fixture.timeZone, now });
+  const estimate = engine.getDeliveryEstimate(shopNow, normalized);
+
+  return {
+    shopNow: `${formatDate(shopNow)} ${pad(shopNow.getHours())}:${pad(shopNow.getMinutes())}`,
+    cutoff: status.state,
+    remainingMs: status.remainingMs,
+    shippingDate: formatDate(engine.calculateShippingDate(shopNow, normalized)),
+    deliveryMinDate: formatDate(estimate.deliveryMinDate),
+    deliveryMaxDate: formatDate(estimate.deliveryMaxDate),
+    expressMinDate: formatDate(estimate.expressMinDate),
+    expressMaxDate: formatDate(estimate.expressMaxDate),
+    shippedText: estimate.shippedText,
+    arrivalText: estimate.arrivalText,
+    expressText: estimate.expressText,
+  };
+}
+
+test("dib-date-engine.js is built from the current sources", () => {
+  execFileSync(process.execPath, [path.join(root, "scripts/build-date-engine.js"), "--check"], { stdio: "pipe" });
+});
+
+const storefrontEngine = loadStorefrontEngine();
+
+for (const fixture of fixtures) {
+  test(fixture.name, () => {
+    const admin = run(adminEngine, fixture, fixture.settings);
+    const storefront = run(storefrontEngine, fixture, toDataAttributes(fixture.settings));
+
+    assert.deepEqual(storefront, admin, "storefront and admin engines disagree");
+    assert.deepEqual(admin, fixture.expected);
+  });
+}
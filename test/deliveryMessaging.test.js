@@ -0,0 +1,111 @@
+// ============================================================================
+// FREE DELIVERY BAR - CART TAG EXCLUSIONS
+// Loads the storefront asset delivery-messaging.js with a stubbed page and
+// fetch, and checks the tags of cart products come from one Storefront API
+// request sent with the shop's token, not one request per product.
+// ============================================================================
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+import vm from "node:vm";
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const source = readFileSync(path.join(root, "extensions/delivery-info-block/assets/delivery-messaging.js"), "utf8");
+
+const TOKEN = "storefront-token";
+
+const CART = {
+  item_count: 2,
+  total_price: 4000,
+  items_subtotal_price: 4000,
+  items: [
+    { handle: "gift-box", final_line_price: 1500, original_line_price: 1500, properties: {} },
+    { handle: "mug", final_line_price: 2500, original_line_price: 2500, properties: {} },
+  ],
+};
+
+const json = (body) => ({ ok: true, status: 200, json: async () => body });
+
+/**
+ * Run delivery-messaging.js on a page whose bar has the given data attributes
+ * @param {Object} dataset - The config element's data attributes
+ * @param {Object<string, string[]>} tags - Product tags by handle, as the Storefront API returns them
+ * @returns {{ window: Object, requests: { url: string, init: Object }[] }}
+ */
+function loadPage(dataset, tags) {
+  const requests = [];
+  const fetch = async (url, init = {}) => {
+    requests.push({ url, init });
+    if (url === "/cart.js") return json(CART);
+    if (url.startsWith("/api/")) {
+      if (!init.headers?.["X-Shopify-Storefront-Access-Token"]) return json({ errors: [{ message: "Access denied" }] });
+      const { variables } = JSON.parse(init.body);
+      const data = Object.fromEntries(Object.entries(variables).map(([name, handle]) => [`p${name.slice(1)}`, { tags: tags[handle] || [] }]));
+      return json({ data });
+    }
+    if (url.startsWith("/products/")) {
+      const handle = url.slice("/products/".length, -".json".length);
+      return json({ product: { tags: (tags[handle] || []).join(", ") } });
+    }
+    return { ok: false, status: 404, json: async () => ({}) };
+  };
+  const configEl = { dataset };
+  const document = {
+    readyState: "complete",
+    addEventListener() {},
+    querySelector: (selector) => (selector === "[data-dm-config]" ? configEl : null),
+    querySelectorAll: () => [],
+  };
+  const store = new Map();
+  const sessionStorage = { getItem: (key) => store.get(key) ?? null, setItem: (key, value) => store.set(key, String(value)) };
+  const window = { fetch, addEventListener() {}, Shopify: {} };
+  function XMLHttpRequest() {}
+  XMLHttpRequest.prototype = { open() {}, send() {} };
+  vm.runInNewContext(source, {
+    window, document, fetch, sessionStorage, XMLHttpRequest, console, Intl,
+    setTimeout, clearTimeout, setInterval, clearInterval,
+    MutationObserver: function () { this.observe = () => {}; },
+  });
+  return { window, requests };
+}
+
+// The bar's state once the cart has been read
+async function settledState(window) {
+  for (let i = 0; i < 100; i++) {
+    const state = window.DeliveryMessaging.getState();
+    if (state.lastUpdated && !state.isEmpty) return state;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error("The bar never read the cart");
+}
+
+const dataset = {
+  threshold: "5000",
+  currency: "GBP",
+  exclusionRules: JSON.stringify([{ tags: ["final-sale"], handles: [], cart_message: "Final sale items ship at cost" }]),
+};
+
+test("cart product tags come from one Storefront API request with the shop's token", async () => {
+  const { window, requests } = loadPage({ ...dataset, storefrontToken: TOKEN }, { "gift-box": ["final-sale"] });
+  const state = await settledState(window);
+
+  assert.equal(state.excluded, true);
+  assert.equal(state.messageText, "Final sale items ship at cost");
+
+  const tagRequests = requests.filter((r) => r.url.startsWith("/api/"));
+  assert.equal(tagRequests.length, 1);
+  assert.equal(tagRequests[0].init.headers["X-Shopify-Storefront-Access-Token"], TOKEN);
+  assert.deepEqual(requests.filter((r) => r.url.startsWith("/products/")), []);
+});
+
+test("without a token the products are fetched one by one", async () => {
+  const { window, requests } = loadPage(dataset, { "gift-box": ["final-sale"] });
+  const state = await settledState(window);
+
+  assert.equal(state.excluded, true);
+  assert.deepEqual(requests.filter((r) => r.url.startsWith("/api/")), []);
+  assert.deepEqual(requests.filter((r) => r.url.startsWith("/products/")).map((r) => r.url).sort(), ["/products/gift-box.json", "/products/mug.json"]);
+});
@@ -0,0 +1,72 @@
+// ============================================================================
+// TAG CHANGES
+// A bulk tag job on selected products leaves out the ones already in the end
+// state, logs them as unchanged, and a revert only changes back the rest.
+// ============================================================================
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { revertableIds, splitTagChanges, tagJobResults } from "../app/utils/tagChanges.js";
+
+const id = (n) => `gid://shopify/Product/${n}`;
+
+// Five selected products; 2 and 4 already have the tag (in another case)
+const before = new Map([
+  [id(1), { tags: ["summer"] }],
+  [id(2), { tags: ["Sale", "summer"] }],
+  [id(3), { tags: [] }],
+  [id(4), { tags: ["sale"] }],
+  [id(5), { tags: ["winter"] }],
+]);
+const selected = [1, 2, 3, 4, 5].map(id);
+
+// Result file rows by line, as the bulk mutation writes them
+const okRows = (productIds, key) => new Map(productIds.map((productId, line) => [line, { data: { [key]: { node: { id: productId }, userErrors: [] } }, __lineNumber: line }]));
+
+test("selected products that already have the tag are left out of the upload", () => {
+  const { pending, unchanged } = splitTagChanges(selected, before, "add", "sale");
+  assert.deepEqual(pending, [id(1), id(3), id(5)]);
+  assert.deepEqual(unchanged, [id(2), id(4)]);
+});
+
+test("products missing from the read still get the change", () => {
+  const { pending, unchanged } = splitTagChanges([id(1), id(9)], before, "remove", "summer");
+  assert.deepEqual(pending, [id(1), id(9)]);
+  assert.deepEqual(unchanged, []);
+});
+
+test("a revert only changes back the products the job changed", () => {
+  const { pending, unchanged } = splitTagChanges(selected, before, "add", "sale");
+  const results = tagJobResults({ action: "add", productIds: pending, unchangedIds: unchanged }, okRows(pending, "tagsAdd"), null);
+
+  assert.equal(results.length, selected.length);
+  assert.deepEqual(results.filter((r) => !r.changed).map((r) => r.id), [id(2), id(4)]);
+  assert.ok(results.every((r) => r.ok));
+
+  const revertIds = revertableIds(results);
+  assert.deepEqual(revertIds, [id(1), id(3), id(5)]);
+
+  // After the job every selected product has the tag; the revert removes it from the three it added
+  const after = new Map(selected.map((productId) => [productId, { tags: [...before.get(productId).tags, "sale"] }]));
+  const revert = splitTagChanges(revertIds, after, "remove", "sale");
+  assert.deepEqual(revert.pending, revertIds);
+  assert.deepEqual(revert.unchanged, []);
+});
+
+test("products the job failed on or never reached aren't reverted", () => {
+  const productIds = [id(1), id(3), id(5)];
+  const rows = new Map([
+    [0, { data: { tagsAdd: { userErrors: [] } }, __lineNumber: 0 }],
+    [1, { data: { tagsAdd: { userErrors: [{ message: "Product does not exist" }] } }, __lineNumber: 1 }],
+  ]);
+  const results = tagJobResults({ action: "add", productIds, unchangedIds: [id(2)] }, rows, "Not reached");
+
+  assert.deepEqual(results.map((r) => [r.ok, r.changed, r.error]), [
+    [true, true, undefined],
+    [false, false, "Product does not exist"],
+    [false, false, "Not reached"],
+    [true, false, undefined],
+  ]);
+  assert.deepEqual(revertableIds(results), [id(1)]);
+});